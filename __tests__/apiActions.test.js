@@ -0,0 +1,133 @@
+/**
+ * api/*Actions against the simulated guild
+ */
+const { FakeClient } = require('../testing/fakeDiscord');
+const { UserActions } = require('../api/userActions');
+const { RoleActions } = require('../api/roleActions');
+const { ChannelActions } = require('../api/channelActions');
+const { MessageActions } = require('../api/messageActions');
+const { VoiceActions } = require('../api/voiceActions');
+const { ServerActions } = require('../api/serverActions');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function setup(bot) {
+  const client = new FakeClient({ botName: 'Becas' });
+  const guild = client.addGuild({
+    owner: 'owner',
+    bot,
+    roles: [{ name: 'VIP' }],
+    channels: [
+      { name: 'general' },
+      { name: 'old-news' },
+      { name: 'Lobby', type: 'voice' },
+      { name: 'Stage', type: 'voice' }
+    ],
+    members: [
+      { username: 'owner' },
+      { username: 'alice', voice: 'Lobby' },
+      { username: 'bob' }
+    ]
+  });
+
+  return { client, guild };
+}
+
+describe('api actions', () => {
+  let client;
+  let guild;
+
+  beforeEach(() => {
+    ({ client, guild } = setup());
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('UserActions times a member out for the given seconds and kicks', async () => {
+    const users = new UserActions(client, logger);
+    const alice = guild.findMember('alice');
+    const bob = guild.findMember('bob');
+
+    const timeout = await users.timeout({ userId: alice.id, duration: 600 }, guild);
+    const kick = await users.kick({ userId: bob.id, reason: 'spam' }, guild);
+
+    expect(timeout.success).toBe(true);
+    expect(alice.isCommunicationDisabled()).toBe(true);
+    expect(alice.communicationDisabledUntilTimestamp - Date.now()).toBeGreaterThan(590 * 1000);
+    expect(kick.success).toBe(true);
+    expect(guild.members.cache.has(bob.id)).toBe(false);
+  });
+
+  test('RoleActions creates a role and gives it to a member', async () => {
+    const roles = new RoleActions(client, logger);
+    const bob = guild.findMember('bob');
+
+    const created = await roles.create({ name: 'Helpers', permissions: ['ManageMessages'] }, guild);
+    const added = await roles.add({ userId: bob.id, roleId: created.roleId }, guild);
+
+    const helpers = guild.findRole('Helpers');
+    expect(helpers.id).toBe(created.roleId);
+    expect(helpers.permissions.has('ManageMessages')).toBe(true);
+    expect(added.success).toBe(true);
+    expect(bob.roles.cache.has(helpers.id)).toBe(true);
+  });
+
+  test('ChannelActions deletes a channel', async () => {
+    const channels = new ChannelActions(client, logger);
+    const channel = guild.findChannel('old-news');
+
+    const result = await channels.delete({ channelId: channel.id }, guild);
+
+    expect(result.success).toBe(true);
+    expect(guild.findChannel('old-news')).toBeFalsy();
+  });
+
+  test('MessageActions sends a message to the channel', async () => {
+    const messages = new MessageActions(client, logger);
+    const general = guild.findChannel('general');
+
+    const result = await messages.create({ content: 'Server restarts at 9' }, general);
+
+    expect(result.success).toBe(true);
+    expect(general.messages.cache.last().content).toBe('Server restarts at 9');
+  });
+
+  test('VoiceActions moves a member to another voice channel', async () => {
+    const voice = new VoiceActions(client, logger);
+    const alice = guild.findMember('alice');
+    const stage = guild.findChannel('Stage');
+
+    const result = await voice.move({ userId: alice.id, channelId: stage.id }, guild);
+
+    expect(result.success).toBe(true);
+    expect(alice.voice.channelId).toBe(stage.id);
+  });
+
+  test('ServerActions creates an invite and lists it', async () => {
+    const server = new ServerActions(client, logger);
+
+    const created = await server.createInvite({ channelId: guild.findChannel('general').id, maxUses: 5 }, guild);
+    const listed = await server.getInvites({}, guild);
+
+    expect(created.success).toBe(true);
+    expect(listed.invites.map(invite => invite.code)).toEqual([created.code]);
+  });
+
+  test('reports the Discord error and changes nothing when the bot lacks the permission', async () => {
+    await client.destroy();
+    ({ client, guild } = setup({ permissions: ['ViewChannel', 'SendMessages'] }));
+    const channels = new ChannelActions(client, logger);
+    const users = new UserActions(client, logger);
+    const alice = guild.findMember('alice');
+
+    const deletion = await channels.delete({ channelId: guild.findChannel('old-news').id }, guild);
+    const timeout = await users.timeout({ userId: alice.id, duration: 600 }, guild);
+
+    expect(deletion.success).toBe(false);
+    expect(guild.findChannel('old-news')).toBeTruthy();
+    expect(timeout.success).toBe(false);
+    expect(alice.isCommunicationDisabled()).toBe(false);
+  });
+});
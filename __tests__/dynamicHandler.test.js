@@ -0,0 +1,291 @@
+/**
+ * DynamicHandler.executeAction against the simulated guild
+ */
+const { PermissionsBitField } = require('discord.js');
+const { FakeClient } = require('../testing/fakeDiscord');
+const { DynamicHandler } = require('../core/dynamicHandler');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Guild with an owner, two moderators, a member without permissions and members to act on
+ */
+function setup() {
+  const client = new FakeClient({ botName: 'Becas' });
+  const guild = client.addGuild({
+    owner: 'owner',
+    roles: [
+      { name: 'Moderator', permissions: ['ModerateMembers', 'ManageRoles', 'ManageChannels', 'MoveMembers'] },
+      { name: 'Spam' }
+    ],
+    channels: [
+      { name: 'general' },
+      { name: 'old-news' },
+      { name: 'Lobby', type: 'voice' },
+      { name: 'AFK', type: 'voice' }
+    ],
+    members: [
+      { username: 'owner' },
+      { username: 'mod', roles: ['Moderator'] },
+      { username: 'mod2', roles: ['Moderator'] },
+      { username: 'pleb' },
+      { username: 'alice', voice: 'Lobby' },
+      { username: 'veteran', voice: 'Lobby' },
+      { username: 'regular' }
+    ]
+  });
+  const handler = new DynamicHandler(client, logger);
+
+  return { client, guild, handler, command: (author, content = 'command') => client.receiveMessage(author, 'general', content) };
+}
+
+describe('DynamicHandler.executeAction', () => {
+  let world;
+
+  beforeEach(() => {
+    world = setup();
+  });
+
+  afterEach(async () => {
+    await world.client.settle();
+    await world.client.destroy();
+  });
+
+  test('times a member out and returns how to undo it', async () => {
+    const { guild, handler, command } = world;
+    const alice = guild.findMember('alice');
+
+    const result = await handler.executeAction(command('mod'), { action: 'member.timeout', userId: alice.id, duration: 300 });
+
+    expect(result.success).toBe(true);
+    expect(alice.isCommunicationDisabled()).toBe(true);
+    expect(result.inverse).toEqual({ action: 'member.removeTimeout', params: expect.objectContaining({ userId: alice.id }) });
+
+    const undo = await handler.executeAction(command('mod'), { ...result.inverse.params, action: result.inverse.action });
+
+    expect(undo.success).toBe(true);
+    expect(alice.isCommunicationDisabled()).toBe(false);
+  });
+
+  test('resolves aliases to the canonical action', async () => {
+    const { guild, handler, command } = world;
+    const alice = guild.findMember('alice');
+
+    const result = await handler.executeAction(command('mod'), { action: 'member.mute', userId: alice.id, duration: 60 });
+
+    expect(result.actionUsed).toBe('member.timeout');
+    expect(alice.isCommunicationDisabled()).toBe(true);
+  });
+
+  test('creates a role', async () => {
+    const { guild, handler, command } = world;
+
+    const result = await handler.executeAction(command('mod'), { action: 'role.create', name: 'Raiders' });
+
+    expect(result.success).toBe(true);
+    expect(guild.findRole('Raiders')).toBeTruthy();
+    expect(guild.findRole('Raiders').id).toBe(result.result.id);
+  });
+
+  test('deletes a channel', async () => {
+    const { guild, handler, command } = world;
+    const channel = guild.findChannel('old-news');
+
+    const result = await handler.executeAction(command('mod'), { action: 'channel.delete', channelId: channel.id });
+
+    expect(result.success).toBe(true);
+    expect(guild.findChannel('old-news')).toBeFalsy();
+  });
+
+  test('refuses actions whose permission the requester lacks', async () => {
+    const { guild, handler, command } = world;
+    const alice = guild.findMember('alice');
+
+    const timeout = await handler.executeAction(command('pleb'), { action: 'member.timeout', userId: alice.id, duration: 60 });
+    const invites = await handler.executeAction(command('pleb'), { action: 'server.getInvites' });
+
+    expect(timeout).toMatchObject({ success: false, errorCode: 'MISSING_PERMISSION' });
+    expect(invites).toMatchObject({ success: false, errorCode: 'MISSING_PERMISSION' });
+    expect(alice.isCommunicationDisabled()).toBe(false);
+  });
+
+  describe('with trust scores', () => {
+    beforeEach(() => {
+      const { guild, handler } = world;
+      const scores = { [guild.findMember('veteran').id]: 90, [guild.findMember('pleb').id]: 10, [guild.findMember('regular').id]: 100 };
+      const delegating = new Set();
+      handler.trustScore = {
+        getScore: async (guildId, userId) => scores[userId] ?? 50,
+        isDelegationEnabled: guildId => delegating.has(guildId),
+        setDelegation: (guildId, enabled) => (enabled ? delegating.add(guildId) : delegating.delete(guildId))
+      };
+    });
+
+    test('a trusted target needs a second moderator', async () => {
+      const { guild, handler, command } = world;
+      const veteran = guild.findMember('veteran');
+      const params = { action: 'member.timeout', userId: veteran.id, duration: 60 };
+
+      const alone = await handler.executeAction(command('mod'), params);
+      expect(alone).toMatchObject({ success: false, errorCode: 'SECOND_MODERATOR_REQUIRED' });
+      expect(veteran.isCommunicationDisabled()).toBe(false);
+
+      const approved = await handler.executeAction(command('mod'), params, { approvedBy: [guild.findMember('mod2').id] });
+      expect(approved.success).toBe(true);
+      expect(veteran.isCommunicationDisabled()).toBe(true);
+    });
+
+    test('a bulk voice move is checked against every member it moves', async () => {
+      const { guild, handler, command } = world;
+      const lobby = guild.findChannel('Lobby');
+      const afk = guild.findChannel('AFK');
+
+      const result = await handler.executeAction(command('mod'), { action: 'voice.move', fromChannelId: lobby.id, channelId: afk.id });
+
+      expect(result).toMatchObject({ success: false, errorCode: 'SECOND_MODERATOR_REQUIRED' });
+      expect(guild.findMember('alice').voice.channelId).toBe(lobby.id);
+      expect(guild.findMember('veteran').voice.channelId).toBe(lobby.id);
+    });
+
+    test('a requester below the refusal threshold is refused', async () => {
+      const { guild, handler, command } = world;
+      const channel = guild.findChannel('old-news');
+
+      const result = await handler.executeAction(command('pleb'), { action: 'server.getInvites' });
+      const deletion = await handler.executeAction(command('pleb'), { action: 'channel.delete', channelId: channel.id });
+
+      expect(result).toMatchObject({ success: false, errorCode: 'TRUST_REFUSED' });
+      expect(deletion).toMatchObject({ success: false, errorCode: 'TRUST_REFUSED' });
+      expect(guild.findChannel('old-news')).toBeTruthy();
+    });
+
+    test('a trusted member without the permission needs a moderator who has it', async () => {
+      const { guild, handler, command } = world;
+      const alice = guild.findMember('alice');
+      const params = { action: 'member.timeout', userId: alice.id, duration: 60 };
+
+      const alone = await handler.executeAction(command('regular'), params);
+      const self = await handler.executeAction(command('regular'), params, { approvedBy: [guild.findMember('regular').id] });
+      const peer = await handler.executeAction(command('regular'), params, { approvedBy: [guild.findMember('pleb').id] });
+      expect(alone).toMatchObject({ success: false, errorCode: 'TRUST_APPROVAL_REQUIRED' });
+      expect(self).toMatchObject({ success: false, errorCode: 'TRUST_APPROVAL_REQUIRED' });
+      expect(peer).toMatchObject({ success: false, errorCode: 'TRUST_APPROVAL_REQUIRED' });
+      expect(alice.isCommunicationDisabled()).toBe(false);
+
+      const approved = await handler.executeAction(command('regular'), params, { approvedBy: [guild.findMember('mod').id] });
+      expect(approved.success).toBe(true);
+      expect(alice.isCommunicationDisabled()).toBe(true);
+    });
+
+    test('a plan from a member without the permission asks for approval', async () => {
+      const { guild, handler, command } = world;
+      const plan = { steps: [{ id: 's1', tool: 'discord.request', params: { action: 'member.kick', userId: guild.findMember('alice').id } }] };
+
+      const trust = await handler.checkPlanTrust(command('regular'), plan);
+
+      expect(trust).toMatchObject({ allowed: true, requiresApproval: true });
+      expect(trust.permissions).toEqual([PermissionsBitField.Flags.KickMembers]);
+    });
+
+    test('with trust delegation on, a trusted member acts alone', async () => {
+      const { guild, handler, command } = world;
+      const alice = guild.findMember('alice');
+      handler.trustScore.setDelegation(guild.id, true);
+
+      const untrusted = await handler.executeAction(command('alice'), { action: 'member.timeout', userId: guild.findMember('regular').id, duration: 60 });
+      const trusted = await handler.executeAction(command('regular'), { action: 'member.timeout', userId: alice.id, duration: 60 });
+
+      expect(trusted.success).toBe(true);
+      expect(alice.isCommunicationDisabled()).toBe(true);
+      expect(untrusted).toMatchObject({ success: false, errorCode: 'TRUST_APPROVAL_REQUIRED' });
+    });
+
+    test('templated targets of a plan need a second moderator up front', async () => {
+      const { handler, command } = world;
+      const plan = {
+        steps: [
+          { id: 's1', tool: 'discord.request', params: { action: 'role.members', roleName: 'Spam' } },
+          { id: 's2', tool: 'workflow.forEach', dependsOn: ['s1'], params: { items: '{{s1.result.members}}', as: 'member', steps: [
+            { id: 'mute', tool: 'discord.request', params: { action: 'member.timeout', userId: '{{member.id}}', duration: 60 } }
+          ] } }
+        ]
+      };
+
+      const trust = await handler.checkPlanTrust(command('mod'), plan);
+
+      expect(trust).toMatchObject({ allowed: true, requiresSecondModerator: true });
+    });
+  });
+
+  describe('role permissions', () => {
+    beforeEach(async () => {
+      await world.client.destroy();
+      const client = new FakeClient({ botName: 'Becas' });
+      const guild = client.addGuild({
+        owner: 'owner',
+        roles: [
+          { name: 'Admin', permissions: ['Administrator'] },
+          { name: 'Role Manager', permissions: ['ManageRoles', 'ManageMessages'] },
+          { name: 'VIP' }
+        ],
+        channels: [{ name: 'general' }],
+        members: [
+          { username: 'owner' },
+          { username: 'admin', roles: ['Admin'] },
+          { username: 'rolemod', roles: ['Role Manager'] }
+        ]
+      });
+      world = { client, guild, handler: new DynamicHandler(client, logger), command: author => client.receiveMessage(author, 'general', 'command') };
+    });
+
+    test('a member cannot create a role with permissions they do not have', async () => {
+      const { guild, handler, command } = world;
+      const rolemod = guild.findMember('rolemod');
+
+      const boss = await handler.executeAction(command('rolemod'), { action: 'role.create', name: 'Boss', permissions: ['Administrator'] });
+      const banners = await handler.executeAction(command('rolemod'), { action: 'role.create', name: 'Banners', permissions: ['BanMembers'] });
+
+      expect(boss).toMatchObject({ success: false, error: expect.stringContaining('Administrator') });
+      expect(banners.success).toBe(false);
+      expect(guild.findRole('Boss')).toBeFalsy();
+      expect(guild.findRole('Banners')).toBeFalsy();
+      expect(rolemod.permissions.has('Administrator')).toBe(false);
+    });
+
+    test('a member can create and give a role with permissions they have', async () => {
+      const { guild, handler, command } = world;
+      const rolemod = guild.findMember('rolemod');
+
+      const created = await handler.executeAction(command('rolemod'), { action: 'role.create', name: 'Cleaners', permissions: ['ManageMessages'] });
+      const added = await handler.executeAction(command('rolemod'), { action: 'role.add', userId: rolemod.id, roleId: created.result.id });
+
+      expect(added.success).toBe(true);
+      expect(rolemod.roles.cache.has(guild.findRole('Cleaners').id)).toBe(true);
+    });
+
+    test('only administrators can give Administrator', async () => {
+      const { guild, handler, command } = world;
+
+      const result = await handler.executeAction(command('admin'), { action: 'role.create', name: 'Co-owner', permissions: ['Administrator'] });
+
+      expect(result.success).toBe(true);
+      expect(guild.findRole('Co-owner').permissions.has('Administrator')).toBe(true);
+    });
+
+    test('roles at or above the requester\'s highest role cannot be given or edited', async () => {
+      const { guild, handler, command } = world;
+      const rolemod = guild.findMember('rolemod');
+      const managers = guild.findRole('Role Manager');
+
+      const admin = await handler.executeAction(command('rolemod'), { action: 'role.add', userId: rolemod.id, roleName: 'Admin' });
+      const own = await handler.executeAction(command('rolemod'), { action: 'role.edit', roleId: managers.id, permissions: ['ManageRoles', 'BanMembers'] });
+      const vip = await handler.executeAction(command('rolemod'), { action: 'role.add', userId: rolemod.id, roleName: 'VIP' });
+
+      expect(admin).toMatchObject({ success: false, error: expect.stringContaining('highest role') });
+      expect(own.success).toBe(false);
+      expect(rolemod.permissions.has('Administrator')).toBe(false);
+      expect(managers.permissions.has('BanMembers')).toBe(false);
+      expect(vip.success).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * EscalationPolicy against the simulated guild: warnings issued through DynamicHandler open cases,
+ * and the ladder punishes the member
+ */
+const { FakeClient } = require('../testing/fakeDiscord');
+const { EventBus } = require('../core/eventBus');
+const { DynamicHandler } = require('../core/dynamicHandler');
+const { CaseManager } = require('../core/caseManager');
+const { EscalationPolicy } = require('../core/escalationPolicy');
+const { initStorage } = require('../storage');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const DAY = 24 * 60 * 60;
+
+const LADDER = {
+  DECAY: 30 * DAY,
+  LADDER: [
+    { warnings: 3, window: 7 * DAY, action: 'timeout', duration: 3600 },
+    { warnings: 5, window: 30 * DAY, action: 'kick' }
+  ]
+};
+
+function setup() {
+  const client = new FakeClient({ botName: 'Becas' });
+  const guild = client.addGuild({
+    owner: 'owner',
+    roles: [{ name: 'Moderator', permissions: ['ModerateMembers', 'KickMembers'] }],
+    channels: [{ name: 'general' }],
+    members: [
+      { username: 'owner' },
+      { username: 'mod', roles: ['Moderator'] },
+      { username: 'regular', joinedDaysAgo: 365 },
+      { username: 'newcomer', joinedDaysAgo: 1 }
+    ]
+  });
+  const storage = initStorage({}, logger);
+  const eventBus = new EventBus(logger);
+  const handler = new DynamicHandler(client, logger);
+  handler.caseManager = new CaseManager(client, eventBus, logger, storage);
+  const policy = new EscalationPolicy(eventBus, logger, storage, handler, LADDER);
+
+  // Escalations run in the background of the moderationAction event; keep them to await
+  const escalations = [];
+  const handleWarning = policy.handleWarning.bind(policy);
+  jest.spyOn(policy, 'handleWarning').mockImplementation(data => {
+    const escalation = handleWarning(data);
+    escalations.push(escalation);
+    return escalation;
+  });
+
+  const warn = async (author, target) => {
+    const message = client.receiveMessage(author, 'general', `warn ${target}`);
+    const result = await handler.executeAction(message, { action: 'member.warn', userId: guild.findMember(target).id, reason: 'spam' });
+    await Promise.all(escalations);
+    return result;
+  };
+
+  return { client, guild, storage, handler, policy, warn };
+}
+
+describe('EscalationPolicy', () => {
+  let world;
+
+  beforeEach(() => {
+    world = setup();
+  });
+
+  afterEach(async () => {
+    await world.client.settle();
+    await world.client.destroy();
+    world.storage.close();
+    jest.restoreAllMocks();
+  });
+
+  test('times a member out at the first step and kicks them at the second', async () => {
+    const { guild, warn } = world;
+    const newcomer = guild.findMember('newcomer');
+
+    await warn('mod', 'newcomer');
+    await warn('mod', 'newcomer');
+    expect(newcomer.isCommunicationDisabled()).toBe(false);
+
+    await warn('mod', 'newcomer');
+    expect(newcomer.isCommunicationDisabled()).toBe(true);
+
+    await warn('mod', 'newcomer');
+    await warn('mod', 'newcomer');
+    expect(guild.members.cache.has(newcomer.id)).toBe(false);
+  });
+
+  test('does not apply a step again for the warnings above it', async () => {
+    const { guild, warn } = world;
+    const newcomer = guild.findMember('newcomer');
+
+    for (let i = 0; i < 3; i++) await warn('mod', 'newcomer');
+    await newcomer.timeout(null);
+    await warn('mod', 'newcomer');
+
+    expect(newcomer.isCommunicationDisabled()).toBe(false);
+    expect(guild.members.cache.has(newcomer.id)).toBe(true);
+  });
+
+  test('counts warnings only within the window of a step and until they decay', async () => {
+    const { guild, policy, warn } = world;
+    const newcomerId = guild.findMember('newcomer').id;
+
+    for (let i = 0; i < 3; i++) await warn('mod', 'newcomer');
+    const now = Date.now();
+
+    expect(policy.evaluate(guild.id, newcomerId, now)).toMatchObject({ rule: { action: 'timeout' }, count: 3 });
+    expect(policy.evaluate(guild.id, newcomerId, now + 8 * DAY * 1000)).toMatchObject({ rule: null, warnings: 3 });
+    expect(policy.evaluate(guild.id, newcomerId, now + 31 * DAY * 1000)).toMatchObject({ rule: null, warnings: 0 });
+  });
+
+  test('ignores warnings from members without Moderate Members', async () => {
+    const { guild, handler, warn } = world;
+    const newcomer = guild.findMember('newcomer');
+    const regularId = guild.findMember('regular').id;
+    handler.trustScore = { getScore: async (guildId, userId) => (userId === regularId ? 100 : 50), isDelegationEnabled: () => true };
+
+    await warn('mod', 'newcomer');
+    await warn('mod', 'newcomer');
+    const warned = await warn('regular', 'newcomer');
+    expect(warned.success).toBe(true);
+    expect(newcomer.isCommunicationDisabled()).toBe(false);
+
+    for (let i = 0; i < 3; i++) await warn('regular', 'newcomer');
+    expect(newcomer.isCommunicationDisabled()).toBe(false);
+    expect(guild.members.cache.has(newcomer.id)).toBe(true);
+
+    await warn('mod', 'newcomer');
+    expect(newcomer.isCommunicationDisabled()).toBe(true);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Command understanding eval (eval/run.js) with the offline mock provider
+ */
+const { evaluate } = require('../eval/run');
+
+// Lower this only together with the change that makes the planner worse
+const MIN_ACCURACY = 0.95;
+
+describe('command understanding eval', () => {
+  let report;
+
+  beforeAll(async () => {
+    ({ report } = await evaluate());
+  });
+
+  test(`accuracy is at least ${MIN_ACCURACY * 100}%`, () => {
+    expect(report.accuracy).toBeGreaterThanOrEqual(MIN_ACCURACY);
+  });
+
+  test('commands the rules leave to the model are planned from the model reply', () => {
+    const modelCases = report.cases.filter(c => c.planner === 'llm');
+
+    expect(modelCases.length).toBeGreaterThan(0);
+    expect(modelCases.filter(c => !c.passed).map(c => c.id)).toEqual([]);
+  });
+
+  test('without the replies those commands fail', async () => {
+    const { report: withoutReplies } = await evaluate({ replies: null, filter: 'timeout-by-name' });
+
+    expect(withoutReplies.passed).toBe(0);
+  });
+});
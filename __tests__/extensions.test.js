@@ -0,0 +1,144 @@
+/**
+ * Ported extensions against the simulated guild: commands typed in a channel, and scheduled tasks
+ */
+const { FakeClient } = require('../testing/fakeDiscord');
+const { EventBus } = require('../core/eventBus');
+const { DynamicHandler } = require('../core/dynamicHandler');
+const { WorkflowLibrary } = require('../core/workflowLibrary');
+const { WorkflowEngine } = require('../workflow/workflowEngine');
+const { initStorage } = require('../storage');
+const ScheduledTasks = require('../extensions/scheduledTasks');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function setup() {
+  const client = new FakeClient({ botName: 'Becas' });
+  const guild = client.addGuild({
+    owner: 'owner',
+    roles: [
+      { name: 'Moderator', permissions: ['ModerateMembers', 'ManageRoles', 'ManageChannels', 'KickMembers', 'BanMembers'] },
+      { name: 'VIP' }
+    ],
+    channels: [{ name: 'general' }, { name: 'old-news' }],
+    members: [
+      { username: 'owner' },
+      { username: 'mod', roles: ['Moderator'] },
+      { username: 'pleb' },
+      { username: 'alice' },
+      { username: 'carol' }
+    ]
+  });
+
+  return { client, guild, eventBus: new EventBus(logger) };
+}
+
+describe('extensions', () => {
+  let world;
+
+  beforeEach(() => {
+    world = setup();
+  });
+
+  afterEach(async () => {
+    await world.client.settle();
+    await world.client.destroy();
+  });
+
+  test('RoleManager gives a role to the mentioned member', async () => {
+    const { client, guild, eventBus } = world;
+    await require('../extensions/roleManager').initialize(client, eventBus, logger);
+    const carol = guild.findMember('carol');
+
+    client.receiveMessage('mod', 'general', `@Becas rolü ver VIP <@${carol.id}>`);
+    await client.settle();
+
+    expect(carol.roles.cache.has(guild.findRole('VIP').id)).toBe(true);
+  });
+
+  test('ModerationHandler times out and kicks the mentioned member', async () => {
+    const { client, guild, eventBus } = world;
+    await require('../extensions/moderationHandler').initialize(client, eventBus, logger, {});
+    const alice = guild.findMember('alice');
+    const carol = guild.findMember('carol');
+
+    client.receiveMessage('mod', 'general', `@Becas timeout <@${alice.id}> 10 dakika`);
+    client.receiveMessage('mod', 'general', `@Becas kick <@${carol.id}>`);
+    await client.settle();
+
+    expect(alice.isCommunicationDisabled()).toBe(true);
+    expect(guild.members.cache.has(carol.id)).toBe(false);
+  });
+
+  test('ModerationHandler ignores members without the permission', async () => {
+    const { client, guild, eventBus } = world;
+    await require('../extensions/moderationHandler').initialize(client, eventBus, logger, {});
+    const alice = guild.findMember('alice');
+
+    client.receiveMessage('pleb', 'general', `@Becas timeout <@${alice.id}> 10 dakika`);
+    await client.settle();
+
+    expect(alice.isCommunicationDisabled()).toBe(false);
+  });
+
+  test('AdvancedChannelCommands deletes the mentioned channel', async () => {
+    const { client, guild, eventBus } = world;
+    await require('../extensions/advancedChannelCommands').initialize(client, eventBus, logger);
+
+    client.receiveMessage('mod', 'general', `@Becas kanal sil <#${guild.findChannel('old-news').id}>`);
+    await client.settle();
+
+    expect(guild.findChannel('old-news')).toBeFalsy();
+    expect(guild.findChannel('general')).toBeTruthy();
+  });
+
+  describe('ScheduledTasks', () => {
+    let tasks;
+    let storage;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      storage = initStorage({}, logger);
+      tasks = new ScheduledTasks(world.client, world.eventBus, null, { storage });
+      tasks.initialize();
+    });
+
+    afterEach(() => {
+      tasks.cleanup();
+      storage.close();
+      jest.restoreAllMocks();
+    });
+
+    test('sends a scheduled message to its channel', async () => {
+      const { client, guild } = world;
+      const general = guild.findChannel('general');
+
+      await tasks.scheduleTask({ action: 'message', guildId: guild.id, channelId: general.id, executeAt: Date.now() + 50, parameters: { content: 'Daily standup' } });
+      await client.waitForMutation('message.create');
+
+      expect(general.messages.cache.last().content).toBe('Daily standup');
+      expect(storage.tasks.list()).toHaveLength(0);
+    });
+
+    test('runs a scheduled workflow as the member who scheduled it', async () => {
+      const { client, guild, eventBus } = world;
+      const library = new WorkflowLibrary(client, eventBus, logger, storage);
+      const engine = new WorkflowEngine(client, logger);
+      const handler = new DynamicHandler(client, logger);
+      library.executePlan = (message, plan) => engine.executeWorkflow(library.expand(plan, message.guild.id), message, {
+        runStep: (step, params) => handler.executeAction(message, params)
+      });
+      const message = client.receiveMessage('mod', 'general', 'workflow schedule cleanup 1m');
+      storage.workflows.save({
+        guildId: guild.id,
+        name: 'cleanup',
+        plan: { steps: [{ id: 's1', tool: 'discord.request', params: { action: 'channel.delete', channelId: guild.findChannel('old-news').id } }] },
+        createdBy: guild.findMember('mod').id
+      });
+
+      await library.schedule(message, 'cleanup', { delay: 50 });
+      await client.waitForMutation('channel.delete');
+
+      expect(guild.findChannel('old-news')).toBeFalsy();
+    });
+  });
+});
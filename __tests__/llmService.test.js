@@ -0,0 +1,32 @@
+/**
+ * LLMService fallback plans, used when the model cannot be reached
+ */
+const { LLMService } = require('../ai/llmService');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const USER = '<@123456789012345678>';
+
+describe('LLMService fallback', () => {
+  let llm;
+
+  beforeAll(() => {
+    llm = new LLMService('', 'test-model', logger, { provider: 'mock', minFallbackConfidence: 0.8 });
+  });
+
+  const actionsOf = command => JSON.parse(llm._generateFallbackResponse(command)).steps.map(step => step.params.action);
+
+  test('plans commands a rule pattern matches', () => {
+    expect(actionsOf(`timeout ${USER} 10m`)).toEqual(['member.timeout']);
+    expect(actionsOf(`kick ${USER} for spam`)).toEqual(['member.kick']);
+  });
+
+  test.each([
+    `don't ban ${USER}`,
+    `why did ${USER} get a ban?`,
+    `who can kick ${USER}?`,
+    `never timeout ${USER}`
+  ])('does not act on keywords alone: %s', command => {
+    expect(actionsOf(command)).toEqual(['message.create']);
+  });
+});
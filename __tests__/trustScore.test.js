@@ -0,0 +1,151 @@
+/**
+ * TrustScoreService against the simulated guild, on its own and as DynamicHandler's trust gate
+ */
+const { FakeClient } = require('../testing/fakeDiscord');
+const { EventBus } = require('../core/eventBus');
+const { DynamicHandler } = require('../core/dynamicHandler');
+const { TrustScoreService } = require('../core/trustScore');
+const { initStorage } = require('../storage');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Guild with members whose accounts and memberships have different ages
+ */
+function setup(options) {
+  const client = new FakeClient({ botName: 'Becas' });
+  const accountOf = days => client.generateId(Date.now() - days * DAY_MS);
+  const guild = client.addGuild({
+    owner: 'owner',
+    roles: [{ name: 'Moderator', permissions: ['ModerateMembers'] }],
+    channels: [{ name: 'general' }],
+    members: [
+      { username: 'owner' },
+      { username: 'mod', roles: ['Moderator'] },
+      { username: 'veteran', id: accountOf(400), joinedDaysAgo: 200 },
+      { username: 'regular', id: accountOf(73), joinedDaysAgo: 36 },
+      { username: 'newcomer', id: accountOf(2), joinedDaysAgo: 1 }
+    ]
+  });
+  const storage = initStorage({}, logger);
+  const eventBus = new EventBus(logger);
+  const trustScore = new TrustScoreService(client, eventBus, logger, storage, options);
+
+  return { client, guild, storage, eventBus, trustScore, idOf: name => guild.findMember(name).id };
+}
+
+describe('TrustScoreService', () => {
+  let world;
+
+  beforeEach(() => {
+    world = setup();
+  });
+
+  afterEach(async () => {
+    await world.client.settle();
+    await world.client.destroy();
+    world.storage.close();
+  });
+
+  test('scores account age and time in the guild', async () => {
+    const { guild, trustScore, idOf } = world;
+
+    const regular = await trustScore.getBreakdown(guild.id, idOf('regular'));
+
+    expect(regular.factors).toEqual([
+      { source: 'base', delta: 50 },
+      { source: 'accountAge', delta: 4, detail: '73 days' },
+      { source: 'guildTenure', delta: 6, detail: '36 days' }
+    ]);
+    expect(regular.score).toBe(60);
+    expect(await trustScore.getScore(guild.id, idOf('veteran'))).toBe(100);
+    // New accounts lose points
+    expect(await trustScore.getScore(guild.id, idOf('newcomer'))).toBe(40);
+  });
+
+  test('penalties decay with their half-life', async () => {
+    const { guild, trustScore, idOf } = world;
+    const regularId = idOf('regular');
+
+    trustScore.recordEvent(guild.id, regularId, 'kick', { timestamp: Date.now() - 30 * DAY_MS });
+    expect(await trustScore.getScore(guild.id, regularId)).toBe(48);
+
+    trustScore.recordEvent(guild.id, regularId, 'warn');
+    const breakdown = await trustScore.getBreakdown(guild.id, regularId);
+    expect(breakdown.events.map(event => event.effective)).toEqual([-12.5, -8]);
+    expect(breakdown.score).toBe(40);
+  });
+
+  test('clamps the score between the minimum and the maximum', async () => {
+    const { guild, trustScore, idOf } = world;
+
+    for (let i = 0; i < 3; i++) trustScore.recordEvent(guild.id, idOf('newcomer'), 'ban');
+    expect(await trustScore.getScore(guild.id, idOf('newcomer'))).toBe(0);
+
+    const generous = setup({ BASE: 90 });
+    try {
+      expect(await generous.trustScore.getScore(generous.guild.id, generous.idOf('veteran'))).toBe(100);
+    } finally {
+      await generous.client.destroy();
+      generous.storage.close();
+    }
+  });
+
+  test('records moderation cases and forgets voided ones', async () => {
+    const { guild, eventBus, trustScore, idOf } = world;
+    const regularId = idOf('regular');
+
+    await eventBus.emit('moderationAction', { guildId: guild.id, targetId: regularId, action: 'timeout', moderatorId: idOf('mod'), caseNumber: 7 });
+    expect(await trustScore.getScore(guild.id, regularId)).toBe(48);
+
+    await eventBus.emit('caseVoided', { guildId: guild.id, targetId: regularId, caseNumber: 7 });
+    expect(await trustScore.getScore(guild.id, regularId)).toBe(60);
+  });
+
+  describe('as the trust gate of DynamicHandler', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = new DynamicHandler(world.client, logger);
+      handler.trustScore = world.trustScore;
+    });
+
+    const timeout = (world, author, target) => handler.executeAction(
+      world.client.receiveMessage(author, 'general', `timeout ${target}`),
+      { action: 'member.timeout', userId: world.idOf(target), duration: 60 }
+    );
+
+    test('members without the permission need a moderator unless the guild delegates', async () => {
+      const { guild, trustScore } = world;
+      const newcomer = guild.findMember('newcomer');
+
+      expect(await timeout(world, 'veteran', 'newcomer')).toMatchObject({ success: false, errorCode: 'TRUST_APPROVAL_REQUIRED' });
+      expect(newcomer.isCommunicationDisabled()).toBe(false);
+
+      trustScore.setDelegation(guild.id, true);
+      expect(trustScore.isDelegationEnabled(guild.id)).toBe(true);
+      expect(await timeout(world, 'regular', 'newcomer')).toMatchObject({ success: false, errorCode: 'TRUST_APPROVAL_REQUIRED' });
+      expect((await timeout(world, 'veteran', 'newcomer')).success).toBe(true);
+      expect(newcomer.isCommunicationDisabled()).toBe(true);
+    });
+
+    test('refuses members below the refusal threshold', async () => {
+      const { guild, trustScore, idOf } = world;
+      trustScore.setDelegation(guild.id, true);
+      trustScore.recordEvent(guild.id, idOf('newcomer'), 'kick');
+
+      expect(await timeout(world, 'newcomer', 'regular')).toMatchObject({ success: false, errorCode: 'TRUST_REFUSED' });
+      expect(guild.findMember('regular').isCommunicationDisabled()).toBe(false);
+    });
+
+    test('trusted targets need a second moderator', async () => {
+      const { guild } = world;
+
+      expect(await timeout(world, 'mod', 'veteran')).toMatchObject({ success: false, errorCode: 'SECOND_MODERATOR_REQUIRED' });
+      expect((await timeout(world, 'mod', 'regular')).success).toBe(true);
+      expect(guild.findMember('veteran').isCommunicationDisabled()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * WorkflowEngine.executeWorkflow against the simulated guild, on its own and with the steps
+ * run by DynamicHandler like core/bot.js runs approved plans
+ */
+const { FakeClient } = require('../testing/fakeDiscord');
+const { DynamicHandler } = require('../core/dynamicHandler');
+const { WorkflowEngine } = require('../workflow/workflowEngine');
+const { validatePlan } = require('../ai/planSchema');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function setup() {
+  const client = new FakeClient({ botName: 'Becas' });
+  const guild = client.addGuild({
+    owner: 'owner',
+    roles: [
+      { name: 'Moderator', permissions: ['ModerateMembers', 'ManageRoles', 'ManageChannels'] },
+      { name: 'Spam' }
+    ],
+    channels: [{ name: 'general' }, { name: 'support' }],
+    members: [
+      { username: 'owner' },
+      { username: 'mod', roles: ['Moderator'] },
+      { username: 'pleb' },
+      { username: 'spammer1', roles: ['Spam'] },
+      { username: 'spammer2', roles: ['Spam'] },
+      { username: 'alice' }
+    ]
+  });
+  const engine = new WorkflowEngine(client, logger);
+  const handler = new DynamicHandler(client, logger);
+  const message = client.receiveMessage('mod', 'general', 'plan');
+  const runStep = (step, params) => handler.executeAction(message, params);
+
+  return { client, guild, engine, handler, message, runStep };
+}
+
+const request = (id, params, extra = {}) => ({ id, tool: 'discord.request', params, ...extra });
+
+describe('WorkflowEngine.executeWorkflow', () => {
+  let world;
+
+  beforeEach(() => {
+    world = setup();
+  });
+
+  afterEach(async () => {
+    await world.client.settle();
+    await world.client.destroy();
+  });
+
+  test('passes the ID of a created role to a later step', async () => {
+    const { guild, engine, message, runStep } = world;
+    const support = guild.findChannel('support');
+    const plan = {
+      steps: [
+        request('s1', { action: 'role.create', name: 'Muted' }),
+        request('s2', { action: 'channel.setPermissions', channelId: support.id, targetId: '{{s1.result.id}}', deny: ['SendMessages'] }, { dependsOn: ['s1'] })
+      ]
+    };
+
+    const workflow = await engine.executeWorkflow(plan, message, { runStep });
+
+    const muted = guild.findRole('Muted');
+    expect(workflow.success).toBe(true);
+    expect(muted).toBeTruthy();
+    expect(support.permissionOverwrites.cache.get(muted.id).deny.has('SendMessages')).toBe(true);
+  });
+
+  test('runs a forEach step for every member a step returned', async () => {
+    const { guild, engine, message, runStep } = world;
+    const plan = {
+      steps: [
+        request('s1', { action: 'role.members', roleName: 'Spam' }),
+        { id: 's2', tool: 'workflow.forEach', dependsOn: ['s1'], params: {
+          items: '{{s1.result.members}}',
+          as: 'member',
+          steps: [request('mute', { action: 'member.timeout', userId: '{{member.id}}', duration: 600 })]
+        } }
+      ]
+    };
+
+    const workflow = await engine.executeWorkflow(plan, message, { runStep });
+
+    expect(workflow.success).toBe(true);
+    expect(guild.findMember('spammer1').isCommunicationDisabled()).toBe(true);
+    expect(guild.findMember('spammer2').isCommunicationDisabled()).toBe(true);
+    expect(guild.findMember('alice').isCommunicationDisabled()).toBe(false);
+  });
+
+  test('skips the steps that depend on a failed step', async () => {
+    const { guild, engine, message, runStep } = world;
+    const plan = {
+      steps: [
+        request('s1', { action: 'channel.delete', channelId: '999999999999999999' }),
+        request('s2', { action: 'role.create', name: 'Never' }, { dependsOn: ['s1'] }),
+        request('s3', { action: 'channel.create', name: 'independent' })
+      ]
+    };
+
+    const workflow = await engine.executeWorkflow(plan, message, { runStep });
+
+    expect(workflow.results.map(result => [result.stepId, result.success, !!result.skipped]))
+      .toEqual([['s1', false, false], ['s2', false, true], ['s3', true, false]]);
+    expect(guild.findRole('Never')).toBeFalsy();
+    expect(guild.findChannel('independent')).toBeTruthy();
+  });
+
+  test('posts double braces that are not references as text', async () => {
+    const { guild, engine, message, runStep } = world;
+    const general = guild.findChannel('general');
+    const plan = {
+      steps: [
+        request('s1', { action: 'role.create', name: 'Helpers' }),
+        request('s2', { action: 'message.create', content: 'Use {{name}} or \\{{s1.result.id}}, not {{s1.result.name}} or {{constructor.name}}' }, { dependsOn: ['s1'] })
+      ]
+    };
+
+    expect(validatePlan(plan).valid).toBe(true);
+    const workflow = await engine.executeWorkflow(plan, message, { runStep });
+
+    expect(workflow.success).toBe(true);
+    expect(general.messages.cache.last().content).toBe('Use {{name}} or {{s1.result.id}}, not Helpers or {{constructor.name}}');
+  });
+
+  test('does not read inherited properties of step outputs', async () => {
+    const { engine, message, runStep } = world;
+    const plan = {
+      steps: [
+        request('s1', { action: 'role.create', name: 'Helpers' }),
+        request('s2', { action: 'message.create', content: '{{s1.result.constructor.name}}' }, { dependsOn: ['s1'] })
+      ]
+    };
+
+    const workflow = await engine.executeWorkflow(plan, message, { runStep });
+
+    expect(workflow.results.map(result => [result.stepId, result.success])).toEqual([['s1', true], ['s2', false]]);
+  });
+
+  test('runs steps itself without a runStep and checks the requester permission', async () => {
+    const { client, guild, engine, message } = world;
+
+    const created = await engine.executeWorkflow({ steps: [request('s1', { action: 'channel.create', name: 'reports' })] }, message);
+    expect(created.success).toBe(true);
+    expect(guild.findChannel('reports')).toBeTruthy();
+
+    const refused = await engine.executeWorkflow(
+      { steps: [request('s1', { action: 'channel.delete', channelId: guild.findChannel('support').id })] },
+      client.receiveMessage('pleb', 'general', 'delete support')
+    );
+    expect(refused.results[0].success).toBe(false);
+    expect(guild.findChannel('support')).toBeTruthy();
+  });
+});
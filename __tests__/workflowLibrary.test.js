@@ -0,0 +1,91 @@
+/**
+ * Saved workflows run against the simulated guild, with a plan runner shaped like core/bot.js's
+ * handlePlan: expansion, trust gate, execution, then the run is counted
+ */
+const { FakeClient } = require('../testing/fakeDiscord');
+const { EventBus } = require('../core/eventBus');
+const { DynamicHandler } = require('../core/dynamicHandler');
+const { WorkflowLibrary } = require('../core/workflowLibrary');
+const { WorkflowEngine } = require('../workflow/workflowEngine');
+const { initStorage } = require('../storage');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function setup() {
+  const client = new FakeClient({ botName: 'Becas' });
+  const guild = client.addGuild({
+    owner: 'owner',
+    roles: [{ name: 'Moderator', permissions: ['ManageChannels'] }],
+    channels: [{ name: 'general' }, { name: 'old-news' }],
+    members: [
+      { username: 'owner' },
+      { username: 'mod', roles: ['Moderator'] },
+      { username: 'pleb' }
+    ]
+  });
+  const storage = initStorage({}, logger);
+  const library = new WorkflowLibrary(client, new EventBus(logger), logger, storage);
+  const engine = new WorkflowEngine(client, logger);
+  const handler = new DynamicHandler(client, logger);
+
+  library.executePlan = async (message, generated) => {
+    const plan = library.expand(generated, message.guild.id);
+    const trust = await handler.checkPlanTrust(message, plan);
+    if (!trust.allowed || trust.requiresApproval || trust.requiresSecondModerator) return;
+
+    const workflow = await engine.executeWorkflow(plan, message, {
+      runStep: (step, params) => handler.executeAction(message, params)
+    });
+    library.recordRuns(message, plan, { results: workflow.results });
+  };
+
+  storage.workflows.save({
+    guildId: guild.id,
+    name: 'cleanup',
+    plan: { steps: [{ id: 's1', tool: 'discord.request', params: { action: 'channel.delete', channelId: guild.findChannel('old-news').id } }] },
+    createdBy: guild.findMember('mod').id
+  });
+
+  return { client, guild, storage, library };
+}
+
+describe('WorkflowLibrary runs', () => {
+  let world;
+
+  beforeEach(() => {
+    world = setup();
+  });
+
+  afterEach(async () => {
+    await world.client.settle();
+    await world.client.destroy();
+    world.storage.close();
+  });
+
+  test('counts a run once the workflow has run', async () => {
+    const { client, guild, library } = world;
+
+    await library.run(client.receiveMessage('mod', 'general', 'run cleanup'), 'cleanup');
+
+    expect(guild.findChannel('old-news')).toBeFalsy();
+    expect(library.get(guild.id, 'cleanup')).toMatchObject({ runs: 1, lastRunAt: expect.any(Number) });
+  });
+
+  test('does not count a run the trust gate refused', async () => {
+    const { client, guild, library } = world;
+
+    await library.run(client.receiveMessage('pleb', 'general', 'run cleanup'), 'cleanup');
+
+    expect(guild.findChannel('old-news')).toBeTruthy();
+    expect(library.get(guild.id, 'cleanup')).toMatchObject({ runs: 0, lastRunAt: null });
+  });
+
+  test('does not count a run whose steps failed', async () => {
+    const { client, guild, library } = world;
+    await guild.findChannel('old-news').delete();
+
+    await library.run(client.receiveMessage('mod', 'general', 'run cleanup'), 'cleanup');
+
+    expect(library.get(guild.id, 'cleanup').runs).toBe(0);
+  });
+});
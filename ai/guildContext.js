@@ -0,0 +1,301 @@
+/**
+ * Guild Context - the parts of a guild a command is about
+ * @module ai/guildContext
+ * @description Collects candidate roles, channels and members for the planner prompt (mentions,
+ * fuzzy name matches, recent activity in the channels the command refers to), ranks them and
+ * keeps as many as fit a token budget, so the model gets real IDs without the whole guild.
+ */
+const { ChannelType } = require('discord.js');
+const { normalizeForMatch, similarity, truncate } = require('../utils/stringUtils');
+
+// Words that never name a role, channel or member (English and Turkish)
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'to', 'in', 'on', 'of', 'for', 'and', 'or', 'from', 'with', 'who', 'that', 'this',
+  'give', 'take', 'add', 'remove', 'role', 'roles', 'channel', 'channels', 'user', 'member', 'guy',
+  'posted', 'earlier', 'please', 'all', 'my', 'me', 'his', 'her', 'their', 'them', 'him',
+  've', 'ile', 'bu', 'su', 'bir', 'icin', 'olan', 'rol', 'rolu', 'rolunu', 'kanal', 'kanali',
+  'kanalinda', 'kullanici', 'uye', 'ver', 'al', 'kaldir', 'yazan', 'lutfen', 'becas'
+]);
+
+// Weights of the ranking signals
+const SCORES = {
+  mention: 2,
+  currentChannel: 0.5,
+  // Activity in a channel the command names counts more than in the current channel
+  activityReferenced: 1,
+  activityCurrent: 0.4,
+  // Unmatched roles and channels fill the remaining budget, highest first
+  filler: 0.01
+};
+
+class GuildContextBuilder {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - { TOKEN_BUDGET, RECENT_MESSAGES, MEMBER_SEARCHES }
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.tokenBudget = options.TOKEN_BUDGET ?? 1500;
+    this.recentMessages = options.RECENT_MESSAGES ?? 50;
+    this.memberSearches = options.MEMBER_SEARCHES ?? 3;
+    this.maxActivityChannels = 2;
+    this.minSimilarity = 0.75;
+  }
+
+  /**
+   * Relevant roles, channels and members for a command
+   * @param {Message} message - Command message
+   * @param {string} userInput - Command text
+   * @returns {Promise<Object|null>} - { roles, channels, members, omitted? }, or null outside guilds
+   */
+  async build(message, userInput) {
+    if (!message?.guild) return null;
+
+    const tokens = this._tokenize(userInput);
+    const roles = this._rankRoles(message, tokens);
+    const channels = this._rankChannels(message, tokens);
+    const members = await this._rankMembers(message, tokens, roles, channels);
+
+    return this._fitBudget({ roles, channels, members });
+  }
+
+  /**
+   * Normalized words and word pairs of the command, without mentions and stop words
+   * @private
+   */
+  _tokenize(text) {
+    const words = normalizeForMatch(String(text || '').replace(/<[@#][!&]?\d+>/g, ' '))
+      .split(/[^\p{L}\p{N}_-]+/u)
+      .filter(word => word.length >= 2);
+
+    const tokens = new Set(words.filter(word => !STOP_WORDS.has(word)));
+    for (let i = 0; i < words.length - 1; i++) {
+      tokens.add(`${words[i]} ${words[i + 1]}`);
+      tokens.add(`${words[i]}-${words[i + 1]}`);
+    }
+    return [...tokens];
+  }
+
+  /**
+   * How well a name matches the command: 1 exact, 0.85 prefix (Turkish suffixes), else similarity
+   * @private
+   */
+  _matchScore(name, tokens) {
+    const normalized = normalizeForMatch(name).replace(/[^\p{L}\p{N}\s_-]/gu, '').trim();
+    if (!normalized) return 0;
+
+    const variants = new Set([normalized, normalized.replace(/[-_]+/g, ' ')]);
+    const parts = normalized.split(/[\s_-]+/).filter(part => part.length >= 3 && !STOP_WORDS.has(part));
+
+    let best = 0;
+    for (const token of tokens) {
+      for (const variant of variants) {
+        if (token === variant) return 1;
+        if (variant.length >= 4 && token.startsWith(variant)) best = Math.max(best, 0.85);
+        // Lengths too far apart cannot reach the threshold
+        if (Math.abs(token.length - variant.length) > (1 - this.minSimilarity) * Math.max(token.length, variant.length)) continue;
+        const score = similarity(token, variant);
+        if (score >= this.minSimilarity) best = Math.max(best, score * 0.9);
+      }
+      // One word of a multi word name ("Senior Moderator" for "moderator")
+      if (parts.length > 1 && parts.includes(token)) best = Math.max(best, 0.7);
+    }
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  _rankRoles(message, tokens) {
+    const guild = message.guild;
+    const mentioned = message.mentions?.roles;
+    const topPosition = Math.max(1, ...guild.roles.cache.map(role => role.position));
+
+    return guild.roles.cache
+      .filter(role => role.id !== guild.id)
+      .map(role => {
+        const reasons = [];
+        let score = SCORES.filler * (role.position / topPosition);
+
+        if (mentioned?.has(role.id)) {
+          score += SCORES.mention;
+          reasons.push('mentioned');
+        }
+        const match = this._matchScore(role.name, tokens);
+        if (match > 0) {
+          score += match;
+          reasons.push('name match');
+        }
+
+        const entry = { id: role.id, name: role.name };
+        if (role.managed) entry.managed = true;
+        if (reasons.length) entry.why = reasons.join(', ');
+        return { category: 'roles', score, entry };
+      });
+  }
+
+  /**
+   * @private
+   */
+  _rankChannels(message, tokens) {
+    const mentioned = message.mentions?.channels;
+
+    return message.guild.channels.cache
+      .filter(channel => !channel.isThread?.())
+      .map(channel => {
+        const reasons = [];
+        let score = SCORES.filler;
+
+        if (mentioned?.has(channel.id)) {
+          score += SCORES.mention;
+          reasons.push('mentioned');
+        }
+        if (channel.id === message.channel?.id) {
+          score += SCORES.currentChannel;
+          reasons.push('current channel');
+        }
+        const match = this._matchScore(channel.name, tokens);
+        if (match > 0) {
+          score += match;
+          reasons.push('name match');
+        }
+
+        const entry = { id: channel.id, name: channel.name, type: ChannelType[channel.type] || channel.type };
+        if (channel.parent?.name) entry.category = channel.parent.name;
+        if (reasons.length) entry.why = reasons.join(', ');
+        return { category: 'channels', score, entry, channel, referenced: reasons.some(r => r !== 'current channel') };
+      });
+  }
+
+  /**
+   * Mentioned, name matched and recently active members
+   * @private
+   */
+  async _rankMembers(message, tokens, rankedRoles, rankedChannels) {
+    const guild = message.guild;
+    const candidates = new Map();
+    const candidate = member => {
+      if (!candidates.has(member.id)) candidates.set(member.id, { member, score: 0, reasons: [], lastMessage: null });
+      return candidates.get(member.id);
+    };
+
+    for (const user of message.mentions?.users?.values() || []) {
+      const member = guild.members.cache.get(user.id);
+      if (!member) continue;
+      const item = candidate(member);
+      item.score += SCORES.mention;
+      item.reasons.push('mentioned');
+    }
+
+    // Name matches among cached members, then a gateway search for words nothing matched yet
+    const scoreName = (member, against) => Math.max(...[member.user.username, member.user.globalName, member.nickname]
+      .filter(Boolean)
+      .map(name => this._matchScore(name, against)), 0);
+
+    const addNameMatch = member => {
+      const match = scoreName(member, tokens);
+      if (match > 0 && !candidate(member).reasons.includes('name match')) {
+        candidate(member).score += match;
+        candidate(member).reasons.push('name match');
+      }
+    };
+    guild.members.cache.forEach(addNameMatch);
+
+    const named = [...rankedRoles, ...rankedChannels].filter(item => item.entry.why?.includes('name match'));
+    const isClaimed = token => named.some(item => this._matchScore(item.entry.name, [token]) > 0) ||
+      [...candidates.values()].some(item => scoreName(item.member, [token]) > 0);
+    const unmatched = tokens
+      .filter(token => token.length >= 3 && !token.includes(' ') && !token.includes('-'))
+      .filter(token => !isClaimed(token))
+      .slice(0, this.memberSearches);
+    for (const token of unmatched) {
+      const found = await guild.members.fetch({ query: token, limit: 5 }).catch(() => null);
+      found?.forEach(addNameMatch);
+    }
+
+    // Recent authors in the channels the command names, and in the current channel
+    const activityChannels = rankedChannels
+      .filter(item => item.referenced && item.channel.isTextBased?.())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxActivityChannels);
+    if (message.channel && !activityChannels.some(item => item.channel.id === message.channel.id)) {
+      activityChannels.push({ channel: message.channel, referenced: false });
+    }
+
+    for (const { channel, referenced } of activityChannels) {
+      const messages = await channel.messages?.fetch({ limit: this.recentMessages }).catch(() => null);
+      if (!messages) continue;
+
+      const seen = new Set();
+      const ordered = [...messages.values()].sort((a, b) => b.createdTimestamp - a.createdTimestamp);
+      ordered.forEach((recent, index) => {
+        if (recent.id === message.id || recent.author.id === message.author.id || seen.has(recent.author.id)) return;
+        const member = recent.member || guild.members.cache.get(recent.author.id);
+        if (!member || member.id === message.client?.user?.id) return;
+        seen.add(member.id);
+
+        const item = candidate(member);
+        const recency = 1 - index / ordered.length;
+        item.score += (referenced ? SCORES.activityReferenced : SCORES.activityCurrent) * recency;
+        item.reasons.push(`posted in #${channel.name}`);
+        if (!item.lastMessage || referenced) {
+          item.lastMessage = {
+            channel: channel.name,
+            minutesAgo: Math.round((Date.now() - recent.createdTimestamp) / 60000),
+            content: truncate(recent.content || '(attachment)', 80)
+          };
+        }
+      });
+    }
+
+    return [...candidates.values()]
+      .filter(item => item.score > 0)
+      .map(({ member, score, reasons, lastMessage }) => {
+        const entry = {
+          id: member.id,
+          username: member.user.username,
+          displayName: member.displayName,
+          why: reasons.join(', ')
+        };
+        if (member.user.bot) entry.bot = true;
+        const roleNames = member.roles?.cache
+          ?.filter(role => role.id !== guild.id)
+          .sort((a, b) => b.position - a.position)
+          .map(role => role.name)
+          .slice(0, 3);
+        if (roleNames?.length) entry.roles = roleNames;
+        if (lastMessage) entry.lastMessage = lastMessage;
+        return { category: 'members', score, entry };
+      });
+  }
+
+  /**
+   * Keep the highest ranked entries that fit the token budget (about 4 characters per token)
+   * @private
+   */
+  _fitBudget(ranked) {
+    const all = [...ranked.roles, ...ranked.channels, ...ranked.members].sort((a, b) => b.score - a.score);
+    const context = { roles: [], channels: [], members: [] };
+    const omitted = { roles: 0, channels: 0, members: 0 };
+
+    let used = 0;
+    for (const { category, entry } of all) {
+      const cost = Math.ceil(JSON.stringify(entry).length / 4) + 1;
+      if (used + cost > this.tokenBudget) {
+        omitted[category]++;
+        continue;
+      }
+      used += cost;
+      context[category].push(entry);
+    }
+
+    const dropped = Object.entries(omitted).filter(([, count]) => count > 0);
+    if (dropped.length > 0) {
+      context.omitted = Object.fromEntries(dropped);
+      this.logger.debug(`Guild context over budget, omitted ${dropped.map(([k, v]) => `${v} ${k}`).join(', ')}`);
+    }
+    return context;
+  }
+}
+
+module.exports = { GuildContextBuilder };
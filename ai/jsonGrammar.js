@@ -0,0 +1,197 @@
+/**
+ * JSON Grammar - GBNF grammars from JSON Schema
+ * @module ai/jsonGrammar
+ * @description Converts the JSON Schema subset used by the plan schema into a GBNF grammar,
+ * so llama.cpp can only sample output that parses and has the right shape.
+ *
+ * Supported: object (properties/required, no extra keys, properties in declaration order; or
+ * additionalProperties alone for a map of free keys),
+ * array (items, minItems, maxItems), string (digit patterns like ^[0-9]{15,21}$ and step references), integer,
+ * number, boolean, null, enum, const, anyOf/oneOf.
+ */
+
+// A reference to an earlier step's output or a loop variable, {{s1.result.id}} or {{member.id}}
+const STEP_REFERENCE_PATTERN = '^\\{\\{[a-zA-Z][a-zA-Z0-9]*(\\.[a-zA-Z]+)*\\}\\}$';
+
+const PRIMITIVES = {
+  ws: '([ \\t\\n] ws)?',
+  string: '"\\"" ( [^"\\\\\\x7F\\x00-\\x1F] | "\\\\" (["\\\\bfnrt/] | "u" [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F]) )* "\\"" ws',
+  integer: '"-"? ("0" | [1-9] [0-9]*) ws',
+  'unsigned-integer': '("0" | [1-9] [0-9]*) ws',
+  number: '"-"? ("0" | [1-9] [0-9]*) ("." [0-9]+)? ([eE] [-+]? [0-9]+)? ws',
+  boolean: '("true" | "false") ws',
+  null: '"null" ws'
+};
+
+/**
+ * GBNF string literal for a JSON value, e.g. "member.ban" -> "\"member.ban\""
+ * @private
+ */
+function literal(value) {
+  const json = JSON.stringify(value);
+  return `"${json.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}" ws`;
+}
+
+class GrammarBuilder {
+  constructor() {
+    this.rules = new Map();
+    this.names = new Map();
+    this.used = new Set();
+  }
+
+  /**
+   * Register a rule, reusing an existing rule with the same body
+   * @returns {string} - Rule name
+   */
+  add(name, body) {
+    if (this.names.has(body)) return this.names.get(body);
+
+    const base = name.replace(/[^a-zA-Z0-9-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'rule';
+    let unique = base;
+    for (let counter = 2; this.rules.has(unique) || PRIMITIVES[unique]; counter++) {
+      unique = `${base}-${counter}`;
+    }
+    this.rules.set(unique, body);
+    this.names.set(body, unique);
+    return unique;
+  }
+
+  primitive(name) {
+    this.used.add(name);
+    return name;
+  }
+
+  /**
+   * Rule name matching a schema
+   * @param {Object} schema - JSON Schema
+   * @param {string} name - Suggested rule name
+   * @returns {string}
+   */
+  visit(schema, name) {
+    if (schema.const !== undefined) {
+      return this.add(name, literal(schema.const));
+    }
+    if (schema.enum) {
+      return this.add(name, schema.enum.map(literal).join(' | '));
+    }
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives) {
+      const options = alternatives.map((sub, index) => this.visit(sub, `${name}-${index}`));
+      return this.add(name, options.join(' | '));
+    }
+
+    switch (schema.type) {
+      case 'object':
+        return this._object(schema, name);
+      case 'array':
+        return this._array(schema, name);
+      case 'string':
+        return this._string(schema, name);
+      case 'integer':
+        return this.primitive(schema.minimum >= 0 ? 'unsigned-integer' : 'integer');
+      case 'number':
+        return this.primitive('number');
+      case 'boolean':
+        return this.primitive('boolean');
+      case 'null':
+        return this.primitive('null');
+      default:
+        throw new Error(`Cannot build a grammar for schema at ${name}: unsupported type ${schema.type}`);
+    }
+  }
+
+  _string(schema, name) {
+    // Only digit runs (Discord IDs) and step references are turned into grammar; other patterns stay free text
+    if (schema.pattern === STEP_REFERENCE_PATTERN) {
+      return this.add('step-reference', '"\\"{{" [a-zA-Z] [a-zA-Z0-9]* ("." [a-zA-Z]+)* "}}\\"" ws');
+    }
+    const digits = schema.pattern && schema.pattern.match(/^\^\[0-9\]\{(\d+),(\d+)\}\$$/);
+    if (!digits) return this.primitive('string');
+
+    const min = parseInt(digits[1]);
+    const max = parseInt(digits[2]);
+    const body = ['"\\""', ...Array(min).fill('[0-9]'), ...Array(max - min).fill('[0-9]?'), '"\\""', 'ws'];
+    return this.add(`digits-${min}-${max}`, body.join(' '));
+  }
+
+  _array(schema, name) {
+    const item = this.visit(schema.items || {}, `${name}-item`);
+    const min = schema.minItems || 0;
+    const max = schema.maxItems;
+
+    // "[" item ("," item)* "]" with the minimum repeated explicitly
+    const more = `("," ws ${item})`;
+    const parts = [];
+    for (let i = 1; i < Math.max(min, 1); i++) parts.push(more);
+    if (max === undefined) {
+      parts.push(`${more}*`);
+    } else {
+      for (let i = Math.max(min, 1); i < max; i++) parts.push(`${more}?`);
+    }
+
+    const list = [item, ...parts].join(' ');
+    return this.add(name, min > 0 ? `"[" ws ${list} "]" ws` : `"[" ws (${list})? "]" ws`);
+  }
+
+  /**
+   * Properties are emitted in declaration order. before-i: nothing emitted yet, so property i
+   * starts without a comma; after-i: something was emitted, so property i needs one
+   * @private
+   */
+  _object(schema, name) {
+    // { "any key": value, ... }
+    if (schema.additionalProperties && !schema.properties) {
+      const entry = `${this.primitive('string')} ":" ws ${this.visit(schema.additionalProperties, `${name}-value`)}`;
+      return this.add(name, `"{" ws (${entry} ("," ws ${entry})*)? "}" ws`);
+    }
+
+    const properties = Object.entries(schema.properties || {});
+    const required = new Set(schema.required || []);
+
+    const pairs = properties.map(([key, propertySchema]) =>
+      `${literal(key)} ":" ws ${this.visit(propertySchema, `${name}-${key}`)}`);
+
+    let after = '';
+    let before = '';
+    for (let i = properties.length - 1; i >= 0; i--) {
+      const isRequired = required.has(properties[i][0]);
+      const nextAfter = after;
+      const nextBefore = before;
+
+      const withPair = `${pairs[i]} ${nextAfter}`.trim();
+      if (isRequired) {
+        before = withPair;
+      } else {
+        before = nextBefore ? `(${withPair} | ${nextBefore})` : `(${withPair})?`;
+      }
+      after = isRequired
+        ? `"," ws ${pairs[i]} ${nextAfter}`.trim()
+        : `("," ws ${pairs[i]})? ${nextAfter}`.trim();
+    }
+
+    return this.add(name, before ? `"{" ws ${before} "}" ws` : '"{" ws "}" ws');
+  }
+
+  build(rootRule) {
+    const lines = [`root ::= ws ${rootRule}`];
+    for (const [name, body] of this.rules) lines.push(`${name} ::= ${body}`);
+    for (const name of ['ws', ...this.used]) {
+      if (!this.rules.has(name)) lines.push(`${name} ::= ${PRIMITIVES[name]}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Build a GBNF grammar that only accepts JSON matching the schema
+ * @param {Object} schema - JSON Schema
+ * @returns {string} - GBNF grammar with a "root" rule
+ */
+function schemaToGbnf(schema) {
+  const builder = new GrammarBuilder();
+  const rootRule = builder.visit(schema, 'value');
+  return builder.build(rootRule);
+}
+
+module.exports = { schemaToGbnf };
@@ -0,0 +1,419 @@
+/**
+ * LLM Providers
+ * @module ai/llmProviders
+ * @description One chat interface over the model servers BecasBot can talk to
+ *
+ * Every provider implements chat(messages, params) and resolves to { content, raw }.
+ * params is provider neutral: { temperature, topP, maxTokens, json, schema, timeout, extra };
+ * each provider maps it to its own request body. ModelAdapter picks the values.
+ *
+ * params.schema (JSON Schema) asks for constrained decoding; only providers with
+ * supportsConstrainedOutput honour it, the others fall back to plain JSON mode.
+ *
+ * params.tools ([{ name, description, parameters }]) enables tool calling on providers with
+ * supportsTools; the reply then carries toolCalls: [{ id, name, arguments }]. Conversations
+ * use neutral messages too: { role: 'assistant', content, toolCalls } for a tool-calling turn
+ * and { role: 'tool', toolCallId, name, content } for its results.
+ */
+const fetch = require('node-fetch');
+const { schemaToGbnf } = require('./jsonGrammar');
+
+// Grammars are generated once per schema object
+const grammarCache = new WeakMap();
+
+/**
+ * Tool call arguments arrive as a JSON string (OpenAI) or an object (Ollama)
+ * @private
+ */
+function parseArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * OpenAI style tools / messages / tool_calls, shared by every OpenAI compatible endpoint
+ * @private
+ */
+const openAIFormat = {
+  tools: tools => tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  })),
+
+  messages: messages => messages.map(message => {
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    return message;
+  }),
+
+  toolCalls: message => (message?.tool_calls || []).map((call, index) => ({
+    id: call.id || `call_${index}`,
+    name: call.function?.name,
+    arguments: parseArguments(call.function?.arguments),
+    rawArguments: call.function?.arguments
+  }))
+};
+
+class LLMProvider {
+  /**
+   * @param {Object} options - { apiUrl, model, apiKey }
+   * @param {Object} logger - Logger instance
+   */
+  constructor(options = {}, logger) {
+    this.apiUrl = (options.apiUrl || this.defaultApiUrl()).replace(/\/+$/, '');
+    this.model = options.model;
+    this.apiKey = options.apiKey || null;
+    this.logger = logger;
+  }
+
+  /** @returns {string} - Provider name used in config (LLM_PROVIDER) */
+  get name() {
+    return 'base';
+  }
+
+  /** @returns {boolean} - Whether params.schema constrains the output */
+  get supportsConstrainedOutput() {
+    return false;
+  }
+
+  /** @returns {boolean} - Whether params.tools is sent to the model */
+  get supportsTools() {
+    return false;
+  }
+
+  /** @returns {string} - API URL used when none is configured */
+  defaultApiUrl() {
+    return 'http://localhost:11434/v1';
+  }
+
+  /**
+   * Send a chat request
+   * @param {Array<Object>} messages - [{ role, content }]
+   * @param {Object} params - Provider neutral parameters
+   * @returns {Promise<Object>} - { content, toolCalls, raw }
+   */
+  async chat(messages, params = {}) {
+    throw new Error(`${this.name} provider does not implement chat`);
+  }
+
+  /**
+   * Check that the server answers and knows the model
+   * @returns {Promise<boolean>}
+   */
+  async checkAvailability() {
+    return true;
+  }
+
+  /**
+   * POST JSON and return the parsed body
+   * @protected
+   */
+  async _post(path, body, timeout) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      timeout
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`API returned error ${response.status}: ${errorBody}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * GET JSON, or null if the server is not reachable
+   * @protected
+   */
+  async _get(path) {
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const response = await fetch(`${this.apiUrl}${path}`, { method: 'GET', headers, timeout: 5000 }).catch(err => {
+      this.logger.warn(`Failed to connect to API: ${err.message}`);
+      return null;
+    });
+
+    if (!response || !response.ok) return null;
+    return response.json().catch(() => null);
+  }
+}
+
+/**
+ * Any OpenAI compatible /chat/completions endpoint (OpenAI, Ollama /v1, vLLM, LM Studio...)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  get name() {
+    return 'openai';
+  }
+
+  get supportsTools() {
+    return true;
+  }
+
+  async chat(messages, params = {}) {
+    const body = {
+      model: this.model,
+      messages: openAIFormat.messages(messages),
+      temperature: params.temperature,
+      max_tokens: params.maxTokens,
+      top_p: params.topP,
+      ...params.extra
+    };
+    if (params.tools?.length) {
+      body.tools = openAIFormat.tools(params.tools);
+    } else if (params.json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const data = await this._post('/chat/completions', body, params.timeout);
+    const message = data.choices?.[0]?.message;
+    return { content: message?.content || '', toolCalls: openAIFormat.toolCalls(message), raw: data };
+  }
+
+  async checkAvailability() {
+    const data = await this._get('/models');
+    if (!data) return false;
+
+    if (Array.isArray(data.data) && !data.data.some(m => m.id === this.model)) {
+      this.logger.warn(`Model ${this.model} not found in available models.`);
+    }
+    return true;
+  }
+}
+
+/**
+ * Native Ollama API (/api/chat), with options and the json format flag
+ */
+class OllamaProvider extends LLMProvider {
+  get name() {
+    return 'ollama';
+  }
+
+  // format accepts a JSON schema since Ollama 0.5
+  get supportsConstrainedOutput() {
+    return true;
+  }
+
+  get supportsTools() {
+    return true;
+  }
+
+  defaultApiUrl() {
+    return 'http://localhost:11434';
+  }
+
+  async chat(messages, params = {}) {
+    const { options, ...extra } = params.extra || {};
+    const body = {
+      model: this.model,
+      messages: messages.map(message => this._formatMessage(message)),
+      stream: false,
+      options: {
+        temperature: params.temperature,
+        top_p: params.topP,
+        num_predict: params.maxTokens,
+        ...options
+      },
+      ...extra
+    };
+    if (params.tools?.length) {
+      // Tool calls are not returned while format is set
+      body.tools = openAIFormat.tools(params.tools);
+    } else if (params.schema) {
+      body.format = params.schema;
+    } else if (params.json) {
+      body.format = 'json';
+    }
+
+    const data = await this._post('/api/chat', body, params.timeout);
+    return { content: data.message?.content || '', toolCalls: openAIFormat.toolCalls(data.message), raw: data };
+  }
+
+  /**
+   * Ollama takes tool call arguments as objects and has no tool call IDs
+   * @private
+   */
+  _formatMessage(message) {
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments || {} } }))
+      };
+    }
+    if (message.role === 'tool') {
+      return { role: 'tool', content: message.content, tool_name: message.name };
+    }
+    return message;
+  }
+
+  async checkAvailability() {
+    const data = await this._get('/api/tags');
+    if (!data) return false;
+
+    if (Array.isArray(data.models) && !data.models.some(m => m.name === this.model || m.model === this.model)) {
+      this.logger.warn(`Model ${this.model} is not pulled in Ollama.`);
+    }
+    return true;
+  }
+}
+
+/**
+ * llama.cpp server; serves a single model, so the model name is only informative
+ */
+class LlamaCppProvider extends LLMProvider {
+  get name() {
+    return 'llamacpp';
+  }
+
+  // GBNF grammars generated from the schema
+  get supportsConstrainedOutput() {
+    return true;
+  }
+
+  // Needs the server to run with --jinja
+  get supportsTools() {
+    return true;
+  }
+
+  defaultApiUrl() {
+    return 'http://localhost:8080';
+  }
+
+  async chat(messages, params = {}) {
+    const body = {
+      messages: openAIFormat.messages(messages),
+      temperature: params.temperature,
+      top_p: params.topP,
+      max_tokens: params.maxTokens,
+      // Reuse the KV cache of the (long, mostly identical) system prompt
+      cache_prompt: true,
+      ...params.extra
+    };
+    if (params.tools?.length) {
+      body.tools = openAIFormat.tools(params.tools);
+    } else if (params.schema) {
+      if (!grammarCache.has(params.schema)) grammarCache.set(params.schema, schemaToGbnf(params.schema));
+      body.grammar = grammarCache.get(params.schema);
+    } else if (params.json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const data = await this._post('/v1/chat/completions', body, params.timeout);
+    const message = data.choices?.[0]?.message;
+    return { content: message?.content || '', toolCalls: openAIFormat.toolCalls(message), raw: data };
+  }
+
+  async checkAvailability() {
+    return !!(await this._get('/health'));
+  }
+}
+
+/**
+ * Deterministic local provider for development and tests; never touches the network
+ */
+class MockProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { model, responses: [{ match, content }], handler(messages, params) }
+   * A handler may return { content, toolCalls } to answer with tool calls
+   * @param {Object} logger - Logger instance
+   */
+  constructor(options = {}, logger) {
+    super({ ...options, apiUrl: 'mock://local' }, logger);
+    this.model = options.model || 'mock';
+    this.responses = options.responses || [];
+    this.handler = options.handler || null;
+    this.calls = [];
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  get supportsTools() {
+    return true;
+  }
+
+  async chat(messages, params = {}) {
+    this.calls.push({ messages, params });
+    const userContent = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+    const canned = this.responses.find(({ match }) =>
+      match instanceof RegExp ? match.test(userContent) : userContent.includes(match));
+
+    let content;
+    if (canned) {
+      content = canned.content;
+    } else if (this.handler) {
+      content = await this.handler(messages, params);
+    } else {
+      content = params.json ? '{}' : '';
+    }
+
+    if (content && Array.isArray(content.toolCalls)) {
+      const toolCalls = content.toolCalls.map((call, index) => ({
+        id: call.id || `call_${this.calls.length}_${index}`,
+        name: call.name,
+        arguments: parseArguments(call.arguments)
+      }));
+      return { content: content.content || '', toolCalls, raw: { mock: true } };
+    }
+
+    if (typeof content !== 'string') content = JSON.stringify(content);
+    return { content, toolCalls: [], raw: { mock: true } };
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  llamacpp: LlamaCppProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - openai, ollama, llamacpp or mock
+ * @param {Object} options - Provider options
+ * @param {Object} logger - Logger instance
+ * @returns {LLMProvider}
+ */
+function createProvider(name, options, logger) {
+  const Provider = PROVIDERS[(name || 'openai').toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name} (use ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options, logger);
+}
+
+module.exports = {
+  LLMProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  LlamaCppProvider,
+  MockProvider,
+  PROVIDERS,
+  createProvider
+};
@@ -1,23 +1,45 @@
 /**
- * LLM Service - Ollama v1 API Integration
- * @module ai/llmservice
- * @description Handles interaction with Ollama API (OpenAI compatible /v1 endpoint)
- * @version 2.0.1
+ * LLM Service - provider independent model access
+ * @module ai/llmService
+ * @description Sends chat requests through an LLM provider (OpenAI compatible, Ollama, llama.cpp, mock)
+ * and tunes prompts and parameters for the model with ModelAdapter
+ * @version 2.1.0
  */
-const fetch = require('node-fetch');
+const { createProvider, LLMProvider } = require('./llmProviders');
+const { ModelAdapter } = require('./modelAdapter');
+const { RulePlanner } = require('./rulePlanner');
 
 class LLMService {
   /**
    * Create a new LLM service
-   * @param {string} apiUrl - API endpoint URL (should be http://localhost:11434/v1)
+   * @param {string} apiUrl - API endpoint URL (empty for the provider default)
    * @param {string} model - Model name (e.g. llama3.1:8b-instruct-q4_K_M)
    * @param {Object} logger - Logger instance
+   * @param {Object} options - { provider: name or LLMProvider instance, apiKey, constrainedOutput, minFallbackConfidence }
    */
-  constructor(apiUrl, model, logger) {
-    this.apiUrl = apiUrl || process.env.LLM_API_URL || 'http://localhost:11434/v1';
+  constructor(apiUrl, model, logger, options = {}) {
     this.model = model || process.env.LLM_MODEL || 'llama3.1:8b-instruct-q4_K_M';
     this.logger = logger;
     
+    // Deterministic plans when the API cannot be reached
+    this.rulePlanner = new RulePlanner(logger);
+    
+    if (options.provider instanceof LLMProvider) {
+      this.provider = options.provider;
+    } else {
+      this.provider = createProvider(options.provider || process.env.LLM_PROVIDER, {
+        apiUrl: apiUrl || process.env.LLM_API_URL,
+        model: this.model,
+        apiKey: options.apiKey || process.env.LLM_API_KEY,
+        // The mock answers plan requests with the rule based fallback plans
+        handler: (messages) => this._generateFallbackResponse(this._extractUserCommand(messages))
+      }, logger);
+    }
+    this.apiUrl = this.provider.apiUrl;
+    
+    // Prompt and parameter tweaks per model and provider
+    this.adapter = new ModelAdapter(this.model, logger, this.provider.name);
+    
     // Default configuration
     this.temperature = 0.3; // Düşürüldü: 0.7 -> 0.3 (daha tutarlı JSON için)
     this.maxTokens = 2048;
@@ -28,16 +50,17 @@ class LLMService {
     
     // Flag to control fallback behavior
     this.useFallbackOnError = true;
+    // Same bar as the rule planner before the model (config.RULE_PLANNER.MIN_CONFIDENCE)
+    this.minFallbackConfidence = options.minFallbackConfidence ?? 0.8;
     
     // JSON düzeltme bayrağı
     this.fixJsonInResponse = true;
     
-    // Cache for expensive operations
-    this._cache = new Map();
-    this._cacheLifetime = 3600000; // 1 hour in milliseconds
+    // Use schema constrained decoding when the provider supports it
+    this.constrainedOutput = options.constrainedOutput ?? true;
     
     this.logger.info(`LLM Service initialized with model: ${this.model}`);
-    this.logger.info(`Using API at: ${this.apiUrl}`);
+    this.logger.info(`Using ${this.provider.name} provider at: ${this.apiUrl}`);
     
     // Verify API availability on startup
     this._checkApiAvailability();
@@ -49,29 +72,9 @@ class LLMService {
    */
   async _checkApiAvailability() {
     try {
-      const response = await fetch(`${this.apiUrl}/models`, {
-        method: 'GET',
-        timeout: 5000
-      }).catch(err => {
-        this.logger.warn(`Failed to connect to API: ${err.message}`);
-        return { ok: false };
-      });
-      
-      if (!response.ok) {
+      const available = await this.provider.checkAvailability();
+      if (!available) {
         this.logger.warn(`API not available. Will use fallback mode for requests.`);
-        return;
-      }
-      
-      const data = await response.json();
-      
-      // Check if our model is in the list
-      if (data.data && Array.isArray(data.data)) {
-        const modelFound = data.data.some(m => m.id === this.model);
-        if (!modelFound) {
-          this.logger.warn(`Model ${this.model} not found in available models.`);
-        } else {
-          this.logger.info(`Model ${this.model} is available.`);
-        }
       }
     } catch (error) {
       this.logger.warn(`Error checking API availability: ${error.message}`);
@@ -79,120 +82,182 @@ class LLMService {
   }
 
   /**
-   * Generate a response using the LLM API
-   * @param {string} systemPrompt - System instructions
-   * @param {string} userPrompt - User query
-   * @returns {Promise<string>} - Generated response
+   * Send a chat request through the provider, with retries
+   * @param {Array<Object>} messages - [{ role, content }]
+   * @param {Object} options - { temperature, topP, maxTokens, json, schema, timeout }
+   * @returns {Promise<string>} - Model output
    */
-  async generateResponse(systemPrompt, userPrompt) {
-    this.logger.info(`Generating LLM response for prompt: ${userPrompt.substring(0, 50)}...`);
-    
-    // JSON formatını garanti altına almak için sistem promptuna ekleme
-    const jsonEnhancedSystemPrompt = this._addJsonFormatInstructions(systemPrompt);
-    
-    // JSON üretilmesini garanti etmek için userPrompt'u güçlendir
-    const enhancedUserPrompt = this._enhanceUserPromptForJson(userPrompt);
+  async chat(messages, options = {}) {
+    const { content } = await this._send(messages, this._buildParams(options), reply => !!reply.content);
+    return content;
+  }
+
+  /**
+   * One tool calling turn: the model either calls tools or answers with text
+   * @param {Array<Object>} messages - Neutral messages, including earlier tool calls and results
+   * @param {Array<Object>} tools - [{ name, description, parameters }]
+   * @param {Object} options - { temperature, topP, maxTokens, timeout }
+   * @returns {Promise<Object>} - { content, toolCalls: [{ id, name, arguments }] }
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    if (!this.provider.supportsTools) {
+      throw new Error(`${this.provider.name} provider does not support tool calling`);
+    }
     
-    let attemptCount = 0;
+    const params = { ...this._buildParams(options), tools };
+    const { content, toolCalls } = await this._send(messages, params, reply => !!reply.content || reply.toolCalls?.length > 0);
+    return { content: content || '', toolCalls: toolCalls || [] };
+  }
+
+  /**
+   * Neutral request parameters, tuned for the model
+   * @private
+   */
+  _buildParams(options) {
+    return this.adapter.optimizeApiParams({
+      temperature: options.temperature ?? this.temperature,
+      topP: options.topP ?? this.topP,
+      maxTokens: options.maxTokens ?? this.maxTokens,
+      json: !!options.json,
+      schema: options.schema,
+      timeout: options.timeout ?? this.timeout
+    });
+  }
+
+  /**
+   * Call the provider with exponential backoff until it returns a usable reply
+   * @private
+   */
+  async _send(messages, params, isUsable) {
     let lastError = null;
-      console.log("\n===== OLLAMA REQUEST DEBUG =====");
-  console.log("API URL:", this.apiUrl);
-  console.log("Model:", this.model);
-  console.log("Sistem prompt (ilk 50 karakter):", systemPrompt.substring(0, 50));
-  console.log("User prompt (ilk 50 karakter):", userPrompt.substring(0, 50));
-    while (attemptCount < this.retryAttempts) {
+    let delay = this.retryDelay;
+    
+    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
-        // Prepare messages format for the API
-        const messages = [
-          { role: 'system', content: jsonEnhancedSystemPrompt },
-          { role: 'user', content: enhancedUserPrompt }
-        ];
-        
-        // Make API request
-        const endpoint = `${this.apiUrl}/chat/completions`;
-        this.logger.info(`Sending request to: ${endpoint}`);
-        
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: this.model,
-            messages: messages,
-            temperature: this.temperature,
-            max_tokens: this.maxTokens,
-            top_p: this.topP,
-            response_format: { type: "json_object" } // Ekstra JSON format zorlaması
-          }),
-          timeout: this.timeout
-        });
-        
-        // Check for successful response
-        if (!response.ok) {
-          const errorBody = await response.text();
-          throw new Error(`API returned error ${response.status}: ${errorBody}`);
-        }
-        
-        // Parse JSON response
-        const data = await response.json();
-        
-        // Extract the message content from the response
-        const content = data.choices && data.choices[0] && 
-                        data.choices[0].message && 
-                        data.choices[0].message.content;
-        
-        if (!content) {
+        const reply = await this.provider.chat(messages, params);
+        if (!isUsable(reply)) {
           throw new Error('Invalid or empty response from API');
         }
-        
-        let finalContent = content;
-        
-        // JSON düzeltmesi uygula
-        if (this.fixJsonInResponse) {
-          finalContent = this._fixJsonFormat(content);
-          
-          // Debug için JSON düzeltmesinden önce ve sonra log'a kaydet
-          if (finalContent !== content) {
-            this.logger.debug('Original JSON response:', content.substring(0, 200));
-            this.logger.debug('Fixed JSON response:', finalContent.substring(0, 200));
-          }
-        }
-        
-        this.logger.info(`LLM response generated successfully (${finalContent.length} chars)`);
-        return finalContent;
-        
+        return reply;
       } catch (error) {
         lastError = error;
-        this.logger.warn(`LLM API attempt ${attemptCount+1} failed: ${error.message}`);
-        attemptCount++;
+        this.logger.warn(`LLM API attempt ${attempt} failed: ${error.message}`);
         
         // Wait before retry
-        if (attemptCount < this.retryAttempts) {
-          await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-          this.retryDelay *= 2; // Exponential backoff
+        if (attempt < this.retryAttempts) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+          delay *= 2; // Exponential backoff
         }
       }
     }
     
-    // If we get here, all attempts failed
-    this.logger.error(`All ${this.retryAttempts} LLM API attempts failed`, lastError);
-       console.log("Sending request to Ollama...");
+    throw new Error(`Failed to generate LLM response after ${this.retryAttempts} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * Whether a schema request can use constrained decoding
+   * @returns {boolean}
+   */
+  canConstrainOutput() {
+    return this.constrainedOutput && this.provider.supportsConstrainedOutput;
+  }
+
+  /**
+   * Generate a response using the LLM API
+   * @param {string} systemPrompt - System instructions
+   * @param {string} userPrompt - User query
+   * @param {Object} options - { schema: JSON Schema the response must follow }
+   * @returns {Promise<string>} - Generated response
+   */
+  async generateResponse(systemPrompt, userPrompt, options = {}) {
+    this.logger.info(`Generating LLM response for prompt: ${userPrompt.substring(0, 50)}...`);
+    
+    // The backend enforces the schema, so no prompt coaxing or JSON repair is needed
+    if (options.schema && this.canConstrainOutput()) {
+      try {
+        return await this._generateConstrained(systemPrompt, userPrompt, options.schema);
+      } catch (error) {
+        this.logger.warn(`Constrained decoding failed, falling back to JSON repair: ${error.message}`);
+        
+        // A 4xx means the backend does not understand the schema/grammar; stop asking
+        if (/API returned error 4\d\d/.test(error.message)) {
+          this.logger.warn(`${this.provider.name} backend rejected constrained output, disabling it`);
+          this.constrainedOutput = false;
+        }
+      }
+    }
+    
+    // JSON formatını garanti altına almak için sistem promptuna ekleme
+    const jsonEnhancedSystemPrompt = this.adapter.optimizeSystemPrompt(this._addJsonFormatInstructions(systemPrompt));
+    
+    // JSON üretilmesini garanti etmek için userPrompt'u güçlendir
+    const enhancedUserPrompt = this.adapter.optimizeUserPrompt(this._enhanceUserPromptForJson(userPrompt));
+    
+    try {
+      const content = await this.chat([
+        { role: 'system', content: jsonEnhancedSystemPrompt },
+        { role: 'user', content: enhancedUserPrompt }
+      ], { json: true });
+      
+      let finalContent = content;
+      
+      // JSON düzeltmesi uygula
+      if (this.fixJsonInResponse) {
+        finalContent = this._fixJsonFormat(content);
+        
+        // Debug için JSON düzeltmesinden önce ve sonra log'a kaydet
+        if (finalContent !== content) {
+          this.logger.debug('Original JSON response:', content.substring(0, 200));
+          this.logger.debug('Fixed JSON response:', finalContent.substring(0, 200));
+        }
+      }
       
-      // API isteği yapıldıktan sonra
-      console.log("Ollama response received, status:", response.status);
-      console.log("Response headers:", response.headers);
+      this.logger.info(`LLM response generated successfully (${finalContent.length} chars)`);
+      return finalContent;
+    } catch (error) {
+      this.logger.error('LLM request failed', error);
+      
+      // Provide fallback response when API fails
+      if (this.useFallbackOnError) {
+        this.logger.warn('Using fallback LLM response due to API failure');
+        return this._generateFallbackResponse(this._extractUserCommand([{ role: 'user', content: userPrompt }]));
+      }
       
-      // Yanıt içeriğini debug et
-      console.log("Response content preview:", content.substring(0, 100));
-      console.log("===== END DEBUG =====\n");
-    // Provide fallback response when API fails
-    if (this.useFallbackOnError) {
-      this.logger.warn('Using fallback LLM response due to API failure');
-      return this._generateFallbackResponse(userPrompt);
+      throw error;
     }
+  }
+  
+  /**
+   * Ask the backend for output that can only match the schema
+   * @param {string} systemPrompt - System instructions
+   * @param {string} userPrompt - User query
+   * @param {Object} schema - JSON Schema
+   * @returns {Promise<string>} - JSON text
+   * @private
+   */
+  async _generateConstrained(systemPrompt, userPrompt, schema) {
+    const content = await this.chat([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], { json: true, schema });
     
-    throw new Error(`Failed to generate LLM response after ${this.retryAttempts} attempts: ${lastError.message}`);
+    // Constrained output should always parse; if not, the backend ignored the constraint
+    JSON.parse(content);
+    
+    this.logger.info(`Constrained LLM response generated (${content.length} chars)`);
+    return content;
+  }
+  
+  /**
+   * Pull the user's command out of a plan prompt (the whole prompt if there is none)
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {string}
+   * @private
+   */
+  _extractUserCommand(messages) {
+    const content = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const match = content.match(/User Command:\s*(.+)/);
+    return match ? match[1].trim() : content;
   }
   
   /**
@@ -266,6 +331,14 @@ Example of VALID JSON structure:
         jsonContent = jsonContent.substring(jsonStartIndex, jsonEndIndex + 1);
       }
       
+      // Geçerli JSON'a dokunma; aşağıdaki düzeltmeler {{s1.result.id}} gibi referansları bozar
+      try {
+        JSON.parse(jsonContent);
+        return jsonContent;
+      } catch (error) {
+        // Düzeltmelere devam
+      }
+      
       // Standart düzeltmeler
       jsonContent = jsonContent.replace(/'/g, '"'); // Tek tırnakları çift tırnağa çevir
       jsonContent = jsonContent.replace(/,(\s*[}\]])/g, '$1'); // Sondaki virgülleri temizle
@@ -349,59 +422,17 @@ Example of VALID JSON structure:
   
   /**
    * Generate a fallback response when API is unavailable
-   * @param {string} userPrompt - User prompt
+   * @param {string} userPrompt - User command
    * @returns {string} - JSON response
    * @private
    */
   _generateFallbackResponse(userPrompt) {
-    // Simple logic to generate different responses based on prompt
-    const lowerPrompt = userPrompt.toLowerCase();
-    
-    // Handle message writing commands with support for "write X times" pattern
-    if (lowerPrompt.includes('write') || lowerPrompt.includes('send') || lowerPrompt.includes('yaz')) {
-      return this._processWriteCommand(userPrompt);
-    }
-    
-    // Handle timeout commands
-    if (lowerPrompt.includes('timeout') || lowerPrompt.includes('mute') || lowerPrompt.includes('sustur')) {
-      return this._processTimeoutCommand(userPrompt);
-    }
-    
-    // Handle purge/clear commands
-    if (lowerPrompt.includes('purge') || lowerPrompt.includes('clear') || 
-        lowerPrompt.includes('delete') || lowerPrompt.includes('sil') || 
-        lowerPrompt.includes('temizle')) {
-      return this._processPurgeCommand(userPrompt);  
-    }
-    
-    // Handle ban commands
-    if (lowerPrompt.includes('ban') || lowerPrompt.includes('yasak')) {
-      return this._processBanCommand(userPrompt);
-    }
-    
-    // Handle kick commands
-    if (lowerPrompt.includes('kick') || lowerPrompt.includes('at')) {
-      return this._processKickCommand(userPrompt);
-    }
-    
-    // Handle role commands
-    if (lowerPrompt.includes('role') || lowerPrompt.includes('rol')) {
-      return this._processRoleCommand(userPrompt);
-    }
-    
-    // Handle channel commands
-    if (lowerPrompt.includes('channel') || lowerPrompt.includes('kanal')) {
-      return this._processChannelCommand(userPrompt);
-    }
-    
-    // Handle nickname commands (added)
-    if (lowerPrompt.includes('nickname') || lowerPrompt.includes('nick') || lowerPrompt.includes('isim')) {
-      return this._processNicknameCommand(userPrompt);
-    }
-    
-    // Handle repeat commands (added)
-    if (lowerPrompt.includes('repeat') || lowerPrompt.includes('tekrarla')) {
-      return this._processRepeatCommand(userPrompt);
+    // Only a rule whose pattern matched the whole command: keywords also match "don't ban @u" or
+    // "why did @u get a ban?", which would turn into the action itself
+    const result = this.rulePlanner.plan(userPrompt);
+    if (result && result.matchedBy === 'pattern' && result.confidence >= this.minFallbackConfidence) {
+      this.logger.info(`Fallback plan from rule "${result.rule}" (confidence ${result.confidence})`);
+      return JSON.stringify({ ...result.plan, meta: { ...result.plan.meta, fallback: true } });
     }
     
     // Default response for unknown commands
@@ -419,489 +450,6 @@ Example of VALID JSON structure:
       meta: { strategy: "sequential" }
     });
   }
-
-  /**
-   * Process nickname command (new)
-   * @param {string} userPrompt - User prompt 
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processNicknameCommand(userPrompt) {
-    // Extract user ID
-    const userIdMatch = userPrompt.match(/<@!?(\d+)>/);
-    const userId = userIdMatch ? userIdMatch[1] : "USER_ID_REQUIRED";
-    
-    // Extract nickname
-    let nickname = "New Nickname";
-    const nicknameMatch = userPrompt.match(/["']([^"']+)["']/);
-    if (nicknameMatch) nickname = nicknameMatch[1];
-    
-    // "to X" pattern
-    if (!nicknameMatch) {
-      const toMatch = userPrompt.match(/to\s+(\S+)/i);
-      if (toMatch) nickname = toMatch[1];
-    }
-    
-    return JSON.stringify({
-      steps: [
-        {
-          tool: "discord.request",
-          params: {
-            action: "member.setNickname",
-            userId: userId,
-            nickname: nickname,
-            reason: "Changed via bot command"
-          },
-          id: "s1"
-        },
-        {
-          tool: "discord.request",
-          params: {
-            action: "message.create",
-            content: `✅ <@${userId}>'in takma adı "${nickname}" olarak değiştirildi.`
-          },
-          id: "s2"
-        }
-      ],
-      meta: { strategy: "sequential" }
-    });
-  }
-
-  /**
-   * Process repeat command (new)
-   * @param {string} userPrompt - User prompt
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processRepeatCommand(userPrompt) {
-    // Extract message to repeat
-    let message = "Repeat message";
-    const messageMatch = userPrompt.match(/["']([^"']+)["']/);
-    if (messageMatch) message = messageMatch[1];
-    
-    // Extract count
-    let count = 3;
-    const countMatch = userPrompt.match(/(\d+)(?:\s*times|\s*kez)/i);
-    if (countMatch) count = Math.min(parseInt(countMatch[1], 10), 10); // Limit to 10
-    
-    // Check for numbering
-    const shouldNumber = userPrompt.match(/number|numara|sayı/i);
-    
-    // Generate steps
-    const steps = [];
-    for (let i = 0; i < count; i++) {
-      steps.push({
-        tool: "discord.request",
-        params: {
-          action: "message.create",
-          content: shouldNumber ? `${i+1}. ${message}` : message
-        },
-        id: `s${i+1}`
-      });
-    }
-    
-    return JSON.stringify({
-      steps: steps,
-      meta: { strategy: "sequential" }
-    });
-  }
-  
-  /**
-   * Process write command specifics
-   * @param {string} userPrompt - User prompt
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processWriteCommand(userPrompt) {
-    // Extract message content
-    let content = "Merhaba!";
-    const contentMatch = userPrompt.match(/["']([^"']+)["']/);
-    if (contentMatch) content = contentMatch[1];
-    
-    // Check for repeat count
-    const repeatMatch = userPrompt.match(/(\d+)\s*(?:times|kez|defa)/i);
-    const repeat = repeatMatch ? Math.min(parseInt(repeatMatch[1]), 5) : 1;
-    
-    // Check if we need to mention someone
-    const mentionMatch = userPrompt.match(/<@!?(\d+)>/);
-    const mention = mentionMatch ? `<@${mentionMatch[1]}> ` : '';
-    
-    // Check for numbered output
-    const shouldNumber = userPrompt.toLowerCase().includes('number') || 
-                        userPrompt.toLowerCase().includes('numara') || 
-                        userPrompt.toLowerCase().includes('sayı');
-    
-    // Check for increment pattern
-    const isIncrementing = userPrompt.toLowerCase().includes('increment');
-    
-    // Generate steps for each repetition
-    const steps = [];
-    for (let i = 0; i < repeat; i++) {
-      // Add numbers if requested
-      let numberedContent = content;
-      
-      if (shouldNumber || isIncrementing) {
-        if (isIncrementing) {
-          numberedContent = `${mention}${content} ${i+1}`;
-        } else {
-          numberedContent = `${i+1}. ${mention}${content}`;
-        }
-      } else {
-        numberedContent = `${mention}${content}`;
-      }
-      
-      steps.push({
-        tool: "discord.request",
-        params: {
-          action: "message.create",
-          content: numberedContent
-        },
-        id: `s${i+1}`
-      });
-    }
-    
-    return JSON.stringify({
-      steps: steps,
-      meta: { strategy: "sequential" }
-    });
-  }
-  
-  /**
-   * Process timeout command
-   * @param {string} userPrompt - User prompt
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processTimeoutCommand(userPrompt) {
-    // Extract user to timeout
-    const userIdMatch = userPrompt.match(/<@!?(\d+)>/);
-    const userId = userIdMatch ? userIdMatch[1] : "USER_ID_REQUIRED";
-    
-    // Extract duration
-    let duration = 300; // Default 5 minutes
-    const minuteMatch = userPrompt.match(/(\d+)\s*(?:minute|dakika|min|dk)/i);
-    if (minuteMatch) duration = parseInt(minuteMatch[1]) * 60;
-    
-    const hourMatch = userPrompt.match(/(\d+)\s*(?:hour|saat|h)/i);
-    if (hourMatch) duration = parseInt(hourMatch[1]) * 3600;
-    
-    const dayMatch = userPrompt.match(/(\d+)\s*(?:day|gün|d)/i);
-    if (dayMatch) duration = parseInt(dayMatch[1]) * 86400;
-    
-    // Extract reason if present
-    let reason = "Requested through bot command";
-    const reasonMatch = userPrompt.match(/reason[: ]+"([^"]+)"/i);
-    if (reasonMatch) reason = reasonMatch[1];
-    
-    return JSON.stringify({
-      steps: [
-        {
-          tool: "discord.request",
-          params: {
-            action: "member.timeout",
-            userId: userId,
-            duration: duration,
-            reason: reason
-          },
-          id: "s1"
-        },
-        {
-          tool: "discord.request",
-          params: {
-            action: "message.create",
-            content: `✅ Kullanıcı <@${userId}> ${formatDuration(duration)} süreyle susturuldu.`
-          },
-          id: "s2"
-        }
-      ],
-      meta: { strategy: "sequential" }
-    });
-  }
-  
-  /**
-   * Process purge command
-   * @param {string} userPrompt - User prompt 
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processPurgeCommand(userPrompt) {
-    // Extract count
-    const countMatch = userPrompt.match(/(\d+)\s*(?:message|mesaj|msg)/i);
-    const count = countMatch ? Math.min(parseInt(countMatch[1]), 100) : 10;
-    
-    // Extract user
-    const userIdMatch = userPrompt.match(/<@!?(\d+)>/);
-    const userId = userIdMatch ? userIdMatch[1] : null;
-    
-    const steps = [
-      {
-        tool: "discord.request",
-        params: {
-          action: "channel.purge",
-          limit: count,
-          ...(userId && { userId: userId })
-        },
-        id: "s1"
-      },
-      {
-        tool: "discord.request",
-        params: {
-          action: "message.create",
-          content: userId ? 
-            `✅ ${count} mesaj <@${userId}> kullanıcısından temizlendi.` : 
-            `✅ ${count} mesaj temizlendi.`
-        },
-        id: "s2"
-      }
-    ];
-    
-    return JSON.stringify({
-      steps: steps,
-      meta: { strategy: "sequential" }
-    });
-  }
-  
-  /**
-   * Process ban command
-   * @param {string} userPrompt - User prompt
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processBanCommand(userPrompt) {
-    // Extract user to ban
-    const userIdMatch = userPrompt.match(/<@!?(\d+)>/);
-    const userId = userIdMatch ? userIdMatch[1] : "USER_ID_REQUIRED";
-    
-    // Extract reason if present
-    let reason = "Banned through bot command";
-    const reasonMatch = userPrompt.match(/reason[: ]+"([^"]+)"/i);
-    if (reasonMatch) reason = reasonMatch[1];
-    
-    // Extract delete message days
-    let deleteMessageDays = 0;
-    const daysMatch = userPrompt.match(/delete[: ]+(\d+)/i);
-    if (daysMatch) deleteMessageDays = Math.min(parseInt(daysMatch[1]), 7);
-    
-    return JSON.stringify({
-      steps: [
-        {
-          tool: "discord.request",
-          params: {
-            action: "member.ban",
-            userId: userId,
-            reason: reason,
-            deleteMessageDays: deleteMessageDays
-          },
-          id: "s1"
-        },
-        {
-          tool: "discord.request",
-          params: {
-            action: "message.create",
-            content: `✅ Kullanıcı <@${userId}> sunucudan yasaklandı.`
-          },
-          id: "s2"
-        }
-      ],
-      meta: { strategy: "sequential" },
-      requiresApproval: true
-    });
-  }
-  
-  /**
-   * Process kick command
-   * @param {string} userPrompt - User prompt
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processKickCommand(userPrompt) {
-    // Extract user to kick
-    const userIdMatch = userPrompt.match(/<@!?(\d+)>/);
-    const userId = userIdMatch ? userIdMatch[1] : "USER_ID_REQUIRED";
-    
-    // Extract reason if present
-    let reason = "Kicked through bot command";
-    const reasonMatch = userPrompt.match(/reason[: ]+"([^"]+)"/i);
-    if (reasonMatch) reason = reasonMatch[1];
-    
-    return JSON.stringify({
-      steps: [
-        {
-          tool: "discord.request",
-          params: {
-            action: "member.kick",
-            userId: userId,
-            reason: reason
-          },
-          id: "s1"
-        },
-        {
-          tool: "discord.request",
-          params: {
-            action: "message.create",
-            content: `✅ Kullanıcı <@${userId}> sunucudan atıldı.`
-          },
-          id: "s2"
-        }
-      ],
-      meta: { strategy: "sequential" },
-      requiresApproval: true
-    });
-  }
-  
-  /**
-   * Process role command
-   * @param {string} userPrompt - User prompt
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processRoleCommand(userPrompt) {
-    // Check if add or remove
-    const isAdd = userPrompt.match(/\b(add|ver|ekle)\b/i) !== null;
-    const action = isAdd ? "role.add" : "role.remove";
-    
-    // Extract user
-    const userIdMatch = userPrompt.match(/<@!?(\d+)>/);
-    const userId = userIdMatch ? userIdMatch[1] : "USER_ID_REQUIRED";
-    
-    // Extract role - either by mention or by name
-    let roleName = "RoleName";
-    let roleId = null;
-    
-    const roleIdMatch = userPrompt.match(/<@&(\d+)>/);
-    if (roleIdMatch) {
-      roleId = roleIdMatch[1];
-    } else {
-      // Try to extract name
-      const roleNameMatch = userPrompt.match(/role[: ]+"([^"]+)"/i);
-      if (roleNameMatch) roleName = roleNameMatch[1];
-    }
-    
-    return JSON.stringify({
-      steps: [
-        {
-          tool: "discord.request",
-          params: {
-            action: action,
-            userId: userId,
-            ...(roleId ? { roleId } : { roleName })
-          },
-          id: "s1"
-        },
-        {
-          tool: "discord.request",
-          params: {
-            action: "message.create",
-            content: isAdd ? 
-              `✅ <@${userId}> kullanıcısına ${roleId ? `<@&${roleId}>` : `"${roleName}"`} rolü verildi.` : 
-              `✅ <@${userId}> kullanıcısından ${roleId ? `<@&${roleId}>` : `"${roleName}"`} rolü alındı.`
-          },
-          id: "s2"
-        }
-      ],
-      meta: { strategy: "sequential" }
-    });
-  }
-  
-  /**
-   * Process channel command
-   * @param {string} userPrompt - User prompt
-   * @returns {string} - JSON response
-   * @private
-   */
-  _processChannelCommand(userPrompt) {
-    // Determine action type
-    const isCreate = userPrompt.match(/\b(create|oluştur|add|ekle)\b/i) !== null;
-    const isDelete = userPrompt.match(/\b(delete|sil|remove|kaldır)\b/i) !== null;
-    const isPurge = userPrompt.match(/\b(purge|temizle|clear)\b/i) !== null;
-    
-    if (isPurge) {
-      return this._processPurgeCommand(userPrompt);
-    }
-    
-    if (isCreate) {
-      // Extract channel name
-      let channelName = "new-channel";
-      const nameMatch = userPrompt.match(/name[: ]+"([^"]+)"/i);
-      if (nameMatch) channelName = nameMatch[1];
-      
-      // Extract channel type
-      let channelType = "GUILD_TEXT";
-      if (userPrompt.match(/\b(voice|ses)\b/i)) {
-        channelType = "GUILD_VOICE";
-      }
-      
-      return JSON.stringify({
-        steps: [
-          {
-            tool: "discord.request",
-            params: {
-              action: "channel.create",
-              name: channelName,
-              type: channelType
-            },
-            id: "s1"
-          },
-          {
-            tool: "discord.request",
-            params: {
-              action: "message.create",
-              content: `✅ "${channelName}" kanalı oluşturuldu.`
-            },
-            id: "s2"
-          }
-        ],
-        meta: { strategy: "sequential" }
-      });
-    }
-    
-    if (isDelete) {
-      // Extract channel
-      let channelId = null;
-      const channelIdMatch = userPrompt.match(/<#(\d+)>/);
-      if (channelIdMatch) {
-        channelId = channelIdMatch[1];
-      }
-      
-      return JSON.stringify({
-        steps: [
-          {
-            tool: "discord.request",
-            params: {
-              action: "channel.delete",
-              channelId: channelId
-            },
-            id: "s1"
-          },
-          {
-            tool: "discord.request",
-            params: {
-              action: "message.create",
-              content: `✅ Kanal silindi.`
-            },
-            id: "s2"
-          }
-        ],
-        meta: { strategy: "sequential" },
-        requiresApproval: true
-      });
-    }
-    
-    // Default channel action
-    return JSON.stringify({
-      steps: [
-        {
-          tool: "discord.request",
-          params: {
-            action: "message.create",
-            content: "❓ Kanal komutu için lütfen create veya delete belirtin."
-          },
-          id: "s1"
-        }
-      ],
-      meta: { strategy: "sequential" }
-    });
-  }
   
   /**
    * Set configuration parameters
@@ -916,25 +464,10 @@ Example of VALID JSON structure:
     if (config.retryDelay !== undefined) this.retryDelay = config.retryDelay;
     if (config.useFallbackOnError !== undefined) this.useFallbackOnError = config.useFallbackOnError;
     if (config.fixJsonInResponse !== undefined) this.fixJsonInResponse = config.fixJsonInResponse;
+    if (config.constrainedOutput !== undefined) this.constrainedOutput = config.constrainedOutput;
     
     this.logger.info('LLM Service configuration updated');
   }
-  
-  /**
-   * Reset the service cache
-   */
-  resetCache() {
-    this._cache.clear();
-    this.logger.info('LLM Service cache cleared');
-  }
-}
-
-// Helper function for duration formatting
-function formatDuration(seconds) {
-  if (seconds < 60) return `${seconds} saniye`;
-  if (seconds < 3600) return `${Math.floor(seconds / 60)} dakika`;
-  if (seconds < 86400) return `${Math.floor(seconds / 3600)} saat`;
-  return `${Math.floor(seconds / 86400)} gün`;
 }
 
 module.exports = { LLMService };
\ No newline at end of file
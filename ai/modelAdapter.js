@@ -3,12 +3,18 @@
  * Farklı modellere göre prompt'ları optimize eder
  */
 class ModelAdapter {
-  constructor(modelName, logger) {
-    this.modelName = modelName;
+  /**
+   * @param {string} modelName - Model adı
+   * @param {Object} logger - Logger
+   * @param {string} providerName - Sağlayıcı (openai, ollama, llamacpp, mock)
+   */
+  constructor(modelName, logger, providerName = 'openai') {
+    this.modelName = modelName || '';
     this.logger = logger;
-    this.modelType = this._detectModelType(modelName);
+    this.providerName = providerName;
+    this.modelType = this._detectModelType(this.modelName);
     
-    this.logger.info(`Model adaptör başlatıldı: ${modelName} (tip: ${this.modelType})`);
+    this.logger.info(`Model adaptör başlatıldı: ${modelName} (tip: ${this.modelType}, sağlayıcı: ${providerName})`);
   }
   
   /**
@@ -33,6 +39,9 @@ class ModelAdapter {
    * @returns {string} - Optimize edilmiş sistem promptu
    */
   optimizeSystemPrompt(basePrompt) {
+    // Mock sağlayıcı promptu okumaz, deterministik kalsın
+    if (this.providerName === 'mock') return basePrompt;
+    
     // Temel model tipine göre prompt eklentileri
     const modelSpecificInstructions = {
       llama: `
@@ -86,29 +95,31 @@ CRITICAL JSON GUIDELINES:
    * @returns {string} - Optimize edilmiş kullanıcı promptu
    */
   optimizeUserPrompt(userPrompt) {
+    if (this.providerName === 'mock') return userPrompt;
+    
     // Tüm modellere uygun bazı yönergeler ekle
     return `${userPrompt}\n\nREMEMBER: Respond with VALID JSON ONLY. No explanations or markdown formatting.`;
   }
   
   /**
    * LLM isteği için API parametrelerini optimize et
-   * @param {Object} baseParams - Temel API parametreleri
-   * @returns {Object} - Optimize edilmiş API parametreleri
+   * @param {Object} baseParams - Sağlayıcıdan bağımsız parametreler ({ temperature, topP, maxTokens, json, extra })
+   * @returns {Object} - Optimize edilmiş parametreler (sağlayıcı kendi formatına çevirir)
    */
   optimizeApiParams(baseParams) {
     // Model tipine göre özel parametreler
-    const optimizedParams = {...baseParams};
+    const optimizedParams = {...baseParams, extra: {...baseParams.extra}};
     
     switch (this.modelType) {
       case 'llama':
         // Llama için daha düşük sıcaklık, daha tutarlı yanıtlar
         optimizedParams.temperature = 0.1;
-        optimizedParams.top_p = 0.9;
+        optimizedParams.topP = 0.9;
         break;
         
       case 'gpt':
-        // GPT için response_format parametresi ekle
-        optimizedParams.response_format = { type: "json_object" };
+        // GPT JSON modunu destekliyor
+        optimizedParams.json = true;
         break;
         
       case 'mistral':
@@ -117,6 +128,23 @@ CRITICAL JSON GUIDELINES:
         break;
     }
     
+    // Sağlayıcıya göre ayarlar
+    switch (this.providerName) {
+      case 'ollama':
+        // Uzun sistem promptu için varsayılan 2048 bağlam yetmiyor
+        optimizedParams.extra.options = { num_ctx: 8192, ...optimizedParams.extra.options };
+        break;
+        
+      case 'llamacpp':
+        // Tek model yüklü ve adı genelde bilinmiyor; tekrar cezası JSON döngülerini engeller
+        optimizedParams.extra.repeat_penalty = optimizedParams.extra.repeat_penalty ?? 1.1;
+        break;
+        
+      case 'mock':
+        optimizedParams.temperature = 0;
+        break;
+    }
+    
     return optimizedParams;
   }
 }
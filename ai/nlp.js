@@ -3,6 +3,9 @@
  * Provides intent detection and entity extraction from natural language
  */
 class NLP {
+  /**
+   * @param {LLMService} llm - LLM service (any provider)
+   */
   constructor(llm) {
     this.llm = llm;
   }
@@ -18,20 +21,15 @@ class NLP {
     try {
       const prompt = this._buildEntityExtractionPrompt(text, commandType, context);
       
-      const response = await this.llm.createChatCompletion({
-        messages: [
-          { 
-            role: "system", 
-            content: "You are an AI assistant that extracts structured information from natural language commands." 
-          },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.1,
-        response_format: { type: "json_object" }
-      });
+      const content = await this.llm.chat([
+        { 
+          role: "system", 
+          content: "You are an AI assistant that extracts structured information from natural language commands." 
+        },
+        { role: "user", content: prompt }
+      ], { temperature: 0.1, json: true });
       
       // Parse the response
-      const content = response.choices[0].message.content;
       return JSON.parse(content);
     } catch (error) {
       console.error('Error extracting entities:', error);
@@ -0,0 +1,324 @@
+/**
+ * Plan Cache - reuses the plans of repeated commands
+ * @module ai/planCache
+ * @description Plans are stored as templates keyed on the normalized command and a hash of the
+ * guild's roles and channels. Mentions, IDs, durations and numbers in the command become
+ * parameters, so "timeout @a 5m" and "timeout @b 10m" share one template. Entries persist in the
+ * database and are dropped when the guild's roles or channels change.
+ */
+const crypto = require('crypto');
+const { validatePlan } = require('./planSchema');
+const { DURATION_UNITS: UNITS } = require('../utils/timeUtils');
+
+const UNIT_PATTERN = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+
+// Mentions, raw IDs, durations and plain numbers, in that order of precedence
+const PARAMETER_PATTERN = new RegExp(
+  `<@!?(\\d{15,21})>|<@&(\\d{15,21})>|<#(\\d{15,21})>|(\\d{15,21})|(\\d+)\\s*(${UNIT_PATTERN})(?![\\p{L}\\d])|(\\d+)`,
+  'giu'
+);
+
+// Commands that refer to earlier commands depend on the conversation, not only on their text
+const FOLLOW_UP_PATTERN = /(?:^|[^\p{L}])(same|again|that|those|it|him|her|them|previous|aynı\p{L}*|tekrar|yine|bunu|şunu|onu|onları|öncekini)(?=$|[^\p{L}])/iu;
+
+const SNOWFLAKE_PATTERN = /\d{15,21}/g;
+
+/**
+ * Placeholder for a parameter inside a cached plan
+ * @private
+ */
+function placeholder(name) {
+  return `{{param:${name}}}`;
+}
+
+class PlanCache {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} repository - storage.planCache
+   * @param {Object} options - { ENABLED, TTL (seconds) }
+   */
+  constructor(logger, repository, options = {}) {
+    this.logger = logger;
+    this.repository = repository;
+    this.enabled = options.ENABLED ?? true;
+    this.ttl = (options.TTL ?? 7 * 24 * 60 * 60) * 1000;
+
+    // Hash of each guild's roles and channels, until they change
+    this.guildHashes = new Map();
+    this.metrics = { hits: 0, misses: 0, stored: 0, skipped: 0, invalidations: 0 };
+
+    const expired = this.repository.deleteExpired();
+    if (expired > 0) this.logger.info(`Plan cache: removed ${expired} expired entries`);
+  }
+
+  /**
+   * Command text with its variable parts replaced by named parameters
+   * @param {Message} message - Command message
+   * @param {string} command - Command text
+   * @returns {Object} - { template, params: [{ name, value }] }
+   */
+  parameterize(message, command) {
+    const params = [];
+    const counters = {};
+    const add = (kind, value) => {
+      const existing = params.find(p => p.kind === kind && p.value === value);
+      if (existing) return existing.name;
+
+      counters[kind] = (counters[kind] || 0) + 1;
+      const name = `${kind}${counters[kind]}`;
+      params.push({ name, kind, value });
+      return name;
+    };
+
+    const template = String(command).replace(PARAMETER_PATTERN, (match, user, role, channel, id, amount, unit, number) => {
+      let name;
+      if (user) name = add('user', user);
+      else if (role) name = add('role', role);
+      else if (channel) name = add('channel', channel);
+      else if (id) name = add('id', id);
+      else if (amount) name = add('duration', parseInt(amount) * UNITS[unit.toLowerCase()]);
+      else name = add('n', parseInt(number));
+      return `<${name}>`;
+    });
+
+    return {
+      template: template.toLocaleLowerCase('tr').replace(/\s+/g, ' ').trim(),
+      params
+    };
+  }
+
+  /**
+   * Cached plan for a command, filled in with its parameters
+   * @param {Message} message - Command message
+   * @param {string} command - Command text
+   * @returns {Object|null} - Plan, or null on a miss
+   */
+  lookup(message, command) {
+    if (!this._isCacheable(message, command)) return null;
+
+    const { template, params } = this.parameterize(message, command);
+    const key = this._key(message.guild, template);
+    const entry = this.repository.get(key);
+    if (!entry) {
+      this.metrics.misses++;
+      return null;
+    }
+
+    const plan = this._instantiate(entry.plan, [...params, ...this._implicitParams(message)]);
+    if (!plan || !validatePlan(plan).valid) {
+      // e.g. a number that is out of range for this action
+      this.metrics.misses++;
+      return null;
+    }
+
+    this.metrics.hits++;
+    this.repository.recordHit(key);
+    this.logger.info(`Plan cache hit for "${template}"`);
+    return { ...plan, meta: { ...plan.meta, cached: true } };
+  }
+
+  /**
+   * Store a generated plan as a template, if it only depends on the command's parameters
+   * @param {Message} message - Command message
+   * @param {string} command - Command text
+   * @param {Object} plan - Valid plan generated for the command
+   * @returns {boolean} - Whether the plan was stored
+   */
+  store(message, command, plan) {
+    if (!this._isCacheable(message, command) || !this._isStorablePlan(plan)) return false;
+
+    const { template, params } = this.parameterize(message, command);
+    const templated = this._templatize(message, plan, params);
+    if (!templated) {
+      this.metrics.skipped++;
+      this.logger.debug(`Plan cache: "${template}" depends on more than its parameters, not cached`);
+      return false;
+    }
+
+    this.repository.save({
+      key: this._key(message.guild, template),
+      guildId: message.guild.id,
+      template,
+      plan: templated,
+      expiresAt: Date.now() + this.ttl
+    });
+    this.metrics.stored++;
+    return true;
+  }
+
+  /**
+   * Drop a guild's entries, e.g. after its roles or channels changed
+   * @param {string} guildId - Guild ID
+   * @param {string} reason - Logged reason
+   * @returns {number} - Removed entries
+   */
+  invalidateGuild(guildId, reason = 'manual') {
+    this.guildHashes.delete(guildId);
+    const removed = this.repository.deleteGuild(guildId);
+    this.metrics.invalidations++;
+    if (removed > 0) this.logger.info(`Plan cache: removed ${removed} entries of guild ${guildId} (${reason})`);
+    return removed;
+  }
+
+  /**
+   * Hit/miss counters since startup and the stored entries
+   * @param {string|null} guildId - Limit stored entries to one guild
+   * @returns {Object} - { hits, misses, hitRate, stored, skipped, invalidations, entries, totalHits }
+   */
+  stats(guildId = null) {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    const stored = this.repository.stats(guildId);
+    return {
+      ...this.metrics,
+      hitRate: lookups > 0 ? this.metrics.hits / lookups : 0,
+      entries: stored.entries,
+      totalHits: stored.hits
+    };
+  }
+
+  /**
+   * @private
+   */
+  _isCacheable(message, command) {
+    return this.enabled && !!message?.guild && !FOLLOW_UP_PATTERN.test(command);
+  }
+
+  /**
+   * Only plain, valid Discord action plans are reused
+   * @private
+   */
+  _isStorablePlan(plan) {
+    return !!plan && Array.isArray(plan.steps) && plan.steps.length > 0 &&
+      !plan.meta?.isErrorPlan && !plan.meta?.cached &&
+      plan.steps.every(step => step.tool === 'discord.request') &&
+      validatePlan(plan).valid;
+  }
+
+  /**
+   * The command's guild, channel and author, replaced wherever the plan uses them
+   * @private
+   */
+  _implicitParams(message) {
+    return [
+      { name: 'author', kind: 'implicit', value: message.author.id },
+      { name: 'channel', kind: 'implicit', value: message.channel.id },
+      { name: 'guild', kind: 'implicit', value: message.guild.id }
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _key(guild, template) {
+    return crypto.createHash('sha256').update(`${guild.id}|${this._guildHash(guild)}|${template}`).digest('hex');
+  }
+
+  /**
+   * Hash of the role and channel names and IDs plans may refer to
+   * @private
+   */
+  _guildHash(guild) {
+    if (!this.guildHashes.has(guild.id)) {
+      const roles = guild.roles.cache.map(role => `r${role.id}:${role.name}`);
+      const channels = guild.channels.cache.map(channel => `c${channel.id}:${channel.name}:${channel.type}`);
+      const hash = crypto.createHash('sha1').update([...roles, ...channels].sort().join('\n')).digest('hex');
+      this.guildHashes.set(guild.id, hash);
+    }
+    return this.guildHashes.get(guild.id);
+  }
+
+  /**
+   * Replace parameter values in the plan with placeholders. Returns null when the plan uses
+   * something the parameters do not explain: an unused parameter, two parameters with the same
+   * value, a number repeated inside text, or an ID that is neither a parameter nor a role or
+   * channel of the guild (e.g. a member picked from recent activity)
+   * @private
+   */
+  _templatize(message, plan, params) {
+    const values = params.map(p => String(p.value));
+    if (new Set(values).size !== values.length) return null;
+
+    const all = [...params, ...this._implicitParams(message)];
+    const ids = all.filter(p => typeof p.value === 'string');
+    const numbers = params.filter(p => typeof p.value === 'number');
+    const used = new Set();
+    let ambiguous = false;
+
+    const visit = value => {
+      if (typeof value === 'number') {
+        const param = numbers.find(p => p.value === value);
+        if (!param) return value;
+        used.add(param.name);
+        return placeholder(param.name);
+      }
+      if (typeof value === 'string') {
+        const whole = ids.find(p => p.value === value);
+        if (whole) {
+          used.add(whole.name);
+          return placeholder(whole.name);
+        }
+
+        const raw = params.filter(p => p.kind === 'n' || p.kind === 'duration');
+        if (raw.some(p => new RegExp(`(^|\\D)${p.value}(\\D|$)`).test(value))) ambiguous = true;
+
+        return value.replace(SNOWFLAKE_PATTERN, id => {
+          const param = ids.find(p => p.value === id);
+          if (!param) return id;
+          used.add(param.name);
+          return placeholder(param.name);
+        });
+      }
+      if (Array.isArray(value)) return value.map(visit);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, visit(item)]));
+      }
+      return value;
+    };
+
+    const templated = {
+      steps: visit(plan.steps),
+      meta: { strategy: plan.meta?.strategy || 'sequential' },
+      requiresApproval: !!plan.requiresApproval
+    };
+
+    if (ambiguous || params.some(p => !used.has(p.name))) return null;
+
+    // Remaining IDs must be structural, which the guild hash covers
+    const guild = message.guild;
+    const leftover = JSON.stringify(templated.steps).match(SNOWFLAKE_PATTERN) || [];
+    if (leftover.some(id => !guild.roles.cache.has(id) && !guild.channels.cache.has(id))) return null;
+
+    return templated;
+  }
+
+  /**
+   * Fill placeholders with this command's values
+   * @private
+   */
+  _instantiate(template, params) {
+    let missing = false;
+    const lookup = name => {
+      const param = params.find(p => p.name === name);
+      if (!param) missing = true;
+      return param?.value;
+    };
+
+    const visit = value => {
+      if (typeof value === 'string') {
+        const whole = value.match(/^\{\{param:(\w+)\}\}$/);
+        if (whole) return lookup(whole[1]);
+        return value.replace(/\{\{param:(\w+)\}\}/g, (match, name) => String(lookup(name)));
+      }
+      if (Array.isArray(value)) return value.map(visit);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, visit(item)]));
+      }
+      return value;
+    };
+
+    const plan = visit(template);
+    return missing ? null : plan;
+  }
+}
+
+module.exports = { PlanCache };
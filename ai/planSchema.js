@@ -0,0 +1,488 @@
+/**
+ * Plan Schema - the contract every execution plan must satisfy
+ * @module ai/planSchema
+ * @description JSON Schema (draft-07 subset) for plans, with per-action parameter schemas,
+ * and a validator that reports precise error paths such as "steps[1].params.userId missing"
+ */
+const { isReference } = require('../utils/templateUtils');
+const { actionRegistry } = require('../core/actions');
+const {
+  CONTROL_TOOLS,
+  BLOCK_KEYS,
+  LIMITS,
+  MAX_BLOCK_STEPS,
+  VARIABLE_NAME,
+  OPERATORS,
+  isControlStep,
+  loopVariables,
+  externalReferences
+} = require('../workflow/controlFlow');
+
+/**
+ * Parameter schema of every action, from the action registry; params may carry extra keys
+ */
+const ACTION_PARAMS = actionRegistry.paramSchemas();
+
+const ACTIONS = Object.keys(ACTION_PARAMS);
+
+// Params of discord.request steps: an action and its parameters
+const ACTION_STEP_PARAMS = {
+  type: 'object',
+  required: ['action'],
+  properties: { action: { type: 'string', enum: ACTIONS } },
+  allOf: ACTIONS.map(action => ({
+    if: { properties: { action: { const: action } } },
+    then: { type: 'object', ...ACTION_PARAMS[action] }
+  }))
+};
+
+// Steps of a plan
+const MAX_PLAN_STEPS = 25;
+
+// Steps inside a control step (items is set to STEP_SCHEMA below, blocks nest)
+const BLOCK = { type: 'array', minItems: 1, maxItems: MAX_BLOCK_STEPS };
+
+// Steps of a saved workflow; it was a whole plan when it was saved
+const SAVED_STEPS = { type: 'array', minItems: 1, maxItems: MAX_PLAN_STEPS };
+
+// { left, operator, right }; either side may be a reference such as {{s1.result.warnings}}
+const CONDITION = {
+  type: 'object',
+  required: ['left', 'operator'],
+  properties: { operator: { enum: Object.keys(OPERATORS) } }
+};
+
+// Params of if / forEach / repeat / run steps
+const CONTROL_PARAMS = {
+  'workflow.if': {
+    required: ['condition', 'then'],
+    properties: { condition: CONDITION, then: BLOCK, else: BLOCK }
+  },
+  'workflow.forEach': {
+    required: ['items', 'steps'],
+    properties: {
+      items: {
+        anyOf: [
+          { type: 'array', description: 'a list' },
+          { type: 'string', format: 'reference', description: 'a reference to a list ({{s1.result.members}})' }
+        ]
+      },
+      as: { type: 'string', format: 'variable' },
+      steps: BLOCK
+    }
+  },
+  'workflow.repeat': {
+    required: ['times', 'steps'],
+    properties: {
+      times: {
+        anyOf: [
+          { type: 'integer', minimum: 0, description: 'a number' },
+          { type: 'string', format: 'reference', description: 'a reference to a number' }
+        ]
+      },
+      steps: BLOCK
+    }
+  },
+  // A planned step only names the workflow; WorkflowLibrary loads its steps before the plan runs
+  'workflow.run': {
+    required: ['name'],
+    properties: { name: { type: 'string', minLength: 1 }, params: { type: 'object' }, steps: SAVED_STEPS }
+  }
+};
+
+const STEP_SCHEMA = {
+  type: 'object',
+  required: ['id', 'tool', 'params'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    tool: { enum: ['discord.request', ...CONTROL_TOOLS] },
+    dependsOn: { type: 'array', items: { type: 'string' } },
+    params: { type: 'object' }
+  },
+  allOf: [
+    {
+      if: { required: ['tool'], properties: { tool: { const: 'discord.request' } } },
+      then: { properties: { params: ACTION_STEP_PARAMS } }
+    },
+    ...CONTROL_TOOLS.map(tool => ({
+      if: { required: ['tool'], properties: { tool: { const: tool } } },
+      then: { properties: { params: { type: 'object', ...CONTROL_PARAMS[tool] } } }
+    }))
+  ]
+};
+BLOCK.items = STEP_SCHEMA;
+SAVED_STEPS.items = STEP_SCHEMA;
+
+const PLAN_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'becasbot/plan',
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    steps: { type: 'array', minItems: 1, maxItems: MAX_PLAN_STEPS, items: STEP_SCHEMA },
+    meta: {
+      type: 'object',
+      properties: { strategy: { enum: ['sequential', 'parallel'] } }
+    },
+    requiresApproval: { type: 'boolean' }
+  }
+};
+
+/**
+ * Shape of a plan for constrained decoding (Ollama format / llama.cpp grammar).
+ * Only keywords grammars understand: one object per action with the action as a const,
+ * properties in the order the system prompt shows them and no extra keys
+ */
+// A Discord ID, or an ID an earlier step returns ({{s1.result.id}}) or a loop is at ({{member.id}})
+const OUTPUT_ID = {
+  anyOf: [
+    { type: 'string', pattern: '^[0-9]{15,21}$' },
+    { type: 'string', pattern: '^\\{\\{[a-zA-Z][a-zA-Z0-9]*(\\.[a-zA-Z]+)*\\}\\}$' }
+  ]
+};
+
+function outputParams(action) {
+  const { required = [], properties = {} } = ACTION_PARAMS[action];
+  const ordered = [...required, ...Object.keys(properties).filter(key => !required.includes(key))];
+
+  const outputProperties = { action: { const: action } };
+  for (const key of ordered) {
+    const property = properties[key] || { type: 'string' };
+    outputProperties[key] = property.format === 'snowflake' ? OUTPUT_ID : property;
+  }
+  return { type: 'object', required: ['action', ...required], properties: outputProperties };
+}
+
+const OUTPUT_ACTION_STEP = {
+  type: 'object',
+  required: ['tool', 'params', 'id'],
+  properties: {
+    tool: { const: 'discord.request' },
+    params: { anyOf: ACTIONS.map(outputParams) },
+    id: { type: 'string' },
+    dependsOn: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Control steps hold action steps only; grammars cannot describe nesting of any depth
+const OUTPUT_BLOCK = { type: 'array', minItems: 1, maxItems: MAX_BLOCK_STEPS, items: OUTPUT_ACTION_STEP };
+
+const OUTPUT_CONTROL_PARAMS = {
+  'workflow.if': {
+    type: 'object',
+    required: ['condition', 'then'],
+    properties: {
+      condition: {
+        type: 'object',
+        required: ['left', 'operator', 'right'],
+        properties: {
+          left: { type: 'string' },
+          operator: { enum: Object.keys(OPERATORS) },
+          right: { anyOf: [{ type: 'number' }, { type: 'string' }] }
+        }
+      },
+      then: OUTPUT_BLOCK,
+      else: OUTPUT_BLOCK
+    }
+  },
+  'workflow.forEach': {
+    type: 'object',
+    required: ['items', 'as', 'steps'],
+    properties: { items: { type: 'string' }, as: { type: 'string' }, steps: OUTPUT_BLOCK }
+  },
+  'workflow.repeat': {
+    type: 'object',
+    required: ['times', 'steps'],
+    properties: { times: { type: 'integer', minimum: 0 }, steps: OUTPUT_BLOCK }
+  },
+  // The steps of a saved workflow are loaded by name
+  'workflow.run': {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string' },
+      params: { type: 'object', additionalProperties: { anyOf: [{ type: 'string' }, { type: 'number' }] } }
+    }
+  }
+};
+
+const PLAN_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_PLAN_STEPS,
+      items: {
+        anyOf: [
+          OUTPUT_ACTION_STEP,
+          ...CONTROL_TOOLS.map(tool => ({
+            type: 'object',
+            required: ['tool', 'params', 'id'],
+            properties: {
+              tool: { const: tool },
+              params: OUTPUT_CONTROL_PARAMS[tool],
+              id: { type: 'string' },
+              dependsOn: { type: 'array', items: { type: 'string' } }
+            }
+          }))
+        ]
+      }
+    },
+    meta: {
+      type: 'object',
+      required: ['strategy'],
+      properties: { strategy: { enum: ['sequential', 'parallel'] } }
+    }
+  }
+};
+
+const FORMATS = {
+  snowflake: {
+    test: value => /^\d{15,21}$/.test(value) || isReference(value),
+    message: 'must be a Discord ID (snowflake) or a step reference'
+  },
+  reference: {
+    test: value => isReference(value),
+    message: 'must be a step reference such as {{s1.result.members}}'
+  },
+  variable: {
+    test: value => VARIABLE_NAME.test(value) && value !== 'index',
+    message: 'must be a name made of letters and digits, other than "index"'
+  }
+};
+
+/**
+ * JSON type name of a value
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against the supported schema keywords
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, e.g. "steps[1].params"
+ * @param {Array<Object>} errors - Collected { path, message }
+ * @private
+ */
+function check(value, schema, path, errors) {
+  const at = (key) => (path ? `${path}.${key}` : key);
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}` });
+    return;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push({ path, message: FORMATS[schema.format].message });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: at(key), message: 'missing' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        check(value[key], propertySchema, at(key), errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    if (sub.if) {
+      const conditionErrors = [];
+      check(value, sub.if, path, conditionErrors);
+      if (conditionErrors.length === 0 && sub.then) check(value, sub.then, path, errors);
+    } else {
+      check(value, sub, path, errors);
+    }
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(sub => {
+      const subErrors = [];
+      check(value, sub, path, subErrors);
+      return subErrors.length === 0;
+    });
+    if (!passes) {
+      const options = schema.anyOf.map(sub => sub.description || JSON.stringify(sub)).join(' or ');
+      errors.push({ path: path || '(plan)', message: `needs ${options}` });
+    }
+  }
+}
+
+/**
+ * Checks the schema cannot express: unique step IDs, dependsOn and {{...}} references,
+ * cycles, and how deep control steps nest
+ * @private
+ */
+function checkReferences(plan, errors) {
+  if (!Array.isArray(plan?.steps)) return;
+  checkBlock(plan.steps, 'steps', new Set(), 0, errors);
+}
+
+/**
+ * Check one list of steps. Steps inside a control step may also use the names of the
+ * enclosing lists (outer) and its loop variables ({{member.id}}, {{index}})
+ * @private
+ */
+function checkBlock(steps, basePath, outer, depth, errors) {
+  const ids = new Map();
+  steps.forEach((step, index) => {
+    if (!step?.id) return;
+    if (ids.has(step.id)) {
+      errors.push({ path: `${basePath}[${index}].id`, message: `duplicates ${basePath}[${ids.get(step.id)}].id "${step.id}"` });
+    } else {
+      ids.set(step.id, index);
+    }
+  });
+
+  steps.forEach((step, index) => {
+    if (!Array.isArray(step?.dependsOn)) return;
+    step.dependsOn.forEach((dependency, depIndex) => {
+      const path = `${basePath}[${index}].dependsOn[${depIndex}]`;
+      if (dependency === step.id) {
+        errors.push({ path, message: 'step cannot depend on itself' });
+      } else if (typeof dependency === 'string' && !ids.has(dependency) && !outer.has(dependency)) {
+        errors.push({ path, message: `unknown step "${dependency}"` });
+      }
+    });
+  });
+
+  // {{stepId...}} references must point to an earlier step listed in dependsOn. Other names are
+  // text ("Use {{name}} here"), and outer names are checked where they are defined
+  steps.forEach((step, index) => {
+    if (!step?.params) return;
+    for (const reference of externalReferences(step)) {
+      if (!ids.has(reference)) continue;
+
+      const path = `${basePath}[${index}].params`;
+      if (ids.get(reference) >= index) {
+        errors.push({ path, message: `references step "${reference}", which does not run before it` });
+      } else if (!(step.dependsOn || []).includes(reference)) {
+        errors.push({ path: `${basePath}[${index}].dependsOn`, message: `must include "${reference}" (referenced in params)` });
+      }
+    }
+  });
+
+  // Cycles: depth-first search over dependsOn
+  const state = new Map();
+  const visit = (id, trail) => {
+    if (state.get(id) === 'done') return false;
+    if (state.get(id) === 'visiting') {
+      errors.push({ path: `${basePath}[${ids.get(id)}].dependsOn`, message: `dependency cycle: ${[...trail, id].join(' -> ')}` });
+      return true;
+    }
+    state.set(id, 'visiting');
+    const step = steps[ids.get(id)];
+    const cyclic = (step.dependsOn || []).some(dep => ids.has(dep) && dep !== id && visit(dep, [...trail, id]));
+    state.set(id, 'done');
+    return cyclic;
+  };
+  for (const id of ids.keys()) {
+    if (visit(id, [])) break;
+  }
+
+  // Steps inside if / forEach / repeat / run
+  steps.forEach((step, index) => {
+    if (!isControlStep(step)) return;
+
+    const path = `${basePath}[${index}]`;
+    if (depth + 1 > LIMITS.MAX_DEPTH) {
+      errors.push({ path, message: `control steps can be nested at most ${LIMITS.MAX_DEPTH} deep` });
+      return;
+    }
+
+    const visible = new Set([...outer, ...ids.keys(), ...loopVariables(step)]);
+    for (const key of BLOCK_KEYS[step.tool]) {
+      if (Array.isArray(step.params?.[key])) {
+        checkBlock(step.params[key], `${path}.params.${key}`, visible, depth + 1, errors);
+      }
+    }
+  });
+}
+
+/**
+ * Validate a plan against PLAN_SCHEMA
+ * @param {Object} plan - Plan to validate
+ * @returns {Object} - { valid, errors: [{ path, message }] }
+ */
+function validatePlan(plan) {
+  const errors = [];
+  check(plan, PLAN_SCHEMA, '', errors);
+  checkReferences(plan, errors);
+
+  // The root path is empty; report it as "plan"
+  for (const error of errors) {
+    if (!error.path) error.path = 'plan';
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * One line per error, e.g. "steps[1].params.userId missing"
+ * @param {Array<Object>} errors - Validation errors
+ * @returns {string}
+ */
+function formatValidationErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('\n');
+}
+
+module.exports = {
+  PLAN_SCHEMA,
+  PLAN_OUTPUT_SCHEMA,
+  ACTION_PARAMS,
+  ACTIONS,
+  validatePlan,
+  formatValidationErrors
+};
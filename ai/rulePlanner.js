@@ -0,0 +1,554 @@
+/**
+ * Rule Planner - deterministic plans for common commands
+ * @module ai/rulePlanner
+ * @description Matches commands against a declarative grammar of English and Turkish patterns.
+ * Mentions, IDs, durations, numbers and quoted text are extracted first as typed slots, so the
+ * patterns only describe the words around them. A complete pattern match is trusted; a command
+ * that only shares keywords with a rule gets a low confidence and is left to the LLM.
+ */
+const { DURATION_UNITS } = require('../utils/timeUtils');
+
+/*
+ * Pattern syntax (words are matched case and diacritic insensitively, as whole words):
+ *   word       literal word; "word*" also matches suffixed forms (mesaj* -> mesajı, mesajları)
+ *   (a|b c)    one of the alternatives
+ *   [a|b c]    optional, same as (a|b c) but may be skipped
+ *   {user} {role} {channel} {duration} {count} {text}
+ *              typed slots: mention or ID, "5m" / "10 dakika" (seconds), number, quoted text
+ *   {name}     one free word
+ *   {reason} {content}
+ *              free text (as short as the rest of the pattern allows)
+ * Keywords are whole words too, and take the same "*" suffix marker.
+ */
+
+const CONFIDENCE = {
+  pattern: 1,
+  // Subtracted for every optional slot filled with a default (e.g. no timeout duration)
+  defaulted: 0.1,
+  // Keywords and the required slots, but not a complete pattern
+  keywords: 0.6,
+  // Subtracted when several rules share the keywords
+  ambiguous: 0.15
+};
+
+const MAX_COMMAND_LENGTH = 500;
+const MAX_PURGE = 100;
+const MAX_REPEAT = 10;
+
+const TYPED_SLOTS = ['user', 'role', 'channel', 'duration', 'count', 'text'];
+// Raw IDs can stand for any of these
+const ID_SLOTS = ['user', 'role', 'channel'];
+const FREE_SLOTS = {
+  name: '[^\\s{}]+',
+  // A reason never contains slots, so it cannot swallow a duration or a second command
+  reason: '[^{}]+?',
+  content: '.+?'
+};
+
+const REASON = '[(because|reason|for|sebep|sebebi|nedeni|çünkü) {reason}]';
+const TR_REASON = '[{reason} (sebebiyle|nedeniyle|yüzünden|için)]';
+
+/**
+ * Commands the planner understands. build() turns the slots into step params, or returns
+ * null if they do not make a command; defaults fill optional slots at a small confidence cost.
+ */
+const GRAMMAR = [
+  {
+    name: 'timeout',
+    keywords: ['timeout', 'mute', 'silence', 'sustur*'],
+    requires: ['user'],
+    defaults: { duration: 300 },
+    patterns: [
+      `(timeout|mute|silence) {user} [for] [{duration}] ${REASON}`,
+      `{user} [{duration}] [boyunca|süreyle] ${TR_REASON} [{duration}] [boyunca|süreyle] (sustur*|sessize al|timeout (at|ver)|zaman aşımı ver)`
+    ],
+    build: ({ user, duration, reason }) => [{ action: 'member.timeout', userId: user, duration, ...(reason && { reason }) }]
+  },
+  {
+    name: 'removeTimeout',
+    keywords: ['untimeout', 'unmute'],
+    requires: ['user'],
+    patterns: [
+      `(untimeout|unmute) {user} ${REASON}`,
+      'remove [the] (timeout|mute) (from|of|for) {user}',
+      'remove {user} (timeout|mute)',
+      '{user} [için] (susturma*|timeout*|zaman aşımı*) (kaldır|aç|bitir)'
+    ],
+    build: ({ user, reason }) => [{ action: 'member.removeTimeout', userId: user, ...(reason && { reason }) }]
+  },
+  {
+    // No keywords: "mute" alone is a timeout
+    name: 'voiceMute',
+    keywords: [],
+    requires: ['user'],
+    patterns: [
+      `(server|voice) mute {user} [in voice] ${REASON}`,
+      `mute {user} in voice ${REASON}`,
+      '{user} [kullanıcısını] seste sustur*'
+    ],
+    build: ({ user, reason }) => [{ action: 'voice.mute', userId: user, ...(reason && { reason }) }]
+  },
+  {
+    name: 'voiceMove',
+    keywords: [],
+    requires: ['user', 'channel'],
+    patterns: [
+      'move {user} [to|into] {channel}',
+      '{user} [kullanıcısını] {channel} [kanal*] taşı*'
+    ],
+    build: ({ user, channel }) => [{ action: 'voice.move', userId: user, channelId: channel }]
+  },
+  {
+    name: 'kick',
+    keywords: ['kick', 'kickle'],
+    requires: ['user'],
+    patterns: [
+      `kick {user} [from [the] server] ${REASON}`,
+      `{user} ${TR_REASON} [sunucudan] (at|kickle|kick)`
+    ],
+    build: ({ user, reason }) => [{ action: 'member.kick', userId: user, ...(reason && { reason }) }]
+  },
+  {
+    name: 'ban',
+    keywords: ['ban', 'banla', 'yasakla'],
+    requires: ['user'],
+    patterns: [
+      `ban {user} [from [the] server] ${REASON}`,
+      `{user} ${TR_REASON} [sunucudan] (banla|ban at|yasakla|ban)`
+    ],
+    build: ({ user, reason }) => [{ action: 'member.ban', userId: user, ...(reason && { reason }) }]
+  },
+  {
+    name: 'unban',
+    keywords: ['unban'],
+    requires: ['user'],
+    patterns: [
+      `unban {user} ${REASON}`,
+      '(remove|lift) [the] ban (of|for|from|on) {user}',
+      '{user} [için] (ban*|yasa*) (kaldır|aç)',
+      '{user} (unban|unbanla)'
+    ],
+    build: ({ user, reason }) => [{ action: 'member.unban', userId: user, ...(reason && { reason }) }]
+  },
+  {
+    name: 'nickname',
+    keywords: ['nickname', 'nick', 'rename', 'lakap'],
+    requires: ['user', 'text'],
+    patterns: [
+      '(set|change) {user} (nick|nickname|name) to ({text}|{name})',
+      '(set|change) [the] (nick|nickname|name) (of|for) {user} to ({text}|{name})',
+      '(rename|nick) {user} [to|as] ({text}|{name})',
+      '{user} (ad*|isim*|ismi*|takma ad*|nick*|lakab*) ({text}|{name}) [olarak] (yap|değiştir|ayarla)'
+    ],
+    build: ({ user, text, name }) => (text ?? name)
+      ? [{ action: 'member.setNickname', userId: user, nickname: text ?? name }]
+      : null
+  },
+  {
+    name: 'addRole',
+    keywords: ['give', 'assign'],
+    requires: ['user'],
+    patterns: [
+      '(give|add|assign) {user} [the] ({role}|{text}) [role]',
+      '(give|add|assign) {user} [the] {name} role',
+      '(give|add|assign) [the] ({role}|{text}) [role] to {user}',
+      '(give|add|assign) [the] {name} role to {user}',
+      '{user} [kullanıcısına] ({role}|{text}) [rol*] (ver|ekle)',
+      '{user} [kullanıcısına] {name} rol* (ver|ekle)'
+    ],
+    build: slots => roleSteps('role.add', slots)
+  },
+  {
+    name: 'removeRole',
+    keywords: ['take'],
+    requires: ['user'],
+    patterns: [
+      '(remove|take) [the] ({role}|{text}) [role] from {user}',
+      '(remove|take) [the] {name} role from {user}',
+      '{user} [kullanıcısından] ({role}|{text}) [rol*] (al|kaldır|sil)',
+      '{user} [kullanıcısından] {name} rol* (al|kaldır|sil)'
+    ],
+    build: slots => roleSteps('role.remove', slots)
+  },
+  {
+    name: 'purge',
+    keywords: ['purge', 'clear', 'clean', 'temizle*'],
+    requires: [],
+    defaults: { count: 10 },
+    patterns: [
+      '(purge|clear|clean|delete|remove) [the] [last] {count} [messages|message|msgs] [(from|by|of) {user}] [(in|from) {channel}]',
+      '(purge|clear|clean) [the] [last] [{count}] (messages|chat) [(from|by|of) {user}] [(in|from) {channel}]',
+      '[{channel}] [kanal*] [{user}] [kullanıcısının] [son] [{count}] (mesaj*|sohbet*) (sil|temizle)'
+    ],
+    build: ({ count, user, channel }) => count > 0
+      ? [{ action: 'channel.purge', limit: Math.min(count, MAX_PURGE), ...(user && { userId: user }), ...(channel && { channelId: channel }) }]
+      : null
+  },
+  {
+    name: 'lock',
+    keywords: ['lock', 'kilitle*'],
+    requires: [],
+    patterns: [
+      'lock [the|this] [{channel}] [channel]',
+      '[bu] [{channel}] [kanal*] kilitle*'
+    ],
+    build: ({ channel }) => [{ action: 'channel.lock', ...(channel && { channelId: channel }) }]
+  },
+  {
+    name: 'unlock',
+    keywords: ['unlock'],
+    requires: [],
+    patterns: [
+      'unlock [the|this] [{channel}] [channel]',
+      '[bu] [{channel}] [kanal*] (kilidini|kilidi|kilit) (aç|kaldır)'
+    ],
+    build: ({ channel }) => [{ action: 'channel.unlock', ...(channel && { channelId: channel }) }]
+  },
+  {
+    name: 'createChannel',
+    keywords: ['create', 'oluştur*'],
+    requires: ['text'],
+    patterns: [
+      '(create|make|add) [a] [new] [text|voice] channel [named|called] ({text}|{name})',
+      '({text}|{name}) [adında|adlı|isimli|isminde] [yeni] [sesli|yazılı|metin] kanal* (oluştur|aç|yarat|ekle)'
+    ],
+    build: ({ text, name }, { command }) => (text ?? name)
+      ? [{ action: 'channel.create', name: text ?? name, type: /\s(voice|sesli)\s/.test(`${command} `) ? 'voice' : 'text' }]
+      : null
+  },
+  {
+    name: 'deleteChannel',
+    keywords: [],
+    requires: ['channel'],
+    patterns: [
+      '(delete|remove) [the] [channel] {channel} [channel]',
+      '{channel} [kanal*] sil'
+    ],
+    build: ({ channel }) => [{ action: 'channel.delete', channelId: channel }]
+  },
+  {
+    name: 'say',
+    keywords: ['say', 'write', 'send', 'post', 'yaz', 'gönder*'],
+    requires: ['text'],
+    patterns: [
+      '(say|write|send|post) {text} [{count} (times|time)] [(in|to) {channel}]',
+      '[{channel}] [kanal*] {text} [{count} (kez|kere|defa)] (yaz|gönder|söyle|de)',
+      '{count} (kez|kere|defa) {text} (yaz|gönder|söyle)',
+      // Unquoted text may be an instruction ("write a poem") rather than the message itself
+      { pattern: '(say|echo) {content} [(in|to) {channel}]', confidence: 0.9 }
+    ],
+    build: ({ text, content, count, channel }, { channelId }) => {
+      const message = text ?? content;
+      if (!message) return null;
+      const target = channel || channelId;
+      return Array.from({ length: Math.min(count || 1, MAX_REPEAT) }, () => ({
+        action: 'message.create',
+        content: message,
+        ...(target && { channelId: target })
+      }));
+    }
+  }
+];
+
+/**
+ * role.add / role.remove with a mentioned role, or a quoted or single word role name
+ * @private
+ */
+function roleSteps(action, { user, role, text, name }) {
+  if (role) return [{ action, userId: user, roleId: role }];
+  const roleName = text ?? name;
+  return roleName ? [{ action, userId: user, roleName }] : null;
+}
+
+// Turkish letters to ASCII, so "kaldir" and "KALDIR" match "kaldır"
+const FOLD = { ç: 'c', ğ: 'g', ı: 'i', ö: 'o', ş: 's', ü: 'u', â: 'a', î: 'i', û: 'u', İ: 'i' };
+
+/**
+ * Lowercase and fold diacritics without changing the length of the string, so positions in the
+ * folded text are positions in the original
+ * @private
+ */
+function fold(text) {
+  let folded = '';
+  for (const char of text.split('')) {
+    const lower = FOLD[char] || char.toLowerCase();
+    folded += lower.length === 1 ? (FOLD[lower] || lower) : char;
+  }
+  return folded;
+}
+
+const UNIT_PATTERN = Object.keys(DURATION_UNITS).sort((a, b) => b.length - a.length).join('|');
+// Turkish unit words take suffixes without an apostrophe ("10 dakikalığına")
+const TURKISH_UNITS = 'saniye|dakika|saat|gün|gun|hafta';
+// Turkish case suffixes after mentions and numbers ("<@123>'ü", "10'u")
+const SUFFIX = "(?:['’]\\p{L}+)?";
+
+// Quoted text first, so mentions inside it stay text; then mentions, IDs, durations, numbers
+const SLOT_PATTERN = new RegExp([
+  `"([^"]+)"|“([^”]+)”|(?<![\\p{L}\\p{N}>])'([^']+)'(?!\\p{L})`,
+  `<@!?(\\d{15,21})>${SUFFIX}`,
+  `<@&(\\d{15,21})>${SUFFIX}`,
+  `<#(\\d{15,21})>${SUFFIX}`,
+  `(?<!\\d)(\\d{15,21})(?!\\d)${SUFFIX}`,
+  `(\\d+)\\s*(?:(${TURKISH_UNITS})\\p{L}*|(${UNIT_PATTERN})${SUFFIX})(?![\\p{L}\\d])`,
+  `(?<![\\p{L}\\d])(\\d+)${SUFFIX}(?![\\p{L}\\d])`
+].join('|'), 'giu');
+
+// The requester, when the planner knows who that is
+const SELF_PATTERN = /(?<![\p{L}\p{N}])(me|myself|beni|bana|kendimi|kendime)(?![\p{L}\p{N}])/giu;
+
+// Politeness and addressing that never change the command (matched on folded text)
+const FILLER_PATTERN = /(?<=\s|^)(please|pls|plz|lutfen|hey|becas|(can|could|would) you)(?=\s|$)/gu;
+const PUNCTUATION_PATTERN = /[^\p{L}\p{N}\s{}#]/gu;
+const PLACEHOLDER_PATTERN = /\{(\w+)#(\d+)\}/g;
+
+/**
+ * Compile a grammar pattern into an anchored regex over the folded command
+ * @param {string} pattern - Pattern in the syntax described above
+ * @returns {Object} - { regex, groups: slot name of each capture group }
+ * @throws {Error} - If the pattern is malformed
+ * @private
+ */
+function compilePattern(pattern) {
+  const tokens = pattern.match(/\(|\)|\[|\]|\||\{\w+\}|[^\s()[\]|{}]+/g) || [];
+  const groups = [];
+  let position = 0;
+
+  const parseSequence = () => {
+    let source = '';
+    while (position < tokens.length && !['|', ')', ']'].includes(tokens[position])) {
+      source += parseItem();
+    }
+    return source;
+  };
+
+  const parseAlternatives = close => {
+    const options = [parseSequence()];
+    while (tokens[position] === '|') {
+      position++;
+      options.push(parseSequence());
+    }
+    if (tokens[position++] !== close) throw new Error(`Unbalanced pattern: ${pattern}`);
+    return options.join('|');
+  };
+
+  // Every item carries its leading whitespace, so optional items can be skipped cleanly
+  const parseItem = () => {
+    const token = tokens[position++];
+    if (token === '(') return `(?:${parseAlternatives(')')})`;
+    if (token === '[') return `(?:${parseAlternatives(']')})?`;
+
+    const slot = token.match(/^\{(\w+)\}$/);
+    if (slot) {
+      groups.push(slot[1]);
+      return `\\s+${slotSource(slot[1], pattern)}`;
+    }
+
+    const word = fold(token);
+    const suffixed = word.endsWith('*');
+    const escaped = word.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return `\\s+${escaped}${suffixed ? '\\p{L}*' : ''}`;
+  };
+
+  const source = parseSequence();
+  if (position < tokens.length) throw new Error(`Unbalanced pattern: ${pattern}`);
+  return { regex: new RegExp(`^${source}\\s*$`, 'du'), groups };
+}
+
+/**
+ * @private
+ */
+function slotSource(name, pattern) {
+  if (TYPED_SLOTS.includes(name)) {
+    const types = ID_SLOTS.includes(name) ? `(?:${name}|id)` : name;
+    return `\\{${types}#(\\d+)\\}`;
+  }
+  if (FREE_SLOTS[name]) return `(${FREE_SLOTS[name]})`;
+  throw new Error(`Unknown slot {${name}} in pattern: ${pattern}`);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+class RulePlanner {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Array<Object>} grammar - Rules, GRAMMAR by default
+   */
+  constructor(logger, grammar = GRAMMAR) {
+    this.logger = logger;
+    this.rules = grammar.map(rule => ({
+      ...rule,
+      keywords: (rule.keywords || []).map(fold),
+      patterns: rule.patterns.map(entry => {
+        const { pattern, confidence = CONFIDENCE.pattern } = typeof entry === 'string' ? { pattern: entry } : entry;
+        return { pattern, confidence, ...compilePattern(pattern) };
+      })
+    }));
+  }
+
+  /**
+   * Plan a command with the grammar
+   * @param {string} text - Command text
+   * @param {Object} context - { authorId (for "me"), channelId (where messages go by default) }
+   * @returns {Object|null} - { plan, confidence, rule, matchedBy: pattern|keywords }, or null
+   */
+  plan(text, context = {}) {
+    const match = this.parse(text, context);
+    if (!match) return null;
+
+    const steps = match.params.map((params, index) => ({ id: `s${index + 1}`, tool: 'discord.request', params }));
+    return {
+      plan: {
+        steps,
+        meta: { strategy: 'sequential', planner: 'rules', rule: match.rule, confidence: match.confidence }
+      },
+      confidence: match.confidence,
+      rule: match.rule,
+      matchedBy: match.matchedBy
+    };
+  }
+
+  /**
+   * Best matching rule and its step params
+   * @param {string} text - Command text
+   * @param {Object} context - See plan()
+   * @returns {Object|null} - { rule, params, confidence, matchedBy }
+   */
+  parse(text, context = {}) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_COMMAND_LENGTH) return null;
+
+    const input = this._extractSlots(text, context);
+    return this._matchPatterns(input, context) || this._matchKeywords(input, context);
+  }
+
+  /**
+   * Replace slots with indexed placeholders ({user#0}) and fold the rest
+   * @returns {Object} - { source: with placeholders, folded: same length, for matching, slots }
+   * @private
+   */
+  _extractSlots(text, context) {
+    const slots = [];
+    const add = (type, value, raw) => `{${type}#${slots.push({ type, value, raw }) - 1}}`;
+
+    let source = text.replace(SLOT_PATTERN, (raw, double, curly, single, user, role, channel, id, amount, turkishUnit, unit, number) => {
+      if (double !== undefined || curly !== undefined || single !== undefined) return add('text', double ?? curly ?? single, raw);
+      if (user) return add('user', user, raw);
+      if (role) return add('role', role, raw);
+      if (channel) return add('channel', channel, raw);
+      if (id) return add('id', id, raw);
+      if (amount) return add('duration', parseInt(amount, 10) * DURATION_UNITS[fold(turkishUnit || unit)], raw);
+      return add('count', parseInt(number, 10), raw);
+    });
+    if (context.authorId) {
+      source = source.replace(SELF_PATTERN, raw => add('user', context.authorId, raw));
+    }
+
+    const folded = fold(source)
+      .replace(PUNCTUATION_PATTERN, char => ' '.repeat(char.length))
+      .replace(FILLER_PATTERN, filler => ' '.repeat(filler.length));
+
+    return { source: ` ${source}`, folded: ` ${folded}`, slots };
+  }
+
+  /**
+   * Complete pattern matches; the most confident wins, grammar order breaks ties
+   * @private
+   */
+  _matchPatterns(input, context) {
+    let best = null;
+    for (const rule of this.rules) {
+      for (const pattern of rule.patterns) {
+        const match = pattern.regex.exec(input.folded);
+        if (!match) continue;
+
+        const result = this._apply(rule, this._readGroups(match, pattern.groups, input), pattern.confidence, 'pattern', input, context);
+        if (!result) continue;
+        if (!best || result.confidence > best.confidence) best = result;
+        break;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Rules whose keywords appear and whose required slots were found, with the first slot of each type
+   * @private
+   */
+  _matchKeywords(input, context) {
+    const words = input.folded.replace(PLACEHOLDER_PATTERN, ' ').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const slots = {};
+    for (const slot of input.slots) {
+      const type = slot.type === 'id' ? 'user' : slot.type;
+      if (slots[type] === undefined) slots[type] = slot.value;
+    }
+
+    const candidates = [];
+    for (const rule of this.rules) {
+      const mentioned = rule.keywords.some(keyword => keyword.endsWith('*')
+        ? words.some(word => word.startsWith(keyword.slice(0, -1)))
+        : words.includes(keyword));
+      if (!mentioned || !rule.requires.every(slot => slots[slot] !== undefined)) continue;
+
+      const result = this._apply(rule, { ...slots }, CONFIDENCE.keywords, 'keywords', input, context);
+      if (result) candidates.push(result);
+    }
+
+    if (candidates.length === 0) return null;
+    const [best] = candidates;
+    if (candidates.length > 1) {
+      best.confidence = round(best.confidence - CONFIDENCE.ambiguous);
+      this.logger?.debug(`Rule planner: "${candidates.map(c => c.rule).join('", "')}" share keywords, using "${best.rule}"`);
+    }
+    return best;
+  }
+
+  /**
+   * Slot values of a match; free slots are cut from the original text with placeholders restored
+   * @private
+   */
+  _readGroups(match, groups, input) {
+    const values = {};
+    groups.forEach((name, index) => {
+      const group = match[index + 1];
+      if (group === undefined) return;
+
+      if (TYPED_SLOTS.includes(name)) {
+        values[name] = input.slots[Number(group)].value;
+      } else {
+        // Punctuation is blanked for matching, but belongs to the text ("say hi!")
+        let [start, end] = match.indices[index + 1];
+        while (end < input.source.length && input.folded[end] === ' ' && !/\s/.test(input.source[end])) end++;
+        values[name] = input.source.slice(start, end)
+          .replace(PLACEHOLDER_PATTERN, (placeholder, type, slot) => input.slots[slot]?.raw ?? placeholder)
+          .trim();
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Fill defaults and build the step params
+   * @private
+   */
+  _apply(rule, values, confidence, matchedBy, input, context) {
+    let defaulted = 0;
+    for (const [slot, value] of Object.entries(rule.defaults || {})) {
+      if (values[slot] === undefined) {
+        values[slot] = value;
+        defaulted++;
+      }
+    }
+
+    const params = rule.build(values, { ...context, command: input.folded });
+    if (!params || params.length === 0) return null;
+
+    return {
+      rule: rule.name,
+      params,
+      confidence: round(confidence - defaulted * CONFIDENCE.defaulted),
+      matchedBy
+    };
+  }
+}
+
+module.exports = { RulePlanner, GRAMMAR };
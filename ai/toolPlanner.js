@@ -0,0 +1,174 @@
+/**
+ * Tool Planner - builds plans through tool/function calling
+ * @module ai/toolPlanner
+ * @description Exposes every DynamicHandler action to the model as a typed tool. Each tool call
+ * becomes one plan step; nothing runs before the plan is approved, so the call is answered with
+ * references to the step's future output (e.g. {{s1.result.id}}) that later calls can pass on.
+ */
+const { validatePlan, formatValidationErrors } = require('./planSchema');
+const { createReference, findReferences } = require('../utils/templateUtils');
+
+const SYSTEM_PROMPT = `You are BecasBot's planner for Discord server management.
+Call one tool for every action needed to fulfil the user's command, in the order they must run.
+Tools are not executed yet: each call is recorded as a plan step and answers with references
+such as {{s1.result.id}} to that step's output. Pass those references as parameters of later
+calls when a step needs something an earlier step creates.
+Take role, channel and user IDs from "relevant" in the context; never invent IDs.
+Follow-ups ("the same", "again", "that", "him") refer to "conversation", the earlier commands.
+If a call is rejected, fix its arguments and call it again. When every needed action has been
+called, reply with a one line summary and no tool calls.`;
+
+class ToolPlanner {
+  /**
+   * Create a new ToolPlanner
+   * @param {Object} llm - LLM service instance
+   * @param {Object} dynamicHandler - DynamicHandler whose registry actions become tools
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - { maxTurns, maxSteps }
+   */
+  constructor(llm, dynamicHandler, logger, options = {}) {
+    this.llm = llm;
+    this.dynamicHandler = dynamicHandler;
+    this.logger = logger;
+    this.maxTurns = options.maxTurns || 8;
+    this.maxSteps = options.maxSteps || 25;
+  }
+
+  /**
+   * Whether the configured provider can call tools
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!this.llm?.provider?.supportsTools;
+  }
+
+  /**
+   * Tool definitions for every executable action with a parameter schema
+   * @returns {Array<Object>} - [{ name, description, parameters, action }]
+   */
+  buildTools() {
+    return this.dynamicHandler.registry.list().map(definition => ({
+      name: definition.name.replace('.', '_'),
+      description: this._describe(definition),
+      parameters: this._toParameters(definition.params),
+      action: definition.name
+    }));
+  }
+
+  /**
+   * Run the tool calling loop
+   * @param {string} userInput - User command
+   * @param {Object} context - Context built by PlanGenerator
+   * @returns {Promise<Object|null>} - Plan, or null if the model called no tools
+   */
+  async plan(userInput, context) {
+    const tools = this.buildTools();
+    const actions = new Map(tools.map(tool => [tool.name, tool.action]));
+    const definitions = tools.map(({ action, ...definition }) => definition);
+
+    const messages = [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `User Command: ${userInput}\n\nUser Context:\n${JSON.stringify(context, null, 2)}` }
+    ];
+    const steps = [];
+    let summary = '';
+
+    for (let turn = 0; turn < this.maxTurns; turn++) {
+      const reply = await this.llm.chatWithTools(messages, definitions, { temperature: 0.1 });
+      if (reply.toolCalls.length === 0) {
+        summary = reply.content.trim();
+        break;
+      }
+
+      messages.push({ role: 'assistant', content: reply.content, toolCalls: reply.toolCalls });
+      for (const call of reply.toolCalls) {
+        const result = this._recordCall(call, actions.get(call.name), steps);
+        messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
+      }
+
+      if (turn === this.maxTurns - 1) {
+        this.logger.warn(`Tool planner stopped after ${this.maxTurns} turns`);
+      }
+    }
+
+    if (steps.length === 0) return null;
+
+    this.logger.info(`Tool planner built ${steps.length} step(s)${summary ? `: ${summary}` : ''}`);
+    return { steps, meta: { strategy: 'sequential', planner: 'tools', summary } };
+  }
+
+  /**
+   * Turn a tool call into a step, or explain to the model why it was rejected
+   * @returns {Object} - Tool result sent back to the model
+   * @private
+   */
+  _recordCall(call, action, steps) {
+    if (!action) {
+      return { ok: false, error: `Unknown tool ${call.name}` };
+    }
+    if (!call.arguments) {
+      return { ok: false, error: 'Arguments must be a JSON object' };
+    }
+    if (steps.length >= this.maxSteps) {
+      return { ok: false, error: `A plan can have at most ${this.maxSteps} steps` };
+    }
+
+    const id = `s${steps.length + 1}`;
+    const params = { ...call.arguments, action };
+    const step = { id, tool: 'discord.request', params };
+
+    const dependsOn = [...findReferences(params)];
+    if (dependsOn.length > 0) step.dependsOn = dependsOn;
+
+    // Validate against the steps recorded so far, so references are checked too
+    const { errors } = validatePlan({ steps: [...steps, step] });
+    const ownErrors = errors.filter(error => error.path.startsWith(`steps[${steps.length}]`));
+    if (ownErrors.length > 0) {
+      const message = formatValidationErrors(ownErrors).replace(/steps\[\d+\]\.(params\.)?/g, '');
+      return { ok: false, error: `Rejected: ${message}` };
+    }
+
+    steps.push(step);
+    this.logger.debug(`Tool planner step ${id}: ${action} ${JSON.stringify(call.arguments)}`);
+
+    const output = {};
+    for (const field of this.dynamicHandler.registry.get(action).outputs) {
+      output[field] = createReference(id, `result.${field}`);
+    }
+    return { ok: true, stepId: id, result: output };
+  }
+
+  /**
+   * @private
+   */
+  _describe({ description, outputs }) {
+    return outputs.length > 0 ? `${description}. Returns ${outputs.join(', ')} for later steps.` : description;
+  }
+
+  /**
+   * Plan schema params -> plain JSON Schema tool parameters
+   * @private
+   */
+  _toParameters(schema) {
+    const properties = {};
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      properties[key] = this._toProperty(property);
+    }
+    return { type: 'object', properties, required: schema.required || [] };
+  }
+
+  /**
+   * @private
+   */
+  _toProperty(property) {
+    if (property.format === 'snowflake') {
+      const description = 'Discord ID, or a reference such as {{s1.result.id}}';
+      return { type: 'string', description: property.description ? `${property.description}; ${description}` : description };
+    }
+
+    const { format, ...rest } = property;
+    return rest.items ? { ...rest, items: this._toProperty(rest.items) } : rest;
+  }
+}
+
+module.exports = { ToolPlanner };
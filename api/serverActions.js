@@ -7,6 +7,16 @@ const {
   GuildDefaultMessageNotifications 
 } = require('discord.js');
 
+/**
+ * Value of a discord.js enum by name in any spelling ("very high", "VERY_HIGH", "VeryHigh")
+ * @private
+ */
+function enumValue(values, name) {
+  const folded = name.replace(/[\s_]/g, '').toLowerCase();
+  const key = Object.keys(values).find(key => isNaN(key) && key.toLowerCase() === folded);
+  return key === undefined ? undefined : values[key];
+}
+
 class ServerActions {
   constructor(client, logger) {
     this.client = client;
@@ -46,10 +56,11 @@ class ServerActions {
       if (verificationLevel !== undefined) {
         // Convert string to enum value
         if (typeof verificationLevel === 'string') {
-          const level = verificationLevel.toUpperCase();
-          if (GuildVerificationLevel[level] !== undefined) {
-            options.verificationLevel = GuildVerificationLevel[level];
+          const level = enumValue(GuildVerificationLevel, verificationLevel);
+          if (level === undefined) {
+            return { success: false, error: `Unknown verification level: ${verificationLevel}` };
           }
+          options.verificationLevel = level;
         } else if (Number.isInteger(verificationLevel) && 
                   verificationLevel >= 0 && 
                   verificationLevel <= 4) {
@@ -61,10 +72,11 @@ class ServerActions {
       if (explicitContentFilter !== undefined) {
         // Convert string to enum value
         if (typeof explicitContentFilter === 'string') {
-          const filter = explicitContentFilter.toUpperCase().replace(/ /g, '_');
-          if (GuildExplicitContentFilter[filter] !== undefined) {
-            options.explicitContentFilter = GuildExplicitContentFilter[filter];
+          const filter = enumValue(GuildExplicitContentFilter, explicitContentFilter);
+          if (filter === undefined) {
+            return { success: false, error: `Unknown explicit content filter: ${explicitContentFilter}` };
           }
+          options.explicitContentFilter = filter;
         } else if (Number.isInteger(explicitContentFilter) && 
                   explicitContentFilter >= 0 && 
                   explicitContentFilter <= 2) {
@@ -76,10 +88,11 @@ class ServerActions {
       if (defaultMessageNotifications !== undefined) {
         // Convert string to enum value
         if (typeof defaultMessageNotifications === 'string') {
-          const notifications = defaultMessageNotifications.toUpperCase().replace(/ /g, '_');
-          if (GuildDefaultMessageNotifications[notifications] !== undefined) {
-            options.defaultMessageNotifications = GuildDefaultMessageNotifications[notifications];
+          const notifications = enumValue(GuildDefaultMessageNotifications, defaultMessageNotifications);
+          if (notifications === undefined) {
+            return { success: false, error: `Unknown default message notifications: ${defaultMessageNotifications}` };
           }
+          options.defaultMessageNotifications = notifications;
         } else if (Number.isInteger(defaultMessageNotifications) && 
                   defaultMessageNotifications >= 0 && 
                   defaultMessageNotifications <= 1) {
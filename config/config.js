@@ -10,8 +10,36 @@ module.exports = {
   CLIENT_ID: process.env.CLIENT_ID,
   
   // LLM configuration
-  LLM_API_URL: process.env.LLM_API_URL || "http://localhost:11434/v1",
+  // Provider: openai (any OpenAI compatible /v1 API), ollama (native /api/chat), llamacpp or mock
+  LLM_PROVIDER: process.env.LLM_PROVIDER || "openai",
+  LLM_API_URL: process.env.LLM_API_URL || "", // empty = provider default
+  LLM_API_KEY: process.env.LLM_API_KEY || "",
+  // Schema constrained decoding (Ollama format / llama.cpp grammar) when the provider supports it
+  LLM_CONSTRAINED_OUTPUT: process.env.LLM_CONSTRAINED_OUTPUT !== "false",
   LLM_MODEL: process.env.LLM_MODEL || "llama3.1:8b-instruct-q4_K_M",
+  // Planner: json (whole plan in one response) or tools (one tool call per step)
+  PLANNER_MODE: process.env.PLANNER_MODE || "json",
+  // Guild roles / channels / members sent with each command
+  PLANNER_CONTEXT: {
+    TOKEN_BUDGET: parseInt(process.env.PLANNER_CONTEXT_TOKENS || "1500"),
+    RECENT_MESSAGES: 50, // per channel, for "the user who posted in #support"
+    MEMBER_SEARCHES: 3, // gateway member searches for unmatched names
+  },
+  // Deterministic EN/TR command grammar, tried first; the LLM only gets less certain matches
+  RULE_PLANNER: {
+    ENABLED: process.env.RULE_PLANNER !== "false",
+    MIN_CONFIDENCE: parseFloat(process.env.RULE_PLANNER_MIN_CONFIDENCE || "0.8"),
+  },
+  // Plans of repeated commands are reused as templates (mentions and numbers are parameters)
+  PLAN_CACHE: {
+    ENABLED: process.env.PLAN_CACHE !== "false",
+    TTL: parseInt(process.env.PLAN_CACHE_TTL || "604800"), // seconds
+  },
+  // Short-term memory for follow-up commands ("do the same to @bob")
+  CONVERSATION: {
+    IDLE_TIMEOUT: parseInt(process.env.CONVERSATION_IDLE_TIMEOUT || "600"), // seconds
+    MAX_TURNS: parseInt(process.env.CONVERSATION_MAX_TURNS || "5"),
+  },
   
   // Admin settings
   ADMIN_USERS: (process.env.ADMIN_USERS || "").split(","),
@@ -36,55 +64,48 @@ module.exports = {
   
   // Workflow settings
   MAX_WORKFLOW_STEPS: parseInt(process.env.MAX_WORKFLOW_STEPS || "10"),
-  ALLOWED_ACTIONS: [
-    "message.create",
-    "message.delete",
-    "message.edit",
-    "message.react",
-    "message.pin",
-    "message.unpin",
-    "member.timeout",
-    "member.kick",
-    "member.ban",
-    "member.unban",
-    "role.add",
-    "role.remove",
-    "role.create",
-    "role.delete",
-    "channel.create",
-    "channel.delete",
-    "channel.edit",
-    "channel.purge",
-    "nickname.set",
-    "server.settings",
-    "voice.disconnect",
-    "voice.move",
-    "voice.mute",
-    "voice.unmute",
-      'message.create',
+  // Bounds of control steps in plans (if, forEach, repeat, saved workflows)
+  WORKFLOW: {
+    MAX_ITERATIONS: parseInt(process.env.WORKFLOW_MAX_ITERATIONS || "25"), // items of a forEach, times of a repeat
+    MAX_ACTIONS: parseInt(process.env.WORKFLOW_MAX_ACTIONS || "50"), // actions per plan, loops included
+    MAX_DEPTH: parseInt(process.env.WORKFLOW_MAX_DEPTH || "3"), // control steps inside control steps
+  },
   
-  'member.roles.add',     // role.add için alternatif
-  'member.roles.remove',  // role.remove için alternatif
-  'member.role.add',      // role.add için alternatif
-  'member.role.remove',   // role.remove için alternatif
-  'roles.add',            // role.add için alternatif
-  'roles.remove',         // role.remove için alternatif
-  'message.send',         // message.create için alternatif
-  'channel.messages.purge', // channel.purge için alternatif
-  'messages.delete'  ,     // channel.purge için alternatif
- 
-
+  // Trust score settings
+  TRUST_SCORE: {
+    BASE: parseInt(process.env.TRUST_BASE_SCORE || "50"),
+    MIN: 0,
+    MAX: 100,
+    DECAY_HALF_LIFE_DAYS: parseInt(process.env.TRUST_DECAY_HALF_LIFE_DAYS || "30"),
+    NEW_ACCOUNT_DAYS: parseInt(process.env.TRUST_NEW_ACCOUNT_DAYS || "7"),
+    // BASE + ACCOUNT_AGE_POINTS (after a year) + TENURE_POINTS (after six months) is the score of a clean member
+    ACCOUNT_AGE_POINTS: parseInt(process.env.TRUST_ACCOUNT_AGE_POINTS || "20"),
+    TENURE_POINTS: parseInt(process.env.TRUST_TENURE_POINTS || "30"),
+  },
   
- 
+  // Warning escalation ladder defaults (guilds can change theirs with the ladder command)
+  // window/decay/duration are in seconds
+  ESCALATION: {
+    DECAY: parseInt(process.env.ESCALATION_DECAY || "2592000"),
+    LADDER: [
+      { warnings: 3, window: 604800, action: "timeout", duration: 3600 },
+      { warnings: 5, window: 2592000, action: "kick" },
+    ],
+  },
   
-
-  'channel.lock',
-  'channel.unlock'
-  ],
+  // Plan approval cards
+  APPROVAL: {
+    TIMEOUT: parseInt(process.env.APPROVAL_TIMEOUT || "60"), // seconds
+    // Approvals needed per action; a plan needs the highest quorum of its steps
+    QUORUM: {
+      "member.ban": parseInt(process.env.APPROVAL_QUORUM_BAN || "2"),
+      "channel.delete": 2,
+    },
+  },
   
-  // Database settings (optional)
+  // Database settings (set DB_ENABLED=false for in-memory storage)
   DATABASE: {
-    ENABLED: process.env.DB_ENABLED === "true",
+    ENABLED: process.env.DB_ENABLED !== "false",
     URL: process.env.DB_URL || "sqlite:./data/becas.db",
   },
 };
\ No newline at end of file
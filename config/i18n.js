@@ -50,11 +50,15 @@ class I18nService {
         planApproved: "Plan approved, executing...",
         planRejected: "Plan rejected.",
         planExpired: "Plan approval timed out.",
+        approvePlanButtonsPrompt: "Use the buttons within {seconds} seconds. Toggle a step to drop it; {quorum} approval(s) needed.",
         extensionLoaded: "Extension {name} loaded successfully.",
         extensionError: "Extension {name} encountered an error: {error}",
         monitoringStarted: "Now monitoring {user} for {trigger}.",
         monitoringTriggered: "Monitoring triggered for {user}. Action taken: {action}",
         monitoringEnded: "Monitoring ended for {user}.",
+        trustRefused: "This request was refused because of trust score limits:\n{reason}",
+        trustApprovalRequired: "You cannot run this alone, a moderator with the permission must approve it:\n{reason}",
+        secondModeratorRequired: "This targets a trusted member, a second moderator must approve it:\n{reason}",
       };
       
       // Try to load translation files
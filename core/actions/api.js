@@ -0,0 +1,50 @@
+/**
+ * Glue between action definitions and the api/ classes
+ */
+const { PermissionsBitField } = require('discord.js');
+
+const Flags = PermissionsBitField.Flags;
+
+// Folded spelling -> Discord.js flag name, so SEND_MESSAGES and sendMessages work too
+const PERMISSION_NAMES = new Map(Object.keys(Flags).map(name => [name.toLowerCase(), name]));
+
+/**
+ * Execute function that runs an api/ method on the message's guild. The api classes answer
+ * { success, error, ...data }; failures are thrown like every other action's, data is the result
+ * @param {Function} ApiClass - e.g. VoiceActions
+ * @param {string} method - Method name
+ * @param {Function} prepare - Optional (params, message) -> api params
+ * @returns {Function} - execute(message, params, context)
+ */
+function fromApi(ApiClass, method, prepare = params => params) {
+  return async (message, params, { client, logger }) => {
+    if (!message.guild) {
+      throw new Error('This action can only be used in servers');
+    }
+
+    const api = new ApiClass(client, logger);
+    const { success, error, ...result } = await api[method](await prepare(params, message), message.guild);
+    if (!success) {
+      throw new Error(error || `${method} failed`);
+    }
+    return result;
+  };
+}
+
+/**
+ * Discord.js names of the given permissions
+ * @param {Array<string>|string} names - e.g. ['SendMessages', 'SPEAK']
+ * @returns {Array<string>}
+ * @throws {Error} - For a name Discord does not know
+ */
+function permissionNames(names = []) {
+  return [].concat(names).map(name => {
+    const resolved = PERMISSION_NAMES.get(String(name).replace(/[\s_]/g, '').toLowerCase());
+    if (!resolved) {
+      throw new Error(`Unknown permission '${name}'`);
+    }
+    return resolved;
+  });
+}
+
+module.exports = { fromApi, permissionNames };
@@ -0,0 +1,287 @@
+/**
+ * Channel actions
+ */
+const { ChannelType, PermissionsBitField } = require('discord.js');
+const { ChannelActions } = require('../../api/channelActions');
+const { ID, REASON, PERMISSIONS } = require('./schema');
+const { fromApi, permissionNames } = require('./api');
+
+const Flags = PermissionsBitField.Flags;
+
+// Channel types the planner can ask for
+const CHANNEL_TYPES = {
+  text: ChannelType.GuildText,
+  voice: ChannelType.GuildVoice,
+  category: ChannelType.GuildCategory,
+  announcement: ChannelType.GuildAnnouncement,
+  forum: ChannelType.GuildForum
+};
+
+/**
+ * @private
+ */
+function requireGuild(message) {
+  if (!message.guild) {
+    throw new Error('This action can only be used in servers');
+  }
+}
+
+/**
+ * Channel a step points at, or the channel of the command
+ * @private
+ */
+async function targetChannel(message, params, client) {
+  const channel = params.channelId
+    ? await client.channels.fetch(params.channelId)
+    : message.channel;
+
+  if (!channel) {
+    throw new Error('Channel not found');
+  }
+  return channel;
+}
+
+/**
+ * channel.lock <-> channel.unlock, or nothing when the channel already was in the target state
+ * @private
+ */
+async function lockInverse(message, params, client, lock) {
+  const channel = await targetChannel(message, params, client);
+  const overwrite = channel.permissionOverwrites?.cache.get(message.guild.roles.everyone.id);
+  const wasLocked = !!overwrite?.deny.has(Flags.SendMessages);
+
+  if (wasLocked === lock) return null;
+  return { action: lock ? 'channel.unlock' : 'channel.lock', params: { channelId: channel.id } };
+}
+
+/**
+ * Allow or deny @everyone sending messages
+ * @private
+ */
+async function setLocked(message, params, client, lock) {
+  const channel = await targetChannel(message, params, client);
+
+  await channel.permissionOverwrites.edit(message.guild.roles.everyone, {
+    SendMessages: lock ? false : null
+  });
+
+  return lock
+    ? { locked: true, channel: channel.name }
+    : { unlocked: true, channel: channel.name };
+}
+
+/**
+ * allow / deny / clear name lists -> the api's overwrite JSON (true allows, false denies, null inherits)
+ * @private
+ */
+function overwriteParams(params, message) {
+  const overwrites = {};
+  for (const name of permissionNames(params.clear)) overwrites[name] = null;
+  for (const name of permissionNames(params.allow)) overwrites[name] = true;
+  const denied = Object.fromEntries(permissionNames(params.deny).map(name => [name, false]));
+
+  return {
+    ...params,
+    channelId: params.channelId || message.channel.id,
+    targetType: params.targetType || (message.guild.roles.cache.has(params.targetId) ? 'role' : 'user'),
+    allow: JSON.stringify(overwrites),
+    deny: JSON.stringify(denied)
+  };
+}
+
+/**
+ * Overwrite of the target before the step, as allow / deny / clear lists of the names it touches
+ * @private
+ */
+async function permissionsInverse(message, params, client) {
+  const channel = await targetChannel(message, params, client).catch(() => null);
+  if (!channel?.permissionOverwrites || !params.targetId) return null;
+
+  let names;
+  try {
+    names = permissionNames([...[].concat(params.allow || []), ...[].concat(params.deny || []), ...[].concat(params.clear || [])]);
+  } catch (error) {
+    return null;
+  }
+
+  const overwrite = channel.permissionOverwrites.cache.get(params.targetId);
+  const restore = { allow: [], deny: [], clear: [] };
+  for (const name of names) {
+    if (overwrite?.allow.has(Flags[name])) restore.allow.push(name);
+    else if (overwrite?.deny.has(Flags[name])) restore.deny.push(name);
+    else restore.clear.push(name);
+  }
+
+  return {
+    action: 'channel.setPermissions',
+    params: {
+      channelId: channel.id,
+      targetId: params.targetId,
+      ...Object.fromEntries(Object.entries(restore).filter(([, list]) => list.length > 0)),
+      reason: 'Undo'
+    }
+  };
+}
+
+module.exports = [
+  {
+    name: 'channel.create',
+    description: 'Create a new channel',
+    params: {
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        type: { type: 'string', description: Object.keys(CHANNEL_TYPES).join(', ') },
+        topic: { type: 'string', maxLength: 1024 },
+        parentId: ID
+      }
+    },
+    outputs: ['id', 'name'],
+    permission: Flags.ManageChannels,
+    trust: { minRequesterTrust: 80, refuseBelowTrust: 50 },
+    risk: 'medium',
+    // Never falls back to deleting the current channel: without a created channel there is no undo
+    inverse: async () => ({ action: 'channel.delete', params: { reason: 'Undo' } }),
+    completeInverse: (inverse, result) => (result?.id ? { ...inverse, params: { ...inverse.params, channelId: result.id } } : null),
+    async execute(message, params) {
+      requireGuild(message);
+
+      if (!params.name) {
+        throw new Error('Missing channel name parameter');
+      }
+
+      return await message.guild.channels.create({
+        name: params.name,
+        type: CHANNEL_TYPES[String(params.type || 'text').toLowerCase()] ?? ChannelType.GuildText,
+        topic: params.topic,
+        nsfw: params.nsfw,
+        parent: params.parentId
+      });
+    }
+  },
+  {
+    name: 'channel.delete',
+    description: 'Delete a channel',
+    params: { required: ['channelId'], properties: { channelId: ID, reason: REASON } },
+    permission: Flags.ManageChannels,
+    trust: { minRequesterTrust: 90, refuseBelowTrust: 60 },
+    risk: 'high',
+    async execute(message, params) {
+      requireGuild(message);
+
+      const channelId = params.channelId || message.channel.id;
+      const channel = await message.guild.channels.fetch(channelId);
+
+      if (!channel) {
+        throw new Error('Channel to delete not found');
+      }
+
+      return await channel.delete(params.reason || 'Deleted by bot');
+    }
+  },
+  {
+    name: 'channel.purge',
+    aliases: [
+      'channel.clean', 'channel.clear', 'channel.temizle', 'channel.messages.purge',
+      'message.purge', 'message.clear', 'message.sil', 'messages.delete'
+    ],
+    description: 'Delete the last messages of a channel, optionally only from one user',
+    params: {
+      required: ['limit'],
+      properties: { limit: { type: 'integer', minimum: 1, maximum: 100, description: '1-100' }, userId: ID, channelId: ID }
+    },
+    outputs: ['deleted'],
+    permission: Flags.ManageMessages,
+    trust: { minRequesterTrust: 70, refuseBelowTrust: 40 },
+    risk: 'high',
+    async execute(message, params, { client }) {
+      const channel = await targetChannel(message, params, client);
+
+      // Limit check
+      const limit = Math.min(Math.max(parseInt(params.limit) || 10, 1), 100);
+
+      // Purge messages from a specific user
+      if (params.userId) {
+        const messages = await channel.messages.fetch({ limit: 100 });
+        const userMessages = messages.filter(msg => msg.author.id === params.userId);
+        const toDelete = userMessages.first(limit);
+
+        if (toDelete.length === 0) {
+          throw new Error('No messages found to delete');
+        }
+
+        // Two-week check for bulk delete
+        const twoWeeksAgo = Date.now() - 14 * 24 * 60 * 60 * 1000;
+        const recentMessages = toDelete.filter(msg => msg.createdTimestamp > twoWeeksAgo);
+
+        if (recentMessages.length > 1) {
+          await channel.bulkDelete(recentMessages);
+        }
+
+        // Delete old messages (and a single recent one) individually
+        const singleMessages = recentMessages.length > 1
+          ? toDelete.filter(msg => msg.createdTimestamp <= twoWeeksAgo)
+          : toDelete;
+        for (const msg of singleMessages) {
+          await msg.delete().catch(() => {});
+        }
+
+        return { deleted: toDelete.length };
+      }
+
+      // Purge all messages
+      const deleted = await channel.bulkDelete(limit);
+      return { deleted: deleted.size };
+    }
+  },
+  {
+    name: 'channel.lock',
+    description: 'Stop members from sending messages in a channel',
+    params: { properties: { channelId: ID } },
+    permission: Flags.ManageChannels,
+    trust: { minRequesterTrust: 75, refuseBelowTrust: 40 },
+    risk: 'medium',
+    inverse: (message, params, { client }) => lockInverse(message, params, client, true),
+    execute: (message, params, { client }) => setLocked(message, params, client, true)
+  },
+  {
+    name: 'channel.unlock',
+    description: 'Allow members to send messages in a channel again',
+    params: { properties: { channelId: ID } },
+    permission: Flags.ManageChannels,
+    trust: { minRequesterTrust: 75, refuseBelowTrust: 40 },
+    risk: 'medium',
+    inverse: (message, params, { client }) => lockInverse(message, params, client, false),
+    execute: (message, params, { client }) => setLocked(message, params, client, false)
+  },
+  {
+    name: 'channel.setPermissions',
+    aliases: [
+      'channel.permissions', 'channel.setPermission', 'channel.overwrite', 'channel.setOverwrite',
+      'channel.editPermissions', 'permissions.set', 'channel.izin'
+    ],
+    description: 'Allow, deny or reset permissions of a role or member in a channel',
+    params: {
+      required: ['targetId'],
+      properties: {
+        targetId: { ...ID, description: 'role or user' },
+        targetType: { type: 'string', enum: ['role', 'user'] },
+        channelId: ID,
+        allow: { ...PERMISSIONS, description: 'permission names, e.g. SendMessages' },
+        deny: PERMISSIONS,
+        clear: PERMISSIONS,
+        reason: REASON
+      },
+      anyOf: [
+        { required: ['allow'], description: 'allow' },
+        { required: ['deny'], description: 'deny' },
+        { required: ['clear'], description: 'clear' }
+      ]
+    },
+    permission: Flags.ManageRoles,
+    trust: { minRequesterTrust: 80, refuseBelowTrust: 50 },
+    risk: 'high',
+    inverse: (message, params, { client }) => permissionsInverse(message, params, client),
+    execute: fromApi(ChannelActions, 'setPermissions', overwriteParams)
+  }
+];
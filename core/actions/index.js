@@ -0,0 +1,23 @@
+/**
+ * Actions a plan step can run
+ * @module core/actions
+ * @description The default registry with every built-in action. Add an action by adding a
+ * definition to one of the category files; executors, the plan schema, the planner prompt, tool
+ * definitions, trust gates, approval badges and undo all pick it up from here.
+ */
+const { ActionRegistry, RISK_LEVELS } = require('./registry');
+
+const actionRegistry = new ActionRegistry();
+
+for (const definition of [
+  ...require('./message'),
+  ...require('./member'),
+  ...require('./role'),
+  ...require('./channel'),
+  ...require('./voice'),
+  ...require('./server')
+]) {
+  actionRegistry.register(definition);
+}
+
+module.exports = { actionRegistry, ActionRegistry, RISK_LEVELS };
@@ -0,0 +1,352 @@
+/**
+ * Member actions
+ */
+const { PermissionsBitField } = require('discord.js');
+const { ID, REASON, MAX_TIMEOUT_SECONDS } = require('./schema');
+
+const Flags = PermissionsBitField.Flags;
+
+/**
+ * @private
+ */
+function requireGuild(message) {
+  if (!message.guild) {
+    throw new Error('This action can only be used in servers');
+  }
+}
+
+/**
+ * @private
+ */
+function requireUserId(params) {
+  if (!params.userId) {
+    throw new Error('Missing user ID parameter');
+  }
+}
+
+/**
+ * Target member before the action runs, for inverses
+ * @private
+ */
+async function fetchMember(message, params) {
+  if (!params.userId || !message.guild) return null;
+  return message.guild.members.fetch(params.userId).catch(() => null);
+}
+
+/**
+ * Tag of a user that may have left the guild, or the ID
+ * @private
+ */
+async function userTag(client, userId) {
+  try {
+    const user = await client.users.fetch(userId);
+    return user.tag;
+  } catch (error) {
+    return userId;
+  }
+}
+
+module.exports = [
+  {
+    name: 'member.timeout',
+    aliases: ['member.mute', 'member.silence', 'member.sustur'],
+    description: 'Timeout a member',
+    params: {
+      required: ['userId', 'duration'],
+      properties: {
+        userId: ID,
+        duration: { type: 'integer', minimum: 0, maximum: MAX_TIMEOUT_SECONDS, description: 'seconds' },
+        reason: REASON
+      }
+    },
+    permission: Flags.ModerateMembers,
+    trust: { minRequesterTrust: 65, refuseBelowTrust: 35, protectedTargetTrust: 75 },
+    risk: 'medium',
+    caseAction: 'timeout',
+    // Restores the timeout the member had before, or removes it
+    async inverse(message, params) {
+      const member = await fetchMember(message, params);
+      if (!member) return null;
+
+      const remaining = member.communicationDisabledUntilTimestamp
+        ? Math.ceil((member.communicationDisabledUntilTimestamp - Date.now()) / 1000)
+        : 0;
+      return remaining > 0
+        ? { action: 'member.timeout', params: { userId: params.userId, duration: remaining, reason: 'Undo' } }
+        : { action: 'member.removeTimeout', params: { userId: params.userId, reason: 'Undo' } };
+    },
+    async execute(message, params) {
+      requireGuild(message);
+      requireUserId(params);
+
+      const member = await message.guild.members.fetch(params.userId);
+      if (!member) {
+        throw new Error('User not found');
+      }
+
+      // Duration (in milliseconds)
+      const duration = Math.max(0, parseInt(params.duration) || 0) * 1000;
+      const reason = params.reason || 'Timeout applied';
+
+      await member.timeout(duration, reason);
+
+      return {
+        timedOut: true,
+        user: member.user.tag,
+        duration: duration,
+        reason: reason
+      };
+    }
+  },
+  {
+    name: 'member.warn',
+    aliases: ['member.warning', 'member.uyar'],
+    description: 'Warn a member; opens a moderation case that counts towards the escalation ladder',
+    params: { required: ['userId'], properties: { userId: ID, reason: REASON } },
+    permission: Flags.ModerateMembers,
+    trust: { minRequesterTrust: 65, refuseBelowTrust: 35, protectedTargetTrust: 75 },
+    caseAction: 'warn',
+    async execute(message, params) {
+      requireGuild(message);
+      requireUserId(params);
+
+      const member = await message.guild.members.fetch(params.userId);
+      const reason = params.reason || 'No reason given';
+
+      await message.channel.send(`⚠️ ${member} has been warned. Reason: ${reason}`);
+
+      return {
+        warned: true,
+        user: member.user.tag,
+        reason: reason
+      };
+    }
+  },
+  {
+    name: 'member.getWarnings',
+    aliases: ['member.warnings', 'member.warns', 'member.countWarnings', 'warnings.get'],
+    description: 'Count the active warnings of a member',
+    params: { required: ['userId'], properties: { userId: ID } },
+    outputs: ['warnings', 'cases'],
+    permission: Flags.ModerateMembers,
+    async execute(message, params, { caseManager }) {
+      requireGuild(message);
+      requireUserId(params);
+
+      if (!caseManager) {
+        throw new Error('Moderation cases are not available');
+      }
+
+      const warnings = caseManager.getWarnings(message.guild.id, params.userId);
+
+      return {
+        userId: params.userId,
+        warnings: warnings.length,
+        cases: warnings.map(modCase => ({ caseNumber: modCase.caseNumber, reason: modCase.reason, timestamp: modCase.timestamp }))
+      };
+    }
+  },
+  {
+    name: 'member.removeTimeout',
+    aliases: ['member.untimeout', 'member.unmute'],
+    description: 'Remove the timeout of a member',
+    params: { required: ['userId'], properties: { userId: ID, reason: REASON } },
+    permission: Flags.ModerateMembers,
+    trust: { minRequesterTrust: 65, refuseBelowTrust: 35 },
+    async execute(message, params) {
+      requireGuild(message);
+      requireUserId(params);
+
+      const member = await message.guild.members.fetch(params.userId);
+      if (!member) {
+        throw new Error('User not found');
+      }
+
+      await member.timeout(null, params.reason || 'Timeout removed');
+
+      return {
+        timeoutRemoved: true,
+        user: member.user.tag
+      };
+    }
+  },
+  {
+    name: 'member.kick',
+    description: 'Kick a member from the server',
+    params: { required: ['userId'], properties: { userId: ID, reason: REASON } },
+    permission: Flags.KickMembers,
+    trust: { minRequesterTrust: 80, refuseBelowTrust: 50, protectedTargetTrust: 70 },
+    risk: 'high',
+    caseAction: 'kick',
+    async execute(message, params) {
+      requireGuild(message);
+      requireUserId(params);
+
+      const member = await message.guild.members.fetch(params.userId);
+      if (!member) {
+        throw new Error('User not found');
+      }
+
+      const reason = params.reason || 'Kicked from server';
+
+      await member.kick(reason);
+
+      return {
+        kicked: true,
+        user: member.user.tag,
+        reason: reason
+      };
+    }
+  },
+  {
+    name: 'member.ban',
+    description: 'Ban a user from the server',
+    params: {
+      required: ['userId'],
+      properties: {
+        userId: ID,
+        reason: REASON,
+        deleteMessageDays: { type: 'integer', minimum: 0, maximum: 7 }
+      }
+    },
+    permission: Flags.BanMembers,
+    trust: { minRequesterTrust: 90, refuseBelowTrust: 60, protectedTargetTrust: 60 },
+    risk: 'high',
+    caseAction: 'ban',
+    inverse: async (message, params) => ({ action: 'member.unban', params: { userId: params.userId, reason: 'Undo' } }),
+    async execute(message, params, { client }) {
+      requireGuild(message);
+      requireUserId(params);
+
+      const reason = params.reason || 'Banned from server';
+      const deleteMessageDays = Math.min(Math.max(parseInt(params.deleteMessageDays) || 0, 0), 7);
+
+      await message.guild.members.ban(params.userId, {
+        reason: reason,
+        deleteMessageSeconds: deleteMessageDays * 24 * 60 * 60
+      });
+
+      return {
+        banned: true,
+        user: await userTag(client, params.userId),
+        reason: reason,
+        deleteMessageDays: deleteMessageDays
+      };
+    }
+  },
+  {
+    name: 'member.unban',
+    description: 'Unban a previously banned user',
+    params: { required: ['userId'], properties: { userId: ID, reason: REASON } },
+    permission: Flags.BanMembers,
+    trust: { minRequesterTrust: 90, refuseBelowTrust: 60 },
+    risk: 'medium',
+    async execute(message, params, { client }) {
+      requireGuild(message);
+      requireUserId(params);
+
+      const reason = params.reason || 'Ban removed';
+
+      await message.guild.bans.remove(params.userId, reason);
+
+      return {
+        unbanned: true,
+        user: await userTag(client, params.userId),
+        reason: reason
+      };
+    }
+  },
+  {
+    name: 'member.setNickname',
+    aliases: [
+      'member.edit', 'member.update', 'member.nickname', 'member.nick', 'member.rename',
+      'member.changenick', 'member.changename', 'member.modifyNickname', 'nickname.set'
+    ],
+    description: "Change a member's nickname",
+    params: { required: ['userId', 'nickname'], properties: { userId: ID, nickname: { type: 'string', maxLength: 32 } } },
+    permission: Flags.ManageNicknames,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30, protectedTargetTrust: 80 },
+    risk: 'medium',
+    async inverse(message, params) {
+      const member = await fetchMember(message, params);
+      if (!member) return null;
+      return { action: 'member.setNickname', params: { userId: params.userId, nickname: member.nickname || '', reason: 'Undo' } };
+    },
+    async execute(message, params, { logger }) {
+      requireGuild(message);
+
+      // Get user ID parameter
+      const userId = params.userId ||
+                    (message.mentions.users.first() ? message.mentions.users.first().id : null);
+
+      // Get nickname parameter - CHECK ALL POSSIBLE FIELDS
+      let nickname = null;
+
+      // Check all possible parameter names
+      const possibleParamNames = ['nickname', 'nick', 'name', 'content', 'value', 'to', 'newNickname'];
+
+      for (const paramName of possibleParamNames) {
+        if (params[paramName] !== undefined) {
+          nickname = params[paramName];
+          break;
+        }
+      }
+
+      // If still not found, analyze message content
+      if (nickname === null) {
+        // Format: "nickname to something" or "change something"
+        const nicknameMatch = message.content.match(/(?:nickname|name)\s+(?:to|as|change)\s+["']?([^"']+)["']?/i);
+        if (nicknameMatch) {
+          nickname = nicknameMatch[1];
+        } else {
+          // "to something" format
+          const toMatch = message.content.match(/\s+to\s+["']?([^"']+)["']?/i);
+          if (toMatch) {
+            nickname = toMatch[1];
+          }
+        }
+      }
+
+      logger.info(`Nickname change request: userID=${userId}, nickname=${nickname}`);
+
+      if (!userId) {
+        throw new Error('Missing user ID parameter');
+      }
+
+      if (!nickname && nickname !== '') {
+        throw new Error('Missing new nickname parameter, please specify (e.g., nickname="New Name")');
+      }
+
+      // Find member
+      const member = await message.guild.members.fetch(userId);
+      if (!member) {
+        throw new Error('User not found');
+      }
+
+      // Check permissions
+      if (!message.guild.members.me.permissions.has(Flags.ManageNicknames)) {
+        throw new Error('Bot lacks permission to change nicknames');
+      }
+
+      const reason = params.reason || 'Changed via bot command';
+
+      try {
+        // Change nickname
+        await member.setNickname(nickname, reason);
+
+        // Success message
+        await message.channel.send(`✅ Changed <@${userId}>'s nickname to "${nickname}".`);
+
+        return {
+          nicknameChanged: true,
+          user: member.user.tag,
+          nickname: nickname
+        };
+      } catch (error) {
+        // More descriptive error
+        logger.error('Nickname change error:', error);
+        throw new Error(`Failed to change nickname: ${error.message}`);
+      }
+    }
+  }
+];
@@ -0,0 +1,171 @@
+/**
+ * Message actions
+ */
+const { PermissionsBitField } = require('discord.js');
+const { ID } = require('./schema');
+
+const Flags = PermissionsBitField.Flags;
+
+const CONTENT = { type: 'string', minLength: 1, maxLength: 2000 };
+
+/**
+ * Text channel channelId points at, or the current channel
+ * @private
+ */
+async function fetchChannel(message, params, { client }) {
+  const channel = params.channelId ? await client.channels.fetch(params.channelId).catch(() => null) : message.channel;
+  if (!channel?.messages) {
+    throw new Error('Channel not found');
+  }
+  return channel;
+}
+
+/**
+ * The message a step points at (in channelId, or the current channel), or the command message itself
+ * @private
+ */
+async function fetchTarget(message, params, context) {
+  if (!params.messageId) return message;
+
+  const channel = await fetchChannel(message, params, context);
+  return await channel.messages.fetch(params.messageId);
+}
+
+// Message actions take the message by ID, in another channel if channelId is given
+const TARGET = { messageId: ID, channelId: ID };
+
+module.exports = [
+  {
+    name: 'message.create',
+    aliases: ['message.send', 'message.write', 'message.post', 'message.say', 'message.yaz', 'message.gönder'],
+    description: 'Send a message to a channel (the current channel if channelId is omitted)',
+    params: { required: ['content'], properties: { content: CONTENT, channelId: ID } },
+    outputs: ['id', 'channelId'],
+    permission: Flags.SendMessages,
+    async execute(message, params, { client }) {
+      const channel = params.channelId
+        ? await client.channels.fetch(params.channelId).catch(() => message.channel)
+        : message.channel;
+
+      if (!channel) {
+        throw new Error('Channel not found');
+      }
+
+      return await channel.send(params.content || 'Empty message');
+    }
+  },
+  {
+    name: 'message.list',
+    aliases: ['message.find', 'message.search', 'message.filter', 'messages.list', 'messages.find'],
+    description: 'Find recent messages of a channel (the current channel if channelId is omitted), ' +
+      'e.g. to go through them with workflow.forEach',
+    params: {
+      properties: {
+        channelId: ID,
+        limit: { type: 'integer', minimum: 1, maximum: 100, description: 'messages to look through, default 50' },
+        contains: { type: 'string', minLength: 1 },
+        userId: { ...ID, description: 'author' }
+      }
+    },
+    outputs: ['messages'],
+    permission: Flags.ReadMessageHistory,
+    async execute(message, params, context) {
+      const channel = await fetchChannel(message, params, context);
+      const limit = Math.min(Math.max(parseInt(params.limit) || 50, 1), 100);
+      const text = params.contains?.toLowerCase();
+
+      const messages = [...(await channel.messages.fetch({ limit })).values()]
+        .filter(found => found.id !== message.id)
+        .filter(found => !params.userId || found.author.id === params.userId)
+        .filter(found => !text || found.content.toLowerCase().includes(text));
+
+      return {
+        channelId: channel.id,
+        messages: messages.map(found => ({
+          id: found.id,
+          channelId: channel.id,
+          authorId: found.author.id,
+          content: found.content
+        }))
+      };
+    }
+  },
+  {
+    name: 'message.edit',
+    description: 'Edit a message sent by the bot',
+    params: { required: ['messageId', 'content'], properties: { ...TARGET, content: CONTENT } },
+    outputs: ['id'],
+    permission: Flags.SendMessages,
+    async execute(message, params, context) {
+      const targetMessage = await fetchTarget(message, params, context);
+      if (!targetMessage) {
+        throw new Error('Message to edit not found');
+      }
+
+      return await targetMessage.edit(params.content);
+    }
+  },
+  {
+    name: 'message.delete',
+    description: 'Delete a message',
+    params: { required: ['messageId'], properties: TARGET },
+    permission: Flags.ManageMessages,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30 },
+    async execute(message, params, context) {
+      const targetMessage = await fetchTarget(message, params, context);
+      if (!targetMessage) {
+        throw new Error('Message to delete not found');
+      }
+
+      return await targetMessage.delete();
+    }
+  },
+  {
+    name: 'message.react',
+    description: 'React to a message with an emoji',
+    params: { required: ['messageId', 'emoji'], properties: { ...TARGET, emoji: { type: 'string', minLength: 1 } } },
+    permission: Flags.AddReactions,
+    async execute(message, params, context) {
+      const targetMessage = await fetchTarget(message, params, context);
+      if (!targetMessage) {
+        throw new Error('Message to react to not found');
+      }
+
+      if (!params.emoji) {
+        throw new Error('Missing emoji parameter');
+      }
+
+      return await targetMessage.react(params.emoji);
+    }
+  },
+  {
+    name: 'message.pin',
+    description: 'Pin a message',
+    params: { required: ['messageId'], properties: TARGET },
+    permission: Flags.ManageMessages,
+    trust: { minRequesterTrust: 55, refuseBelowTrust: 30 },
+    async execute(message, params, context) {
+      const targetMessage = await fetchTarget(message, params, context);
+      if (!targetMessage) {
+        throw new Error('Message to pin not found');
+      }
+
+      return await targetMessage.pin();
+    }
+  },
+  {
+    name: 'message.unpin',
+    description: 'Unpin a message',
+    params: { required: ['messageId'], properties: TARGET },
+    permission: Flags.ManageMessages,
+    trust: { minRequesterTrust: 55, refuseBelowTrust: 30 },
+    async execute(message, params, context) {
+      const targetMessage = await fetchTarget(message, params, context);
+      if (!targetMessage) {
+        throw new Error('Message to unpin not found');
+      }
+
+      return await targetMessage.unpin();
+    }
+  }
+];
@@ -0,0 +1,192 @@
+/**
+ * Action Registry
+ * The single list of actions a plan step can run. DynamicHandler, WorkflowEngine and
+ * ActionHandler execute through it, and the plan schema, the planner prompt and the tool
+ * definitions are generated from it.
+ */
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+const ACTION_NAME = /^[a-z]+\.[a-zA-Z]+$/;
+
+class ActionRegistry {
+  constructor() {
+    // Canonical name -> definition, in registration order
+    this.actions = new Map();
+    // Lowercased alias -> canonical name
+    this.aliases = new Map();
+  }
+
+  /**
+   * Add an action
+   * @param {Object} definition - Action definition
+   * @param {string} definition.name - Canonical name, e.g. member.timeout
+   * @param {string[]} definition.aliases - Other names the planner or users produce (member.mute, role.ver)
+   * @param {string} definition.description - One line for the planner prompt and tool definitions
+   * @param {Object} definition.params - Parameter schema ({ required, properties, anyOf }), see ai/planSchema
+   * @param {string[]} definition.outputs - Result fields later steps can reference ({{s1.result.id}})
+   * @param {bigint} definition.permission - Discord permission the action needs
+   * @param {Object} definition.trust - { minRequesterTrust (with trust delegation on), refuseBelowTrust, protectedTargetTrust }, see DynamicHandler#checkTrust
+   * @param {string} definition.risk - low, medium or high; shown on approval cards
+   * @param {string} definition.caseAction - Moderation case type the action opens (warn, timeout, kick, ban)
+   * @param {Function} definition.inverse - (message, params, context) => { action, params } | null,
+   *   called before the action runs so it can capture the state to restore
+   * @param {Function} definition.completeInverse - (inverse, result) => inverse | null, fills in what
+   *   only the result knows (e.g. the ID of a created channel)
+   * @param {Function} definition.targets - (message, params) => member IDs, the members the trust gate
+   *   protects when they are not just params.userId or params.targetId
+   * @param {Function} definition.execute - (message, params, context) => result; throws on failure.
+   *   context is { client, logger }, plus caseManager when DynamicHandler runs the action
+   * @returns {ActionRegistry}
+   */
+  register(definition) {
+    const { name } = definition;
+
+    if (!ACTION_NAME.test(name || '')) {
+      throw new Error(`Invalid action name: ${name}`);
+    }
+    if (this.actions.has(name)) {
+      throw new Error(`Action ${name} is already registered`);
+    }
+    if (typeof definition.execute !== 'function') {
+      throw new Error(`Action ${name} has no execute function`);
+    }
+    if (definition.risk && !RISK_LEVELS.includes(definition.risk)) {
+      throw new Error(`Action ${name} has an unknown risk level: ${definition.risk}`);
+    }
+
+    const aliases = definition.aliases || [];
+    for (const alias of aliases) {
+      const owner = this.aliases.get(alias.toLowerCase()) || (this.actions.has(alias) && alias);
+      if (owner) {
+        throw new Error(`Alias ${alias} of ${name} is already used by ${owner}`);
+      }
+    }
+
+    this.actions.set(name, {
+      aliases: [],
+      params: {},
+      outputs: [],
+      permission: null,
+      trust: null,
+      risk: 'low',
+      caseAction: null,
+      inverse: null,
+      completeInverse: null,
+      targets: null,
+      ...definition
+    });
+    for (const alias of aliases) {
+      this.aliases.set(alias.toLowerCase(), name);
+    }
+
+    return this;
+  }
+
+  /**
+   * @param {string} name - Canonical action name
+   * @returns {Object|undefined} - Definition
+   */
+  get(name) {
+    return this.actions.get(name);
+  }
+
+  /**
+   * @param {string} name - Canonical action name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.actions.has(name);
+  }
+
+  /**
+   * Canonical name of an action or alias
+   * @param {string} name - Action name as written by the planner or user
+   * @returns {string|null}
+   */
+  resolve(name) {
+    if (!name || typeof name !== 'string') return null;
+    if (this.actions.has(name)) return name;
+    return this.aliases.get(name.toLowerCase()) || null;
+  }
+
+  /**
+   * @returns {string[]} - Canonical action names
+   */
+  names() {
+    return [...this.actions.keys()];
+  }
+
+  /**
+   * @returns {Array<Object>} - Definitions
+   */
+  list() {
+    return [...this.actions.values()];
+  }
+
+  /**
+   * Parameter schema of every action
+   * @returns {Object} - { [action]: schema }
+   */
+  paramSchemas() {
+    return Object.fromEntries(this.list().map(action => [action.name, action.params]));
+  }
+
+  /**
+   * Run an action
+   * @param {string} name - Action name or alias
+   * @param {Message} message - Message the action runs for
+   * @param {Object} params - Action parameters
+   * @param {Object} context - { client, logger }
+   * @returns {Promise<*>} - Result of the implementation
+   */
+  async execute(name, message, params, context) {
+    const action = this.get(this.resolve(name));
+    if (!action) {
+      throw new Error(`Unknown action: ${name}`);
+    }
+    return action.execute(message, params, context);
+  }
+
+  /**
+   * One line per action for the planner prompt, e.g.
+   * "- member.timeout: Timeout a member (params: userId, duration (seconds), reason?)"
+   * and "(returns: id, name)" for actions later steps can build on
+   * @returns {string}
+   */
+  describe() {
+    return this.list().map(action => `- ${action.name}: ${action.description} (params: ${describeParams(action.params)})` +
+      (action.outputs.length > 0 ? ` (returns: ${action.outputs.join(', ')})` : '')).join('\n');
+  }
+}
+
+/**
+ * "userId, roleId or roleName, reason?" from a parameter schema
+ * @private
+ */
+function describeParams(schema) {
+  const required = schema.required || [];
+  const properties = schema.properties || {};
+  const alternatives = (schema.anyOf || []).flatMap(option => option.required || []);
+
+  const parts = required.map(key => describeParam(key, properties[key]));
+  if (alternatives.length > 0) {
+    parts.push(alternatives.map(key => describeParam(key, properties[key])).join(' or '));
+  }
+  for (const [key, property] of Object.entries(properties)) {
+    if (!required.includes(key) && !alternatives.includes(key)) {
+      parts.push(describeParam(key, property, true));
+    }
+  }
+  return parts.join(', ') || 'none';
+}
+
+/**
+ * @private
+ */
+function describeParam(key, property = {}, optional = false) {
+  const name = optional ? `${key}?` : key;
+  return property.description ? `${name} (${property.description})` : name;
+}
+
+module.exports = { ActionRegistry, RISK_LEVELS };
@@ -0,0 +1,297 @@
+/**
+ * Role actions
+ */
+const { PermissionsBitField } = require('discord.js');
+const { RoleActions } = require('../../api/roleActions');
+const { ID, REASON, ROLE_TARGET, PERMISSIONS } = require('./schema');
+const { fromApi, permissionNames } = require('./api');
+
+const Flags = PermissionsBitField.Flags;
+
+const ROLE_PARAMS = {
+  required: ['userId'],
+  properties: { userId: ID, roleId: ID, roleName: { type: 'string' }, reason: REASON },
+  ...ROLE_TARGET
+};
+
+const ROLE_TRUST = { minRequesterTrust: 85, refuseBelowTrust: 50, protectedTargetTrust: 75 };
+
+// Settings role.create and role.edit take besides the name
+const ROLE_SETTINGS = {
+  color: { type: 'string', description: 'hex, e.g. #ff0000' },
+  hoist: { type: 'boolean', description: 'shown separately in the member list' },
+  mentionable: { type: 'boolean' },
+  permissions: { ...PERMISSIONS, description: 'names, e.g. ManageMessages' }
+};
+
+/**
+ * @private
+ */
+function requireGuild(message) {
+  if (!message.guild) {
+    throw new Error('This action can only be used in servers');
+  }
+}
+
+/**
+ * Role by ID, or by name (case-insensitive)
+ * @private
+ */
+async function findRole(guild, params) {
+  let role;
+  if (params.roleId) {
+    role = await guild.roles.fetch(params.roleId);
+  } else if (params.roleName) {
+    role = guild.roles.cache.find(r => r.name.toLowerCase() === params.roleName.toLowerCase());
+  } else {
+    throw new Error('Missing role ID or role name parameter');
+  }
+
+  if (!role) {
+    throw new Error('Role not found');
+  }
+  return role;
+}
+
+/**
+ * Refuse a role at or above the requester's highest role, like Discord does for a member
+ * managing roles by hand (the bot acts with its own, higher role). The owner can manage every role
+ * @private
+ */
+function requireBelowRequester(message, role) {
+  const member = message.member;
+  if (member && member.id === message.guild.ownerId) return;
+
+  if (!member || role.comparePositionTo(member.roles.highest) >= 0) {
+    throw new Error(`"${role.name}" is not below your highest role`);
+  }
+}
+
+/**
+ * Refuse permissions the requester could not give by hand: ones they do not have, and
+ * Administrator unless they are an administrator
+ * @private
+ */
+function requireGrantable(message, names) {
+  const permissions = message.member?.permissions;
+
+  if (names.includes('Administrator') && !permissions?.has(Flags.Administrator)) {
+    throw new Error('Only administrators can give the Administrator permission');
+  }
+
+  const missing = names.filter(name => !permissions?.has(Flags[name]));
+  if (missing.length > 0) {
+    throw new Error(`You cannot give permissions you do not have: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Add or remove a member's role
+ * @private
+ */
+async function changeRole(message, params, add) {
+  requireGuild(message);
+
+  if (!params.userId) {
+    throw new Error('Missing user ID parameter');
+  }
+
+  const role = await findRole(message.guild, params);
+  requireBelowRequester(message, role);
+
+  const member = await message.guild.members.fetch(params.userId);
+  if (!member) {
+    throw new Error('User not found');
+  }
+
+  if (add) {
+    await member.roles.add(role, params.reason);
+    return { roleAdded: true, user: member.user.tag, role: role.name };
+  }
+
+  await member.roles.remove(role, params.reason);
+  return { roleRemoved: true, user: member.user.tag, role: role.name };
+}
+
+/**
+ * role.add <-> role.remove, or nothing when the member already was in the target state
+ * @private
+ */
+async function roleInverse(message, params, add) {
+  const guild = message.guild;
+  const member = params.userId && guild ? await guild.members.fetch(params.userId).catch(() => null) : null;
+  if (!member) return null;
+
+  const role = params.roleId
+    ? guild.roles.cache.get(params.roleId)
+    : guild.roles.cache.find(r => r.name.toLowerCase() === String(params.roleName).toLowerCase());
+  if (!role || member.roles.cache.has(role.id) === add) return null;
+
+  return { action: add ? 'role.remove' : 'role.add', params: { userId: params.userId, roleId: role.id } };
+}
+
+/**
+ * Api params with the permission names checked, and refused when the requester cannot give them
+ * @private
+ */
+function withPermissions(params, message) {
+  if (params.permissions === undefined) return params;
+
+  const permissions = permissionNames(params.permissions);
+  requireGrantable(message, permissions);
+  return { ...params, permissions };
+}
+
+const createRole = fromApi(RoleActions, 'create', withPermissions);
+
+const editRole = fromApi(RoleActions, 'edit', async (params, message) => {
+  const role = await findRole(message.guild, params);
+  requireBelowRequester(message, role);
+
+  return { ...withPermissions(params, message), roleId: role.id };
+});
+
+module.exports = [
+  {
+    name: 'role.add',
+    aliases: ['role.give', 'role.assign', 'role.ver', 'member.roles.add', 'member.role.add', 'roles.add'],
+    description: 'Give a role to a member',
+    params: ROLE_PARAMS,
+    permission: Flags.ManageRoles,
+    trust: ROLE_TRUST,
+    risk: 'medium',
+    inverse: (message, params) => roleInverse(message, params, true),
+    execute: (message, params) => changeRole(message, params, true)
+  },
+  {
+    name: 'role.remove',
+    aliases: ['role.revoke', 'role.take', 'role.al', 'member.roles.remove', 'member.role.remove', 'roles.remove'],
+    description: 'Take a role from a member',
+    params: ROLE_PARAMS,
+    permission: Flags.ManageRoles,
+    trust: ROLE_TRUST,
+    risk: 'medium',
+    inverse: (message, params) => roleInverse(message, params, false),
+    execute: (message, params) => changeRole(message, params, false)
+  },
+  {
+    name: 'role.create',
+    description: 'Create a new role',
+    params: {
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        ...ROLE_SETTINGS,
+        reason: REASON
+      }
+    },
+    outputs: ['id', 'name'],
+    permission: Flags.ManageRoles,
+    trust: { minRequesterTrust: 85, refuseBelowTrust: 50 },
+    risk: 'medium',
+    inverse: async () => ({ action: 'role.delete', params: { reason: 'Undo' } }),
+    completeInverse: (inverse, result) => (result?.id ? { ...inverse, params: { ...inverse.params, roleId: result.id } } : null),
+    async execute(message, params, context) {
+      const { roleId, ...role } = await createRole(message, params, context);
+      return { id: roleId, ...role };
+    }
+  },
+  {
+    name: 'role.edit',
+    aliases: ['role.update', 'role.modify', 'role.rename', 'role.setColor', 'role.setPermissions', 'role.düzenle'],
+    description: "Change a role's name, color, hoist, mentionable or permissions",
+    params: {
+      properties: { roleId: ID, roleName: { type: 'string' }, name: { type: 'string', minLength: 1, maxLength: 100 }, ...ROLE_SETTINGS, reason: REASON },
+      ...ROLE_TARGET
+    },
+    permission: Flags.ManageRoles,
+    trust: { minRequesterTrust: 85, refuseBelowTrust: 50 },
+    risk: 'high',
+    // Restores the settings the step changes
+    async inverse(message, params) {
+      const role = message.guild ? await findRole(message.guild, params).catch(() => null) : null;
+      if (!role) return null;
+
+      const previous = {
+        name: role.name,
+        color: role.hexColor,
+        hoist: role.hoist,
+        mentionable: role.mentionable,
+        permissions: role.permissions.toArray()
+      };
+      const changed = Object.keys(previous).filter(key => params[key] !== undefined);
+      if (changed.length === 0) return null;
+
+      return {
+        action: 'role.edit',
+        params: { roleId: role.id, ...Object.fromEntries(changed.map(key => [key, previous[key]])), reason: 'Undo' }
+      };
+    },
+    execute: editRole
+  },
+  {
+    name: 'role.delete',
+    description: 'Delete a role',
+    params: { properties: { roleId: ID, roleName: { type: 'string' }, reason: REASON }, ...ROLE_TARGET },
+    permission: Flags.ManageRoles,
+    trust: { minRequesterTrust: 90, refuseBelowTrust: 60 },
+    risk: 'high',
+    async execute(message, params) {
+      requireGuild(message);
+
+      const role = await findRole(message.guild, params);
+      requireBelowRequester(message, role);
+      await role.delete(params.reason || 'Deleted by bot');
+
+      return { roleDeleted: true, id: role.id, role: role.name };
+    }
+  },
+  {
+    name: 'role.list',
+    aliases: ['roles.list', 'role.getAll', 'roles.get', 'role.all'],
+    description: 'List the roles of the server, highest first',
+    outputs: ['roles'],
+    permission: Flags.ManageRoles,
+    trust: { minRequesterTrust: 30, refuseBelowTrust: 10 },
+    async execute(message, params, context) {
+      const result = await fromApi(RoleActions, 'list')(message, params, context);
+
+      await message.channel.send(result.roles.length > 0
+        ? result.roles.map(role => `• ${role.name} (${role.id})`).join('\n').slice(0, 2000)
+        : 'This server has no roles.');
+
+      return result;
+    }
+  },
+  {
+    name: 'role.members',
+    aliases: ['role.getMembers', 'role.listMembers', 'member.list', 'members.list', 'member.withRole'],
+    description: 'Find the members who have a role, e.g. to go through them with workflow.forEach',
+    params: {
+      properties: { roleId: ID, roleName: { type: 'string' }, includeBots: { type: 'boolean' } },
+      ...ROLE_TARGET
+    },
+    outputs: ['members'],
+    permission: Flags.ManageRoles,
+    trust: { minRequesterTrust: 40, refuseBelowTrust: 20 },
+    async execute(message, params) {
+      requireGuild(message);
+
+      const role = await findRole(message.guild, params);
+
+      // role.members only sees cached members
+      await message.guild.members.fetch();
+      const members = [...role.members.values()].filter(member => params.includeBots || !member.user.bot);
+
+      return {
+        roleId: role.id,
+        roleName: role.name,
+        members: members.map(member => ({
+          id: member.id,
+          username: member.user.username,
+          displayName: member.displayName
+        }))
+      };
+    }
+  }
+];
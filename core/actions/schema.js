@@ -0,0 +1,24 @@
+/**
+ * Parameter types shared by the action definitions
+ */
+
+// Discord snowflake IDs, or a reference to an earlier step's output ({{s1.result.id}})
+const ID = { type: 'string', format: 'snowflake' };
+
+const REASON = { type: 'string' };
+
+// Discord caps timeouts at 28 days
+const MAX_TIMEOUT_SECONDS = 28 * 24 * 60 * 60;
+
+// Role actions take the role by ID or by name
+const ROLE_TARGET = {
+  anyOf: [
+    { required: ['roleId'], description: 'roleId' },
+    { required: ['roleName'], description: 'roleName' }
+  ]
+};
+
+// Discord.js permission names, e.g. ["SendMessages", "Speak"]
+const PERMISSIONS = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+module.exports = { ID, REASON, MAX_TIMEOUT_SECONDS, ROLE_TARGET, PERMISSIONS };
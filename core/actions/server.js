@@ -0,0 +1,121 @@
+/**
+ * Server actions, run through api/serverActions
+ */
+const {
+  PermissionsBitField,
+  GuildVerificationLevel,
+  GuildExplicitContentFilter,
+  GuildDefaultMessageNotifications
+} = require('discord.js');
+const { ServerActions } = require('../../api/serverActions');
+const { ID, REASON } = require('./schema');
+const { fromApi } = require('./api');
+
+const Flags = PermissionsBitField.Flags;
+
+// Guild value of each setting, in the form updateSettings takes it back
+const SETTINGS = {
+  name: guild => guild.name,
+  description: guild => guild.description,
+  verificationLevel: guild => GuildVerificationLevel[guild.verificationLevel],
+  explicitContentFilter: guild => GuildExplicitContentFilter[guild.explicitContentFilter],
+  defaultMessageNotifications: guild => GuildDefaultMessageNotifications[guild.defaultMessageNotifications],
+  systemChannel: guild => guild.systemChannelId,
+  rulesChannel: guild => guild.rulesChannelId,
+  publicUpdatesChannel: guild => guild.publicUpdatesChannelId
+};
+
+/**
+ * Enum names for the prompt: none, low, medium, high, veryHigh
+ * @private
+ */
+function enumNames(values) {
+  return Object.keys(values)
+    .filter(key => isNaN(key))
+    .map(key => key[0].toLowerCase() + key.slice(1))
+    .join(', ');
+}
+
+module.exports = [
+  {
+    name: 'server.updateSettings',
+    aliases: ['server.settings', 'server.edit', 'server.update', 'server.rename', 'guild.edit', 'guild.update', 'server.ayarla'],
+    description: 'Change server settings',
+    params: {
+      properties: {
+        name: { type: 'string', minLength: 2, maxLength: 100 },
+        description: { type: 'string', maxLength: 120 },
+        verificationLevel: { type: 'string', description: enumNames(GuildVerificationLevel) },
+        explicitContentFilter: { type: 'string', description: enumNames(GuildExplicitContentFilter) },
+        defaultMessageNotifications: { type: 'string', description: enumNames(GuildDefaultMessageNotifications) },
+        systemChannel: ID,
+        rulesChannel: ID,
+        publicUpdatesChannel: ID,
+        reason: REASON
+      },
+      anyOf: Object.keys(SETTINGS).map(key => ({ required: [key], description: key }))
+    },
+    permission: Flags.ManageGuild,
+    trust: { minRequesterTrust: 90, refuseBelowTrust: 60 },
+    risk: 'high',
+    // Restores the settings the step changes
+    async inverse(message, params) {
+      if (!message.guild) return null;
+
+      const changed = Object.keys(SETTINGS).filter(key => params[key] !== undefined);
+      if (changed.length === 0) return null;
+
+      return {
+        action: 'server.updateSettings',
+        params: { ...Object.fromEntries(changed.map(key => [key, SETTINGS[key](message.guild) ?? null])), reason: 'Undo' }
+      };
+    },
+    execute: fromApi(ServerActions, 'updateSettings')
+  },
+  {
+    name: 'server.createInvite',
+    aliases: ['invite.create', 'invite.new', 'server.invite', 'channel.invite', 'channel.createInvite'],
+    description: 'Create an invite link to a channel (the current channel if channelId is omitted)',
+    params: {
+      properties: {
+        channelId: ID,
+        maxAge: { type: 'integer', minimum: 0, maximum: 604800, description: 'seconds, 0 never expires' },
+        maxUses: { type: 'integer', minimum: 0, maximum: 100, description: '0 unlimited' },
+        temporary: { type: 'boolean' },
+        reason: REASON
+      }
+    },
+    outputs: ['code', 'url'],
+    permission: Flags.CreateInstantInvite,
+    trust: { minRequesterTrust: 40, refuseBelowTrust: 20 },
+    async execute(message, params, context) {
+      const result = await fromApi(ServerActions, 'createInvite', (params, message) => ({
+        ...params,
+        channelId: params.channelId || message.channel.id
+      }))(message, params, context);
+
+      await message.channel.send(`🔗 ${result.url}`);
+
+      return result;
+    }
+  },
+  {
+    name: 'server.getInvites',
+    aliases: ['server.invites', 'server.listInvites', 'invite.list', 'invites.list', 'invites.get'],
+    description: 'List the invites of the server',
+    outputs: ['invites'],
+    permission: Flags.ManageGuild,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30 },
+    async execute(message, params, context) {
+      const result = await fromApi(ServerActions, 'getInvites')(message, params, context);
+
+      await message.channel.send(result.invites.length > 0
+        ? result.invites.map(invite => `• ${invite.url} → #${invite.channel.name || invite.channel.id}, ` +
+            `${invite.uses}${invite.maxUses ? `/${invite.maxUses}` : ''} uses` +
+            (invite.inviter ? `, by ${invite.inviter.tag}` : '')).join('\n').slice(0, 2000)
+        : 'This server has no invites.');
+
+      return result;
+    }
+  }
+];
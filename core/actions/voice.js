@@ -0,0 +1,161 @@
+/**
+ * Voice actions, run through api/voiceActions
+ */
+const { PermissionsBitField } = require('discord.js');
+const { VoiceActions } = require('../../api/voiceActions');
+const { ID, REASON } = require('./schema');
+const { fromApi } = require('./api');
+
+const Flags = PermissionsBitField.Flags;
+
+const VOICE_MEMBER = { required: ['userId'], properties: { userId: ID, reason: REASON } };
+
+const move = fromApi(VoiceActions, 'move');
+
+/**
+ * Members a voice.move step moves: one user, a list, or everyone in fromChannelId
+ * @private
+ */
+async function moveTargets(message, params) {
+  if (params.userId) return [params.userId];
+  if (Array.isArray(params.userIds)) return params.userIds;
+
+  const from = params.fromChannelId ? await message.guild?.channels.fetch(params.fromChannelId).catch(() => null) : null;
+  if (!from?.isVoiceBased()) {
+    throw new Error('Source voice channel not found');
+  }
+  if (from.members.size === 0) {
+    throw new Error(`Nobody is in ${from.name}`);
+  }
+  return [...from.members.keys()];
+}
+
+/**
+ * voice.X <-> voice.unX, or nothing when the member already was in the target state
+ * @private
+ */
+async function voiceStateInverse(message, params, flag, state, undo) {
+  const member = params.userId && message.guild ? await message.guild.members.fetch(params.userId).catch(() => null) : null;
+  if (!member?.voice.channel || member.voice[flag] === state) return null;
+  return { action: undo, params: { userId: params.userId, reason: 'Undo' } };
+}
+
+module.exports = [
+  {
+    name: 'voice.move',
+    aliases: ['voice.moveMember', 'voice.moveMembers', 'voice.moveAll', 'member.move', 'voice.setChannel', 'voice.drag', 'voice.taşı'],
+    description: 'Move members to another voice channel: one member, or everyone in fromChannelId',
+    params: {
+      required: ['channelId'],
+      properties: {
+        channelId: { ...ID, description: 'destination' },
+        userId: ID,
+        userIds: { type: 'array', items: ID },
+        fromChannelId: ID,
+        reason: REASON
+      },
+      anyOf: [
+        { required: ['userId'], description: 'userId' },
+        { required: ['userIds'], description: 'userIds' },
+        { required: ['fromChannelId'], description: 'fromChannelId' }
+      ]
+    },
+    outputs: ['moved'],
+    permission: Flags.MoveMembers,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30, protectedTargetTrust: 75 },
+    risk: 'medium',
+    // Every moved member is protected, not only a single userId
+    targets: (message, params) => moveTargets(message, params),
+    // Moves everyone back to the channel they came from, if they all came from the same one
+    async inverse(message, params) {
+      const userIds = await moveTargets(message, params).catch(() => []);
+      const members = await Promise.all(userIds.map(id => message.guild.members.fetch(id).catch(() => null)));
+      const origins = new Set(members.map(member => member?.voice.channelId));
+      if (members.length === 0 || origins.size !== 1 || origins.has(null) || origins.has(undefined)) return null;
+
+      const [channelId] = origins;
+      return { action: 'voice.move', params: { userIds, channelId, reason: 'Undo' } };
+    },
+    async execute(message, params, context) {
+      const moved = [];
+      for (const userId of await moveTargets(message, params)) {
+        moved.push(await move(message, { ...params, userId }, context));
+      }
+
+      return {
+        moved: moved.length,
+        channelId: params.channelId,
+        users: moved.map(result => result.username)
+      };
+    }
+  },
+  {
+    name: 'voice.disconnect',
+    aliases: ['voice.kick', 'voice.disconnectMember', 'voice.drop'],
+    description: 'Disconnect a member from voice',
+    params: VOICE_MEMBER,
+    permission: Flags.MoveMembers,
+    trust: { minRequesterTrust: 65, refuseBelowTrust: 35, protectedTargetTrust: 75 },
+    risk: 'medium',
+    execute: fromApi(VoiceActions, 'disconnect')
+  },
+  {
+    name: 'voice.mute',
+    aliases: ['voice.serverMute', 'voice.silence', 'member.voiceMute'],
+    description: 'Server mute a member in voice (they stay connected but cannot speak)',
+    params: VOICE_MEMBER,
+    permission: Flags.MuteMembers,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30, protectedTargetTrust: 75 },
+    risk: 'medium',
+    inverse: (message, params) => voiceStateInverse(message, params, 'serverMute', true, 'voice.unmute'),
+    execute: fromApi(VoiceActions, 'mute')
+  },
+  {
+    name: 'voice.unmute',
+    aliases: ['voice.serverUnmute', 'member.voiceUnmute'],
+    description: 'Remove the server mute of a member in voice',
+    params: VOICE_MEMBER,
+    permission: Flags.MuteMembers,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30 },
+    inverse: (message, params) => voiceStateInverse(message, params, 'serverMute', false, 'voice.mute'),
+    execute: fromApi(VoiceActions, 'unmute')
+  },
+  {
+    name: 'voice.deafen',
+    aliases: ['voice.deaf', 'voice.serverDeafen', 'member.deafen'],
+    description: 'Server deafen a member in voice (they cannot hear the channel)',
+    params: VOICE_MEMBER,
+    permission: Flags.DeafenMembers,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30, protectedTargetTrust: 75 },
+    risk: 'medium',
+    inverse: (message, params) => voiceStateInverse(message, params, 'serverDeaf', true, 'voice.undeafen'),
+    execute: fromApi(VoiceActions, 'deafen')
+  },
+  {
+    name: 'voice.undeafen',
+    aliases: ['voice.undeaf', 'voice.serverUndeafen', 'member.undeafen'],
+    description: 'Remove the server deafen of a member in voice',
+    params: VOICE_MEMBER,
+    permission: Flags.DeafenMembers,
+    trust: { minRequesterTrust: 60, refuseBelowTrust: 30 },
+    inverse: (message, params) => voiceStateInverse(message, params, 'serverDeaf', false, 'voice.deafen'),
+    execute: fromApi(VoiceActions, 'undeafen')
+  },
+  {
+    name: 'voice.getUsers',
+    aliases: ['voice.getVoiceUsers', 'voice.users', 'voice.list', 'voice.members', 'voice.who'],
+    description: 'List who is in which voice channel',
+    outputs: ['channels'],
+    permission: Flags.MoveMembers,
+    trust: { minRequesterTrust: 40, refuseBelowTrust: 20 },
+    async execute(message, params, context) {
+      const result = await fromApi(VoiceActions, 'getVoiceUsers')(message, params, context);
+
+      const lines = result.channels.map(channel => `🔊 **${channel.channelName}**: ` +
+        channel.members.map(member => member.nickname || member.username).join(', '));
+      await message.channel.send(lines.length > 0 ? lines.join('\n') : 'Nobody is in a voice channel.');
+
+      return result;
+    }
+  }
+];
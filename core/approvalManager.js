@@ -0,0 +1,404 @@
+/**
+ * Approval Manager
+ * Interactive plan approval cards: plain-language steps with risk badges, Approve / Reject / Edit
+ * buttons, per-step toggles and multi-moderator quorums. Buttons are routed through InteractionTracker.
+ */
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  PermissionsBitField
+} = require('discord.js');
+const i18n = require('../config/i18n');
+const { validatePlan, formatValidationErrors } = require('../ai/planSchema');
+const { actionRegistry } = require('./actions');
+const { actionSteps } = require('../workflow/controlFlow');
+
+// Risk of each action, shown as a badge on the card
+const ACTION_RISK = Object.fromEntries(actionRegistry.list().map(action => [action.name, action.risk]));
+
+const RISK_BADGES = { high: '🔴', medium: '🟡', low: '🟢' };
+
+// Discord allows 5 rows; the first one holds Approve/Reject/Edit
+const MAX_TOGGLE_STEPS = 20;
+
+// Text inputs are limited to 4000 characters
+const MAX_EDIT_LENGTH = 4000;
+
+class ApprovalManager {
+  /**
+   * @param {Client} client - Discord client
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} logger - Logger
+   * @param {PlanSimulator} planSimulator - Renders the steps in plain language
+   * @param {DynamicHandler} dynamicHandler - Action names and the permissions they need
+   * @param {Object} options - Approval settings (config.APPROVAL)
+   */
+  constructor(client, eventBus, logger, planSimulator, dynamicHandler, options = {}) {
+    this.client = client;
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.planSimulator = planSimulator;
+    this.dynamicHandler = dynamicHandler;
+
+    this.timeout = options.TIMEOUT ?? 60;
+    this.quorums = options.QUORUM || {};
+
+    // planId -> pending approval state
+    this.pending = new Map();
+
+    // Set once the buttons are routed; until then the reaction prompt is used
+    this.ready = false;
+  }
+
+  /**
+   * Route the approval buttons through InteractionTracker
+   * @returns {Promise<boolean>} - Whether InteractionTracker accepted all handlers
+   */
+  async registerInteractions() {
+    const handlers = {
+      'plan_approve:*': (interaction, groups) => this._onApprove(interaction, groups[0]),
+      'plan_reject:*': (interaction, groups) => this._onReject(interaction, groups[0]),
+      'plan_edit:*': (interaction, groups) => this._onEdit(interaction, groups[0]),
+      'plan_editsubmit:*': (interaction, groups) => this._onEditSubmit(interaction, groups[0]),
+      'plan_toggle:*:*': (interaction, groups) => this._onToggle(interaction, groups[0], parseInt(groups[1]))
+    };
+
+    let registered = true;
+    for (const [customId, handler] of Object.entries(handlers)) {
+      const handled = await this.eventBus.emit('registerInteraction', { customId, handler, expiration: null });
+      registered = registered && handled;
+    }
+
+    if (!registered) {
+      this.logger.warn('InteractionTracker is not loaded, plan approval falls back to reactions');
+    }
+    this.ready = registered;
+    return registered;
+  }
+
+  /**
+   * Post an approval card and wait for the quorum
+   * @param {Message} message - Original command message
+   * @param {Object} plan - Plan (steps are replaced by the approved ones before onApproved runs)
+   * @param {Function} onApproved - Called with the approver IDs
+   * @param {Object} options - { approverPermissions, excludeRequester, notice, quorum, timeout (seconds) }
+   */
+  async request(message, plan, onApproved, options = {}) {
+    const timeout = options.timeout ?? this.timeout;
+    const state = {
+      plan,
+      message,
+      onApproved,
+      notice: options.notice || null,
+      excludeRequester: !!options.excludeRequester,
+      extraPermissions: options.approverPermissions || [],
+      fixedQuorum: options.quorum || null,
+      steps: plan.steps.slice(),
+      enabled: plan.steps.map(() => true),
+      approvals: new Set(),
+      expiresAt: Date.now() + timeout * 1000,
+      timer: null,
+      card: null
+    };
+
+    await this._refresh(state);
+    state.card = await message.reply(this._render(state));
+    state.timer = setTimeout(() => this._finish(state, 'expired').catch(error =>
+      this.logger.error('Approval expiry error:', error)), timeout * 1000);
+
+    this.pending.set(plan.id, state);
+  }
+
+  /**
+   * Recompute everything that depends on the selected steps
+   * @private
+   */
+  async _refresh(state) {
+    const selected = state.steps.filter((step, index) => state.enabled[index]);
+    const actions = actionSteps(selected).map(step => this.dynamicHandler._resolveActionName(step.params?.action) || step.params?.action);
+
+    // Only the steps that will run are simulated, so the preview matches the execution
+    const simulated = (await this.planSimulator.simulate(state.message, { steps: selected })).steps;
+    state.descriptions = state.steps.map((step, index) => state.enabled[index] ? simulated.shift() : null);
+    state.quorum = state.fixedQuorum || Math.max(1, ...actions.map(action => this.quorums[action] || 1));
+
+    const permissions = new Set(state.extraPermissions);
+    for (const action of actions) {
+      const permission = this.dynamicHandler.actionTrustRequirements[action]?.permission;
+      if (permission) permissions.add(permission);
+    }
+    state.approverPermissions = [...permissions];
+  }
+
+  /**
+   * Build the card message
+   * @private
+   */
+  _render(state, outcome = null) {
+    const planId = state.plan.id;
+    const lines = state.steps.map((planStep, index) => {
+      const step = state.descriptions[index];
+      if (!step) {
+        return `~~${index + 1}. ${planStep.params?.action || planStep.tool}~~ (dropped)`;
+      }
+
+      const badge = RISK_BADGES[step.risk || ACTION_RISK[step.action] || 'low'];
+      const text = `${index + 1}. ${badge} Would ${step.text}`;
+      const warnings = step.warnings.map(warning => `   ⚠️ ${warning}`).join('\n');
+      return warnings ? `${text}\n${warnings}` : text;
+    });
+
+    const approvers = [...state.approvals].map(id => `<@${id}>`).join(', ') || '-';
+    const embed = {
+      title: `📋 Plan ${planId}`,
+      description: lines.join('\n').slice(0, 4000),
+      color: outcome === 'approved' ? 0x2ecc71 : outcome ? 0x95a5a6 : 0xf1c40f,
+      fields: [
+        { name: 'Approvals', value: `${state.approvals.size}/${state.quorum} • ${approvers}`, inline: true },
+        { name: 'Requested by', value: `<@${state.message.author.id}>`, inline: true }
+      ]
+    };
+
+    if (state.plan.command) {
+      embed.footer = { text: state.plan.command.slice(0, 2048) };
+    }
+
+    if (outcome) {
+      embed.fields.push({ name: 'Status', value: i18n.translate({
+        approved: 'planApproved', rejected: 'planRejected', expired: 'planExpired'
+      }[outcome], 'en') });
+      return { content: null, embeds: [embed], components: [] };
+    }
+
+    embed.fields.push({ name: 'Expires', value: `<t:${Math.floor(state.expiresAt / 1000)}:R>`, inline: true });
+
+    const rows = [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`plan_approve:${planId}`).setLabel('Approve').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`plan_reject:${planId}`).setLabel('Reject').setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`plan_edit:${planId}`).setLabel('Edit').setStyle(ButtonStyle.Secondary)
+    )];
+
+    const toggles = state.steps.slice(0, MAX_TOGGLE_STEPS).map((step, index) =>
+      new ButtonBuilder()
+        .setCustomId(`plan_toggle:${planId}:${index}`)
+        .setLabel(`${state.enabled[index] ? '✓' : '✗'} ${index + 1}`)
+        .setStyle(state.enabled[index] ? ButtonStyle.Primary : ButtonStyle.Secondary)
+    );
+    for (let i = 0; i < toggles.length; i += 5) {
+      rows.push(new ActionRowBuilder().addComponents(toggles.slice(i, i + 5)));
+    }
+
+    const prompt = i18n.translate('approvePlanButtonsPrompt', 'en', {
+      seconds: Math.max(0, Math.round((state.expiresAt - Date.now()) / 1000)),
+      quorum: state.quorum
+    });
+
+    return {
+      content: (state.notice ? state.notice + '\n' : '') + i18n.translate('approvePlan', 'en') + '\n' + prompt,
+      embeds: [embed],
+      components: rows
+    };
+  }
+
+  /**
+   * Whether a member may approve (and therefore also reject, toggle or edit)
+   * @private
+   */
+  async _canApprove(state, user) {
+    if (user.id === state.message.author.id) {
+      return !state.excludeRequester;
+    }
+
+    const member = await state.message.guild.members.fetch(user.id).catch(() => null);
+    if (!member) return false;
+    if (member.permissions.has(PermissionsBitField.Flags.Administrator)) return true;
+
+    return state.approverPermissions.length > 0 &&
+      state.approverPermissions.every(permission => member.permissions.has(permission));
+  }
+
+  /**
+   * Requester or an eligible approver
+   * @private
+   */
+  async _canManage(state, user) {
+    return user.id === state.message.author.id || await this._canApprove(state, user);
+  }
+
+  /**
+   * Look up the pending approval for an interaction, answering if it is gone
+   * @private
+   */
+  async _getState(interaction, planId) {
+    const state = this.pending.get(planId);
+    if (!state) {
+      await interaction.reply({ content: 'This approval is no longer active.', ephemeral: true });
+      return null;
+    }
+    return state;
+  }
+
+  async _onApprove(interaction, planId) {
+    const state = await this._getState(interaction, planId);
+    if (!state) return;
+
+    if (!(await this._canApprove(state, interaction.user))) {
+      await interaction.reply({ content: '❌ You cannot approve this plan.', ephemeral: true });
+      return;
+    }
+    if (!state.enabled.some(Boolean)) {
+      await interaction.reply({ content: '❌ Every step is dropped, reject the plan instead.', ephemeral: true });
+      return;
+    }
+
+    state.approvals.add(interaction.user.id);
+
+    if (state.approvals.size >= state.quorum) {
+      await interaction.deferUpdate();
+      await this._finish(state, 'approved');
+    } else {
+      await interaction.update(this._render(state));
+    }
+  }
+
+  async _onReject(interaction, planId) {
+    const state = await this._getState(interaction, planId);
+    if (!state) return;
+
+    if (!(await this._canManage(state, interaction.user))) {
+      await interaction.reply({ content: '❌ You cannot reject this plan.', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferUpdate();
+    await this._finish(state, 'rejected');
+  }
+
+  async _onToggle(interaction, planId, index) {
+    const state = await this._getState(interaction, planId);
+    if (!state) return;
+
+    if (!(await this._canManage(state, interaction.user)) || !(index in state.enabled)) {
+      await interaction.reply({ content: '❌ You cannot change this plan.', ephemeral: true });
+      return;
+    }
+
+    state.enabled[index] = !state.enabled[index];
+    // Approvals were given for a different set of steps
+    state.approvals.clear();
+    await this._refresh(state);
+    await interaction.update(this._render(state));
+  }
+
+  async _onEdit(interaction, planId) {
+    const state = await this._getState(interaction, planId);
+    if (!state) return;
+
+    if (!(await this._canManage(state, interaction.user))) {
+      await interaction.reply({ content: '❌ You cannot change this plan.', ephemeral: true });
+      return;
+    }
+
+    // Only params are editable; ids, tools and dependsOn stay, so references and ordering still hold
+    const steps = state.steps.filter((step, index) => state.enabled[index]).map(step => step.params);
+    const json = JSON.stringify(steps, null, 2);
+    if (json.length > MAX_EDIT_LENGTH) {
+      await interaction.reply({ content: '❌ This plan is too large to edit here.', ephemeral: true });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`plan_editsubmit:${planId}`)
+      .setTitle('Edit plan steps')
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('plan_steps')
+          .setLabel('Step parameters (JSON array)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setValue(json)
+          .setMaxLength(MAX_EDIT_LENGTH)
+          .setRequired(true)
+      ));
+
+    await interaction.showModal(modal);
+  }
+
+  async _onEditSubmit(interaction, planId) {
+    const state = await this._getState(interaction, planId);
+    if (!state) return;
+
+    if (!(await this._canManage(state, interaction.user))) {
+      await interaction.reply({ content: '❌ You cannot change this plan.', ephemeral: true });
+      return;
+    }
+
+    const selected = state.steps.filter((step, index) => state.enabled[index]);
+    let params;
+    try {
+      params = JSON.parse(interaction.fields.getTextInputValue('plan_steps'));
+      if (!Array.isArray(params)) {
+        throw new Error('Expected an array of step parameters');
+      }
+      if (params.length !== selected.length) {
+        throw new Error(`Expected the parameters of ${selected.length} steps; drop steps with the toggles instead`);
+      }
+    } catch (error) {
+      await interaction.reply({ content: `❌ Invalid steps: ${error.message}`, ephemeral: true });
+      return;
+    }
+
+    const steps = selected.map((step, index) => ({ ...step, params: params[index] }));
+
+    const validation = validatePlan({ steps });
+    if (!validation.valid) {
+      await interaction.reply({ content: `❌ Invalid steps:\n${formatValidationErrors(validation.errors).slice(0, 1800)}`, ephemeral: true });
+      return;
+    }
+
+    // Edited steps go through the same trust gates as generated ones
+    const trust = await this.dynamicHandler.checkPlanTrust(state.message, { steps });
+    if (!trust.allowed) {
+      await interaction.reply({ content: `❌ ${trust.reasons.join('\n')}`, ephemeral: true });
+      return;
+    }
+    if (trust.requiresApproval || trust.requiresSecondModerator) {
+      state.excludeRequester = true;
+      state.extraPermissions = [...new Set([...state.extraPermissions, ...trust.permissions])];
+    }
+
+    state.steps = steps;
+    state.enabled = state.steps.map(() => true);
+    state.approvals.clear();
+    await this._refresh(state);
+
+    this.logger.info(`Plan ${planId} edited by ${interaction.user.id}`);
+
+    await interaction.deferUpdate();
+    await state.card.edit(this._render(state));
+  }
+
+  /**
+   * Close the card and run the plan if it was approved
+   * @private
+   */
+  async _finish(state, outcome) {
+    if (!this.pending.has(state.plan.id)) return;
+
+    this.pending.delete(state.plan.id);
+    clearTimeout(state.timer);
+
+    await state.card.edit(this._render(state, outcome)).catch(error =>
+      this.logger.warn(`Could not update approval card: ${error.message}`));
+
+    if (outcome === 'approved') {
+      state.plan.steps = state.steps.filter((step, index) => state.enabled[index]);
+      await state.onApproved([...state.approvals]);
+    }
+  }
+}
+
+module.exports = { ApprovalManager, ACTION_RISK };
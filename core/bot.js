@@ -3,33 +3,205 @@
  */
 const { SpecialCommandHandler } = require('../workflow/specialCommands');
 // SimplePlanGenerator importunu kaldır!
-const { Events } = require('discord.js');
-const { LLMService } = require('../ai/llmservice');
+const { Events, PermissionsBitField } = require('discord.js');
+const { LLMService } = require('../ai/llmService');
 const { PlanGenerator } = require('../ai/planGenerator');
 const { WorkflowEngine } = require('../workflow/workflowEngine');
 const { loadExtensions } = require('../extensions/extensionLoader');
 const i18n = require('../config/i18n');
 const { DynamicHandler } = require('./dynamicHandler');
+const { TrustScoreService } = require('./trustScore');
+const { initStorage } = require('../storage');
+const { CaseManager } = require('./caseManager');
+const { EscalationPolicy } = require('./escalationPolicy');
+const { ModLog } = require('./modLog');
+const { PlanHistory } = require('./planHistory');
+const { PlanSimulator } = require('./planSimulator');
+const { ApprovalManager } = require('./approvalManager');
+const { WorkflowLibrary } = require('./workflowLibrary');
+const { ConversationMemory } = require('./conversationMemory');
+const { PlanCache } = require('../ai/planCache');
+const { validatePlan, formatValidationErrors } = require('../ai/planSchema');
+const { ToolPlanner } = require('../ai/toolPlanner');
 
 async function setupBot(client, config, logger, eventBus) {
   // Initialize LLM service
   const specialCommandHandler = new SpecialCommandHandler(client, logger);
   
+  // Persistent storage shared by the extensions
+  const storage = initStorage(config, logger);
+  
+  // Trust score service listens to moderation signals on the event bus
+  const trustScore = new TrustScoreService(client, eventBus, logger, storage, config.TRUST_SCORE);
+  specialCommandHandler.trustScore = trustScore;
+  
+  // Moderation cases and appeals
+  const caseManager = new CaseManager(client, eventBus, logger, storage);
+  specialCommandHandler.caseManager = caseManager;
+  
+  // Audit trail of every executed action in the guild's mod-log channel
+  const modLog = new ModLog(client, eventBus, logger, storage);
+  specialCommandHandler.modLog = modLog;
+  
   const dynamicHandler = new DynamicHandler(client, logger);
-  const llm = new LLMService(config.LLM_API_URL, config.LLM_MODEL, logger);
+  dynamicHandler.modLog = modLog;
+  dynamicHandler.trustScore = trustScore;
+  dynamicHandler.caseManager = caseManager;
+  
+  // Warning escalation ladder acts through the dynamic handler
+  const escalationPolicy = new EscalationPolicy(eventBus, logger, storage, dynamicHandler, config.ESCALATION);
+  specialCommandHandler.escalationPolicy = escalationPolicy;
+  
+  // Executed plans and their inverses for undo
+  const planHistory = new PlanHistory(logger, storage, dynamicHandler, caseManager);
+  specialCommandHandler.planHistory = planHistory;
+  escalationPolicy.planHistory = planHistory;
+  const llm = new LLMService(config.LLM_API_URL, config.LLM_MODEL, logger, {
+    provider: config.LLM_PROVIDER,
+    apiKey: config.LLM_API_KEY,
+    constrainedOutput: config.LLM_CONSTRAINED_OUTPUT,
+    minFallbackConfidence: config.RULE_PLANNER.MIN_CONFIDENCE
+  });
   
   // Initialize workflow engine
-  const workflowEngine = new WorkflowEngine(client, logger, eventBus, config);
+  const workflowEngine = new WorkflowEngine(client, logger);
   
   // Set dynamicHandler on the workflowEngine for advanced commands
   workflowEngine.dynamicHandler = dynamicHandler;
+  workflowEngine.modLog = modLog;
+  workflowEngine.limits = { ...workflowEngine.limits, ...config.WORKFLOW };
   
   // Initialize plan generator
   const planGenerator = new PlanGenerator(llm, workflowEngine, logger, config);
   
+  // Tool calling planner (PLANNER_MODE=tools)
+  planGenerator.toolPlanner = new ToolPlanner(llm, dynamicHandler, logger);
+  
+  // Plan templates of repeated commands, dropped when roles or channels change
+  const planCache = new PlanCache(logger, storage.planCache, config.PLAN_CACHE);
+  planGenerator.planCache = planCache;
+  specialCommandHandler.planCache = planCache;
+  
+  const invalidatePlans = (guild, reason) => guild && planCache.invalidateGuild(guild.id, reason);
+  client.on(Events.GuildRoleCreate, role => invalidatePlans(role.guild, 'role created'));
+  client.on(Events.GuildRoleDelete, role => invalidatePlans(role.guild, 'role deleted'));
+  client.on(Events.GuildRoleUpdate, (oldRole, newRole) => {
+    if (oldRole.name !== newRole.name) invalidatePlans(newRole.guild, 'role renamed');
+  });
+  client.on(Events.ChannelCreate, channel => invalidatePlans(channel.guild, 'channel created'));
+  client.on(Events.ChannelDelete, channel => invalidatePlans(channel.guild, 'channel deleted'));
+  client.on(Events.ChannelUpdate, (oldChannel, newChannel) => {
+    if (oldChannel.name !== newChannel.name || oldChannel.type !== newChannel.type) {
+      invalidatePlans(newChannel.guild, 'channel changed');
+    }
+  });
+  
+  // Saved workflows, run by name, from other plans (workflow.run) and from scheduled tasks
+  const workflowLibrary = new WorkflowLibrary(client, eventBus, logger, storage);
+  planGenerator.workflowLibrary = workflowLibrary;
+  specialCommandHandler.workflowLibrary = workflowLibrary;
+  
+  // Dry runs for the simulate command and the approval prompt
+  const planSimulator = new PlanSimulator(client, logger, dynamicHandler);
+  specialCommandHandler.planGenerator = planGenerator;
+  specialCommandHandler.planSimulator = planSimulator;
+  
+  // Recent commands per channel and user, for follow-ups
+  const conversationMemory = new ConversationMemory(logger, config.CONVERSATION);
+  specialCommandHandler.conversationMemory = conversationMemory;
+  
+  // Approval cards with buttons, step toggles and quorums
+  const approvalManager = new ApprovalManager(client, eventBus, logger, planSimulator, dynamicHandler, config.APPROVAL);
+  
+  // Buttons when InteractionTracker is loaded, reactions otherwise
+  const askApproval = async (message, plan, onApproved, options = {}) => {
+    if (approvalManager.ready) {
+      return approvalManager.request(message, plan, onApproved, options);
+    }
+    const simulation = await planSimulator.simulate(message, plan);
+    return requestPlanApproval(message, plan, onApproved, {
+      ...options,
+      summary: simulation.summary,
+      timeout: config.APPROVAL.TIMEOUT
+    });
+  };
+  
+  // Validation, trust gates and approval, then execution; for typed commands and saved workflows
+  const handlePlan = async (message, generated, userInput) => {
+    // workflow.run steps get the steps of their saved workflows before anything is checked
+    let plan = generated;
+    if (message.guild) {
+      try {
+        plan = workflowLibrary.expand(generated, message.guild.id);
+      } catch (error) {
+        await message.reply(`❌ ${error.message}`);
+        return;
+      }
+      // Actions of saved workflows count for approval like the plan's own
+      plan.requiresApproval = generated.requiresApproval || planGenerator._requiresApproval(plan.steps);
+    }
+    
+    // Nothing runs unless the whole plan satisfies the plan schema
+    const validation = validatePlan(plan);
+    if (!validation.valid) {
+      conversationMemory.recordPlan(message, userInput, plan, 'invalid');
+      logger.warn(`Rejected invalid plan:\n${formatValidationErrors(validation.errors)}`);
+      await message.reply(`❌ Plan doğrulanamadı:\n\`\`\`\n${formatValidationErrors(validation.errors).slice(0, 1800)}\n\`\`\``);
+      return;
+    }
+    
+    // Every action of the plan is logged with its plan ID and the original command
+    plan.id = plan.id || `plan_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    plan.command = userInput;
+    
+    // Trust gates - low-trust requesters and high-trust targets need a moderator
+    const trust = await dynamicHandler.checkPlanTrust(message, plan);
+    conversationMemory.recordPlan(message, userInput, plan, trust.allowed ? 'planned' : 'refused');
+    
+    // Results are remembered for follow-up commands
+    const runPlan = async (approverIds) => {
+      const outcome = await executeApprovedPlan(message, plan, workflowEngine, dynamicHandler, logger, approverIds, planHistory);
+      conversationMemory.recordOutcome(message, plan, outcome);
+      workflowLibrary.recordRuns(message, plan, outcome);
+      workflowLibrary.rememberPlan(message, { ...generated, command: userInput });
+    };
+    
+    if (!trust.allowed) {
+      await message.reply(i18n.translate('trustRefused', 'en', { reason: trust.reasons.join('\n') }));
+      return;
+    }
+    
+    if (trust.requiresApproval || trust.requiresSecondModerator) {
+      await askApproval(message, plan, runPlan, {
+        approverPermissions: trust.permissions,
+        excludeRequester: true,
+        notice: i18n.translate(trust.requiresSecondModerator ? 'secondModeratorRequired' : 'trustApprovalRequired', 'en', {
+          reason: trust.reasons.join('\n')
+        })
+      });
+      return;
+    }
+    
+    // Check if plan requires approval
+    if (plan.requiresApproval && 
+        !(config.AUTO_APPROVE_ADMINS && 
+          message.member?.permissions.has(PermissionsBitField.Flags.Administrator))) {
+      // Show plan and request approval
+      await askApproval(message, plan, runPlan);
+    } else {
+      // Execute plan immediately
+      await runPlan([]);
+    }
+  };
+  workflowLibrary.executePlan = handlePlan;
+  
   // Load extensions
   if (config.EXTENSIONS_ENABLED) {
-    await loadExtensions(client, eventBus, logger, config);
+    await loadExtensions(client, eventBus, logger, { config, storage, trustScore, cases: caseManager });
+    
+    // Appeal buttons are routed through InteractionTracker
+    await caseManager.registerInteractions();
+    await approvalManager.registerInteractions();
   }
   
   // Set up ready event
@@ -70,7 +242,9 @@ async function setupBot(client, config, logger, eventBus) {
       
       // Generate plan
       logger.info(`Generating plan for input: ${userInput}`);
-      const plan = await planGenerator.generatePlan(message, userInput);
+      const plan = await planGenerator.generatePlan(message, userInput, {
+        history: conversationMemory.getHistory(message)
+      });
       
       // Check if we received a valid plan
       if (!plan || !plan.steps || !Array.isArray(plan.steps)) {
@@ -78,18 +252,7 @@ async function setupBot(client, config, logger, eventBus) {
         return;
       }
       
-      // Check if plan requires approval
-      if (plan.requiresApproval && 
-          !(config.AUTO_APPROVE_ADMINS && 
-            message.member?.permissions.has('ADMINISTRATOR'))) {
-        // Show plan and request approval
-        await requestPlanApproval(message, plan, async () => {
-          await executeApprovedPlan(message, plan, workflowEngine, dynamicHandler, logger);
-        });
-      } else {
-        // Execute plan immediately
-        await executeApprovedPlan(message, plan, workflowEngine, dynamicHandler, logger);
-      }
+      await handlePlan(message, plan, userInput);
     } catch (error) {
       logger.error('Error processing message:', error);
       try {
@@ -109,18 +272,38 @@ async function setupBot(client, config, logger, eventBus) {
   return client;
 }
 
-async function requestPlanApproval(message, plan, onApproved) {
+/**
+ * Show a plan and wait for a ✅/❌ reaction
+ * @param {Message} message - Original command message
+ * @param {Object} plan - Plan object
+ * @param {Function} onApproved - Called with the approver IDs
+ * @param {Object} options - Approval options
+ * @param {bigint[]} options.approverPermissions - If set, approvers must hold all of these permissions
+ * @param {boolean} options.excludeRequester - The requester cannot approve their own plan
+ * @param {string} options.notice - Extra text shown above the plan
+ * @param {string} options.summary - What the plan would do (PlanSimulator), shown instead of the raw JSON
+ * @param {number} options.timeout - Seconds to wait for a reaction
+ */
+async function requestPlanApproval(message, plan, onApproved, options = {}) {
   const lang = 'en'; // Could be customized per guild
+  const seconds = options.timeout || 30;
+  const moderatorApproval = Array.isArray(options.approverPermissions) && options.approverPermissions.length > 0;
   
   // Format the plan for display
-  let planDisplay = "```json\n";
-  planDisplay += JSON.stringify(plan, null, 2);
-  planDisplay += "\n```";
+  let planDisplay;
+  if (options.summary) {
+    planDisplay = options.summary.slice(0, 1800);
+  } else {
+    planDisplay = "```json\n";
+    planDisplay += JSON.stringify(plan, null, 2);
+    planDisplay += "\n```";
+  }
   
   // Send approval message
   const approvalMessage = await message.reply({
-    content: i18n.translate('approvePlan', lang) + "\n" + planDisplay + "\n" + 
-             i18n.translate('approvePlanPrompt', lang, { emoji: '✅', seconds: '30' }),
+    content: (options.notice ? options.notice + "\n" : "") +
+             i18n.translate('approvePlan', lang) + "\n" + planDisplay + "\n" + 
+             i18n.translate('approvePlanPrompt', lang, { emoji: '✅', seconds }),
   });
   
   // Add reaction for approval
@@ -128,104 +311,142 @@ async function requestPlanApproval(message, plan, onApproved) {
   await approvalMessage.react('❌');
   
   // Create collector for reactions
-  const filter = (reaction, user) => {
-    return ['✅', '❌'].includes(reaction.emoji.name) && user.id === message.author.id;
+  const filter = async (reaction, user) => {
+    if (!['✅', '❌'].includes(reaction.emoji.name) || user.bot) return false;
+    
+    // The requester can always cancel their own plan
+    if (user.id === message.author.id) {
+      return reaction.emoji.name === '❌' || !options.excludeRequester;
+    }
+    
+    if (!moderatorApproval) return false;
+    
+    const member = await message.guild.members.fetch(user.id).catch(() => null);
+    return !!member && (member.permissions.has(PermissionsBitField.Flags.Administrator) ||
+                        options.approverPermissions.every(permission => member.permissions.has(permission)));
   };
   
   // Wait for reaction
-  try {
-    const collected = await approvalMessage.awaitReactions({ 
-      filter, 
-      max: 1, 
-      time: 30000, 
-      errors: ['time'] 
+  const decision = await new Promise((resolve) => {
+    const collector = approvalMessage.createReactionCollector({ filter, max: 1, time: seconds * 1000 });
+    collector.on('collect', (reaction, user) => resolve({ emoji: reaction.emoji.name, userId: user.id }));
+    collector.on('end', (collected) => {
+      if (collected.size === 0) resolve(null);
     });
-    
-    const reaction = collected.first();
-    
-    if (reaction.emoji.name === '✅') {
-      await approvalMessage.reply(i18n.translate('planApproved', lang));
-      await onApproved();
-    } else {
-      await approvalMessage.reply(i18n.translate('planRejected', lang));
-    }
-  } catch (error) {
+  });
+  
+  if (!decision) {
     await approvalMessage.reply(i18n.translate('planExpired', lang));
+  } else if (decision.emoji === '✅') {
+    await approvalMessage.reply(i18n.translate('planApproved', lang));
+    await onApproved([decision.userId]);
+  } else {
+    await approvalMessage.reply(i18n.translate('planRejected', lang));
   }
 }
 
-async function executeApprovedPlan(message, plan, workflowEngine, dynamicHandler, logger) {
+/**
+ * Run the steps of an approved plan: the workflow engine orders them, the dynamic handler executes each
+ * @returns {Promise<Object>} - { results, outputs, params } per step, for the conversation memory
+ */
+async function executeApprovedPlan(message, plan, workflowEngine, dynamicHandler, logger, approvedBy = [], planHistory = null) {
+  // Adım sonuçları, çıktıları ve çözümlenmiş parametreleri
+  const outcome = { results: [], outputs: {}, params: {} };
+  
   try {
     // İlk olarak dinamik işleme için adımları kontrol et
     let usedDynamicHandler = false;
-    const dynamicResults = [];
+    const dynamicResults = outcome.results;
+    
+    // Başarılı adımlar ve tersleri (undo için)
+    const executedSteps = [];
     
     // Config nesnesine koruma ekle
     const config = {}; // Varsayılan boş config
     
-    // Admin kontrolü
-    const isAdmin = message.member?.permissions.has('ADMINISTRATOR');
-    
-    // Plan adımlarını doğrudan işle (workflowEngine kullanmadan)
-    if (plan.steps && Array.isArray(plan.steps)) {
-      for (const step of plan.steps) {
-        // Sadece discord.request tool'ları için kontrol et
-        if (step.tool === 'discord.request') {
-          try {
-            logger.info(`Trying dynamic handler for action: ${step.params?.action || 'unknown'}`);
-            const result = await dynamicHandler.executeAction(message, step.params || {});
-            
-            if (result && result.success) {
-              dynamicResults.push({ 
-                stepId: step.id || 'unknown', 
-                success: true, 
-                action: step.params?.action || 'unknown'
-              });
-              usedDynamicHandler = true;
-              
-              // Başarı mesajı ekle (isteğe bağlı)
-              if (config.VERBOSE_EXECUTION) {
-                await message.channel.send(`✅ Eylem başarılı: ${step.params?.action || 'unknown'}`).catch(() => {});
-              }
-            } else {
-              dynamicResults.push({ 
-                stepId: step.id || 'unknown', 
-                success: false, 
-                error: result?.error || 'Bilinmeyen hata',
-                action: step.params?.action || 'unknown'
-              });
-              
-              // Hata mesajı
-              await message.channel.send(`❌ Eylem başarısız: ${result?.error || 'Bilinmeyen hata'}`).catch(() => {});
-            }
-          } catch (error) {
-            logger.error(`Dynamic handler error for ${step.params?.action || 'unknown'}:`, error);
-            dynamicResults.push({ 
-              stepId: step.id || 'unknown', 
-              success: false, 
-              error: error.message || 'Exception occurred',
-              action: step.params?.action || 'unknown'
-            });
-            
-            // Hata mesajı
-            await message.channel.send(`❌ İşlem hatası: ${error.message || 'Bilinmeyen hata'}`).catch(() => {});
+    // Adımlar workflowEngine ile çalışır: dependsOn sırasına uyar, {{s1.result.id}} referanslarını
+    // çözer, başarısız adımlara bağlı adımları atlar; her adımı dinamik işleyici yürütür
+    const workflow = await workflowEngine.executeWorkflow(plan, message, {
+      runStep: async (step, params) => {
+        // Sadece discord.request tool'ları desteklenir
+        if (step.tool !== 'discord.request') {
+          throw new Error(`Unknown tool: ${step.tool}`);
+        }
+        
+        logger.info(`Trying dynamic handler for action: ${step.params?.action || 'unknown'}`);
+        // Döngü içindeki adımlar her turda farklı parametrelerle çalışır; sadece üst düzey adımlar kaydedilir
+        if (step.id && plan.steps.includes(step)) {
+          outcome.params[step.id] = params;
+        }
+        const result = await dynamicHandler.executeAction(message, params, {
+          approvedBy,
+          planId: plan.id,
+          command: plan.command
+        });
+        
+        if (result && result.success) {
+          usedDynamicHandler = true;
+          
+          executedSteps.push({
+            stepId: step.id || 'unknown',
+            action: result.actionUsed || step.params?.action,
+            params,
+            inverse: result.inverse || null,
+            caseNumber: result.caseNumber || null
+          });
+          
+          // Başarı mesajı ekle (isteğe bağlı)
+          if (config.VERBOSE_EXECUTION) {
+            await message.channel.send(`✅ Eylem başarılı: ${step.params?.action || 'unknown'}`).catch(() => {});
           }
+        } else {
+          // Hata mesajı
+          await message.channel.send(`❌ Eylem başarısız: ${result?.error || 'Bilinmeyen hata'}`).catch(() => {});
         }
+        
+        return result;
+      }
+    });
+    
+    // Adım çıktıları; sonraki adımlar {{s1.result.id}} ile kullanır
+    Object.assign(outcome.outputs, workflow.outputs);
+    
+    for (const [index, entry] of (workflow.results || []).entries()) {
+      const action = plan.steps[index].params?.action || plan.steps[index].tool || 'unknown';
+      dynamicResults.push({
+        stepId: entry.stepId || 'unknown',
+        success: entry.success,
+        action,
+        ...(!entry.success && { error: entry.error || 'Bilinmeyen hata' }),
+        ...(entry.skipped && { skipped: true })
+      });
+      
+      // Yürütülemeyen (atlanan veya hata veren) adımlar için mesaj
+      if (entry.skipped) {
+        await message.channel.send(`⏭️ Adım atlandı (${action}): ${entry.error}`).catch(() => {});
+      } else if (!entry.success && !entry.result) {
+        await message.channel.send(`❌ İşlem hatası: ${entry.error || 'Bilinmeyen hata'}`).catch(() => {});
       }
     }
     
+    // Planı tersleriyle birlikte kaydet
+    const recorded = planHistory ? planHistory.record(message, plan, executedSteps) : null;
+    const undoHint = recorded && executedSteps.some(s => s.inverse)
+      ? `\n↩️ Geri almak için: \`becas undo ${plan.id}\``
+      : '';
+    
     // Eğer tüm adımlar dinamik işleyici tarafından ele alındıysa
     if (usedDynamicHandler && dynamicResults.length > 0) {
       const successCount = dynamicResults.filter(r => r.success).length;
       const totalCount = dynamicResults.length;
       
       if (successCount === totalCount) {
-        await message.reply(`✅ Tüm eylemler (${successCount}) başarıyla yürütüldü.`).catch(() => {});
+        await message.reply(`✅ Tüm eylemler (${successCount}) başarıyla yürütüldü.${undoHint}`).catch(() => {});
       } else {
         const failCount = totalCount - successCount;
-        await message.reply(`⚠️ ${successCount} eylem başarılı, ${failCount} eylem başarısız oldu.`).catch(() => {});
+        await message.reply(`⚠️ ${successCount} eylem başarılı, ${failCount} eylem başarısız oldu.${undoHint}`).catch(() => {});
       }
-      return;
+      return outcome;
     }
     
     // Hiç adım işlenmediyse kullanıcıyı bilgilendir
@@ -241,6 +462,8 @@ async function executeApprovedPlan(message, plan, workflowEngine, dynamicHandler
       logger.error('Failed to send error notification:', sendError);
     }
   }
+  
+  return outcome;
 }
 
 module.exports = { setupBot };
\ No newline at end of file
@@ -0,0 +1,469 @@
+/**
+ * Case Manager
+ * Moderation cases with per-guild numbers, evidence, edits and the DM appeal flow
+ */
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  PermissionsBitField
+} = require('discord.js');
+const { formatDuration } = require('../utils/timeUtils');
+
+// Actions that open a case and can be appealed
+const APPEALABLE_ACTIONS = ['warn', 'timeout', 'kick', 'ban'];
+
+// Discord message links, used as evidence
+const MESSAGE_LINK_REGEX = /https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/channels\/\d+\/\d+\/\d+/g;
+
+const ACTION_LABELS = {
+  warn: '⚠️ Uyarı',
+  timeout: '⏳ Susturma',
+  kick: '👢 Atma',
+  ban: '🔨 Yasaklama'
+};
+
+class CaseManager {
+  /**
+   * @param {Client} client - Discord client
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} logger - Logger
+   * @param {Object} storage - Storage module (modCases, appeals, guildSettings)
+   */
+  constructor(client, eventBus, logger, storage) {
+    this.client = client;
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.modCases = storage.modCases;
+    this.appeals = storage.appeals;
+    this.guildSettings = storage.guildSettings;
+  }
+
+  /**
+   * Open a case for a moderation action and notify everyone who cares
+   * @param {Object} data - { guildId, action, targetId, moderatorId, reason, duration (ms), evidence, channelId, message }
+   * @returns {Promise<Object>} - Stored case
+   */
+  async openCase(data) {
+    const modCase = this.modCases.create({
+      guildId: data.guildId,
+      action: data.action,
+      targetId: data.targetId,
+      moderatorId: data.moderatorId,
+      reason: data.reason,
+      duration: data.duration,
+      evidence: data.evidence || [],
+      metadata: { channelId: data.channelId || null, edits: [] }
+    });
+
+    this.logger.info(`Case #${modCase.caseNumber} opened in ${modCase.guildId}: ${modCase.action} ${modCase.targetId}`);
+
+    // Trust score and other listeners
+    this.eventBus.emit('moderationAction', {
+      guildId: modCase.guildId,
+      caseNumber: modCase.caseNumber,
+      action: modCase.action,
+      moderatorId: modCase.moderatorId,
+      targetId: modCase.targetId,
+      reason: modCase.reason,
+      duration: modCase.duration,
+      message: data.message || null
+    }).catch(error => this.logger.error('moderationAction event error:', error));
+
+    if (APPEALABLE_ACTIONS.includes(modCase.action)) {
+      await this._notifyTarget(modCase);
+    }
+
+    return modCase;
+  }
+
+  /**
+   * Get a single case
+   * @param {string} guildId - Guild ID
+   * @param {number} caseNumber - Case number
+   * @returns {Object|null}
+   */
+  getCase(guildId, caseNumber) {
+    return this.modCases.get(guildId, caseNumber);
+  }
+
+  /**
+   * All cases of a member, newest first
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Member ID
+   * @returns {Array<Object>}
+   */
+  getHistory(guildId, userId) {
+    return this.modCases.list(guildId, { targetId: userId, limit: 25 });
+  }
+
+  /**
+   * Active warnings of a member, newest first
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Member ID
+   * @returns {Array<Object>}
+   */
+  getWarnings(guildId, userId) {
+    return this.modCases.list(guildId, { targetId: userId, action: 'warn', status: 'active' });
+  }
+
+  /**
+   * Edit the reason, duration or evidence of a case; every edit is kept in metadata.edits
+   * @param {string} guildId - Guild ID
+   * @param {number} caseNumber - Case number
+   * @param {Object} changes - { reason, duration, evidence }
+   * @param {string} editorId - Moderator ID
+   * @returns {Object} - Updated case
+   */
+  editCase(guildId, caseNumber, changes, editorId) {
+    const existing = this.modCases.get(guildId, caseNumber);
+    if (!existing) {
+      throw new Error(`Case #${caseNumber} not found`);
+    }
+    if (existing.status === 'void') {
+      throw new Error(`Case #${caseNumber} is void`);
+    }
+
+    const edit = { editorId, at: Date.now() };
+    const update = { metadata: { ...existing.metadata } };
+
+    if (changes.reason !== undefined) {
+      edit.reason = { from: existing.reason, to: changes.reason };
+      update.reason = changes.reason;
+    }
+    if (changes.duration !== undefined) {
+      edit.duration = { from: existing.duration, to: changes.duration };
+      update.duration = changes.duration;
+    }
+    if (changes.evidence && changes.evidence.length > 0) {
+      edit.evidence = changes.evidence;
+      update.evidence = [...existing.evidence, ...changes.evidence];
+    }
+
+    update.metadata.edits = [...(existing.metadata.edits || []), edit];
+
+    const updated = this.modCases.update(guildId, caseNumber, update);
+    this.eventBus.emit('caseEdited', { guildId, caseNumber, editorId, changes })
+      .catch(error => this.logger.error('caseEdited event error:', error));
+
+    return updated;
+  }
+
+  /**
+   * Void a case - it stays in history but no longer counts
+   * @param {string} guildId - Guild ID
+   * @param {number} caseNumber - Case number
+   * @param {string} moderatorId - Moderator ID
+   * @param {string} reason - Why it was voided
+   * @returns {Object} - Updated case
+   */
+  voidCase(guildId, caseNumber, moderatorId, reason = null) {
+    const existing = this.modCases.get(guildId, caseNumber);
+    if (!existing) {
+      throw new Error(`Case #${caseNumber} not found`);
+    }
+    if (existing.status === 'void') {
+      throw new Error(`Case #${caseNumber} is already void`);
+    }
+
+    const updated = this.modCases.update(guildId, caseNumber, {
+      status: 'void',
+      metadata: { ...existing.metadata, voidedBy: moderatorId, voidReason: reason, voidedAt: Date.now() }
+    });
+
+    this.eventBus.emit('caseVoided', {
+      guildId,
+      caseNumber,
+      action: existing.action,
+      targetId: existing.targetId,
+      moderatorId,
+      reason
+    }).catch(error => this.logger.error('caseVoided event error:', error));
+
+    return updated;
+  }
+
+  /**
+   * Collect evidence from the command message: attachments, message links and the replied-to message
+   * @param {Message} message - Discord message
+   * @returns {string[]} - Evidence URLs
+   */
+  collectEvidence(message) {
+    const evidence = [];
+
+    for (const attachment of message.attachments?.values() || []) {
+      evidence.push(attachment.url);
+    }
+
+    evidence.push(...(message.content?.match(MESSAGE_LINK_REGEX) || []));
+
+    if (message.reference?.messageId && message.guild) {
+      evidence.push(`https://discord.com/channels/${message.guild.id}/${message.reference.channelId || message.channel.id}/${message.reference.messageId}`);
+    }
+
+    return [...new Set(evidence)];
+  }
+
+  /**
+   * Build the embed shown for a case
+   * @param {Object} modCase - Case
+   * @returns {Object} - Embed data
+   */
+  buildCaseEmbed(modCase) {
+    const fields = [
+      { name: 'Kullanıcı', value: `<@${modCase.targetId}>`, inline: true },
+      { name: 'Moderatör', value: `<@${modCase.moderatorId}>`, inline: true },
+      { name: 'Durum', value: this._statusLabel(modCase), inline: true },
+      { name: 'Sebep', value: modCase.reason || 'Sebep belirtilmedi' }
+    ];
+
+    if (modCase.duration) {
+      fields.push({
+        name: 'Süre',
+        value: `${formatDuration(Math.round(modCase.duration / 1000))} • bitiş <t:${Math.floor(modCase.expiresAt / 1000)}:R>`
+      });
+    }
+
+    if (modCase.evidence.length > 0) {
+      fields.push({ name: 'Kanıt', value: modCase.evidence.join('\n').slice(0, 1024) });
+    }
+
+    if (modCase.status === 'void' && modCase.metadata.voidReason) {
+      fields.push({ name: 'İptal Sebebi', value: modCase.metadata.voidReason });
+    }
+
+    return {
+      title: `Case #${modCase.caseNumber} • ${ACTION_LABELS[modCase.action] || modCase.action}`,
+      color: modCase.status === 'void' ? 0x95a5a6 : 0xe67e22,
+      fields,
+      footer: { text: (modCase.metadata.edits || []).length > 0 ? `${modCase.metadata.edits.length} düzenleme` : 'BecasBot Cases' },
+      timestamp: new Date(modCase.timestamp)
+    };
+  }
+
+  /**
+   * Set the channel appeals are posted to
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   */
+  setAppealChannel(guildId, channelId) {
+    this.guildSettings.set(guildId, 'appealChannelId', channelId);
+  }
+
+  /**
+   * Submit an appeal for a case
+   * @param {string} guildId - Guild ID
+   * @param {number} caseNumber - Case number
+   * @param {string} userId - Appealing user
+   * @param {string} content - Appeal text
+   * @returns {Promise<Object>} - Stored appeal
+   */
+  async submitAppeal(guildId, caseNumber, userId, content) {
+    const modCase = this.modCases.get(guildId, caseNumber);
+    if (!modCase || modCase.targetId !== userId) {
+      throw new Error('Bu case size ait değil.');
+    }
+    if (modCase.status === 'void') {
+      throw new Error('Bu case zaten iptal edilmiş.');
+    }
+    if (this.appeals.listForCase(guildId, caseNumber).some(appeal => appeal.status === 'pending')) {
+      throw new Error('Bu case için bekleyen bir itirazınız zaten var.');
+    }
+
+    const appeal = this.appeals.create({ guildId, caseNumber, userId, content });
+    this.logger.info(`Appeal #${appeal.id} submitted for case #${caseNumber} in ${guildId}`);
+
+    await this._postAppeal(appeal, modCase);
+    return appeal;
+  }
+
+  /**
+   * Accept or deny an appeal; accepted appeals void the case and lift an active timeout or ban
+   * @param {number} appealId - Appeal ID
+   * @param {string} reviewerId - Moderator ID
+   * @param {boolean} accepted - Accept or deny
+   * @returns {Promise<Object>} - Updated appeal
+   */
+  async resolveAppeal(appealId, reviewerId, accepted) {
+    const appeal = this.appeals.get(appealId);
+    if (!appeal) {
+      throw new Error(`Appeal #${appealId} not found`);
+    }
+    if (appeal.status !== 'pending') {
+      throw new Error(`Appeal #${appealId} is already ${appeal.status}`);
+    }
+
+    const resolved = this.appeals.resolve(appealId, accepted ? 'accepted' : 'denied', reviewerId);
+    const modCase = this.modCases.get(appeal.guildId, appeal.caseNumber);
+
+    if (accepted && modCase && modCase.status !== 'void') {
+      this.voidCase(appeal.guildId, appeal.caseNumber, reviewerId, `Appeal #${appealId} accepted`);
+      await this._liftPunishment(modCase);
+    }
+
+    const user = await this.client.users.fetch(appeal.userId).catch(() => null);
+    await user?.send(accepted
+      ? `✅ Case #${appeal.caseNumber} için itirazınız kabul edildi.`
+      : `❌ Case #${appeal.caseNumber} için itirazınız reddedildi.`
+    ).catch(() => {});
+
+    return resolved;
+  }
+
+  /**
+   * Register the appeal buttons and modal with InteractionTracker
+   * Must run after extensions are loaded
+   * @returns {Promise<boolean>} - Whether InteractionTracker picked up the handlers
+   */
+  async registerInteractions() {
+    const handlers = {
+      'appeal_open:*:*': this._onAppealButton.bind(this),
+      'appeal_submit:*:*': this._onAppealSubmit.bind(this),
+      'appeal_accept:*': (interaction, groups) => this._onAppealReview(interaction, groups, true),
+      'appeal_deny:*': (interaction, groups) => this._onAppealReview(interaction, groups, false)
+    };
+
+    let registered = true;
+    for (const [customId, handler] of Object.entries(handlers)) {
+      const handled = await this.eventBus.emit('registerInteraction', { customId, handler, expiration: null });
+      registered = registered && handled;
+    }
+
+    if (!registered) {
+      this.logger.warn('InteractionTracker is not loaded, appeal buttons will not work');
+    }
+    return registered;
+  }
+
+  /**
+   * DM the punished member the case and an appeal button
+   * @private
+   */
+  async _notifyTarget(modCase) {
+    const user = await this.client.users.fetch(modCase.targetId).catch(() => null);
+    if (!user) return;
+
+    const guildName = this.client.guilds.cache.get(modCase.guildId)?.name || modCase.guildId;
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`appeal_open:${modCase.guildId}:${modCase.caseNumber}`)
+        .setLabel('İtiraz Et')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+    await user.send({
+      content: `**${guildName}** sunucusunda hakkınızda bir case açıldı.`,
+      embeds: [this.buildCaseEmbed(modCase)],
+      components: [row]
+    }).catch(() => this.logger.warn(`Could not DM case #${modCase.caseNumber} to ${modCase.targetId}`));
+  }
+
+  /**
+   * Post an appeal to the guild's appeal channel with accept/deny buttons
+   * @private
+   */
+  async _postAppeal(appeal, modCase) {
+    const channelId = this.guildSettings.get(appeal.guildId, 'appealChannelId') || modCase.metadata.channelId;
+    const channel = channelId ? await this.client.channels.fetch(channelId).catch(() => null) : null;
+
+    if (!channel) {
+      this.logger.warn(`No appeal channel for guild ${appeal.guildId}, appeal #${appeal.id} not posted`);
+      return;
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`appeal_accept:${appeal.id}`).setLabel('Kabul Et').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`appeal_deny:${appeal.id}`).setLabel('Reddet').setStyle(ButtonStyle.Danger)
+    );
+
+    await channel.send({
+      content: `📨 <@${appeal.userId}> case #${appeal.caseNumber} için itiraz etti:\n>>> ${appeal.content}`,
+      embeds: [this.buildCaseEmbed(modCase)],
+      components: [row]
+    });
+  }
+
+  /**
+   * Remove an active timeout or ban after an accepted appeal
+   * @private
+   */
+  async _liftPunishment(modCase) {
+    const guild = this.client.guilds.cache.get(modCase.guildId);
+    if (!guild) return;
+
+    try {
+      if (modCase.action === 'timeout' && modCase.expiresAt > Date.now()) {
+        const member = await guild.members.fetch(modCase.targetId).catch(() => null);
+        await member?.timeout(null, `Case #${modCase.caseNumber} appeal accepted`);
+      } else if (modCase.action === 'ban') {
+        await guild.members.unban(modCase.targetId, `Case #${modCase.caseNumber} appeal accepted`);
+      }
+    } catch (error) {
+      this.logger.error(`Could not lift punishment for case #${modCase.caseNumber}:`, error);
+    }
+  }
+
+  async _onAppealButton(interaction, [guildId, caseNumber]) {
+    const modCase = this.modCases.get(guildId, parseInt(caseNumber));
+    if (!modCase || modCase.targetId !== interaction.user.id || modCase.status === 'void') {
+      await interaction.reply({ content: 'Bu case için itiraz edilemez.', ephemeral: true });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`appeal_submit:${guildId}:${caseNumber}`)
+      .setTitle(`Case #${caseNumber} itirazı`)
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('appeal_text')
+          .setLabel('Neden bu kararın değişmesi gerektiğini açıklayın')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(1000)
+          .setRequired(true)
+      ));
+
+    await interaction.showModal(modal);
+  }
+
+  async _onAppealSubmit(interaction, [guildId, caseNumber]) {
+    try {
+      const content = interaction.fields.getTextInputValue('appeal_text');
+      const appeal = await this.submitAppeal(guildId, parseInt(caseNumber), interaction.user.id, content);
+      await interaction.reply({ content: `✅ İtirazınız (#${appeal.id}) moderatörlere iletildi.`, ephemeral: true });
+    } catch (error) {
+      await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+    }
+  }
+
+  async _onAppealReview(interaction, [appealId], accepted) {
+    if (!interaction.member?.permissions.has(PermissionsBitField.Flags.ModerateMembers)) {
+      await interaction.reply({ content: '❌ Bu işlem için yetkiniz yok.', ephemeral: true });
+      return;
+    }
+
+    try {
+      const appeal = await this.resolveAppeal(parseInt(appealId), interaction.user.id, accepted);
+      await interaction.update({
+        content: `${interaction.message.content}\n\n${accepted ? '✅ Kabul edildi' : '❌ Reddedildi'} • <@${interaction.user.id}>`,
+        components: []
+      });
+      this.logger.info(`Appeal #${appeal.id} ${appeal.status} by ${interaction.user.id}`);
+    } catch (error) {
+      await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _statusLabel(modCase) {
+    if (modCase.status === 'void') return 'İptal';
+    if (modCase.expiresAt && modCase.expiresAt <= Date.now()) return 'Süresi doldu';
+    return 'Aktif';
+  }
+}
+
+module.exports = { CaseManager, APPEALABLE_ACTIONS };
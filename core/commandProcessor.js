@@ -2,13 +2,13 @@ const { IntentAnalyzer } = require('./intentAnalyzer');
 const { MessageCommands } = require('../commands/messageCommands');
 
 class CommandProcessor {
-  constructor(client, config, logger) {
+  constructor(client, config, logger, llm = null) {
     this.client = client;
     this.config = config;
     this.logger = logger;
     
     // Alt sistemleri başlat
-    this.intentAnalyzer = new IntentAnalyzer(config, logger);
+    this.intentAnalyzer = new IntentAnalyzer(config, logger, llm);
     this.messageCommands = new MessageCommands(client, logger);
   }
   
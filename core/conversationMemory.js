@@ -0,0 +1,187 @@
+/**
+ * Conversation Memory
+ * Short-term history per channel and user (commands, plans, targets, results), so follow-ups
+ * like "do the same to @bob" or "make it 10 minutes instead" can be planned
+ */
+
+// Params that name a Discord object, and where to look up its name
+const TARGET_PARAMS = {
+  userId: 'user',
+  roleId: 'role',
+  channelId: 'channel',
+  messageId: 'message'
+};
+
+class ConversationMemory {
+  /**
+   * @param {Object} logger - Logger
+   * @param {Object} options - { IDLE_TIMEOUT (seconds), MAX_TURNS }
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.idleTimeout = (options.IDLE_TIMEOUT ?? 600) * 1000;
+    this.maxTurns = options.MAX_TURNS ?? 5;
+    // key -> { turns, lastActivity }
+    this.conversations = new Map();
+  }
+
+  /**
+   * Conversations are per guild channel and user
+   * @private
+   */
+  _key(message) {
+    return `${message.guild?.id || 'dm'}:${message.channel.id}:${message.author.id}`;
+  }
+
+  /**
+   * Drop conversations idle for longer than the timeout
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    for (const [key, conversation] of this.conversations) {
+      if (now - conversation.lastActivity > this.idleTimeout) {
+        this.conversations.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Earlier turns of the requester in this channel, oldest first
+   * @param {Message} message - Command message
+   * @returns {Array<Object>} - Turns for the planner prompt
+   */
+  getHistory(message) {
+    this._prune();
+    const conversation = this.conversations.get(this._key(message));
+    if (!conversation) return [];
+
+    const now = Date.now();
+    return conversation.turns.map(turn => ({
+      planId: turn.planId,
+      command: turn.command,
+      minutesAgo: Math.round((now - turn.at) / 60000),
+      status: turn.status,
+      steps: turn.steps
+    }));
+  }
+
+  /**
+   * Remember a planned command
+   * @param {Message} message - Command message
+   * @param {string} command - Command text
+   * @param {Object} plan - Plan produced for it
+   * @param {string} status - planned, invalid, refused
+   */
+  recordPlan(message, command, plan, status = 'planned') {
+    this._prune();
+    const key = this._key(message);
+    const conversation = this.conversations.get(key) || { turns: [], lastActivity: 0 };
+
+    conversation.turns.push({
+      planId: plan?.id || null,
+      command,
+      at: Date.now(),
+      status,
+      steps: this._describeSteps(message, plan?.steps || [])
+    });
+    conversation.turns = conversation.turns.slice(-this.maxTurns);
+    conversation.lastActivity = Date.now();
+    this.conversations.set(key, conversation);
+  }
+
+  /**
+   * Attach execution results to a remembered plan
+   * @param {Message} message - Command message
+   * @param {Object} plan - Executed plan (steps may have been edited during approval)
+   * @param {Object} outcome - executeApprovedPlan result: { results, outputs, params }
+   */
+  recordOutcome(message, plan, outcome) {
+    const conversation = this.conversations.get(this._key(message));
+    const turn = conversation?.turns.find(t => t.planId === plan.id);
+    if (!turn || !outcome) return;
+
+    // Resolved params ({{s1.result.id}} replaced) of the steps that actually ran
+    turn.steps = this._describeSteps(message, plan.steps.map(step =>
+      outcome.params?.[step.id] ? { ...step, params: outcome.params[step.id] } : step));
+
+    const results = outcome.results || [];
+    const succeeded = results.filter(r => r.success).length;
+    if (results.length > 0) {
+      turn.status = succeeded === results.length ? 'executed' : succeeded === 0 ? 'failed' : 'partially failed';
+    }
+
+    for (const step of turn.steps) {
+      const result = results.find(r => r.stepId === step.id);
+      if (!result) continue;
+
+      step.success = result.success;
+      if (result.error) step.error = result.error;
+
+      // Created objects, e.g. the ID of a new channel
+      const output = outcome.outputs?.[step.id]?.result;
+      if (output?.id && /\.create$/.test(step.action)) step.created = { id: output.id, name: output.name };
+    }
+    conversation.lastActivity = Date.now();
+  }
+
+  /**
+   * Forget the requester's conversation in this channel
+   * @param {Message} message - Command message
+   * @returns {boolean} - Whether there was anything to forget
+   */
+  clear(message) {
+    return this.conversations.delete(this._key(message));
+  }
+
+  /**
+   * @private
+   */
+  _describeSteps(message, steps) {
+    return steps.map(step => ({
+      id: step.id,
+      action: step.params?.action || step.tool,
+      params: this._compactParams(step.params),
+      targets: this._describeTargets(message, step.params)
+    }));
+  }
+
+  /**
+   * Params without the action name and with long text shortened
+   * @private
+   */
+  _compactParams(params = {}) {
+    const { action, ...rest } = params;
+    for (const [key, value] of Object.entries(rest)) {
+      if (typeof value === 'string' && value.length > 200) rest[key] = `${value.slice(0, 197)}...`;
+    }
+    return rest;
+  }
+
+  /**
+   * Names of the users, roles and channels a step targets, from the guild cache
+   * @private
+   */
+  _describeTargets(message, params = {}) {
+    const targets = [];
+    for (const [param, type] of Object.entries(TARGET_PARAMS)) {
+      const id = params[param];
+      if (typeof id !== 'string' || !/^\d{15,21}$/.test(id)) continue;
+
+      let name;
+      if (type === 'user') {
+        const member = message.guild?.members.cache.get(id);
+        name = member ? member.user.tag : undefined;
+      } else if (type === 'role') {
+        name = message.guild?.roles.cache.get(id)?.name;
+      } else if (type === 'channel') {
+        name = message.guild?.channels.cache.get(id)?.name;
+      }
+      targets.push(name ? { type, id, name } : { type, id });
+    }
+    if (params.roleName) targets.push({ type: 'role', name: params.roleName });
+    return targets;
+  }
+}
+
+module.exports = { ConversationMemory };
@@ -6,6 +6,13 @@
 const { PermissionsBitField } = require('discord.js');
 const path = require('path');
 const fs = require('fs').promises;
+const { createActionEntry } = require('./modLog');
+const { actionRegistry } = require('./actions');
+const { isControlStep, blocksOf, loopVariables } = require('../workflow/controlFlow');
+const { findReferences, resolveTemplates } = require('../utils/templateUtils');
+
+// Params that name the members an action affects, see checkTrust
+const TARGET_PARAMS = ['userId', 'targetId', 'userIds', 'fromChannelId'];
 
 class DynamicHandler {
   /**
@@ -16,153 +23,101 @@ class DynamicHandler {
     this.client = client;
     this.logger = logger;
     
-    // API mappings - link actions to Discord.js methods
-    this.actionMappings = {
-      // Message operations
-      'message.create': this._sendMessage.bind(this),
-      'message.edit': this._editMessage.bind(this),
-      'message.delete': this._deleteMessage.bind(this),
-      'message.react': this._reactToMessage.bind(this),
-      'message.pin': this._pinMessage.bind(this),
-      'message.unpin': this._unpinMessage.bind(this),
-      
-      // Channel operations
-      'channel.create': this._createChannel.bind(this),
-      'channel.delete': this._deleteChannel.bind(this),
-      'channel.purge': this._purgeChannel.bind(this),
-      'channel.lock': this._lockChannel.bind(this),
-      'channel.unlock': this._unlockChannel.bind(this),
-      
-      // Member operations
-      'member.timeout': this._timeoutMember.bind(this),
-      'member.kick': this._kickMember.bind(this),
-      'member.ban': this._banMember.bind(this),
-      'member.unban': this._unbanMember.bind(this),
-      'member.setNickname': this._setMemberNickname.bind(this), // Newly added
-      
-      // Role operations
-      'role.add': this._addRole.bind(this),
-      'role.remove': this._removeRole.bind(this)
-    };
+    // Every action this handler can run, with its aliases, trust gates, inverse and implementation
+    this.registry = actionRegistry;
     
-    // Action Alias System - to correct wrong action names from LLM
-    this.actionAliases = {
-      // Member action aliases
-      'member.edit': 'member.setNickname',
-      'member.update': 'member.setNickname',
-      'member.nickname': 'member.setNickname',
-      'member.nick': 'member.setNickname',
-      'member.rename': 'member.setNickname',
-      'member.changenick': 'member.setNickname',
-      'member.modifyNickname': 'member.setNickname',
-      'member.mute': 'member.timeout',
-      'member.silence': 'member.timeout',
-      
-      // Message action aliases
-      'message.send': 'message.create',
-      'message.write': 'message.create',
-      'message.post': 'message.create',
-      
-      // Channel action aliases
-      'channel.clean': 'channel.purge',
-      'channel.clear': 'channel.purge',
-      'message.purge': 'channel.purge',
-      'message.clear': 'channel.purge',
-      
-      // Role action aliases
-      'role.give': 'role.add',
-      'role.assign': 'role.add',
-      'role.revoke': 'role.remove',
-      'role.take': 'role.remove'
-    };
+    // Trust requirements of the gated actions, see checkTrust
+    this.actionTrustRequirements = Object.fromEntries(this.registry.list()
+      .filter(action => action.trust)
+      .map(action => [action.name, { permission: action.permission, ...action.trust }]));
+    
+    // Trust score service (set by setupBot); trust gates are skipped without it
+    this.trustScore = null;
+    
+    // Mod log (set by setupBot); every executed action is posted to the guild's mod-log channel
+    this.modLog = null;
+    
+    // Case manager (set by setupBot); member punishments open a moderation case
+    this.caseManager = null;
     
     // Counter for dynamic extensions
     this.dynamicExtensionCount = 0;
-    
-    // Command patterns for recognition and processing
-    this.commandPatterns = [
-      {
-        name: 'countAndTimeout',
-        regex: /(.*?)\s+name\s+has\s+(?:how many|what number of)\s+letters.*?(?:timeout|mute)/i,
-        handler: this._handleCountAndTimeoutPattern.bind(this)
-      },
-      {
-        name: 'repeatMessage',
-        regex: /(.+)\s+(?:repeat|say)\s+(\d+)(?:\s+times?)?/i,
-        handler: this._handleRepeatMessagePattern.bind(this)
-      }
-    ];
   }
   
   /**
    * Execute an action
    * @param {Message} message - Discord message
    * @param {Object} params - Action parameters
+   * @param {Object} options - Execution options
+   * @param {string[]} options.approvedBy - IDs of members who approved the plan
+   * @param {boolean} options.automated - Action comes from a staff-configured policy (e.g. the
+   *   escalation ladder): trust gates are skipped
+   * @param {string} options.planId - Plan that produced the action (for the mod log)
+   * @param {string} options.command - Original natural-language command (defaults to message.content)
+   * @param {string} options.source - Entry point shown in the mod log (defaults to DynamicHandler)
    * @returns {Promise<Object>} - Operation result
    */
-  async executeAction(message, params) {
+  async executeAction(message, params, options = {}) {
     try {
       // Parameter validation
       if (!params || !params.action) {
         return { success: false, error: 'Missing action parameter' };
       }
       
-      // First, check for known patterns and handle them
-      for (const pattern of this.commandPatterns) {
-        if (message.content && pattern.regex.test(message.content)) {
-          this.logger.info(`Special command pattern matched: ${pattern.name}`);
-          return await pattern.handler(message, params);
+      // Permission and trust gates
+      if (!options.automated) {
+        const trustError = await this._enforceTrust(message, params, options.approvedBy || []);
+        if (trustError) {
+          return trustError;
         }
       }
       
-      // Look up the action - direct match first
-      let handler = this.actionMappings[params.action];
-      let actionUsed = params.action;
+      // Look up the action - direct match or alias first
+      let actionUsed = this.registry.resolve(params.action);
+      
+      if (actionUsed && actionUsed !== params.action) {
+        this.logger.info(`Action corrected: ${params.action} -> ${actionUsed}`);
+        // Inform user but don't wait for message to send
+        setTimeout(() => {
+          message.channel.send(`ℹ️ Using '${actionUsed}' instead of '${params.action}'.`)
+            .catch(() => {}); // Ignore errors
+        }, 100);
+      }
       
-      // If not found, check aliases
-      if (!handler && this.actionAliases[params.action.toLowerCase()]) {
-        const correctAction = this.actionAliases[params.action.toLowerCase()];
-        handler = this.actionMappings[correctAction];
-        actionUsed = correctAction;
+      // If still no match, find most similar action
+      if (!actionUsed) {
+        actionUsed = this._findSimilarAction(params.action);
         
-        if (handler) {
-          this.logger.info(`Action corrected: ${params.action} -> ${correctAction}`);
-          // Inform user but don't wait for message to send
+        if (actionUsed) {
+          this.logger.info(`Action similarity match: ${params.action} -> ${actionUsed}`);
+          // Inform user but don't wait
           setTimeout(() => {
-            message.channel.send(`ℹ️ Using '${correctAction}' instead of '${params.action}'.`)
+            message.channel.send(`ℹ️ Action '${params.action}' not found. Using '${actionUsed}' instead.`)
               .catch(() => {}); // Ignore errors
           }, 100);
         }
       }
       
-      // If still no handler, find most similar action
-      if (!handler) {
-        const similarAction = this._findSimilarAction(params.action);
-        
-        if (similarAction) {
-          handler = this.actionMappings[similarAction];
-          actionUsed = similarAction;
-          
-          if (handler) {
-            this.logger.info(`Action similarity match: ${params.action} -> ${similarAction}`);
-            // Inform user but don't wait
-            setTimeout(() => {
-              message.channel.send(`ℹ️ Action '${params.action}' not found. Using '${similarAction}' instead.`)
-                .catch(() => {}); // Ignore errors
-            }, 100);
-          }
-        }
-      }
-      
-      // If still no handler, create dynamic extension
-      if (!handler) {
+      // If still no action, create dynamic extension
+      if (!actionUsed) {
         this.logger.warn(`Action '${params.action}' not found. Creating dynamic extension...`);
         return await this._createDynamicExtension(message, params);
       }
       
+      // Capture how to revert the action before it changes anything
+      let inverse = await this._prepareInverse(message, actionUsed, params);
+      
       // Execute the action
-      const result = await handler(message, params);
-      return { success: true, result, actionUsed };
+      const action = this.registry.get(actionUsed);
+      const result = await action.execute(message, params, this._actionContext());
+      if (inverse && action.completeInverse) {
+        inverse = action.completeInverse(inverse, result);
+      }
+      
+      const modCase = await this._openCase(message, actionUsed, params);
+      this._recordAction(message, actionUsed, params, { ...options, caseNumber: modCase?.caseNumber });
+      
+      return { success: true, result, actionUsed, caseNumber: modCase?.caseNumber, inverse };
     } catch (error) {
       this.logger.error(`Action execution error (${params?.action || 'unknown'}):`, error);
       return { 
@@ -173,6 +128,324 @@ class DynamicHandler {
     }
   }
   
+  /**
+   * Check the permission and trust requirements of an action before it is executed
+   * @param {Message} message - Discord message
+   * @param {Object} params - Action parameters
+   * @returns {Promise<Object>} - { allowed, requiresApproval, requiresSecondModerator, permission, reason, ... }
+   */
+  async checkTrust(message, params) {
+    const action = this._resolveActionName(params?.action);
+    const definition = action ? this.registry.get(action) : null;
+    const requirement = action ? this.actionTrustRequirements[action] : null;
+    
+    const result = {
+      action,
+      allowed: true,
+      requiresApproval: false,
+      requiresSecondModerator: false,
+      missingPermission: false,
+      permission: definition?.permission || null,
+      requesterScore: null,
+      targetScore: null,
+      reason: null
+    };
+    
+    if (!definition || !message.guild || !message.member) {
+      return result;
+    }
+    
+    // Administrators are never gated
+    if (message.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+      return result;
+    }
+    
+    const hasPermission = !definition.permission || message.member.permissions.has(definition.permission);
+    
+    // Without a trust gate the Discord permission is the only way in
+    if (!hasPermission && (!requirement || !this.trustScore)) {
+      result.allowed = false;
+      result.missingPermission = true;
+      result.reason = `Action '${action}' needs a permission you do not have`;
+      return result;
+    }
+    
+    if (!requirement || !this.trustScore) {
+      return result;
+    }
+    
+    // Requester check - the Discord permission satisfies it on its own. Without it a moderator
+    // who has it approves, unless the guild lets trusted members act alone (trust delegation)
+    if (!hasPermission) {
+      result.requesterScore = await this.trustScore.getScore(message.guild.id, message.author.id);
+      
+      if (requirement.refuseBelowTrust !== undefined && result.requesterScore < requirement.refuseBelowTrust) {
+        result.allowed = false;
+        result.reason = `Trust score ${result.requesterScore} is too low for ${action} (minimum ${requirement.refuseBelowTrust})`;
+        return result;
+      }
+      
+      if (!this.trustScore.isDelegationEnabled(message.guild.id)) {
+        result.requiresApproval = true;
+        result.reason = `Action '${action}' needs a permission you do not have`;
+      } else if (result.requesterScore < requirement.minRequesterTrust) {
+        result.requiresApproval = true;
+        result.reason = `Trust score ${result.requesterScore} is below ${requirement.minRequesterTrust} for ${action}`;
+      }
+    }
+    
+    // Target check - trusted members need a second moderator
+    if (requirement.protectedTargetTrust !== undefined) {
+      // A target an earlier step or a loop provides ({{member.id}}) cannot be scored before the
+      // plan runs, so a second moderator approves it up front
+      if (findReferences(TARGET_PARAMS.map(key => params[key])).size > 0) {
+        result.requiresSecondModerator = true;
+        result.reason = `The target of ${action} is only known when the plan runs and needs a second moderator`;
+        return result;
+      }
+      
+      for (const targetId of await this._trustTargets(message, definition, params)) {
+        const score = await this.trustScore.getScore(message.guild.id, targetId);
+        result.targetScore = Math.max(result.targetScore ?? score, score);
+      }
+      
+      if (result.targetScore !== null && result.targetScore >= requirement.protectedTargetTrust) {
+        result.requiresSecondModerator = true;
+        result.reason = `Target trust score ${result.targetScore} needs a second moderator for ${action}`;
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Members an action affects, for the target trust check
+   * @param {Message} message - Discord message
+   * @param {Object} definition - Action definition
+   * @param {Object} params - Action parameters
+   * @returns {Promise<string[]>} - Member IDs
+   * @private
+   */
+  async _trustTargets(message, definition, params) {
+    if (definition.targets) {
+      // A source that cannot be read yet (e.g. an empty channel) fails at execution instead
+      return definition.targets(message, params).catch(() => []);
+    }
+    
+    const targetId = params.userId || params.targetId;
+    return targetId ? [targetId] : [];
+  }
+  
+  /**
+   * Check every discord.request step of a plan, including the ones inside control steps
+   * (if, forEach, repeat and saved workflows), and merge the results
+   * @param {Message} message - Discord message
+   * @param {Object} plan - Plan object
+   * @returns {Promise<Object>} - { allowed, requiresApproval, requiresSecondModerator, permissions, reasons }
+   */
+  async checkPlanTrust(message, plan) {
+    const summary = {
+      allowed: true,
+      requiresApproval: false,
+      requiresSecondModerator: false,
+      permissions: [],
+      reasons: []
+    };
+    
+    for (const params of this._planActions(plan?.steps)) {
+      const check = await this.checkTrust(message, params);
+      
+      if (!check.allowed) summary.allowed = false;
+      if (check.requiresApproval) summary.requiresApproval = true;
+      if (check.requiresSecondModerator) summary.requiresSecondModerator = true;
+      if ((check.requiresApproval || check.requiresSecondModerator || !check.allowed) && check.permission) {
+        summary.permissions.push(check.permission);
+      }
+      if (check.reason) summary.reasons.push(check.reason);
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Params of every discord.request step of a plan, with the targets that are known before it
+   * runs filled in: the params a saved workflow is run with ({{params.user}}). Targets that come
+   * from earlier steps or loop variables stay references
+   * @param {Array<Object>} steps - Plan steps
+   * @param {Object} scope - Variables bound by the enclosing control steps
+   * @returns {Array<Object>}
+   * @private
+   */
+  _planActions(steps = [], scope = {}) {
+    return steps.flatMap(step => {
+      if (isControlStep(step)) {
+        // Variables of the control step shadow the outer ones, whether or not they are known now
+        const inner = Object.fromEntries(Object.entries(scope).filter(([name]) => !loopVariables(step).includes(name)));
+        if (step.tool === 'workflow.run') {
+          try {
+            inner.params = resolveTemplates(step.params?.params || {}, scope);
+          } catch (error) {
+            // Known when the plan runs
+          }
+        }
+        return blocksOf(step).flatMap(block => this._planActions(block, inner));
+      }
+      
+      if (step.tool !== 'discord.request' || !step.params) return [];
+      
+      const params = { ...step.params };
+      for (const key of TARGET_PARAMS.filter(key => key in params)) {
+        try {
+          params[key] = resolveTemplates(params[key], scope);
+        } catch (error) {
+          // Known when the plan runs
+        }
+      }
+      return [params];
+    });
+  }
+  
+  /**
+   * Apply the trust gates to a single action
+   * @param {Message} message - Discord message
+   * @param {Object} params - Action parameters
+   * @param {string[]} approvedBy - IDs of members who approved
+   * @returns {Promise<Object|null>} - Error result, or null if the action may run
+   * @private
+   */
+  async _enforceTrust(message, params, approvedBy) {
+    const check = await this.checkTrust(message, params);
+    
+    if (!check.allowed) {
+      return { success: false, error: check.reason, errorCode: check.missingPermission ? 'MISSING_PERMISSION' : 'TRUST_REFUSED' };
+    }
+    
+    if (check.requiresApproval &&
+        !(await this._hasModeratorApproval(message, approvedBy, check.permission, true))) {
+      return { success: false, error: check.reason, errorCode: 'TRUST_APPROVAL_REQUIRED' };
+    }
+    
+    if (check.requiresSecondModerator &&
+        !(await this._hasModeratorApproval(message, approvedBy, check.permission, true))) {
+      return { success: false, error: check.reason, errorCode: 'SECOND_MODERATOR_REQUIRED' };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Whether one of the approvers holds the permission needed for the action
+   * @param {Message} message - Discord message
+   * @param {string[]} approvedBy - Approver IDs
+   * @param {bigint} permission - Required Discord permission
+   * @param {boolean} excludeRequester - Requester's own approval does not count
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _hasModeratorApproval(message, approvedBy, permission, excludeRequester) {
+    for (const approverId of approvedBy) {
+      if (excludeRequester && approverId === message.author.id) continue;
+      
+      const approver = await message.guild.members.fetch(approverId).catch(() => null);
+      if (approver && approver.permissions.has(permission)) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Open a moderation case for punishments executed through the handler
+   * @param {Message} message - Discord message
+   * @param {string} action - Executed action
+   * @param {Object} params - Action parameters
+   * @returns {Promise<Object|null>} - Opened case
+   * @private
+   */
+  async _openCase(message, action, params) {
+    const caseAction = this.registry.get(action)?.caseAction;
+    if (!this.caseManager || !caseAction || !message.guild || !params.userId) {
+      return null;
+    }
+    
+    try {
+      return await this.caseManager.openCase({
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        action: caseAction,
+        targetId: params.userId,
+        moderatorId: message.author.id,
+        reason: params.reason,
+        duration: action === 'member.timeout' ? Math.max(0, parseInt(params.duration) || 0) * 1000 : null,
+        evidence: this.caseManager.collectEvidence(message),
+        message
+      });
+    } catch (error) {
+      this.logger.error(`Could not open case for ${action}:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Build the action that reverts an action, from the state before it runs
+   * @param {Message} message - Discord message
+   * @param {string} action - Resolved action name
+   * @param {Object} params - Action parameters
+   * @returns {Promise<Object|null>} - { action, params } or null if the action cannot be reverted
+   * @private
+   */
+  async _prepareInverse(message, action, params) {
+    const inverse = this.registry.get(action)?.inverse;
+    if (!inverse) return null;
+    
+    try {
+      return await inverse(message, params, this._actionContext());
+    } catch (error) {
+      this.logger.warn(`Could not prepare undo for ${action}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * What action implementations get besides the message and params
+   * @private
+   */
+  _actionContext() {
+    return { client: this.client, logger: this.logger, caseManager: this.caseManager };
+  }
+  
+  /**
+   * Write an executed action to the mod log
+   * @param {Message} message - Discord message
+   * @param {string} action - Executed action
+   * @param {Object} params - Action parameters
+   * @param {Object} options - executeAction options plus caseNumber
+   * @private
+   */
+  _recordAction(message, action, params, options) {
+    if (!this.modLog) return;
+    
+    this.modLog.record(createActionEntry(message, action, params, {
+      source: options.source || 'DynamicHandler',
+      planId: options.planId,
+      command: options.command,
+      caseNumber: options.caseNumber,
+      approvedBy: options.approvedBy
+    }));
+  }
+  
+  /**
+   * Resolve an action name the same way executeAction does (direct, alias, similarity)
+   * @param {string} action - Action name
+   * @returns {string|null} - Mapped action name
+   * @private
+   */
+  _resolveActionName(action) {
+    if (!action) return null;
+    return this.registry.resolve(action) || this._findSimilarAction(action);
+  }
+  
   /**
    * Find the most similar action
    * @param {string} invalidAction - Invalid action name
@@ -186,7 +459,7 @@ class DynamicHandler {
     const SIMILARITY_THRESHOLD = 0.6;
     
     // All valid actions
-    const validActions = Object.keys(this.actionMappings);
+    const validActions = this.registry.names();
     
     let bestMatch = null;
     let bestScore = 0;
@@ -285,486 +558,6 @@ class DynamicHandler {
     return matrix[b.length][a.length];
   }
   
-  /**
-   * Change a member's nickname
-   * @param {Message} message - Discord message
-   * @param {Object} params - Parameters
-   * @private
-   */
-  async _setMemberNickname(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    // Get user ID parameter
-    const userId = params.userId || 
-                  (message.mentions.users.first() ? message.mentions.users.first().id : null);
-    
-    // Get nickname parameter - CHECK ALL POSSIBLE FIELDS
-    let nickname = null;
-    
-    // Check all possible parameter names
-    const possibleParamNames = ['nickname', 'nick', 'name', 'content', 'value', 'to', 'newNickname'];
-    
-    for (const paramName of possibleParamNames) {
-      if (params[paramName] !== undefined) {
-        nickname = params[paramName];
-        break;
-      }
-    }
-    
-    // If still not found, analyze message content
-    if (nickname === null) {
-      // Format: "nickname to something" or "change something"
-      const nicknameMatch = message.content.match(/(?:nickname|name)\s+(?:to|as|change)\s+["']?([^"']+)["']?/i);
-      if (nicknameMatch) {
-        nickname = nicknameMatch[1];
-      } else {
-        // "to something" format
-        const toMatch = message.content.match(/\s+to\s+["']?([^"']+)["']?/i);
-        if (toMatch) {
-          nickname = toMatch[1];
-        }
-      }
-    }
-    
-    // Log
-    this.logger.info(`Nickname change request: userID=${userId}, nickname=${nickname}`);
-    this.logger.info(`Original parameters:`, params);
-    
-    if (!userId) {
-      throw new Error('Missing user ID parameter');
-    }
-    
-    if (!nickname && nickname !== '') {
-      throw new Error('Missing new nickname parameter, please specify (e.g., nickname="New Name")');
-    }
-    
-    // Find member
-    const member = await message.guild.members.fetch(userId);
-    if (!member) {
-      throw new Error('User not found');
-    }
-    
-    // Check permissions
-    if (!message.guild.members.me.permissions.has(PermissionsBitField.Flags.ManageNicknames)) {
-      throw new Error('Bot lacks permission to change nicknames');
-    }
-    
-    const reason = params.reason || 'Changed via bot command';
-    
-    try {
-      // Change nickname
-      await member.setNickname(nickname, reason);
-      
-      // Success message
-      await message.channel.send(`✅ Changed <@${userId}>'s nickname to "${nickname}".`);
-      
-      return {
-        nicknameChanged: true,
-        user: member.user.tag,
-        nickname: nickname
-      };
-    } catch (error) {
-      // More descriptive error
-      this.logger.error('Nickname change error:', error);
-      throw new Error(`Failed to change nickname: ${error.message}`);
-    }
-  }
-  
-  // [Other existing methods continue - I'm keeping them]
-  async _sendMessage(message, params) {
-    const channel = params.channelId 
-      ? await this.client.channels.fetch(params.channelId).catch(() => message.channel)
-      : message.channel;
-      
-    if (!channel) {
-      throw new Error('Channel not found');
-    }
-    
-    return await channel.send(params.content || "Empty message");
-  }
-  
-  async _editMessage(message, params) {
-    const targetMessage = params.messageId
-      ? await message.channel.messages.fetch(params.messageId)
-      : message;
-      
-    if (!targetMessage) {
-      throw new Error('Message to edit not found');
-    }
-    
-    return await targetMessage.edit(params.content);
-  }
-  
-  async _deleteMessage(message, params) {
-    const targetMessage = params.messageId
-      ? await message.channel.messages.fetch(params.messageId)
-      : message;
-      
-    if (!targetMessage) {
-      throw new Error('Message to delete not found');
-    }
-    
-    return await targetMessage.delete();
-  }
-  
-  async _reactToMessage(message, params) {
-    const targetMessage = params.messageId
-      ? await message.channel.messages.fetch(params.messageId)
-      : message;
-      
-    if (!targetMessage) {
-      throw new Error('Message to react to not found');
-    }
-    
-    if (!params.emoji) {
-      throw new Error('Missing emoji parameter');
-    }
-    
-    return await targetMessage.react(params.emoji);
-  }
-  
-  async _pinMessage(message, params) {
-    const targetMessage = params.messageId
-      ? await message.channel.messages.fetch(params.messageId)
-      : message;
-      
-    if (!targetMessage) {
-      throw new Error('Message to pin not found');
-    }
-    
-    return await targetMessage.pin();
-  }
-  
-  async _unpinMessage(message, params) {
-    const targetMessage = params.messageId
-      ? await message.channel.messages.fetch(params.messageId)
-      : message;
-      
-    if (!targetMessage) {
-      throw new Error('Message to unpin not found');
-    }
-    
-    return await targetMessage.unpin();
-  }
-  
-  async _createChannel(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    if (!params.name) {
-      throw new Error('Missing channel name parameter');
-    }
-    
-    // Channel type
-    let type = 0; // GUILD_TEXT
-    if (params.type) {
-      switch(params.type.toLowerCase()) {
-        case 'text': type = 0; break;      // GUILD_TEXT
-        case 'voice': type = 2; break;     // GUILD_VOICE
-        case 'category': type = 4; break;  // GUILD_CATEGORY
-        case 'announcement': type = 5; break; // GUILD_ANNOUNCEMENT
-        case 'forum': type = 15; break;    // GUILD_FORUM
-      }
-    }
-    
-    const options = {
-      type: type,
-      topic: params.topic,
-      nsfw: params.nsfw,
-      parent: params.parentId
-    };
-    
-    // Discord.js v14 uses channels.create
-    return await message.guild.channels.create({
-      name: params.name,
-      ...options
-    });
-  }
-  
-  async _deleteChannel(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    const channelId = params.channelId || message.channel.id;
-    const channel = await message.guild.channels.fetch(channelId);
-    
-    if (!channel) {
-      throw new Error('Channel to delete not found');
-    }
-    
-    return await channel.delete(params.reason || 'Deleted by bot');
-  }
-  
-  async _purgeChannel(message, params) {
-    const channel = params.channelId
-      ? await this.client.channels.fetch(params.channelId)
-      : message.channel;
-      
-    if (!channel) {
-      throw new Error('Channel not found');
-    }
-    
-    // Limit check
-    const limit = Math.min(Math.max(parseInt(params.limit) || 10, 1), 100);
-    
-    // Purge messages from a specific user
-    if (params.userId) {
-      const messages = await channel.messages.fetch({ limit: 100 });
-      const userMessages = messages.filter(msg => msg.author.id === params.userId);
-      const toDelete = userMessages.first(limit);
-      
-      if (toDelete.length === 0) {
-        throw new Error('No messages found to delete');
-      }
-      
-      // Two-week check for bulk delete
-      const twoWeeksAgo = Date.now() - 14 * 24 * 60 * 60 * 1000;
-      const recentMessages = toDelete.filter(msg => msg.createdTimestamp > twoWeeksAgo);
-      
-      if (recentMessages.length > 1) {
-        await channel.bulkDelete(recentMessages);
-      }
-      
-      // Delete old messages individually
-      const oldMessages = toDelete.filter(msg => msg.createdTimestamp <= twoWeeksAgo);
-      for (const msg of oldMessages) {
-        await msg.delete().catch(() => {});
-      }
-      
-      return { deleted: toDelete.length };
-    } else {
-      // Purge all messages
-      const deleted = await channel.bulkDelete(limit);
-      return { deleted: deleted.size };
-    }
-  }
-  
-  async _lockChannel(message, params) {
-    const channel = params.channelId
-      ? await this.client.channels.fetch(params.channelId)
-      : message.channel;
-      
-    if (!channel) {
-      throw new Error('Channel not found');
-    }
-    
-    await channel.permissionOverwrites.edit(message.guild.roles.everyone, {
-      SendMessages: false
-    });
-    
-    return { locked: true, channel: channel.name };
-  }
-  
-  async _unlockChannel(message, params) {
-    const channel = params.channelId
-      ? await this.client.channels.fetch(params.channelId)
-      : message.channel;
-      
-    if (!channel) {
-      throw new Error('Channel not found');
-    }
-    
-    await channel.permissionOverwrites.edit(message.guild.roles.everyone, {
-      SendMessages: null
-    });
-    
-    return { unlocked: true, channel: channel.name };
-  }
-  
-  async _timeoutMember(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    if (!params.userId) {
-      throw new Error('Missing user ID parameter');
-    }
-    
-    const member = await message.guild.members.fetch(params.userId);
-    if (!member) {
-      throw new Error('User not found');
-    }
-    
-    // Duration (in milliseconds)
-    const duration = Math.max(0, parseInt(params.duration) || 0) * 1000;
-    const reason = params.reason || 'Timeout applied';
-    
-    await member.timeout(duration, reason);
-    
-    return {
-      timedOut: true,
-      user: member.user.tag,
-      duration: duration,
-      reason: reason
-    };
-  }
-  
-  async _kickMember(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    if (!params.userId) {
-      throw new Error('Missing user ID parameter');
-    }
-    
-    const member = await message.guild.members.fetch(params.userId);
-    if (!member) {
-      throw new Error('User not found');
-    }
-    
-    const reason = params.reason || 'Kicked from server';
-    
-    await member.kick(reason);
-    
-    return {
-      kicked: true,
-      user: member.user.tag,
-      reason: reason
-    };
-  }
-  
-  async _banMember(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    if (!params.userId) {
-      throw new Error('Missing user ID parameter');
-    }
-    
-    const reason = params.reason || 'Banned from server';
-    const deleteMessageDays = Math.min(Math.max(parseInt(params.deleteMessageDays) || 0, 0), 7);
-    
-    await message.guild.members.ban(params.userId, {
-      reason: reason,
-      deleteMessageDays: deleteMessageDays
-    });
-    
-    // Try to get user info
-    let userTag = params.userId;
-    try {
-      const user = await this.client.users.fetch(params.userId);
-      userTag = user.tag;
-    } catch (error) {
-      // Use ID if user not found
-    }
-    
-    return {
-      banned: true,
-      user: userTag,
-      reason: reason,
-      deleteMessageDays: deleteMessageDays
-    };
-  }
-  
-  async _unbanMember(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    if (!params.userId) {
-      throw new Error('Missing user ID parameter');
-    }
-    
-    const reason = params.reason || 'Ban removed';
-    
-    await message.guild.bans.remove(params.userId, reason);
-    
-    // Try to get user info
-    let userTag = params.userId;
-    try {
-      const user = await this.client.users.fetch(params.userId);
-      userTag = user.tag;
-    } catch (error) {
-      // Use ID if user not found
-    }
-    
-    return {
-      unbanned: true,
-      user: userTag,
-      reason: reason
-    };
-  }
-  
-  async _addRole(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    if (!params.userId) {
-      throw new Error('Missing user ID parameter');
-    }
-    
-    // Find role by ID or name
-    let role;
-    if (params.roleId) {
-      role = await message.guild.roles.fetch(params.roleId);
-    } else if (params.roleName) {
-      role = message.guild.roles.cache.find(r => r.name.toLowerCase() === params.roleName.toLowerCase());
-    } else {
-      throw new Error('Missing role ID or role name parameter');
-    }
-    
-    if (!role) {
-      throw new Error('Role not found');
-    }
-    
-    const member = await message.guild.members.fetch(params.userId);
-    if (!member) {
-      throw new Error('User not found');
-    }
-    
-    await member.roles.add(role);
-    
-    return {
-      roleAdded: true,
-      user: member.user.tag,
-      role: role.name
-    };
-  }
-  
-  async _removeRole(message, params) {
-    if (!message.guild) {
-      throw new Error('This action can only be used in servers');
-    }
-    
-    if (!params.userId) {
-      throw new Error('Missing user ID parameter');
-    }
-    
-    // Find role by ID or name
-    let role;
-    if (params.roleId) {
-      role = await message.guild.roles.fetch(params.roleId);
-    } else if (params.roleName) {
-      role = message.guild.roles.cache.find(r => r.name.toLowerCase() === params.roleName.toLowerCase());
-    } else {
-      throw new Error('Missing role ID or role name parameter');
-    }
-    
-    if (!role) {
-      throw new Error('Role not found');
-    }
-    
-    const member = await message.guild.members.fetch(params.userId);
-    if (!member) {
-      throw new Error('User not found');
-    }
-    
-    await member.roles.remove(role);
-    
-    return {
-      roleRemoved: true,
-      user: member.user.tag,
-      role: role.name
-    };
-  }
-  
   /**
    * Create dynamic extension for complex request
    * @param {Message} message - Discord message
@@ -784,23 +577,6 @@ class DynamicHandler {
       
       // Detect possible extension types
       let extensionType = 'unknown';
-      let extensionResponse = '';
-      
-      // Count letters and timeout example
-      if (userInput.match(/name\s+(?:has|contains)\s+(?:how many|what number of)\s+letters/i) && 
-          userInput.match(/(?:timeout|mute)/i)) {
-        extensionType = 'countAndTimeout';
-        extensionResponse = await this._handleCountAndTimeoutPattern(message, params);
-        return extensionResponse;
-      }
-      
-      // Message repetition example
-      const repeatMatch = userInput.match(/(.+)\s+(?:repeat|say)\s+(\d+)(?:\s+times?)?/i);
-      if (repeatMatch) {
-        extensionType = 'repeatMessage';
-        extensionResponse = await this._handleRepeatMessagePattern(message, params);
-        return extensionResponse;
-      }
       
       // Message filtering and editing example
       if (userInput.match(/(?:message|messages).*?(?:filter).*?(?:edit|replace)/i)) {
@@ -819,7 +595,7 @@ class DynamicHandler {
       return {
         success: false,
         error: `Could not recognize action '${params.action}' and custom command analysis failed.`,
-        suggestion: 'Please use one of the supported actions: ' + Object.keys(this.actionMappings).join(', ')
+        suggestion: 'Please use one of the supported actions: ' + this.registry.names().join(', ')
       };
     } catch (error) {
       this.logger.error('Dynamic extension creation error:', error);
@@ -830,142 +606,6 @@ class DynamicHandler {
     }
   }
   
-  /**
-   * Handle "How many letters in name, timeout that much" pattern
-   * @param {Message} message - Discord message
-   * @param {Object} params - Request parameters
-   * @private
-   */
-  async _handleCountAndTimeoutPattern(message, params) {
-    try {
-      // Find the mentioned user
-      const mentionedUser = message.mentions.users.first();
-      
-      if (!mentionedUser) {
-        await message.channel.send('❌ You need to mention a user for this command.');
-        return { success: false, error: 'No user mention found' };
-      }
-      
-      // Determine name variables
-      let nameToCount = '';
-      
-      // Process based on which name to count
-      if (message.content.includes('server name')) {
-        nameToCount = mentionedUser.username;
-      } else if (message.content.includes('nickname')) {
-        const member = await message.guild.members.fetch(mentionedUser.id);
-        nameToCount = member.nickname || member.user.username;
-      } else {
-        // Default to username
-        nameToCount = mentionedUser.username;
-      }
-      
-      // Remove spaces if specified
-      if (message.content.includes('without spaces')) {
-        nameToCount = nameToCount.replace(/\s+/g, '');
-      }
-      
-      // Get letter count
-      const letterCount = nameToCount.length;
-      
-      // Determine timeout duration (seconds, minutes etc)
-      let timeoutDuration = letterCount;
-      let timeUnit = 'seconds';
-      
-      if (message.content.includes('minute')) {
-        timeoutDuration = letterCount * 60; // In minutes
-        timeUnit = 'minutes';
-      } else if (message.content.includes('hour')) {
-        timeoutDuration = letterCount * 3600; // In hours
-        timeUnit = 'hours';
-      }
-      
-      // Apply timeout
-      const member = await message.guild.members.fetch(mentionedUser.id);
-      await member.timeout(timeoutDuration * 1000, 'Timeout based on name length');
-      
-      // Report result
-      await message.channel.send(
-        `✅ ${mentionedUser.toString()} has **${letterCount}** letters in their name. ` + 
-        `Applied timeout for **${letterCount} ${timeUnit}**.`
-      );
-      
-      return {
-        success: true,
-        result: {
-          user: mentionedUser.tag,
-          letterCount: letterCount,
-          timeoutDuration: timeoutDuration,
-          timeUnit: timeUnit
-        }
-      };
-    } catch (error) {
-      this.logger.error('Letter counting timeout error:', error);
-      await message.channel.send(`❌ Error during operation: ${error.message}`);
-      return { success: false, error: error.message };
-    }
-  }
-  
-  /**
-   * Handle "Repeat X message Y times" pattern
-   * @param {Message} message - Discord message
-   * @param {Object} params - Request parameters
-   * @private
-   */
-  async _handleRepeatMessagePattern(message, params) {
-    try {
-      // Extract content and repeat count with regex
-      const match = message.content.match(/(.+)\s+(?:repeat|say)\s+(\d+)(?:\s+times?)?/i);
-      
-      if (!match) {
-        await message.channel.send('❌ Could not understand the command. Example: "Hello repeat 3 times"');
-        return { success: false, error: 'Command format not recognized' };
-      }
-      
-      // Get content and repeat count
-      let content = match[1].trim();
-      const repeatCount = parseInt(match[2]);
-      
-      // Check maximum repeat count
-      const maxRepeat = 10;
-      const actualRepeatCount = Math.min(repeatCount, maxRepeat);
-      
-      if (repeatCount > maxRepeat) {
-        await message.channel.send(`⚠️ I can only repeat up to ${maxRepeat} times. Will repeat ${maxRepeat} times.`);
-      }
-      
-      // If "becas repeat" or bot mention, remove from content
-      content = content.replace(/^(?:becas|<@!?\d+>)\s+/i, '');
-      
-      // Repeat message the specified number of times
-      for (let i = 0; i < actualRepeatCount; i++) {
-        // Should it be numbered?
-        const numberedContent = message.content.includes('number') ?
-          `${i+1}. ${content}` : content;
-        
-        await message.channel.send(numberedContent);
-        
-        // Short delay to prevent spam
-        if (i < actualRepeatCount - 1) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
-      }
-      
-      return {
-        success: true,
-        result: {
-          content: content,
-          repeatCount: actualRepeatCount,
-          numbered: message.content.includes('number')
-        }
-      };
-    } catch (error) {
-      this.logger.error('Message repetition error:', error);
-      await message.channel.send(`❌ Error during operation: ${error.message}`);
-      return { success: false, error: error.message };
-    }
-  }
-  
   /**
    * Create generic response
    * @param {Message} message - Discord message
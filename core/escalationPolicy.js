@@ -0,0 +1,359 @@
+/**
+ * Escalation Policy
+ * Per-guild warning ladder: when a member collects enough recent warnings the matching
+ * punishment is executed through DynamicHandler, so it opens a case like any other action, and is
+ * recorded in PlanHistory so it can be undone. Only warnings from members who hold Moderate Members
+ * count, so members who may warn through trust alone cannot punish anyone
+ */
+const { PermissionsBitField } = require('discord.js');
+const { formatDuration } = require('../utils/timeUtils');
+
+// Ladder actions and the DynamicHandler action they map to
+const ESCALATION_ACTIONS = {
+  timeout: 'member.timeout',
+  kick: 'member.kick',
+  ban: 'member.ban'
+};
+
+// Discord does not allow timeouts longer than 28 days
+const MAX_TIMEOUT_SECONDS = 28 * 24 * 60 * 60;
+
+const SETTINGS_KEY = 'escalationLadder';
+
+// userId -> { warnings, at }: the highest rule applied to each member, so it is not applied again
+const APPLIED_KEY = 'escalationApplied';
+
+class EscalationPolicy {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} logger - Logger
+   * @param {Object} storage - Storage module (modCases, guildSettings)
+   * @param {DynamicHandler} dynamicHandler - Executes the resulting actions
+   * @param {Object} defaults - Default ladder (config.ESCALATION)
+   */
+  constructor(eventBus, logger, storage, dynamicHandler, defaults = {}) {
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.modCases = storage.modCases;
+    this.guildSettings = storage.guildSettings;
+    this.dynamicHandler = dynamicHandler;
+
+    // Records escalations with their inverse for undo (set by setupBot)
+    this.planHistory = null;
+
+    this.defaultLadder = this._normalize({
+      decay: defaults.DECAY ?? 30 * 24 * 60 * 60,
+      rules: defaults.LADDER || []
+    });
+
+    this._registerListeners();
+
+    this.logger.info('Escalation policy initialized');
+  }
+
+  /**
+   * Evaluate the ladder every time a warning case is opened
+   * @private
+   */
+  _registerListeners() {
+    this.eventBus.addListener('moderationAction', async (data) => {
+      if (data?.action !== 'warn' || !data.guildId || !data.targetId) return false;
+
+      try {
+        await this.handleWarning(data);
+      } catch (error) {
+        this.logger.error(`Escalation failed for ${data.targetId} in ${data.guildId}:`, error);
+      }
+      return false;
+    }, { extensionId: 'escalation-policy' });
+  }
+
+  /**
+   * Ladder of a guild, falling back to the default one
+   * @param {string} guildId - Guild ID
+   * @returns {Object} - { decay, rules: [{ warnings, window, action, duration }] } (seconds)
+   */
+  getLadder(guildId) {
+    const stored = this.guildSettings.get(guildId, SETTINGS_KEY, null);
+    return stored ? this._normalize(stored) : this._normalize(this.defaultLadder);
+  }
+
+  /**
+   * Add a rule or replace the rule with the same warning count
+   * @param {string} guildId - Guild ID
+   * @param {Object} rule - { warnings, window, action, duration }
+   * @returns {Object} - Updated ladder
+   */
+  setRule(guildId, rule) {
+    const ladder = this.getLadder(guildId);
+    ladder.rules = ladder.rules.filter(existing => existing.warnings !== rule.warnings);
+    ladder.rules.push(rule);
+    return this._save(guildId, ladder);
+  }
+
+  /**
+   * Remove the rule for a warning count
+   * @param {string} guildId - Guild ID
+   * @param {number} warnings - Warning count of the rule
+   * @returns {Object} - Updated ladder
+   */
+  removeRule(guildId, warnings) {
+    const ladder = this.getLadder(guildId);
+    const remaining = ladder.rules.filter(rule => rule.warnings !== warnings);
+    if (remaining.length === ladder.rules.length) {
+      throw new Error(`No rule for ${warnings} warnings`);
+    }
+
+    ladder.rules = remaining;
+    return this._save(guildId, ladder);
+  }
+
+  /**
+   * Set how long a warning counts towards the ladder
+   * @param {string} guildId - Guild ID
+   * @param {number} seconds - Decay in seconds
+   * @returns {Object} - Updated ladder
+   */
+  setDecay(guildId, seconds) {
+    const ladder = this.getLadder(guildId);
+    ladder.decay = seconds;
+    return this._save(guildId, ladder);
+  }
+
+  /**
+   * Drop every rule (warnings are stored but never escalate)
+   * @param {string} guildId - Guild ID
+   * @returns {Object} - Updated ladder
+   */
+  clearLadder(guildId) {
+    const ladder = this.getLadder(guildId);
+    ladder.rules = [];
+    return this._save(guildId, ladder);
+  }
+
+  /**
+   * Go back to the default ladder
+   * @param {string} guildId - Guild ID
+   * @returns {Object} - Default ladder
+   */
+  resetLadder(guildId) {
+    this.guildSettings.delete(guildId, SETTINGS_KEY);
+    return this.getLadder(guildId);
+  }
+
+  /**
+   * Find the rule a member currently reaches
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Member ID
+   * @param {number} now - Evaluation time
+   * @param {Function} counts - Optional filter for the warning cases that count
+   * @returns {Object} - { rule, count, warnings } - rule is null if no step is reached
+   */
+  evaluate(guildId, userId, now = Date.now(), counts = () => true) {
+    const ladder = this.getLadder(guildId);
+    const warnings = this._activeWarnings(guildId, userId, ladder, now).filter(counts);
+
+    // Highest step first, so 5 warnings in a week kicks instead of timing out again
+    for (const rule of [...ladder.rules].reverse()) {
+      const window = Math.min(rule.window, ladder.decay) * 1000;
+      const count = warnings.filter(modCase => now - modCase.timestamp <= window).length;
+
+      if (count >= rule.warnings) {
+        return { rule, count, warnings: warnings.length };
+      }
+    }
+
+    return { rule: null, count: warnings.length, warnings: warnings.length };
+  }
+
+  /**
+   * Apply the ladder after a warning
+   * @param {Object} data - moderationAction event data (with the command message)
+   * @returns {Promise<Object|null>} - Action result, or null if nothing escalated
+   */
+  async handleWarning(data) {
+    if (!data.message?.guild || !this.dynamicHandler) {
+      this.logger.debug(`Warning for ${data.targetId} has no message context to escalate from`);
+      return null;
+    }
+
+    const moderators = await this._moderatorWarners(data.message.guild, data.targetId);
+    if (!moderators.has(data.moderatorId)) {
+      this.logger.info(`Warning for ${data.targetId} in ${data.guildId} is not from a moderator, the ladder is not applied`);
+      return null;
+    }
+
+    const { rule, count } = this.evaluate(data.guildId, data.targetId, Date.now(),
+      modCase => moderators.has(modCase.moderatorId));
+    if (!rule) return null;
+
+    // Warnings above a step keep matching it; only a higher step punishes again within its window
+    const applied = this._getApplied(data.guildId)[data.targetId];
+    if (applied && applied.warnings >= rule.warnings && Date.now() - applied.at <= rule.window * 1000) {
+      this.logger.info(`Escalation for ${data.targetId} in ${data.guildId} already at ${applied.warnings} warnings, not repeating ${rule.action}`);
+      return null;
+    }
+
+    const params = {
+      action: ESCALATION_ACTIONS[rule.action],
+      userId: data.targetId,
+      reason: `Uyarı merdiveni: ${formatDuration(rule.window)} içinde ${count} uyarı (Case #${data.caseNumber})`
+    };
+    if (rule.action === 'timeout') {
+      params.duration = rule.duration;
+    }
+
+    this.logger.info(`Escalating ${data.targetId} in ${data.guildId}: ${rule.action} after ${count} warnings`);
+
+    const plan = {
+      id: `escalation_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      command: `Uyarı merdiveni: ${count} uyarı → ${rule.action}`
+    };
+    const result = await this.dynamicHandler.executeAction(data.message, params, {
+      automated: true,
+      source: 'EscalationPolicy',
+      planId: plan.id,
+      command: plan.command
+    });
+
+    if (result.success) {
+      this._setApplied(data.guildId, data.targetId, rule.warnings);
+
+      // Undone with "undo <planId>" like a plan; the requester is whoever issued the warning
+      const recorded = this.planHistory?.record(data.message, plan, [{
+        stepId: 'escalation',
+        action: result.actionUsed || params.action,
+        params,
+        inverse: result.inverse || null,
+        caseNumber: result.caseNumber || null
+      }]);
+
+      const detail = rule.action === 'timeout' ? ` (${formatDuration(rule.duration)})` : '';
+      const suffix = result.caseNumber ? ` (Case #${result.caseNumber})` : '';
+      const undoHint = recorded && result.inverse ? `\n↩️ Geri almak için: \`becas undo ${plan.id}\`` : '';
+      await data.message.channel.send(
+        `📈 <@${data.targetId}> ${count} uyarıya ulaştı, otomatik işlem: **${rule.action}**${detail}${suffix}${undoHint}`
+      ).catch(() => {});
+    } else {
+      this.logger.warn(`Escalation ${rule.action} failed for ${data.targetId}: ${result.error}`);
+      await data.message.channel.send(
+        `⚠️ <@${data.targetId}> için otomatik ${rule.action} uygulanamadı: ${result.error}`
+      ).catch(() => {});
+    }
+
+    return result;
+  }
+
+  /**
+   * Human readable ladder for the ladder command
+   * @param {Object} ladder - Ladder
+   * @returns {string}
+   */
+  describeLadder(ladder) {
+    if (ladder.rules.length === 0) {
+      return 'Merdiven boş, uyarılar otomatik işlem başlatmıyor.';
+    }
+
+    return ladder.rules.map(rule => {
+      const detail = rule.action === 'timeout' ? ` ${formatDuration(rule.duration)}` : '';
+      return `**${rule.warnings}** uyarı / ${formatDuration(rule.window)} → ${rule.action}${detail}`;
+    }).join('\n');
+  }
+
+  /**
+   * Warning cases of a member that still count towards the ladder
+   * @private
+   */
+  _activeWarnings(guildId, userId, ladder, now) {
+    return this.modCases
+      .list(guildId, { targetId: userId, action: 'warn', status: 'active' })
+      .filter(modCase => now - modCase.timestamp <= ladder.decay * 1000);
+  }
+
+  /**
+   * Members who warned a member and hold Moderate Members; members who left do not count
+   * @private
+   */
+  async _moderatorWarners(guild, userId) {
+    const warnerIds = new Set(this._activeWarnings(guild.id, userId, this.getLadder(guild.id), Date.now())
+      .map(modCase => modCase.moderatorId));
+    const moderators = new Set();
+
+    for (const warnerId of warnerIds) {
+      const member = await guild.members.fetch(warnerId).catch(() => null);
+      if (member?.permissions.has(PermissionsBitField.Flags.ModerateMembers)) {
+        moderators.add(warnerId);
+      }
+    }
+    return moderators;
+  }
+
+  /**
+   * @private
+   */
+  _getApplied(guildId) {
+    return this.guildSettings.get(guildId, APPLIED_KEY, {});
+  }
+
+  /**
+   * Remember the step applied to a member; entries older than the decay are dropped
+   * @private
+   */
+  _setApplied(guildId, userId, warnings) {
+    const now = Date.now();
+    const maxAge = this.getLadder(guildId).decay * 1000;
+    const applied = Object.fromEntries(Object.entries(this._getApplied(guildId))
+      .filter(([, entry]) => now - entry.at <= maxAge));
+
+    applied[userId] = { warnings, at: now };
+    this.guildSettings.set(guildId, APPLIED_KEY, applied);
+  }
+
+  /**
+   * Validate and store a ladder
+   * @private
+   */
+  _save(guildId, ladder) {
+    const normalized = this._normalize(ladder);
+    this.guildSettings.set(guildId, SETTINGS_KEY, normalized);
+    return normalized;
+  }
+
+  /**
+   * Validate a ladder and sort its rules by warning count
+   * @private
+   */
+  _normalize(ladder) {
+    const decay = parseInt(ladder.decay);
+    if (!(decay > 0)) {
+      throw new Error('Decay must be a positive duration');
+    }
+
+    const rules = (ladder.rules || []).map(rule => {
+      const warnings = parseInt(rule.warnings);
+      const window = parseInt(rule.window) || decay;
+
+      if (!(warnings > 0)) {
+        throw new Error('Warning count must be a positive number');
+      }
+      if (!ESCALATION_ACTIONS[rule.action]) {
+        throw new Error(`Unknown escalation action: ${rule.action} (use ${Object.keys(ESCALATION_ACTIONS).join(', ')})`);
+      }
+
+      const normalized = { warnings, window, action: rule.action };
+      if (rule.action === 'timeout') {
+        const duration = parseInt(rule.duration);
+        if (!(duration > 0) || duration > MAX_TIMEOUT_SECONDS) {
+          throw new Error('Timeout duration must be between 1 second and 28 days');
+        }
+        normalized.duration = duration;
+      }
+      return normalized;
+    });
+
+    rules.sort((a, b) => a.warnings - b.warnings);
+    return { decay, rules };
+  }
+}
+
+module.exports = { EscalationPolicy, ESCALATION_ACTIONS };
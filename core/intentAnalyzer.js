@@ -1,16 +1,13 @@
-const { Configuration, OpenAIApi } = require("openai");
-
 class IntentAnalyzer {
-  constructor(config, logger) {
+  /**
+   * @param {Object} config - Bot yapılandırması
+   * @param {Object} logger - Logger
+   * @param {LLMService} llm - LLM servisi (yoksa sadece anahtar kelime analizi yapılır)
+   */
+  constructor(config, logger, llm = null) {
+    this.config = config;
     this.logger = logger;
-    
-    // OpenAI yapılandırması (veya tercih ettiğiniz LLM)
-    if (config.OPENAI_API_KEY) {
-      const configuration = new Configuration({
-        apiKey: config.OPENAI_API_KEY,
-      });
-      this.openai = new OpenAIApi(configuration);
-    }
+    this.llm = llm;
   }
   
   /**
@@ -35,39 +32,34 @@ class IntentAnalyzer {
       }
       
       // Daha karmaşık işlemler için LLM kullan
-      if (this.openai) {
-        const response = await this.openai.createChatCompletion({
-          model: "llama3.1:8b-instruct-q4_K_M",
-          messages: [
+      if (this.llm) {
+        const content = await this.llm.chat([
+          {
+            role: "system",
+            content: `Extract the intent and parameters from the Discord bot command. 
+            Return ONLY a JSON object with the following structure:
             {
-              role: "system",
-              content: `Extract the intent and parameters from the Discord bot command. 
-              Return ONLY a JSON object with the following structure:
-              {
-                "intent": "intentName",
-                "confidence": 0.0-1.0,
-                "params": {
-                  // All relevant parameters
-                }
+              "intent": "intentName",
+              "confidence": 0.0-1.0,
+              "params": {
+                // All relevant parameters
               }
-              
-              Available intents: 
-              - "countCharacters": Count characters in messages
-              - "timeout": Timeout a user
-              - "deleteMessages": Delete messages
-              - "sendMessage": Send a message
-              - "watchMessages": Monitor messages
-              - "unknown": Unknown intent`
-            },
-            {
-              role: "user",
-              content: userInput
             }
-          ],
-          temperature: 0
-        });
+            
+            Available intents: 
+            - "countCharacters": Count characters in messages
+            - "timeout": Timeout a user
+            - "deleteMessages": Delete messages
+            - "sendMessage": Send a message
+            - "watchMessages": Monitor messages
+            - "unknown": Unknown intent`
+          },
+          {
+            role: "user",
+            content: userInput
+          }
+        ], { temperature: 0, json: true });
         
-        const content = response.data.choices[0].message.content;
         try {
           return JSON.parse(content);
         } catch (e) {
@@ -0,0 +1,171 @@
+/**
+ * Mod Log
+ * Posts a structured embed to the guild's mod-log channel for every action the bot executes
+ *
+ * Core components call modLog.record(entry) directly; extensions emit 'actionExecuted' with the
+ * same entry on the event bus. Build entries with createActionEntry so every source looks alike.
+ */
+
+const SETTINGS_KEY = 'modLogChannelId';
+
+// Embed colour by action category
+const ACTION_COLORS = {
+  member: 0xe74c3c,
+  channel: 0xe67e22,
+  role: 0x9b59b6,
+  message: 0x3498db
+};
+
+/**
+ * Build a mod-log entry from the message an action was executed for
+ * @param {Message} message - Command message (or the message that triggered an automated action)
+ * @param {string} action - Executed action, e.g. 'member.timeout'
+ * @param {Object} params - Action parameters
+ * @param {Object} context - { source, planId, command, actorId, caseNumber, approvedBy }
+ * @returns {Object} - Entry for ModLog.record / the 'actionExecuted' event
+ */
+function createActionEntry(message, action, params = {}, context = {}) {
+  const actionParams = { ...params };
+  delete actionParams.action;
+
+  return {
+    guildId: message?.guild?.id || null,
+    channelId: message?.channel?.id || null,
+    actorId: context.actorId || message?.author?.id || null,
+    action,
+    params: actionParams,
+    command: context.command !== undefined ? context.command : (message?.content || null),
+    planId: context.planId || null,
+    caseNumber: context.caseNumber || null,
+    approvedBy: context.approvedBy || [],
+    source: context.source || 'unknown',
+    timestamp: Date.now()
+  };
+}
+
+class ModLog {
+  /**
+   * @param {Client} client - Discord client
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} logger - Logger
+   * @param {Object} storage - Storage module (guildSettings)
+   */
+  constructor(client, eventBus, logger, storage) {
+    this.client = client;
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.guildSettings = storage.guildSettings;
+
+    this.eventBus.addListener('actionExecuted', async (entry) => {
+      await this.record(entry);
+      return false;
+    }, { extensionId: 'mod-log' });
+
+    this.logger.info('Mod log initialized');
+  }
+
+  /**
+   * Set or clear the mod-log channel of a guild
+   * @param {string} guildId - Guild ID
+   * @param {string|null} channelId - Channel ID, null to disable
+   */
+  setChannel(guildId, channelId) {
+    if (channelId) {
+      this.guildSettings.set(guildId, SETTINGS_KEY, channelId);
+    } else {
+      this.guildSettings.delete(guildId, SETTINGS_KEY);
+    }
+  }
+
+  /**
+   * Mod-log channel ID of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {string|null}
+   */
+  getChannelId(guildId) {
+    return this.guildSettings.get(guildId, SETTINGS_KEY, null);
+  }
+
+  /**
+   * Post an entry to the guild's mod-log channel; never throws
+   * @param {Object} entry - Entry from createActionEntry
+   * @returns {Promise<boolean>} - Whether the embed was posted
+   */
+  async record(entry) {
+    try {
+      if (!entry?.guildId || !entry.action) return false;
+
+      this.logger.info(`[modlog] ${entry.source}: ${entry.action} by ${entry.actorId}${entry.planId ? ` (plan ${entry.planId})` : ''}`);
+
+      const channelId = this.getChannelId(entry.guildId);
+      if (!channelId) return false;
+
+      const channel = await this.client.channels.fetch(channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) {
+        this.logger.warn(`Mod-log channel ${channelId} of guild ${entry.guildId} is not available`);
+        return false;
+      }
+
+      await channel.send({ embeds: [this.buildEmbed(entry)] });
+      return true;
+    } catch (error) {
+      this.logger.error('Could not write mod-log entry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Build the embed for an entry
+   * @param {Object} entry - Mod-log entry
+   * @returns {Object} - Embed data
+   */
+  buildEmbed(entry) {
+    const params = entry.params || {};
+    const fields = [
+      { name: 'İşlemi Yapan', value: entry.actorId ? `<@${entry.actorId}>` : 'Bilinmiyor', inline: true },
+      { name: 'Hedef', value: this._describeTarget(params), inline: true },
+      { name: 'Kaynak', value: entry.source || 'unknown', inline: true }
+    ];
+
+    if (entry.channelId) {
+      fields.push({ name: 'Kanal', value: `<#${entry.channelId}>`, inline: true });
+    }
+    if (entry.planId) {
+      fields.push({ name: 'Plan ID', value: `\`${entry.planId}\``, inline: true });
+    }
+    if (entry.caseNumber) {
+      fields.push({ name: 'Case', value: `#${entry.caseNumber}`, inline: true });
+    }
+    if (entry.approvedBy?.length > 0) {
+      fields.push({ name: 'Onaylayan', value: entry.approvedBy.map(id => `<@${id}>`).join(', '), inline: true });
+    }
+    if (Object.keys(params).length > 0) {
+      fields.push({ name: 'Parametreler', value: '```json\n' + JSON.stringify(params, null, 2).slice(0, 1000) + '\n```' });
+    }
+    if (entry.command) {
+      fields.push({ name: 'Komut', value: `> ${entry.command.slice(0, 1000)}` });
+    }
+
+    return {
+      title: `📝 ${entry.action}`,
+      color: ACTION_COLORS[entry.action.split('.')[0]] || 0x95a5a6,
+      fields,
+      timestamp: new Date(entry.timestamp || Date.now()).toISOString()
+    };
+  }
+
+  /**
+   * Pick the most specific target of an action
+   * @private
+   */
+  _describeTarget(params) {
+    if (params.userId) return `<@${params.userId}>`;
+    if (params.roleId) return `<@&${params.roleId}>`;
+    if (params.roleName) return params.roleName;
+    if (params.channelId) return `<#${params.channelId}>`;
+    if (params.messageId) return `Mesaj ${params.messageId}`;
+    return '-';
+  }
+}
+
+module.exports = { ModLog, createActionEntry };
@@ -0,0 +1,131 @@
+/**
+ * Plan History
+ * Remembers executed plans with the inverse of every step so a whole plan can be undone
+ */
+const { PermissionsBitField } = require('discord.js');
+
+class PlanHistory {
+  /**
+   * @param {Object} logger - Logger
+   * @param {Object} storage - Storage module (plans)
+   * @param {DynamicHandler} dynamicHandler - Runs the inverse actions
+   * @param {CaseManager} caseManager - Voids the cases of undone punishments (optional)
+   */
+  constructor(logger, storage, dynamicHandler, caseManager = null) {
+    this.logger = logger;
+    this.plans = storage.plans;
+    this.dynamicHandler = dynamicHandler;
+    this.caseManager = caseManager;
+  }
+
+  /**
+   * Store the successful steps of an executed plan
+   * @param {Message} message - Command message
+   * @param {Object} plan - Executed plan (id, command)
+   * @param {Array<Object>} steps - [{ stepId, action, params, inverse, caseNumber }]
+   * @returns {Object|null} - Stored plan
+   */
+  record(message, plan, steps) {
+    if (!message.guild || !plan.id || steps.length === 0) return null;
+
+    try {
+      return this.plans.create({
+        id: plan.id,
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        requesterId: message.author.id,
+        command: plan.command,
+        steps: steps.map(step => ({ ...step, undone: false })),
+        // Plans without a single inverse are kept for the record but never offered for undo
+        status: steps.some(step => step.inverse) ? 'executed' : 'irreversible'
+      });
+    } catch (error) {
+      this.logger.error(`Could not store executed plan ${plan.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Revert a plan step by step in reverse order
+   * @param {Message} message - Undo command message
+   * @param {string|null} planId - Plan to undo, defaults to the requester's latest plan
+   * @returns {Promise<Object>} - { plan, reverted, failed, irreversible }
+   */
+  async undo(message, planId = null) {
+    const guildId = message.guild.id;
+    const plan = planId ? this.plans.get(planId) : this.plans.latest(guildId, message.author.id);
+
+    if (!plan || plan.guildId !== guildId) {
+      // A partly undone plan is only retried on request, so "undo" does not repeat the same failure
+      const partial = !planId && this.plans.latest(guildId, message.author.id, 'partial');
+      if (partial) {
+        const pending = partial.steps.filter(step => step.inverse && !step.undone).map(step => step.action);
+        throw new Error(`Plan ${partial.id} is only partly undone (${pending.join(', ')} could not be reverted); retry with \`undo ${partial.id}\``);
+      }
+      throw new Error(planId ? `Plan ${planId} not found` : 'No plan to undo');
+    }
+    if (plan.status === 'undone') {
+      throw new Error(`Plan ${plan.id} is already undone`);
+    }
+    if (!plan.steps.some(step => step.inverse)) {
+      throw new Error(`Plan ${plan.id} has nothing to undo: ${plan.steps.map(step => step.action).join(', ')} cannot be reverted`);
+    }
+
+    const isModerator = message.member?.permissions.has(PermissionsBitField.Flags.ModerateMembers);
+    if (plan.requesterId !== message.author.id && !isModerator) {
+      throw new Error('Only the requester or a moderator can undo this plan');
+    }
+
+    const reverted = [];
+    const failed = [];
+    const irreversible = [];
+
+    for (const step of [...plan.steps].reverse()) {
+      if (step.undone) continue;
+
+      if (!step.inverse) {
+        irreversible.push(step.action);
+        continue;
+      }
+
+      const result = await this.dynamicHandler.executeAction(message, { ...step.inverse.params, action: step.inverse.action }, {
+        source: 'Undo',
+        planId: plan.id,
+        command: message.content
+      });
+
+      if (!result.success) {
+        failed.push({ action: step.action, error: result.error });
+        continue;
+      }
+
+      step.undone = true;
+      reverted.push(step.action);
+      this._voidCase(guildId, step, message.author.id, plan.id);
+    }
+
+    // At least one step had an inverse, so 'undone' means something was reverted
+    const status = plan.steps.every(step => !step.inverse || step.undone) ? 'undone' : 'partial';
+    const updated = this.plans.updateUndo(plan.id, plan.steps, status, message.author.id);
+
+    this.logger.info(`Plan ${plan.id} undo by ${message.author.id}: ${reverted.length} reverted, ${failed.length} failed`);
+
+    return { plan: updated, reverted, failed, irreversible };
+  }
+
+  /**
+   * An undone punishment should not keep counting against the member
+   * @private
+   */
+  _voidCase(guildId, step, moderatorId, planId) {
+    if (!this.caseManager || !step.caseNumber) return;
+
+    try {
+      this.caseManager.voidCase(guildId, step.caseNumber, moderatorId, `Undo ${planId}`);
+    } catch (error) {
+      this.logger.warn(`Could not void case #${step.caseNumber}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { PlanHistory };
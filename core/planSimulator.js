@@ -0,0 +1,465 @@
+/**
+ * Plan Simulator
+ * Resolves every step of a plan against the live guild and describes what it would do,
+ * without calling any Discord mutation
+ */
+const { PermissionsBitField } = require('discord.js');
+const { formatDuration } = require('../utils/timeUtils');
+const { findReferences, isReference, resolveTemplates } = require('../utils/templateUtils');
+const { LIMITS, isControlStep } = require('../workflow/controlFlow');
+
+// bulkDelete skips messages older than this
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+class PlanSimulator {
+  /**
+   * @param {Client} client - Discord client
+   * @param {Object} logger - Logger
+   * @param {DynamicHandler} dynamicHandler - Used to resolve action names the way execution does
+   */
+  constructor(client, logger, dynamicHandler) {
+    this.client = client;
+    this.logger = logger;
+    this.dynamicHandler = dynamicHandler;
+
+    // Action -> describer(message, params) returning { text, warnings }
+    this.describers = {
+      'message.create': this._describeMessageCreate.bind(this),
+      'message.edit': (message, params) => this._describeMessageAction(message, params, 'edit'),
+      'message.delete': (message, params) => this._describeMessageAction(message, params, 'delete'),
+      'message.react': (message, params) => this._describeMessageAction(message, params, `react ${params.emoji || '(no emoji)'} to`),
+      'message.pin': (message, params) => this._describeMessageAction(message, params, 'pin'),
+      'message.unpin': (message, params) => this._describeMessageAction(message, params, 'unpin'),
+
+      'channel.create': this._describeChannelCreate.bind(this),
+      'channel.delete': (message, params) => this._describeChannelAction(message, params, 'delete channel'),
+      'channel.lock': (message, params) => this._describeChannelAction(message, params, 'lock'),
+      'channel.unlock': (message, params) => this._describeChannelAction(message, params, 'unlock'),
+      'channel.purge': this._describePurge.bind(this),
+
+      'member.timeout': this._describeTimeout.bind(this),
+      'member.removeTimeout': (message, params) => this._describeMemberAction(message, params, 'remove the timeout of'),
+      'member.kick': (message, params) => this._describeMemberAction(message, params, 'kick'),
+      'member.ban': this._describeBan.bind(this),
+      'member.unban': this._describeUnban.bind(this),
+      'member.setNickname': this._describeNickname.bind(this),
+
+      'role.add': (message, params) => this._describeRole(message, params, true),
+      'role.remove': (message, params) => this._describeRole(message, params, false),
+      'role.create': this._describeRoleCreate.bind(this),
+      'role.delete': this._describeRoleDelete.bind(this),
+
+      'channel.setPermissions': this._describePermissions.bind(this),
+
+      'voice.move': this._describeVoiceMove.bind(this),
+      'voice.disconnect': (message, params) => this._describeVoiceAction(message, params, 'disconnect from voice'),
+      'voice.mute': (message, params) => this._describeVoiceAction(message, params, 'server mute'),
+      'voice.unmute': (message, params) => this._describeVoiceAction(message, params, 'remove the server mute of'),
+      'voice.deafen': (message, params) => this._describeVoiceAction(message, params, 'server deafen'),
+      'voice.undeafen': (message, params) => this._describeVoiceAction(message, params, 'remove the server deafen of')
+    };
+  }
+
+  /**
+   * Describe a whole plan
+   * @param {Message} message - Command message
+   * @param {Object} plan - Normalized plan
+   * @returns {Promise<Object>} - { steps: [{ stepId, action, text, warnings }], summary }
+   */
+  async simulate(message, plan) {
+    const steps = [];
+
+    for (const step of plan.steps || []) {
+      steps.push(await this._describeStep(message, step));
+    }
+
+    return { steps, summary: this.formatSummary(steps) };
+  }
+
+  /**
+   * Describe one step
+   * @private
+   */
+  async _describeStep(message, step, depth = 0) {
+    if (isControlStep(step)) {
+      return this._describeControlStep(message, step, depth);
+    }
+
+    const params = step.params || {};
+    const action = this.dynamicHandler._resolveActionName(params.action);
+    let description;
+
+    if (step.tool && step.tool !== 'discord.request') {
+      description = { text: `run tool ${step.tool}`, warnings: ['Tool is not simulated'] };
+    } else if (!action || !this.dynamicHandler.registry.has(action)) {
+      description = { text: `create a dynamic extension for "${params.action}"`, warnings: ['Unknown action, result cannot be predicted'] };
+    } else if (!this.describers[action]) {
+      // Registry actions without a describer say what they do, without resolving targets
+      const { description: what } = this.dynamicHandler.registry.get(action);
+      description = { text: `${what[0].toLowerCase()}${what.slice(1)} (${action})`, warnings: [] };
+    } else {
+      try {
+        description = await this.describers[action](message, params);
+      } catch (error) {
+        description = { text: `${action} (could not resolve targets)`, warnings: [error.message] };
+      }
+    }
+
+    if (action && params.action !== action) {
+      description.warnings.push(`'${params.action}' will run as '${action}'`);
+    }
+
+    // Targets created by earlier steps do not exist yet
+    const references = [...findReferences(params)];
+    if (references.length > 0) {
+      description.warnings = description.warnings.filter(warning => !/not found/i.test(warning));
+      description.text += ` (using the output of ${references.join(', ')})`;
+    }
+
+    return { stepId: step.id, action: action || params.action, ...description };
+  }
+
+  /**
+   * Describe an if / forEach / repeat / run step with the steps inside it on indented lines.
+   * The riskiest nested action sets the step's risk
+   * @private
+   */
+  async _describeControlStep(message, step, depth) {
+    const params = step.params || {};
+    const warnings = [];
+    const lines = [];
+    const risks = [];
+    const indent = '   '.repeat(depth + 1);
+
+    const describeBlock = async (block, prefix) => {
+      for (const nested of Array.isArray(block) ? block : []) {
+        const description = await this._describeStep(message, nested, depth + 1);
+        lines.push(`${indent}↳ ${prefix}${description.text}`);
+        warnings.push(...description.warnings);
+        risks.push(description.risk || this.dynamicHandler.registry.get(description.action)?.risk);
+      }
+    };
+
+    let text;
+    switch (step.tool) {
+      case 'workflow.if': {
+        const { left, operator, right } = params.condition || {};
+        const show = value => isReference(value) ? value : JSON.stringify(value);
+        text = `check whether ${show(left)} ${operator} ${show(right)}`;
+        await describeBlock(params.then, 'if so, ');
+        await describeBlock(params.else, 'if not, ');
+        break;
+      }
+
+      case 'workflow.forEach': {
+        const items = isReference(params.items) ? params.items : `${(params.items || []).length} items`;
+        text = `go through each ${params.as || 'item'} of ${items} (at most ${LIMITS.MAX_ITERATIONS})`;
+        await describeBlock(params.steps, '');
+        break;
+      }
+
+      case 'workflow.run': {
+        const values = Object.entries(params.params || {}).map(([name, value]) => `${name}=${value}`);
+        text = `run saved workflow ${params.name}` + (values.length > 0 ? ` with ${values.join(', ')}` : '');
+        if (!Array.isArray(params.steps)) {
+          warnings.push(`Steps of ${params.name} are loaded when the plan runs`);
+        }
+
+        // Param values are known before the run, so steps that only use them show their targets
+        const bound = (params.steps || []).map(nested => {
+          const references = findReferences(nested.params);
+          if (isControlStep(nested) || references.size !== 1 || !references.has('params')) return nested;
+          try {
+            return { ...nested, params: resolveTemplates(nested.params, { params: params.params || {} }) };
+          } catch {
+            return nested;
+          }
+        });
+        await describeBlock(bound, '');
+        break;
+      }
+
+      default: {
+        text = `repeat ${params.times} times`;
+        if (typeof params.times === 'number' && params.times > LIMITS.MAX_ITERATIONS) {
+          warnings.push(`Loops run at most ${LIMITS.MAX_ITERATIONS} times`);
+        }
+        await describeBlock(params.steps, '');
+      }
+    }
+
+    const risk = ['high', 'medium', 'low'].find(level => risks.includes(level)) || 'low';
+    return { stepId: step.id, action: step.tool, risk, text: [text, ...lines].join('\n'), warnings };
+  }
+
+  /**
+   * One line per step, warnings indented below
+   * @param {Array<Object>} steps - Simulated steps
+   * @returns {string}
+   */
+  formatSummary(steps) {
+    if (steps.length === 0) return 'The plan has no steps.';
+
+    return steps.map((step, index) => {
+      const warnings = step.warnings.map(warning => `   ⚠️ ${warning}`).join('\n');
+      return `${index + 1}. Would ${step.text}` + (warnings ? `\n${warnings}` : '');
+    }).join('\n');
+  }
+
+  // --- Target resolution (cache first, read-only fetch as fallback) ---
+
+  async _resolveMember(message, userId) {
+    if (!userId || !message.guild) return null;
+    return message.guild.members.cache.get(userId) ||
+      await message.guild.members.fetch(userId).catch(() => null);
+  }
+
+  async _resolveChannel(message, channelId) {
+    if (!channelId) return message.channel;
+    return message.guild?.channels.cache.get(channelId) ||
+      await this.client.channels.fetch(channelId).catch(() => null);
+  }
+
+  _resolveRole(message, params) {
+    const roles = message.guild?.roles.cache;
+    if (!roles) return null;
+    if (params.roleId) return roles.get(params.roleId) || null;
+    if (params.roleName) return roles.find(r => r.name.toLowerCase() === String(params.roleName).toLowerCase()) || null;
+    return null;
+  }
+
+  _memberLabel(member, userId) {
+    return member ? `${member.user.tag} (${member.id})` : `unknown member ${userId || '(no user)'}`;
+  }
+
+  _memberWarnings(message, member, userId) {
+    const warnings = [];
+    if (!userId) warnings.push('No target member');
+    else if (!member) warnings.push('Member not found in this server');
+    else if (member.id === message.author.id) warnings.push('Target is the requester');
+    else if (member.id === this.client.user?.id) warnings.push('Target is the bot');
+    return warnings;
+  }
+
+  // --- Describers ---
+
+  async _describeMemberAction(message, params, verb) {
+    const member = await this._resolveMember(message, params.userId);
+    const warnings = this._memberWarnings(message, member, params.userId);
+
+    if (member && !member.manageable && verb !== 'remove the timeout of') {
+      warnings.push('Bot role is not above this member, Discord will refuse');
+    }
+
+    return { text: `${verb} ${this._memberLabel(member, params.userId)}`, warnings };
+  }
+
+  async _describeTimeout(message, params) {
+    const member = await this._resolveMember(message, params.userId);
+    const warnings = this._memberWarnings(message, member, params.userId);
+    const seconds = Math.max(0, parseInt(params.duration) || 0);
+
+    if (seconds === 0) warnings.push('Duration is 0, no timeout would be applied');
+    if (member?.permissions.has(PermissionsBitField.Flags.Administrator)) {
+      warnings.push('Administrators cannot be timed out');
+    }
+    if (member?.communicationDisabledUntilTimestamp > Date.now()) {
+      warnings.push(`Already timed out until <t:${Math.floor(member.communicationDisabledUntilTimestamp / 1000)}:f>`);
+    }
+
+    return {
+      text: `timeout 1 member for ${seconds}s (${formatDuration(seconds)}): ${this._memberLabel(member, params.userId)}`,
+      warnings
+    };
+  }
+
+  async _describeBan(message, params) {
+    const member = await this._resolveMember(message, params.userId);
+    const warnings = member ? this._memberWarnings(message, member, params.userId) : ['User is not a member, ban would still apply by ID'];
+    const days = Math.min(Math.max(parseInt(params.deleteMessageDays) || 0, 0), 7);
+
+    return {
+      text: `ban ${this._memberLabel(member, params.userId)}` + (days ? ` and delete ${days} day(s) of their messages` : ''),
+      warnings
+    };
+  }
+
+  async _describeUnban(message, params) {
+    const ban = await message.guild?.bans.fetch(params.userId).catch(() => null);
+    return {
+      text: `unban ${ban ? ban.user.tag : params.userId}`,
+      warnings: ban ? [] : ['User is not banned']
+    };
+  }
+
+  async _describeNickname(message, params) {
+    const member = await this._resolveMember(message, params.userId);
+    const warnings = this._memberWarnings(message, member, params.userId);
+    const nickname = params.nickname ?? params.nick ?? params.name;
+
+    return {
+      text: `rename ${this._memberLabel(member, params.userId)} from "${member?.displayName ?? '?'}" to "${nickname ?? '(unresolved)'}"`,
+      warnings
+    };
+  }
+
+  async _describeRole(message, params, add) {
+    const member = await this._resolveMember(message, params.userId);
+    const role = this._resolveRole(message, params);
+    const warnings = this._memberWarnings(message, member, params.userId);
+
+    if (!role) warnings.push(`Role ${params.roleId || params.roleName || '(none)'} not found`);
+    if (role && member && member.roles.cache.has(role.id) === add) {
+      warnings.push(add ? 'Member already has this role' : 'Member does not have this role');
+    }
+    if (role && message.guild.members.me && role.position >= message.guild.members.me.roles.highest.position) {
+      warnings.push('Role is above the bot, Discord will refuse');
+    }
+
+    return {
+      text: `${add ? 'add' : 'remove'} role ${role ? `@${role.name}` : '(unknown)'} ${add ? 'to' : 'from'} ${this._memberLabel(member, params.userId)}`,
+      warnings
+    };
+  }
+
+  async _describeRoleCreate(message, params) {
+    const exists = message.guild?.roles.cache.some(r => r.name.toLowerCase() === String(params.name).toLowerCase());
+    return {
+      text: `create role @${params.name || '(no name)'}`,
+      warnings: [
+        ...(params.name ? [] : ['No role name']),
+        ...(exists ? ['A role with this name already exists'] : [])
+      ]
+    };
+  }
+
+  async _describeRoleDelete(message, params) {
+    const role = this._resolveRole(message, params);
+    const warnings = role ? [] : [`Role ${params.roleId || params.roleName || '(none)'} not found`];
+
+    if (role && message.guild.members.me && role.position >= message.guild.members.me.roles.highest.position) {
+      warnings.push('Role is above the bot, Discord will refuse');
+    }
+
+    return { text: `delete role ${role ? `@${role.name}` : '(unknown)'}`, warnings };
+  }
+
+  async _describePermissions(message, params) {
+    const channel = await this._resolveChannel(message, params.channelId);
+    const role = message.guild?.roles.cache.get(params.targetId);
+    const member = role ? null : await this._resolveMember(message, params.targetId);
+    const warnings = channel ? [] : ['Channel not found'];
+    if (params.targetId && !role && !member) warnings.push('Target role or member not found');
+
+    const changes = [['allow', params.allow], ['deny', params.deny], ['reset', params.clear]]
+      .filter(([, names]) => names?.length > 0)
+      .map(([verb, names]) => `${verb} ${[].concat(names).join(', ')}`);
+    const target = role ? `@${role.name}` : isReference(params.targetId) ? params.targetId : this._memberLabel(member, params.targetId);
+
+    return { text: `${changes.join('; ') || 'change no permissions'} for ${target} in ${channel ? `#${channel.name}` : params.channelId}`, warnings };
+  }
+
+  async _describeVoiceAction(message, params, verb) {
+    const member = await this._resolveMember(message, params.userId);
+    const warnings = this._memberWarnings(message, member, params.userId);
+
+    if (member && !member.voice?.channelId) warnings.push('Member is not in a voice channel');
+
+    return { text: `${verb} ${this._memberLabel(member, params.userId)}`, warnings };
+  }
+
+  async _describeVoiceMove(message, params) {
+    const destination = await this._resolveChannel(message, params.channelId);
+    const warnings = [];
+    if (!destination) warnings.push('Destination channel not found');
+    else if (!destination.isVoiceBased()) warnings.push('Destination is not a voice channel');
+
+    let who;
+    if (params.fromChannelId) {
+      const source = await this._resolveChannel(message, params.fromChannelId);
+      if (!source) warnings.push('Source channel not found');
+      else if (source.members?.size === 0) warnings.push(`Nobody is in ${source.name}`);
+      who = `everyone in ${source ? source.name : params.fromChannelId} (${source?.members?.size ?? 0})`;
+    } else {
+      const userIds = params.userId ? [params.userId] : [].concat(params.userIds || []);
+      const members = await Promise.all(userIds.map(id => this._resolveMember(message, id)));
+      if (userIds.length === 0) warnings.push('No target member');
+      if (members.some(member => member && !member.voice?.channelId)) warnings.push('Some members are not in a voice channel');
+      who = members.map((member, index) => this._memberLabel(member, userIds[index])).join(', ');
+    }
+
+    return { text: `move ${who} to ${destination ? destination.name : params.channelId}`, warnings };
+  }
+
+  async _describeChannelAction(message, params, verb) {
+    const channel = await this._resolveChannel(message, params.channelId);
+    const warnings = channel ? [] : ['Channel not found'];
+
+    if (channel && channel.id === message.channel.id && verb === 'delete channel') {
+      warnings.push('This is the channel the command was sent in');
+    }
+
+    return { text: `${verb} ${channel ? `#${channel.name}` : params.channelId}`, warnings };
+  }
+
+  async _describeChannelCreate(message, params) {
+    const exists = message.guild?.channels.cache.some(c => c.name === params.name);
+    return {
+      text: `create ${params.type || 'text'} channel #${params.name || '(no name)'}`,
+      warnings: [
+        ...(params.name ? [] : ['No channel name']),
+        ...(exists ? ['A channel with this name already exists'] : [])
+      ]
+    };
+  }
+
+  async _describePurge(message, params) {
+    const channel = await this._resolveChannel(message, params.channelId);
+    if (!channel) {
+      return { text: `purge messages from ${params.channelId}`, warnings: ['Channel not found'] };
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit) || 10, 1), 100);
+    const fetched = await channel.messages.fetch({ limit: params.userId ? 100 : limit });
+    const warnings = [];
+    let count;
+
+    if (params.userId) {
+      // Same selection as channel.purge: old messages are deleted one by one
+      count = fetched.filter(msg => msg.author.id === params.userId).first(limit).length;
+      if (count === 0) warnings.push('No recent messages from this member, purge would fail');
+    } else {
+      const cutoff = Date.now() - BULK_DELETE_MAX_AGE;
+      count = fetched.filter(msg => msg.createdTimestamp > cutoff).size;
+      if (count < fetched.size) warnings.push(`${fetched.size - count} message(s) are older than 14 days and cannot be bulk deleted`);
+    }
+
+    const from = params.userId
+      ? ` by ${this._memberLabel(await this._resolveMember(message, params.userId), params.userId)}`
+      : '';
+    return { text: `delete ${count} message${count !== 1 ? 's' : ''}${from} from #${channel.name}`, warnings };
+  }
+
+  async _describeMessageCreate(message, params) {
+    const channel = await this._resolveChannel(message, params.channelId);
+    const preview = String(params.content || 'Empty message').slice(0, 80);
+    return {
+      text: `send "${preview}" to ${channel ? `#${channel.name}` : params.channelId}`,
+      warnings: channel ? [] : ['Channel not found']
+    };
+  }
+
+  async _describeMessageAction(message, params, verb) {
+    if (!params.messageId) {
+      return { text: `${verb} the command message itself`, warnings: ['No messageId, the command message is used'] };
+    }
+
+    const target = await message.channel.messages.fetch(params.messageId).catch(() => null);
+    return {
+      text: `${verb} message ${params.messageId}` + (target ? ` by ${target.author.tag}` : ''),
+      warnings: target ? [] : ['Message not found in this channel']
+    };
+  }
+}
+
+module.exports = { PlanSimulator };
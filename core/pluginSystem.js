@@ -1,3 +1,4 @@
+const { PermissionsBitField } = require('discord.js');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -133,7 +134,7 @@ class PluginSystem {
    */
   async handlePluginCommand(message, command) {
     // Admin kontrolü
-    if (!message.member.permissions.has('ADMINISTRATOR')) {
+    if (!message.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
       await message.reply('❌ Bu komutu kullanma izniniz yok.');
       return true;
     }
@@ -0,0 +1,274 @@
+/**
+ * Trust Score Service
+ * Computes a per-member, per-guild trust score from the moderation signals the bot already sees
+ */
+
+// How much each recorded event moves the score (before decay)
+const TRUST_EVENT_WEIGHTS = {
+  warn: -8,
+  timeout: -12,
+  kick: -25,
+  ban: -40,
+  monitorTrigger: -4,
+  watcherTimeout: -5,
+  watcherAlert: -2
+};
+
+// Keep the event history bounded per member
+const MAX_EVENTS_PER_MEMBER = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guild setting: members without a permission may use it alone once their score is high enough
+const DELEGATION_KEY = 'trustDelegation';
+
+class TrustScoreService {
+  /**
+   * @param {Client} client - Discord client
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} logger - Logger
+   * @param {Object} storage - Storage module (trustEvents, guildSettings)
+   * @param {Object} options - Trust score settings (config.TRUST_SCORE)
+   */
+  constructor(client, eventBus, logger, storage, options = {}) {
+    this.client = client;
+    this.eventBus = eventBus;
+    this.logger = logger;
+
+    this.baseScore = options.BASE ?? 50;
+    this.minScore = options.MIN ?? 0;
+    this.maxScore = options.MAX ?? 100;
+    this.decayHalfLifeDays = options.DECAY_HALF_LIFE_DAYS ?? 30;
+    this.newAccountDays = options.NEW_ACCOUNT_DAYS ?? 7;
+    // A clean, year-old account that has been in the guild for six months reaches the maximum
+    this.accountAgePoints = options.ACCOUNT_AGE_POINTS ?? 20;
+    this.tenurePoints = options.TENURE_POINTS ?? 30;
+
+    // Events survive restarts: [{ type, delta, reason, actorId, timestamp, details }] per member
+    this.events = storage.trustEvents;
+    this.guildSettings = storage.guildSettings;
+
+    this._registerListeners();
+
+    this.logger.info('Trust score service initialized');
+  }
+
+  /**
+   * Subscribe to the signals emitted by the moderation extensions
+   * @private
+   */
+  _registerListeners() {
+    if (!this.eventBus || typeof this.eventBus.addListener !== 'function') {
+      this.logger.warn('Trust score service has no event bus, signals will not be recorded');
+      return;
+    }
+
+    // ModerationHandler warn/timeout/kick/ban
+    this.eventBus.addListener('moderationAction', async (data) => {
+      if (!data?.guildId || !data?.targetId || !TRUST_EVENT_WEIGHTS[data.action]) return false;
+
+      this.recordEvent(data.guildId, data.targetId, data.action, {
+        reason: data.reason,
+        actorId: data.moderatorId,
+        details: { caseNumber: data.caseNumber, duration: data.duration }
+      });
+      return false;
+    }, { extensionId: 'trust-score' });
+    
+    // Voided cases no longer count against the member
+    this.eventBus.addListener('caseVoided', async (data) => {
+      if (!data?.guildId || !data?.targetId || !data?.caseNumber) return false;
+      
+      this.removeCaseEvents(data.guildId, data.targetId, data.caseNumber);
+      return false;
+    }, { extensionId: 'trust-score' });
+
+    // MessageMonitor trigger word hits
+    this.eventBus.addListener('monitorTriggered', async (data) => {
+      if (!data?.guildId || !data?.userId) return false;
+
+      this.recordEvent(data.guildId, data.userId, 'monitorTrigger', {
+        reason: `Trigger word: ${data.triggerWord}`,
+        details: { channelId: data.channelId }
+      });
+      return false;
+    }, { extensionId: 'trust-score' });
+
+    // WatcherExtension threshold breaches
+    this.eventBus.addListener('watcherThreshold', async (data) => {
+      if (!data?.guildId || !data?.userId) return false;
+
+      const type = data.level === 'timeout' ? 'watcherTimeout' : 'watcherAlert';
+      this.recordEvent(data.guildId, data.userId, type, {
+        reason: `Watcher result ${data.result} exceeded ${data.threshold}`,
+        actorId: data.authorId,
+        details: { watcherId: data.watcherId, result: data.result }
+      });
+      return false;
+    }, { extensionId: 'trust-score' });
+  }
+
+  /**
+   * Record an event that moves a member's score
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Member ID
+   * @param {string} type - Event type (see TRUST_EVENT_WEIGHTS)
+   * @param {Object} options - reason, actorId, details, timestamp
+   * @returns {Object|null} - Recorded event or null for unknown types
+   */
+  recordEvent(guildId, userId, type, options = {}) {
+    const delta = TRUST_EVENT_WEIGHTS[type];
+    if (delta === undefined) {
+      this.logger.warn(`Unknown trust event type: ${type}`);
+      return null;
+    }
+
+    const event = {
+      type,
+      delta,
+      reason: options.reason || null,
+      actorId: options.actorId || null,
+      details: options.details || {},
+      timestamp: options.timestamp || Date.now()
+    };
+
+    this.events.add({ guildId, userId, ...event }, MAX_EVENTS_PER_MEMBER);
+
+    this.logger.info(`Trust event recorded: ${type} (${delta}) for ${userId} in ${guildId}`);
+    return event;
+  }
+
+  /**
+   * Remove the events recorded for a moderation case
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Member ID
+   * @param {number} caseNumber - Case number
+   * @returns {number} - Number of removed events
+   */
+  removeCaseEvents(guildId, userId, caseNumber) {
+    return this.events.deleteCase(guildId, userId, caseNumber);
+  }
+  
+  /**
+   * Whether the guild lets members without an action's permission run it alone once their score
+   * reaches the action's minRequesterTrust. Off by default: a moderator with the permission approves
+   * @param {string} guildId - Guild ID
+   * @returns {boolean}
+   */
+  isDelegationEnabled(guildId) {
+    return this.guildSettings.get(guildId, DELEGATION_KEY, false) === true;
+  }
+
+  /**
+   * Turn trust delegation on or off for a guild
+   * @param {string} guildId - Guild ID
+   * @param {boolean} enabled - Whether trusted members may act without the permission
+   */
+  setDelegation(guildId, enabled) {
+    if (enabled) {
+      this.guildSettings.set(guildId, DELEGATION_KEY, true);
+    } else {
+      this.guildSettings.delete(guildId, DELEGATION_KEY);
+    }
+  }
+  
+  /**
+   * Get the current trust score for a member
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<number>} - Score between minScore and maxScore
+   */
+  async getScore(guildId, userId) {
+    const breakdown = await this.getBreakdown(guildId, userId);
+    return breakdown.score;
+  }
+
+  /**
+   * Get the score together with every factor that moved it
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<Object>} - { score, factors, events }
+   */
+  async getBreakdown(guildId, userId) {
+    const factors = [{ source: 'base', delta: this.baseScore }];
+
+    const { user, member } = await this._fetchMember(guildId, userId);
+
+    const accountAge = this._accountAgeFactor(user);
+    if (accountAge) factors.push(accountAge);
+
+    const tenure = this._tenureFactor(member);
+    if (tenure) factors.push(tenure);
+
+    const now = Date.now();
+    const events = this.events.list(guildId, userId).map(event => {
+      const ageDays = (now - event.timestamp) / DAY_MS;
+      const effective = event.delta * Math.pow(0.5, ageDays / this.decayHalfLifeDays);
+      return { ...event, effective: Math.round(effective * 10) / 10 };
+    });
+
+    const total = factors.reduce((sum, factor) => sum + factor.delta, 0) +
+                  events.reduce((sum, event) => sum + event.effective, 0);
+
+    return {
+      guildId,
+      userId,
+      score: Math.round(Math.min(this.maxScore, Math.max(this.minScore, total))),
+      factors,
+      events
+    };
+  }
+
+  /**
+   * Account age: brand new accounts lose points, older accounts earn up to accountAgePoints after a year
+   * @param {User|null} user - Discord user
+   * @returns {Object|null} - Factor entry
+   * @private
+   */
+  _accountAgeFactor(user) {
+    if (!user?.createdTimestamp) return null;
+
+    const days = Math.floor((Date.now() - user.createdTimestamp) / DAY_MS);
+    const delta = days < this.newAccountDays
+      ? -10
+      : Math.round(Math.min(this.accountAgePoints, (days / 365) * this.accountAgePoints));
+
+    return { source: 'accountAge', delta, detail: `${days} days` };
+  }
+
+  /**
+   * Time in the guild: up to tenurePoints after six months
+   * @param {GuildMember|null} member - Guild member
+   * @returns {Object|null} - Factor entry
+   * @private
+   */
+  _tenureFactor(member) {
+    if (!member?.joinedTimestamp) return null;
+
+    const days = Math.floor((Date.now() - member.joinedTimestamp) / DAY_MS);
+    const delta = Math.round(Math.min(this.tenurePoints, (days / 180) * this.tenurePoints));
+
+    return { source: 'guildTenure', delta, detail: `${days} days` };
+  }
+
+  /**
+   * Resolve user and member objects, tolerating members who already left
+   * @private
+   */
+  async _fetchMember(guildId, userId) {
+    let member = null;
+    let user = null;
+
+    const guild = this.client?.guilds?.cache.get(guildId);
+    if (guild) {
+      member = await guild.members.fetch(userId).catch(() => null);
+    }
+
+    user = member?.user || await this.client?.users?.fetch(userId).catch(() => null) || null;
+
+    return { user, member };
+  }
+
+}
+
+module.exports = { TrustScoreService, TRUST_EVENT_WEIGHTS };
@@ -0,0 +1,447 @@
+/**
+ * Workflow Library
+ * Plans saved under a name per guild ("save last as nightly-cleanup"), with parameters, so they can
+ * be run again by name, from scheduled tasks and from other plans (workflow.run steps)
+ */
+const { Collection } = require('discord.js');
+const { BLOCK_KEYS, isControlStep } = require('../workflow/controlFlow');
+const { validatePlan, formatValidationErrors } = require('../ai/planSchema');
+
+// Names are typed in commands: nightly-cleanup, raid_lockdown
+const WORKFLOW_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Parameter names are used in references, {{params.user}}
+const PARAM_NAME = /^[a-zA-Z]+$/;
+
+// "save last" looks this far back
+const LAST_PLAN_TTL = 60 * 60 * 1000;
+
+/**
+ * Replace every param value equal to value (the whole value, not a part of a text) with a reference
+ * @returns {number} - Replacements made
+ * @private
+ */
+function replaceValue(params, value, reference) {
+  let count = 0;
+  for (const [key, current] of Object.entries(params)) {
+    if (key === 'action') continue;
+    if ((typeof current === 'string' || typeof current === 'number') && String(current) === String(value)) {
+      params[key] = reference;
+      count++;
+    } else if (current && typeof current === 'object' && !Array.isArray(current)) {
+      count += replaceValue(current, value, reference);
+    }
+  }
+  return count;
+}
+
+class WorkflowLibrary {
+  /**
+   * @param {Client} client - Discord client
+   * @param {EventBus} eventBus - Event bus (executeWorkflow from ScheduledTasks, scheduleTask to it)
+   * @param {Object} logger - Logger
+   * @param {Object} storage - Storage module (workflows)
+   */
+  constructor(client, eventBus, logger, storage) {
+    this.client = client;
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.workflows = storage.workflows;
+
+    // Runs a plan the way a typed command's plan runs: validation, trust gates, approval (set by setupBot)
+    this.executePlan = null;
+
+    // Channel and user -> last plan they ran, for "save last"
+    this.lastPlans = new Map();
+
+    this.eventBus.addListener('executeWorkflow', async (data) => {
+      await this.runScheduled(data);
+      return true;
+    }, { extensionId: 'workflow-library' });
+  }
+
+  /**
+   * Remember the plan a member just ran
+   * @param {Message} message - Command message
+   * @param {Object} plan - Plan (before its workflow.run steps were expanded)
+   */
+  rememberPlan(message, plan) {
+    if (plan.meta?.isErrorPlan) return;
+
+    const now = Date.now();
+    for (const [key, entry] of this.lastPlans) {
+      if (now - entry.at > LAST_PLAN_TTL) this.lastPlans.delete(key);
+    }
+
+    this.lastPlans.set(this._key(message), {
+      plan: JSON.parse(JSON.stringify({ steps: plan.steps, meta: { strategy: plan.meta?.strategy || 'sequential' } })),
+      command: plan.command || null,
+      at: now
+    });
+  }
+
+  /**
+   * Save the member's last plan under a name. Each param replaces the step values equal to its
+   * value with {{params.<name>}}; the value becomes the default
+   * @param {Message} message - Command message
+   * @param {string} name - Workflow name
+   * @param {Object} params - Param name -> value in the last plan
+   * @returns {Object} - Stored workflow
+   * @throws {Error} - Without a recent plan, for an invalid name or a value the plan does not use
+   */
+  saveLast(message, name, params = {}) {
+    const last = this.lastPlans.get(this._key(message));
+    if (!last) {
+      throw new Error('There is no recent plan of yours in this channel to save');
+    }
+
+    const workflowName = this._checkName(name);
+    const plan = { ...last.plan, steps: this._collapse(last.plan.steps) };
+
+    for (const [param, value] of Object.entries(params)) {
+      if (!PARAM_NAME.test(param)) {
+        throw new Error(`Parameter names can only contain letters (got "${param}")`);
+      }
+      const replaced = plan.steps.reduce((count, step) => count + this._parameterize(step, value, `{{params.${param}}}`), 0);
+      if (replaced === 0) {
+        throw new Error(`"${value}" does not appear in the last plan, so ${param} would not change anything`);
+      }
+    }
+
+    this._check(message.guild.id, workflowName, plan, params);
+    const workflow = this.workflows.save({
+      guildId: message.guild.id,
+      name: workflowName,
+      command: last.command,
+      plan,
+      params,
+      createdBy: message.author.id
+    });
+
+    this.logger.info(`Workflow ${workflowName} saved in ${message.guild.id} by ${message.author.id}`);
+    return workflow;
+  }
+
+  /**
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Workflow name
+   * @returns {Object|null}
+   */
+  get(guildId, name) {
+    return this.workflows.get(guildId, String(name || '').toLowerCase());
+  }
+
+  /**
+   * @param {string} guildId - Guild ID
+   * @returns {Array<Object>}
+   */
+  list(guildId) {
+    return this.workflows.list(guildId);
+  }
+
+  /**
+   * Saved workflows in the form the planner prompt shows them
+   * @param {string} guildId - Guild ID
+   * @returns {Array<Object>} - [{ name, description, params, command }]
+   */
+  describe(guildId) {
+    return this.list(guildId).slice(0, 20).map(workflow => ({
+      name: workflow.name,
+      ...(workflow.description && { description: workflow.description }),
+      params: Object.keys(workflow.params),
+      command: workflow.command
+    }));
+  }
+
+  /**
+   * Change a saved workflow
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Workflow name
+   * @param {Object} changes - { description, steps, defaults: { param: value } }
+   * @param {string} userId - Member making the change
+   * @returns {Object} - Updated workflow
+   * @throws {Error} - For an unknown workflow or param
+   */
+  update(guildId, name, changes, userId) {
+    const workflow = this._require(guildId, name);
+    const update = {};
+
+    if (changes.description !== undefined) {
+      update.description = changes.description || null;
+    }
+    if (changes.steps) {
+      update.plan = { ...workflow.plan, steps: this._collapse(changes.steps) };
+    }
+    if (changes.defaults) {
+      const unknown = Object.keys(changes.defaults).find(param => !(param in workflow.params));
+      if (unknown) {
+        throw new Error(`${workflow.name} has no parameter ${unknown}`);
+      }
+      update.params = { ...workflow.params, ...changes.defaults };
+    }
+
+    this._check(guildId, workflow.name, update.plan || workflow.plan, update.params || workflow.params);
+    return this.workflows.update(guildId, workflow.name, update, userId);
+  }
+
+  /**
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Workflow name
+   * @returns {boolean} - Whether it existed
+   */
+  delete(guildId, name) {
+    return this.workflows.delete(guildId, String(name || '').toLowerCase());
+  }
+
+  /**
+   * Plan with a single step that runs a saved workflow
+   * @param {Object} workflow - Saved workflow
+   * @param {Object} params - Param values; missing ones use the saved defaults
+   * @returns {Object} - Plan (workflow.run steps still to be expanded)
+   */
+  buildRunPlan(workflow, params = {}) {
+    return {
+      steps: [{ id: 'run', tool: 'workflow.run', params: { name: workflow.name, params } }],
+      meta: { strategy: workflow.plan?.meta?.strategy || 'sequential' },
+      command: `workflow run ${workflow.name}`
+    };
+  }
+
+  /**
+   * Load the steps of every workflow.run step of a plan, including saved workflows that run others
+   * @param {Object} plan - Plan
+   * @param {string} guildId - Guild ID
+   * @returns {Object} - Copy of the plan with the steps filled in and the params completed with defaults
+   * @throws {Error} - For an unknown workflow or param, or a workflow that ends up running itself
+   */
+  expand(plan, guildId) {
+    return { ...plan, steps: this._expandSteps(plan.steps || [], guildId, []) };
+  }
+
+  /**
+   * Run a saved workflow by name from a command
+   * @param {Message} message - Command message
+   * @param {string} name - Workflow name
+   * @param {Object} params - Param values
+   * @returns {Promise<void>}
+   */
+  async run(message, name, params = {}) {
+    const workflow = this._require(message.guild.id, name);
+    if (!this.executePlan) {
+      throw new Error('Saved workflows cannot be run here');
+    }
+
+    const plan = this.buildRunPlan(workflow, params);
+    await this.executePlan(message, plan, plan.command);
+  }
+
+  /**
+   * Count a run of every saved workflow a plan ran successfully. Called once the plan has run, so
+   * runs refused by validation or the trust gates, or never approved, do not count
+   * @param {Message} message - Command message
+   * @param {Object} plan - Executed plan
+   * @param {Object} outcome - executeApprovedPlan outcome ({ results })
+   */
+  recordRuns(message, plan, outcome) {
+    if (!message.guild) return;
+
+    const succeeded = new Set(outcome.results.filter(result => result.success).map(result => result.stepId));
+    for (const step of plan.steps || []) {
+      if (step.tool === 'workflow.run' && succeeded.has(step.id)) {
+        this.workflows.recordRun(message.guild.id, step.params.name);
+      }
+    }
+  }
+
+  /**
+   * Run a saved workflow for ScheduledTasks (executeWorkflow event). It runs as the member who
+   * scheduled it (or saved it), in the task's channel or the system channel
+   * @param {Object} data - { workflowId (name), guildId, channelId, params, requesterId }
+   * @returns {Promise<boolean>} - Whether the workflow was started
+   */
+  async runScheduled(data) {
+    try {
+      const workflow = this.get(data.guildId, data.workflowId);
+      if (!workflow || !this.executePlan) {
+        this.logger.warn(`Scheduled workflow ${data.workflowId} not found in ${data.guildId}`);
+        return false;
+      }
+
+      const guild = await this.client.guilds.fetch(data.guildId);
+      const channel = (data.channelId && await this.client.channels.fetch(data.channelId).catch(() => null)) || guild.systemChannel;
+      const member = await guild.members.fetch(data.requesterId || workflow.createdBy).catch(() => null);
+      if (!channel?.isTextBased() || !member) {
+        this.logger.warn(`Scheduled workflow ${workflow.name} in ${guild.id} has no channel or member to run from`);
+        return false;
+      }
+
+      const plan = this.buildRunPlan(workflow, data.params || {});
+      await this.executePlan(this._scheduledContext(guild, channel, member, plan.command), plan, plan.command);
+      return true;
+    } catch (error) {
+      this.logger.error(`Scheduled workflow ${data.workflowId} failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Ask ScheduledTasks to run a saved workflow later, once or repeatedly
+   * @param {Message} message - Command message; the run happens in its channel, as its author
+   * @param {string} name - Workflow name
+   * @param {Object} options - { delay (ms), repeat, params }
+   * @returns {Promise<Object>} - { workflow, executeAt }
+   * @throws {Error} - For an unknown workflow, or without ScheduledTasks
+   */
+  async schedule(message, name, options) {
+    const workflow = this._require(message.guild.id, name);
+    if (!this.eventBus.listListeners().scheduleTask) {
+      throw new Error('Scheduled tasks are not available');
+    }
+
+    const executeAt = Date.now() + options.delay;
+    await this.eventBus.emit('scheduleTask', { task: {
+      action: 'workflow',
+      guildId: message.guild.id,
+      channelId: message.channel.id,
+      executeAt,
+      repeat: !!options.repeat,
+      interval: options.repeat ? options.delay : null,
+      parameters: { workflowId: workflow.name, params: options.params || {}, requesterId: message.author.id }
+    } });
+
+    return { workflow, executeAt };
+  }
+
+  /**
+   * @private
+   */
+  _key(message) {
+    return `${message.guild?.id || 'dm'}:${message.channel.id}:${message.author.id}`;
+  }
+
+  /**
+   * @private
+   */
+  _checkName(name) {
+    const normalized = String(name || '').toLowerCase();
+    if (!WORKFLOW_NAME.test(normalized)) {
+      throw new Error('Workflow names are up to 32 letters, digits, "-" or "_" (e.g. nightly-cleanup)');
+    }
+    return normalized;
+  }
+
+  /**
+   * @private
+   */
+  _require(guildId, name) {
+    const workflow = this.get(guildId, name);
+    if (!workflow) {
+      throw new Error(`No saved workflow named ${name}`);
+    }
+    return workflow;
+  }
+
+  /**
+   * A workflow is only stored if running it with its defaults would be a valid plan
+   * @private
+   */
+  _check(guildId, name, plan, params) {
+    const steps = this._expandSteps(plan.steps, guildId, [name]);
+    const { valid, errors } = validatePlan({ steps: [{ id: 'run', tool: 'workflow.run', params: { name, params, steps } }] });
+    if (!valid) {
+      throw new Error(`${name} would not be a valid plan:\n${formatValidationErrors(errors).slice(0, 1500)}`);
+    }
+  }
+
+  /**
+   * Replace a value in a step and the steps inside it
+   * @private
+   */
+  _parameterize(step, value, reference) {
+    let count = replaceValue(step.params || {}, value, reference);
+    if (isControlStep(step)) {
+      for (const key of BLOCK_KEYS[step.tool]) {
+        for (const nested of step.params?.[key] || []) count += this._parameterize(nested, value, reference);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Steps without the loaded steps of their workflow.run steps; those are loaded again on
+   * every run, so a saved workflow always runs the current version of the ones it calls
+   * @private
+   */
+  _collapse(steps) {
+    return steps.map(step => {
+      if (!isControlStep(step)) return step;
+
+      const params = { ...step.params };
+      if (step.tool === 'workflow.run') {
+        delete params.steps;
+      } else {
+        for (const key of BLOCK_KEYS[step.tool]) {
+          if (Array.isArray(params[key])) params[key] = this._collapse(params[key]);
+        }
+      }
+      return { ...step, params };
+    });
+  }
+
+  /**
+   * @param {Array<string>} trail - Workflows being expanded, outermost first
+   * @private
+   */
+  _expandSteps(steps, guildId, trail) {
+    return steps.map(step => {
+      if (!isControlStep(step)) return step;
+
+      const params = { ...step.params };
+      if (step.tool !== 'workflow.run') {
+        for (const key of BLOCK_KEYS[step.tool]) {
+          if (Array.isArray(params[key])) params[key] = this._expandSteps(params[key], guildId, trail);
+        }
+        return { ...step, params };
+      }
+
+      const workflow = this._require(guildId, params.name);
+      if (trail.includes(workflow.name)) {
+        throw new Error(`Saved workflow ${workflow.name} would run itself (${[...trail, workflow.name].join(' -> ')})`);
+      }
+
+      const unknown = Object.keys(params.params || {}).find(param => !(param in workflow.params));
+      if (unknown) {
+        const known = Object.keys(workflow.params);
+        throw new Error(`${workflow.name} has no parameter ${unknown}` + (known.length > 0 ? ` (parameters: ${known.join(', ')})` : ''));
+      }
+
+      params.name = workflow.name;
+      params.params = { ...workflow.params, ...params.params };
+      params.steps = this._expandSteps(workflow.plan.steps, guildId, [...trail, workflow.name]);
+      return { ...step, params };
+    });
+  }
+
+  /**
+   * Stands in for the command message of a scheduled run: the actions, trust gates and mod log
+   * see the guild, the channel and the member the workflow runs as; replies go to the channel
+   * @private
+   */
+  _scheduledContext(guild, channel, member, content) {
+    const none = new Collection();
+    return {
+      id: `scheduled_${Date.now()}`,
+      content,
+      guild,
+      channel,
+      member,
+      author: member.user,
+      createdTimestamp: Date.now(),
+      mentions: { users: none, members: none, roles: none, channels: none },
+      attachments: none,
+      reply: options => channel.send(options)
+    };
+  }
+}
+
+module.exports = { WorkflowLibrary, WORKFLOW_NAME, PARAM_NAME };
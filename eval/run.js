@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+/**
+ * Command understanding evaluation
+ * @module eval/run
+ * @description Runs the golden commands in eval/commands.json through PlanGenerator against a
+ * simulated guild (testing/fakeDiscord) and compares the plans with the expected steps. Reports accuracy per action type
+ * and language, and can compare against a saved report to show what a prompt or model change
+ * made better or worse.
+ *
+ * Usage: node eval/run.js [options]   (or: npm run eval -- [options])
+ *   --provider <name>     LLM provider: mock (default, offline: the replies in eval/replies.json, rule
+ *                         based answers for the other cases), openai, ollama, llamacpp
+ *   --model <name>        Model for real providers
+ *   --url <url>           API URL for real providers
+ *   --no-rules            Skip the rule planner, so every command reaches the LLM
+ *   --filter <text>       Only cases whose id, source or command contains the text
+ *   --dataset <file>      Other corpus with the same format
+ *   --replies <file>      Other mock replies with the same format
+ *   --no-replies          Mock answers every case with the rule based answers
+ *   --save <file>         Write the report as JSON
+ *   --compare <file>      Show changes against a saved report
+ *   --min-accuracy <0-1>  Exit with code 1 when the overall accuracy is lower
+ *   --verbose             Planner logs, and passing cases in the case list
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { LLMService } = require('../ai/llmService');
+const { PlanGenerator } = require('../ai/planGenerator');
+const { FakeClient } = require('../testing/fakeDiscord');
+const { BLOCK_KEYS, isControlStep, blocksOf } = require('../workflow/controlFlow');
+
+/**
+ * @private
+ */
+function parseArgs(argv) {
+  const options = {
+    provider: 'mock',
+    rules: true,
+    verbose: false,
+    dataset: path.join(__dirname, 'commands.json'),
+    replies: path.join(__dirname, 'replies.json')
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => argv[++i];
+    switch (arg) {
+      case '--provider': options.provider = value(); break;
+      case '--model': options.model = value(); break;
+      case '--url': options.url = value(); break;
+      case '--no-rules': options.rules = false; break;
+      case '--filter': options.filter = value().toLowerCase(); break;
+      case '--dataset': options.dataset = path.resolve(value()); break;
+      case '--replies': options.replies = path.resolve(value()); break;
+      case '--no-replies': options.replies = null; break;
+      case '--save': options.save = path.resolve(value()); break;
+      case '--compare': options.compare = path.resolve(value()); break;
+      case '--min-accuracy': options.minAccuracy = parseFloat(value()); break;
+      case '--verbose': options.verbose = true; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Simulated guild of the dataset fixture, with the requester and the command channel
+ * @param {Object} fixture - "guild" of the dataset
+ * @returns {Object} - { client, guild, requester, channel, botId }
+ */
+function buildGuild(fixture) {
+  const client = new FakeClient({ botId: fixture.botId });
+  const guild = client.addGuild(fixture);
+  return {
+    client,
+    guild,
+    requester: guild.findMember(fixture.requester),
+    channel: guild.findChannel(fixture.channel),
+    botId: client.user.id
+  };
+}
+
+/**
+ * Replace <@name>, <@&Role Name> and <#channel> with real mentions
+ * @private
+ */
+function resolveCommand(command, world) {
+  return command.replace(/<(@&|@|#)([^>]*[^\d>][^>]*)>/g, (match, kind, name) => {
+    const id = lookupId(kind, name, world);
+    return id ? `<${kind}${id}>` : match;
+  });
+}
+
+/**
+ * IDs for "@name", "@&Role Name", "#channel" and "@me" in expected params
+ * @private
+ */
+function resolveExpected(value, world) {
+  if (typeof value === 'string') {
+    const match = value.match(/^(@&|@|#)(.+)$/);
+    return match ? lookupId(match[1], match[2], world) || value : value;
+  }
+  if (Array.isArray(value)) return value.map(item => resolveExpected(item, world));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveExpected(item, world)]));
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function lookupId(kind, name, { guild, requester }) {
+  if (kind === '@' && name === 'me') return requester.id;
+  if (kind === '@') return guild.members.cache.find(m => m.user.username === name)?.id;
+  if (kind === '@&') return guild.roles.cache.find(r => r.name === name)?.id;
+  return guild.channels.cache.find(c => c.name === name)?.id;
+}
+
+/**
+ * Command message from the requester in the fixture channel
+ * @private
+ */
+function buildMessage(content, world) {
+  return world.client.receiveMessage(world.requester, world.channel, content);
+}
+
+/**
+ * The "User Context" JSON of the planner prompt
+ * @private
+ */
+function promptContext(messages) {
+  const prompt = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const label = prompt.indexOf('User Context:');
+  const start = prompt.indexOf('{', label);
+  if (label < 0 || start < 0) return {};
+
+  // The first closing brace at the start of a line that parses ends the object
+  for (let end = prompt.indexOf('\n}', start); end >= 0; end = prompt.indexOf('\n}', end + 1)) {
+    try {
+      return JSON.parse(prompt.slice(start, end + 2));
+    } catch (error) {
+      // Not the end yet
+    }
+  }
+  return {};
+}
+
+/**
+ * Fill in the IDs of a mock reply from the prompt context, see eval/replies.json
+ * @private
+ */
+function fillReply(value, context) {
+  if (typeof value === 'string') {
+    const match = value.match(/^(@\?|@&|@|#)(.+)$/);
+    return match ? contextId(match[1], match[2], context) || value : value;
+  }
+  if (Array.isArray(value)) return value.map(item => fillReply(item, context));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillReply(item, context)]));
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function contextId(kind, name, context) {
+  const relevant = context.relevant || {};
+  const named = (...lists) => lists.flat().find(item => item &&
+    [item.name, item.username, item.displayName].some(value => value?.toLowerCase() === name.toLowerCase()))?.id;
+
+  switch (kind) {
+    case '@':
+      return name === 'me' ? context.author?.id : named(context.mentionedUsers || [], relevant.members || []);
+    case '@?':
+      return (relevant.members || []).find(member => member.why?.includes(name))?.id;
+    case '@&':
+      return named(context.mentionedRoles || [], relevant.roles || []);
+    default:
+      return named(context.mentionedChannels || [], relevant.channels || []);
+  }
+}
+
+/**
+ * Plan steps as a flat list of params: a control step (if, forEach, repeat, run) becomes
+ * { action: tool, ...its own params } followed by the steps inside it
+ * @private
+ */
+function flattenSteps(steps = []) {
+  return steps.flatMap(step => {
+    if (!isControlStep(step)) return [step.params || {}];
+
+    const params = { action: step.tool, ...step.params };
+    BLOCK_KEYS[step.tool].forEach(key => delete params[key]);
+    return [params, ...blocksOf(step).flatMap(flattenSteps)];
+  });
+}
+
+/**
+ * Compare a plan with the expected steps
+ * @param {Object} plan - Generated plan
+ * @param {Array<Object>|string} expected - Expected step params, or "none"
+ * @returns {Object} - { actionsMatch, passed, actual }
+ */
+function comparePlan(plan, expected) {
+  const steps = flattenSteps(plan?.steps);
+
+  if (expected === 'none') {
+    const actions = steps.filter(params => params.action !== 'message.create');
+    return { actionsMatch: actions.length === 0, passed: actions.length === 0, actual: actions };
+  }
+
+  // Confirmation replies ("✅ done") are not part of the command unless a message is expected
+  const wantsMessages = expected.some(step => step.action === 'message.create');
+  const actual = wantsMessages ? steps : steps.filter(params => params.action !== 'message.create');
+
+  const actionsMatch = actual.length === expected.length &&
+    expected.every((step, index) => step.action === actual[index].action);
+  const passed = actionsMatch && expected.every((step, index) => matchParams(step, actual[index]));
+  return { actionsMatch, passed, actual };
+}
+
+/**
+ * @private
+ */
+function matchParams(expected, actual) {
+  return Object.entries(expected).every(([key, value]) => {
+    const got = actual[key];
+    if (value && typeof value === 'object' && 'contains' in value) {
+      return got !== undefined && String(got).toLowerCase().includes(String(value.contains).toLowerCase());
+    }
+    if (typeof value === 'number') return Number(got) === value;
+    return got !== undefined && String(got).toLowerCase() === String(value).toLowerCase();
+  });
+}
+
+/**
+ * Which part of the planner produced a plan
+ * @private
+ */
+function plannerOf(plan) {
+  if (plan?.meta?.isErrorPlan) return 'error';
+  if (plan?.meta?.isDynamicExtension) return `extension:${plan.meta.extensionType}`;
+  // The offline fallback answers with rule plans in place of the model
+  if (plan?.meta?.fallback) return 'fallback';
+  return plan?.meta?.planner || 'llm';
+}
+
+/**
+ * Cases per action type (a case counts once for every action it expects) and per language
+ * @private
+ */
+function summarize(results) {
+  const groups = { byAction: {}, byLanguage: {} };
+  const add = (table, key, result) => {
+    const entry = table[key] || (table[key] = { cases: 0, actionsMatch: 0, passed: 0 });
+    entry.cases++;
+    if (result.actionsMatch) entry.actionsMatch++;
+    if (result.passed) entry.passed++;
+  };
+
+  for (const result of results) {
+    const actions = result.expect === 'none' ? ['(none)'] : [...new Set(result.expect.map(step => step.action))];
+    actions.forEach(action => add(groups.byAction, action, result));
+    add(groups.byLanguage, result.lang || '?', result);
+  }
+  for (const table of Object.values(groups)) {
+    for (const entry of Object.values(table)) entry.accuracy = entry.passed / entry.cases;
+  }
+  return groups;
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * @private
+ */
+function printTable(title, table, baseline) {
+  console.log(`\n${title.padEnd(22)} ${'cases'.padStart(5)} ${'actions'.padStart(8)} ${'exact'.padStart(8)} ${'accuracy'.padStart(9)}${baseline ? '   change' : ''}`);
+  for (const [key, entry] of Object.entries(table).sort(([a], [b]) => a.localeCompare(b))) {
+    let line = `${key.padEnd(22)} ${String(entry.cases).padStart(5)} ${`${entry.actionsMatch}/${entry.cases}`.padStart(8)} ` +
+      `${`${entry.passed}/${entry.cases}`.padStart(8)} ${percent(entry.accuracy).padStart(9)}`;
+    if (baseline) {
+      const before = baseline[key];
+      const delta = before ? (entry.accuracy - before.accuracy) * 100 : null;
+      line += delta === null ? '      new' : `   ${delta > 0 ? '+' : ''}${delta.toFixed(1)}`.padStart(9);
+    }
+    console.log(line);
+  }
+}
+
+/**
+ * @private
+ */
+function describeSteps(steps) {
+  if (!steps.length) return '(no actions)';
+  return steps.map(({ action, ...params }) => `${action} ${JSON.stringify(params)}`).join('\n             ');
+}
+
+/**
+ * Run the cases of a dataset through the planner
+ * @param {Object} options - Options as parsed from the command line; missing ones get the defaults
+ * @returns {Promise<Object>} - { report, results }
+ */
+async function evaluate(options = {}) {
+  options = { ...parseArgs([]), ...options };
+  const dataset = JSON.parse(fs.readFileSync(options.dataset, 'utf8'));
+
+  const quiet = () => {};
+  const logger = options.verbose
+    ? { debug: console.debug, info: console.log, warn: console.warn, error: console.error }
+    : { debug: quiet, info: quiet, warn: quiet, error: quiet };
+
+  const llm = new LLMService(options.url || '', options.model || config.LLM_MODEL, logger, {
+    provider: options.provider,
+    apiKey: config.LLM_API_KEY,
+    constrainedOutput: config.LLM_CONSTRAINED_OUTPUT,
+    minFallbackConfidence: config.RULE_PLANNER.MIN_CONFIDENCE
+  });
+  const planGenerator = new PlanGenerator(llm, null, logger, {
+    ...config,
+    PLANNER_MODE: 'json',
+    RULE_PLANNER: { ...config.RULE_PLANNER, ENABLED: options.rules }
+  });
+
+  // The mock answers the cases it has a reply for like a model, reading the IDs from the prompt
+  const current = {};
+  if (llm.provider.name === 'mock' && options.replies) {
+    const { replies } = JSON.parse(fs.readFileSync(options.replies, 'utf8'));
+    const fallback = llm.provider.handler;
+    llm.provider.handler = (messages, params) => replies[current.id]
+      ? JSON.stringify(fillReply(replies[current.id], promptContext(messages)))
+      : fallback(messages, params);
+  }
+
+  const cases = dataset.cases.filter(c => !options.filter ||
+    [c.id, c.source, c.command].some(text => String(text || '').toLowerCase().includes(options.filter)));
+  if (cases.length === 0) throw new Error('No cases match the filter');
+
+  const results = [];
+  for (const testCase of cases) {
+    // A fresh guild per case, so earlier commands are not in the recent messages
+    const world = buildGuild(dataset.guild);
+    const command = resolveCommand(testCase.command, world);
+    const expect = resolveExpected(testCase.expect, world);
+    const caseStarted = Date.now();
+    current.id = testCase.id;
+
+    let plan = null;
+    let error = null;
+    try {
+      plan = await planGenerator.generatePlan(buildMessage(command, world), command);
+    } catch (planError) {
+      error = planError.message;
+    }
+
+    const comparison = comparePlan(plan, expect);
+    results.push({
+      id: testCase.id,
+      lang: testCase.lang,
+      command,
+      expect,
+      planner: error ? 'exception' : plannerOf(plan),
+      ms: Date.now() - caseStarted,
+      ...comparison,
+      ...(error && { error })
+    });
+    await world.client.destroy();
+  }
+
+  const passed = results.filter(r => r.passed).length;
+  const actionsMatch = results.filter(r => r.actionsMatch).length;
+  const report = {
+    createdAt: new Date().toISOString(),
+    options: { provider: options.provider, model: options.model || config.LLM_MODEL, rules: options.rules },
+    total: results.length,
+    passed,
+    accuracy: passed / results.length,
+    actionAccuracy: actionsMatch / results.length,
+    ...summarize(results),
+    cases: results.map(({ id, passed: ok, actionsMatch: actionsOk, planner, actual, ms }) => ({ id, passed: ok, actionsMatch: actionsOk, planner, actual, ms }))
+  };
+
+  return { report, results };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const started = Date.now();
+  const { report, results } = await evaluate(options);
+  const passed = results.filter(r => r.passed).length;
+  const actionsMatch = results.filter(r => r.actionsMatch).length;
+  const baseline = options.compare ? JSON.parse(fs.readFileSync(options.compare, 'utf8')) : null;
+
+  console.log(`Command understanding: ${passed}/${results.length} exact (${percent(report.accuracy)}), ` +
+    `right actions in ${actionsMatch} (${percent(report.actionAccuracy)})` +
+    (baseline ? `, was ${percent(baseline.accuracy)} / ${percent(baseline.actionAccuracy)}` : ''));
+  console.log(`provider ${report.options.provider}, model ${report.options.model}, rule planner ${options.rules ? 'on' : 'off'}, ` +
+    `${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+  printTable('action', report.byAction, baseline?.byAction);
+  printTable('language', report.byLanguage, baseline?.byLanguage);
+
+  const planners = {};
+  results.forEach(r => { planners[r.planner] = (planners[r.planner] || 0) + 1; });
+  console.log(`\nplanned by: ${Object.entries(planners).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+
+  if (baseline) {
+    const before = new Map(baseline.cases.map(c => [c.id, c]));
+    const fixed = results.filter(r => r.passed && before.get(r.id)?.passed === false).map(r => r.id);
+    const broken = results.filter(r => !r.passed && before.get(r.id)?.passed === true).map(r => r.id);
+    console.log(`\nnow passing: ${fixed.join(', ') || '-'}`);
+    console.log(`now failing: ${broken.join(', ') || '-'}`);
+  }
+
+  const listed = options.verbose ? results : results.filter(r => !r.passed);
+  if (listed.length > 0) console.log(options.verbose ? '\nCases:' : '\nFailures:');
+  for (const result of listed) {
+    console.log(`  ${result.passed ? '✓' : '✗'} ${result.id} [${result.planner}] ${JSON.stringify(result.command)}`);
+    if (result.passed) continue;
+    console.log(`      expected ${result.expect === 'none' ? '(no actions)' : describeSteps(result.expect)}`);
+    console.log(`      got      ${result.error ? `error: ${result.error}` : describeSteps(result.actual)}`);
+  }
+
+  if (options.save) {
+    fs.writeFileSync(options.save, JSON.stringify(report, null, 2));
+    console.log(`\nReport saved to ${options.save}`);
+  }
+
+  if (options.minAccuracy !== undefined && report.accuracy < options.minAccuracy) {
+    console.error(`\nAccuracy ${percent(report.accuracy)} is below ${percent(options.minAccuracy)}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { evaluate, buildGuild, comparePlan };
@@ -1,6 +1,8 @@
 /**
  * Gelişmiş Kanal Komutları Extension
  */
+const { createActionEntry } = require('../core/modLog');
+
 class AdvancedChannelCommands {
   constructor(client, eventBus, logger) {
     this.client = client;
@@ -22,6 +24,15 @@ class AdvancedChannelCommands {
     }
   }
   
+  /**
+   * Yapılan işlemi mod-log kanalına yazar
+   */
+  _logAction(message, action, params) {
+    this.eventBus.emit('actionExecuted', createActionEntry(message, action, params, {
+      source: 'AdvancedChannelCommands'
+    })).catch(error => this.logger.error('actionExecuted event error:', error));
+  }
+  
   /**
    * Event listener'ları kaydeder
    */
@@ -92,7 +103,7 @@ class AdvancedChannelCommands {
   async _handleCreateChannelCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MANAGE_CHANNELS')) {
+      if (!message.member.permissions.has('ManageChannels')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -155,6 +166,7 @@ class AdvancedChannelCommands {
         successMsg += ` (Kategori: ${parent.name})`;
       }
       await message.reply(successMsg);
+      this._logAction(message, 'channel.create', { channelId: newChannel.id, name: channelName, topic, nsfw });
       
       return true;
     } catch (error) {
@@ -170,7 +182,7 @@ class AdvancedChannelCommands {
   async _handleDeleteChannelCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MANAGE_CHANNELS')) {
+      if (!message.member.permissions.has('ManageChannels')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -222,6 +234,7 @@ class AdvancedChannelCommands {
       // Kanalı sil
       const channelName = targetChannel.name;
       await targetChannel.delete();
+      this._logAction(message, 'channel.delete', { channelId: targetChannel.id, name: channelName });
       
       // Başarı mesajı (eğer silinen kanal, mevcut kanal değilse)
       if (targetChannel.id !== message.channel.id) {
@@ -242,7 +255,7 @@ class AdvancedChannelCommands {
   async _handleEditChannelCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MANAGE_CHANNELS')) {
+      if (!message.member.permissions.has('ManageChannels')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -308,6 +321,7 @@ class AdvancedChannelCommands {
       
       // Kanalı güncelle
       await targetChannel.edit(updates);
+      this._logAction(message, 'channel.edit', { channelId: targetChannel.id, ...updates });
       
       // Başarı mesajı
       await message.reply(`✅ ${targetChannel.toString()} kanalı başarıyla güncellendi.`);
@@ -326,7 +340,7 @@ class AdvancedChannelCommands {
   async _handleCreateCategoryCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MANAGE_CHANNELS')) {
+      if (!message.member.permissions.has('ManageChannels')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -347,6 +361,7 @@ class AdvancedChannelCommands {
       
       // Başarı mesajı
       await message.reply(`✅ "${newCategory.name}" kategorisi başarıyla oluşturuldu.`);
+      this._logAction(message, 'channel.create', { channelId: newCategory.id, name: categoryName, type: 'category' });
       
       return true;
     } catch (error) {
@@ -4,7 +4,7 @@
  * @version 1.0
  */
 class Extension {
-  constructor(client, eventBus, memory) {
+  constructor(client, eventBus, memory, services = {}) {
     this.name = 'EmojiTracker';
     this.version = '1.0';
     this.description = 'Tracks emoji usage by users and sends notifications';
@@ -12,6 +12,7 @@ class Extension {
     this.client = client;
     this.eventBus = eventBus;
     this.memory = memory;
+    this.trackerStore = services.storage?.trackers || null;
     this.trackers = new Map();
     this.timeouts = [];
   }
@@ -45,9 +46,66 @@ class Extension {
       }
     }, { extensionId: "emoji-tracker" });
     
+    // Restore trackers that survived a restart
+    this.loadTrackers();
+    
     return true;
   }
   
+  loadTrackers() {
+    if (!this.trackerStore) return;
+    
+    try {
+      this.trackerStore.deleteExpired();
+      
+      for (const saved of this.trackerStore.listActive('emoji')) {
+        this.trackers.set(saved.userId, {
+          userId: saved.userId,
+          guildId: saved.guildId,
+          username: saved.data.username,
+          threshold: saved.data.threshold,
+          targetChannelId: saved.channelId,
+          startTime: saved.startTime,
+          endTime: saved.endTime,
+          emojiCount: saved.data.emojiCount || 0,
+          messages: saved.data.messages || 0
+        });
+        
+        this.timeouts.push(setTimeout(() => this.endTracking(saved.userId), saved.endTime - Date.now()));
+      }
+      
+      if (this.trackers.size > 0) {
+        console.log(`[EmojiTracker] Restored ${this.trackers.size} trackers from storage`);
+      }
+    } catch (error) {
+      console.error('[EmojiTracker] Error loading trackers:', error);
+    }
+  }
+  
+  saveTracker(tracker) {
+    if (!this.trackerStore) return;
+    
+    try {
+      this.trackerStore.save({
+        id: `emoji_${tracker.userId}`,
+        type: 'emoji',
+        guildId: tracker.guildId,
+        userId: tracker.userId,
+        channelId: tracker.targetChannelId,
+        data: {
+          username: tracker.username,
+          threshold: tracker.threshold,
+          emojiCount: tracker.emojiCount,
+          messages: tracker.messages
+        },
+        startTime: tracker.startTime,
+        endTime: tracker.endTime
+      });
+    } catch (error) {
+      console.error('[EmojiTracker] Error saving tracker:', error);
+    }
+  }
+  
   async handleTrackCommand(message, userInput) {
     try {
       // Extract user ID from mentions
@@ -109,8 +167,9 @@ class Extension {
       }
       
       // Create and store tracker
-      this.trackers.set(userId, {
+      const tracker = {
         userId,
+        guildId: message.guild?.id,
         username: user.username,
         threshold,
         targetChannelId,
@@ -118,7 +177,9 @@ class Extension {
         endTime: Date.now() + duration,
         emojiCount: 0,
         messages: 0
-      });
+      };
+      this.trackers.set(userId, tracker);
+      this.saveTracker(tracker);
       
       // Set timeout to end tracking
       const timeoutId = setTimeout(() => {
@@ -154,6 +215,8 @@ class Extension {
       if (tracker.emojiCount >= tracker.threshold) {
         this.sendNotification(tracker);
         this.endTracking(tracker.userId);
+      } else {
+        this.saveTracker(tracker);
       }
     } catch (error) {
       console.error('[EmojiTracker] Error processing message:', error);
@@ -181,6 +244,10 @@ class Extension {
       console.log(`[EmojiTracker] Ending tracking for ${tracker.username}. Final count: ${tracker.emojiCount} emojis`);
       this.trackers.delete(userId);
     }
+    
+    if (this.trackerStore) {
+      this.trackerStore.delete(`emoji_${userId}`);
+    }
   }
   
   cleanup() {
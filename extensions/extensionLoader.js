@@ -9,9 +9,10 @@ const path = require('path');
  * @param {Client} client - Discord client
  * @param {EventEmitter} eventBus - Event bus
  * @param {Object} logger - Logger
+ * @param {Object} services - Extension'lara verilen paylaşılan servisler (config, storage, trustScore, cases)
  * @returns {Promise<Object>} - Yüklenen extension'lar
  */
-async function loadExtensions(client, eventBus, logger) {
+async function loadExtensions(client, eventBus, logger, services = {}) {
   const extensions = {};
   const extensionsDir = path.resolve('./extensions');
   
@@ -29,11 +30,14 @@ async function loadExtensions(client, eventBus, logger) {
           // Require ile extension'ı yükle
           let Extension = require(extensionPath);
           
+          // Her extension kendi namespace'inde kalıcı bir memory alır
+          const extensionServices = { ...services, memory: createMemory(file.replace('.js', ''), services, logger) };
+          
           // Nesne formatı kontrolü
           if (typeof Extension === 'object' && Extension.initialize) {
             try {
               logger.info(`Initializing extension: ${Extension.name}`);
-              const instance = await Extension.initialize(client, eventBus, logger);
+              const instance = await Extension.initialize(client, eventBus, logger, extensionServices);
               extensions[Extension.name] = instance;
               logger.info(`Loaded extension: ${Extension.name} v${Extension.version || '1.0'}`);
             } catch (error) {
@@ -44,8 +48,14 @@ async function loadExtensions(client, eventBus, logger) {
           else if (typeof Extension === 'function') {
             logger.info(`Loading legacy extension: ${file}`);
             try {
-              const instance = new Extension(client, eventBus, logger);
+              const instance = new Extension(client, eventBus, extensionServices.memory, extensionServices);
               const name = instance.name || file.replace('.js', '');
+              
+              // Listener'lar ve kayıtlı verinin geri yüklenmesi initialize içinde
+              if (typeof instance.initialize === 'function') {
+                await instance.initialize();
+              }
+              
               extensions[name] = instance;
               logger.info(`Loaded legacy extension: ${name}`);
             } catch (error) {
@@ -68,4 +78,20 @@ async function loadExtensions(client, eventBus, logger) {
   }
 }
 
+/**
+ * Extension için namespace'li memory oluşturur
+ * @param {string} namespace - Extension adı
+ * @param {Object} services - Paylaşılan servisler
+ * @param {Object} logger - Logger
+ * @returns {ExtensionMemory|null} - Storage yoksa null
+ */
+function createMemory(namespace, services, logger) {
+  if (!services.storage) {
+    logger.warn(`No storage available, extension ${namespace} gets no memory`);
+    return null;
+  }
+  
+  return services.storage.createMemory(namespace, services.config?.MAX_EXTENSION_MEMORY || 0);
+}
+
 module.exports = { loadExtensions };
\ No newline at end of file
@@ -4,7 +4,7 @@
  * @version 1.0
  */
 class Extension {
-  constructor(client, eventBus, memory) {
+  constructor(client, eventBus, memory, services = {}) {
     this.name = 'InteractionTracker';
     this.version = '1.0';
     this.description = 'Tracks and handles Discord interactions';
@@ -12,7 +12,11 @@ class Extension {
     this.client = client;
     this.eventBus = eventBus;
     this.memory = memory;
+    this.interactionStore = services.storage?.interactions || null;
     this.interactions = new Map();
+    
+    // Named handlers - registrations that point at these survive restarts
+    this.handlerTypes = new Map();
     this.timeouts = [];
     
     // Cleanup interval (every hour)
@@ -27,7 +31,7 @@ class Extension {
     
     // Register event listener for incoming interactions
     this.eventBus.addListener('interaction', async (data) => {
-      if (data.interaction && data.interaction.isMessageComponent()) {
+      if (data.interaction && (data.interaction.isMessageComponent() || data.interaction.isModalSubmit())) {
         return await this.handleInteraction(data.interaction);
       }
       return false;
@@ -36,15 +40,86 @@ class Extension {
     // Register event listener for registering interaction handlers
     this.eventBus.addListener('registerInteraction', async (data) => {
       if (data.customId && data.handler) {
-        return await this.registerInteractionHandler(
+        const result = await this.registerInteractionHandler(
           data.customId, 
           data.handler, 
           data.expiration,
           data.metadata
         );
+        return result.success;
+      }
+      return false;
+    }, { extensionId: 'interaction-tracker' });
+    
+    // Register event listener for named handler types
+    this.eventBus.addListener('registerInteractionType', async (data) => {
+      if (data.type && data.handler) {
+        this.registerHandlerType(data.type, data.handler);
+        return true;
       }
       return false;
     }, { extensionId: 'interaction-tracker' });
+    
+    // Restore persisted registrations
+    this.loadHandlers();
+  }
+  
+  /**
+   * Register a named handler type
+   * @param {string} type - Handler type name
+   * @param {Function|Object|string} handler - Handler function or object, or a named handler type (persisted)
+   */
+  registerHandlerType(type, handler) {
+    this.handlerTypes.set(type, handler);
+    console.log(`[InteractionTracker] Registered handler type "${type}"`);
+  }
+  
+  /**
+   * Restore registrations that use named handler types from storage
+   */
+  loadHandlers() {
+    if (!this.interactionStore) return;
+    
+    try {
+      this.interactionStore.deleteExpired();
+      const saved = this.interactionStore.listActive();
+      
+      for (const registration of saved) {
+        this.interactions.set(registration.id, {
+          id: registration.id,
+          customId: registration.customId,
+          isPattern: registration.isPattern,
+          pattern: registration.isPattern ? this.buildPattern(registration.customId) : null,
+          handler: registration.handlerType,
+          expiration: registration.expiration,
+          metadata: registration.metadata
+        });
+      }
+      
+      console.log(`[InteractionTracker] Loaded ${saved.length} interaction handlers from storage`);
+    } catch (error) {
+      console.error('[InteractionTracker] Error loading interaction handlers:', error);
+    }
+  }
+  
+  /**
+   * Build the RegExp for a pattern custom ID
+   * @param {string} customId - Custom ID with * wildcards
+   * @returns {RegExp}
+   */
+  buildPattern(customId) {
+    return new RegExp(`^${customId.replace(/\*/g, '(.+)')}$`);
+  }
+  
+  /**
+   * Remove a registration from memory and storage
+   * @param {string} id - Registration ID
+   */
+  removeHandler(id) {
+    this.interactions.delete(id);
+    if (this.interactionStore) {
+      this.interactionStore.delete(id);
+    }
   }
   
   /**
@@ -62,15 +137,21 @@ class Extension {
       const id = isPattern ? `pattern_${Date.now()}_${Math.random().toString(36).substring(2, 7)}` : customId;
       
       // Store the handler
-      this.interactions.set(id, {
+      const registration = {
         id,
         customId,
         isPattern,
-        pattern: isPattern ? new RegExp(`^${customId.replace(/\*/g, '(.+)')}$`) : null,
+        pattern: isPattern ? this.buildPattern(customId) : null,
         handler,
         expiration: expiration ? Date.now() + expiration : null,
         metadata
-      });
+      };
+      this.interactions.set(id, registration);
+      
+      // Only named handler types can be restored after a restart
+      if (typeof handler === 'string' && this.interactionStore) {
+        this.interactionStore.save({ ...registration, handlerType: handler });
+      }
       
       console.log(`[InteractionTracker] Registered handler for ${isPattern ? 'pattern' : 'customId'} "${customId}"`);
       
@@ -100,7 +181,7 @@ class Extension {
         
         // Check if expired
         if (handler.expiration && handler.expiration < Date.now()) {
-          this.interactions.delete(customId);
+          this.removeHandler(customId);
           return false;
         }
         
@@ -114,7 +195,7 @@ class Extension {
         if (handler.isPattern && handler.pattern.test(customId)) {
           // Check if expired
           if (handler.expiration && handler.expiration < Date.now()) {
-            this.interactions.delete(id);
+            this.removeHandler(id);
             continue;
           }
           
@@ -143,6 +224,15 @@ class Extension {
    */
   async executeHandler(handler, interaction, groups = []) {
     try {
+      // Resolve named handler types
+      if (typeof handler.handler === 'string') {
+        const resolved = this.handlerTypes.get(handler.handler);
+        if (!resolved) {
+          throw new Error(`Unknown interaction handler type: ${handler.handler}`);
+        }
+        handler = { ...handler, handler: resolved };
+      }
+      
       if (typeof handler.handler === 'function') {
         // Call function directly
         await handler.handler(interaction, groups, handler.metadata);
@@ -194,7 +284,7 @@ class Extension {
     
     for (const [id, handler] of this.interactions.entries()) {
       if (handler.expiration && handler.expiration < now) {
-        this.interactions.delete(id);
+        this.removeHandler(id);
         count++;
       }
     }
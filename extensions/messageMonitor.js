@@ -3,6 +3,8 @@
  * @description Monitors user messages and performs actions when conditions are met
  * @version 1.0
  */
+const { createActionEntry } = require('../core/modLog');
+
 class Extension {
   constructor(client, eventBus, memory) {
     this.name = 'MessageMonitor';
@@ -119,6 +121,14 @@ class Extension {
         if (triggeredWord) {
           console.log(`[MessageMonitor] Trigger word detected: ${triggeredWord}`);
           
+          // Let the trust score service know about the hit
+          this.eventBus.emit("monitorTriggered", {
+            guildId: message.guild?.id,
+            userId: message.author.id,
+            channelId: message.channel.id,
+            triggerWord: triggeredWord
+          }).catch(() => {});
+          
           // Execute action
           if (this.state.action === "timeout") {
             try {
@@ -132,6 +142,17 @@ class Extension {
                 await message.channel.send(
                   `Timed out ${member.user.tag} for ${this.state.actionParams.duration} seconds because they said "${triggeredWord}"`
                 );
+                
+                this.eventBus.emit("actionExecuted", createActionEntry(message, "member.timeout", {
+                  userId: member.id,
+                  duration: this.state.actionParams.duration,
+                  reason: this.state.actionParams.reason,
+                  triggerWord: triggeredWord
+                }, {
+                  source: "MessageMonitor",
+                  actorId: this.client.user.id,
+                  command: null
+                })).catch(() => {});
               }
             } catch (error) {
               console.error(`[MessageMonitor] Error timing out user:`, error);
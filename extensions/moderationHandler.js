@@ -2,9 +2,10 @@
  * Moderasyon İşleyici Extension
  * Discord sunucusunda moderasyon komutlarını işler
  */
+const { createActionEntry } = require('../core/modLog');
 
 class ModerationHandler {
-  constructor(client, eventBus, logger) {
+  constructor(client, eventBus, logger, services = {}) {
     this.client = client;
     this.eventBus = eventBus;
     this.logger = logger;
@@ -12,8 +13,12 @@ class ModerationHandler {
     this.name = "ModerationHandler";
     this.description = "Discord sunucusunda moderasyon komutlarını işler";
     
-    // Moderasyon kayıtları için veritabanı
-    this.moderationLogs = new Map();
+    // Moderasyon kayıtları (mod_cases tablosu) ve case servisi
+    this.modCases = services.storage?.modCases || null;
+    this.cases = services.cases || null;
+    if (!this.cases) {
+      this.logger.warn('[ModerationHandler] Case manager not available, moderation logs will not be kept');
+    }
     
     this.logger.info('[ModerationHandler] Extension initialized');
     
@@ -106,7 +111,7 @@ class ModerationHandler {
   async _handleTimeoutCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MODERATE_MEMBERS')) {
+      if (!message.member.permissions.has('ModerateMembers')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -154,11 +159,11 @@ class ModerationHandler {
       await mentionedUser.timeout(durationMs, reason);
       
       // Moderasyon loguna kaydet
-      this._logModeration('timeout', message.author.id, mentionedUser.id, reason, durationMs);
+      const modCase = await this._logModeration(message, 'timeout', message.author.id, mentionedUser.id, reason, durationMs);
       
       // Kullanıcıya bildir
       const formattedDuration = this._formatDuration(durationMs);
-      await message.reply(`✅ ${mentionedUser.toString()} kullanıcısı ${formattedDuration} süreyle susturuldu. Sebep: ${reason}`);
+      await message.reply(`✅ ${mentionedUser.toString()} kullanıcısı ${formattedDuration} süreyle susturuldu. Sebep: ${reason}${this._caseSuffix(modCase)}`);
       
       return true;
     } catch (error) {
@@ -176,7 +181,7 @@ class ModerationHandler {
   async _handleBanCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('BAN_MEMBERS')) {
+      if (!message.member.permissions.has('BanMembers')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -209,10 +214,10 @@ class ModerationHandler {
       });
       
       // Moderasyon loguna kaydet
-      this._logModeration('ban', message.author.id, mentionedUser.id, reason);
+      const modCase = await this._logModeration(message, 'ban', message.author.id, mentionedUser.id, reason);
       
       // Kullanıcıya bildir
-      await message.reply(`✅ ${mentionedUser.toString()} kullanıcısı yasaklandı. Sebep: ${reason}`);
+      await message.reply(`✅ ${mentionedUser.toString()} kullanıcısı yasaklandı. Sebep: ${reason}${this._caseSuffix(modCase)}`);
       
       return true;
     } catch (error) {
@@ -230,7 +235,7 @@ class ModerationHandler {
   async _handleKickCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('KICK_MEMBERS')) {
+      if (!message.member.permissions.has('KickMembers')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -253,10 +258,10 @@ class ModerationHandler {
       await mentionedUser.kick(reason);
       
       // Moderasyon loguna kaydet
-      this._logModeration('kick', message.author.id, mentionedUser.id, reason);
+      const modCase = await this._logModeration(message, 'kick', message.author.id, mentionedUser.id, reason);
       
       // Kullanıcıya bildir
-      await message.reply(`✅ ${mentionedUser.toString()} kullanıcısı sunucudan atıldı. Sebep: ${reason}`);
+      await message.reply(`✅ ${mentionedUser.toString()} kullanıcısı sunucudan atıldı. Sebep: ${reason}${this._caseSuffix(modCase)}`);
       
       return true;
     } catch (error) {
@@ -274,7 +279,7 @@ class ModerationHandler {
   async _handleWarnCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MODERATE_MEMBERS')) {
+      if (!message.member.permissions.has('ModerateMembers')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -294,16 +299,18 @@ class ModerationHandler {
       }
       
       // Moderasyon loguna kaydet
-      this._logModeration('warn', message.author.id, mentionedUser.id, reason);
+      const modCase = await this._logModeration(message, 'warn', message.author.id, mentionedUser.id, reason);
       
       // Kullanıcıya bildir
-      await message.reply(`⚠️ ${mentionedUser.toString()} kullanıcısı uyarıldı. Sebep: ${reason}`);
-      
-      // Kullanıcıya DM gönder
-      try {
-        await mentionedUser.send(`⚠️ **${message.guild.name}** sunucusunda uyarı aldınız!\n**Sebep:** ${reason}\n**Moderatör:** ${message.author.tag}`);
-      } catch (dmError) {
-        this.logger.warn('Could not send DM to warned user');
+      await message.reply(`⚠️ ${mentionedUser.toString()} kullanıcısı uyarıldı. Sebep: ${reason}${this._caseSuffix(modCase)}`);
+      
+      // Kullanıcıya DM gönder (case açıldıysa case servisi itiraz butonuyla birlikte gönderir)
+      if (!modCase) {
+        try {
+          await mentionedUser.send(`⚠️ **${message.guild.name}** sunucusunda uyarı aldınız!\n**Sebep:** ${reason}\n**Moderatör:** ${message.author.tag}`);
+        } catch (dmError) {
+          this.logger.warn('Could not send DM to warned user');
+        }
       }
       
       return true;
@@ -322,7 +329,7 @@ class ModerationHandler {
   async _showModLogs(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MODERATE_MEMBERS')) {
+      if (!message.member.permissions.has('ModerateMembers')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return true;
       }
@@ -342,25 +349,10 @@ class ModerationHandler {
       if (/timeout|sustur|mute/i.test(userInput)) actionType = 'timeout';
       if (/warn|uyar/i.test(userInput)) actionType = 'warn';
       
-      // Guild logs
-      if (!this.moderationLogs.has(guildId)) {
-        await message.reply('📋 Bu sunucuda henüz moderasyon logu bulunmuyor.');
-        return true;
-      }
-      
-      const guildLogs = this.moderationLogs.get(guildId);
-      
-      // Filtreleme
-      let filteredLogs = [...guildLogs];
-      if (targetUserId) {
-        filteredLogs = filteredLogs.filter(log => log.targetId === targetUserId);
-      }
-      if (actionType) {
-        filteredLogs = filteredLogs.filter(log => log.action === actionType);
-      }
-      
-      // Son 10 log
-      filteredLogs = filteredLogs.slice(-10);
+      // Son 10 log (eskiden yeniye)
+      const filteredLogs = this.modCases
+        ? this.modCases.list(guildId, { targetId: targetUserId, action: actionType, limit: 10 }).reverse()
+        : [];
       
       if (filteredLogs.length === 0) {
         await message.reply('📋 Belirtilen kriterlere uygun moderasyon logu bulunamadı.');
@@ -383,7 +375,7 @@ class ModerationHandler {
           default: actionText = log.action;
         }
         
-        logText += `**${actionText}**\n`;
+        logText += `**#${log.caseNumber} ${actionText}**\n`;
         logText += `**Kullanıcı:** ${target.tag}\n`;
         logText += `**Moderatör:** ${moderator.tag}\n`;
         logText += `**Sebep:** ${log.reason}\n`;
@@ -405,42 +397,67 @@ class ModerationHandler {
   }
   
   /**
-   * Moderasyon işlemini loglar
+   * Moderasyon işlemi için case açar (case servisi 'moderationAction' event'ini yayınlar) ve mod-log'a yazar
+   * @param {Message} message - Komut mesajı (kanıt ve sunucu bilgisi için)
    * @param {string} action - İşlem türü (ban, kick, timeout, warn)
    * @param {string} moderatorId - Moderatör ID
    * @param {string} targetId - Hedef kullanıcı ID
    * @param {string} reason - Sebep
    * @param {number} duration - Süre (ms, opsiyonel)
+   * @returns {Promise<Object|null>} - Açılan case
    */
-  _logModeration(action, moderatorId, targetId, reason, duration = null) {
-    const guildId = this.client.guilds.cache.find(g => 
-      g.members.cache.has(targetId) || g.members.cache.has(moderatorId)
-    )?.id;
+  async _logModeration(message, action, moderatorId, targetId, reason, duration = null) {
+    if (!message.guild) return null;
     
-    if (!guildId) return;
+    const modCase = await this._openCase(message, action, moderatorId, targetId, reason, duration);
     
-    // Guild log listesini oluştur
-    if (!this.moderationLogs.has(guildId)) {
-      this.moderationLogs.set(guildId, []);
-    }
+    // Mod-log kanalına yaz
+    const params = { userId: targetId, reason };
+    if (duration) params.duration = Math.round(duration / 1000);
     
-    // Log ekle
-    this.moderationLogs.get(guildId).push({
-      action,
-      moderatorId,
-      targetId,
-      reason,
-      duration,
-      timestamp: Date.now()
-    });
+    this.eventBus.emit('actionExecuted', createActionEntry(message, `member.${action}`, params, {
+      source: 'ModerationHandler',
+      actorId: moderatorId,
+      caseNumber: modCase?.caseNumber
+    })).catch(error => this.logger.error('actionExecuted event error:', error));
     
-    // Son 100 log tut
-    const logs = this.moderationLogs.get(guildId);
-    if (logs.length > 100) {
-      this.moderationLogs.set(guildId, logs.slice(-100));
+    return modCase;
+  }
+  
+  /**
+   * Open a moderation case through the case manager
+   * @private
+   */
+  async _openCase(message, action, moderatorId, targetId, reason, duration) {
+    if (!this.cases) return null;
+    
+    try {
+      return await this.cases.openCase({
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        action,
+        moderatorId,
+        targetId,
+        reason,
+        duration,
+        evidence: this.cases.collectEvidence(message),
+        message
+      });
+    } catch (error) {
+      this.logger.error('Moderation case error:', error);
+      return null;
     }
   }
   
+  /**
+   * Yanıtlara eklenen case numarası
+   * @param {Object|null} modCase - Case
+   * @returns {string}
+   */
+  _caseSuffix(modCase) {
+    return modCase ? ` (Case #${modCase.caseNumber})` : '';
+  }
+  
   /**
    * Süreyi okunabilir formata çevirir
    * @param {number} ms - Milisaniye cinsinden süre
@@ -464,7 +481,7 @@ module.exports = {
   name: 'ModerationHandler',
   description: 'Discord sunucusunda moderasyon komutlarını işler',
   version: '1.0',
-  initialize: async (client, eventBus, logger) => {
-    return new ModerationHandler(client, eventBus, logger);
+  initialize: async (client, eventBus, logger, services) => {
+    return new ModerationHandler(client, eventBus, logger, services);
   }
 };
\ No newline at end of file
@@ -1,9 +1,12 @@
 /**
  * Rol Yönetimi Extension'ı
  */
+const { createActionEntry } = require('../core/modLog');
+
 class RoleManager {
   constructor(client, eventBus, logger) {
     this.client = client;
+    this.eventBus = eventBus;
     this.logger = logger;
     this.name = "RoleManager";
     
@@ -35,7 +38,7 @@ class RoleManager {
   async handleRoleCommand(message, userInput) {
     try {
       // Yetki kontrolü
-      if (!message.member.permissions.has('MANAGE_ROLES')) {
+      if (!message.member.permissions.has('ManageRoles')) {
         await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
         return;
       }
@@ -98,6 +101,12 @@ class RoleManager {
         await mentionedUser.roles.remove(role);
         await message.reply(`✅ ${mentionedUser.user.tag} kullanıcısından "${role.name}" rolü kaldırıldı.`);
       }
+      
+      // Mod-log kanalına yaz
+      this.eventBus.emit('actionExecuted', createActionEntry(message, `role.${action}`, {
+        userId: mentionedUser.id,
+        roleId: role.id
+      }, { source: 'RoleManager' })).catch(error => this.logger.error('actionExecuted event error:', error));
     } catch (error) {
       this.logger.error('Role management error:', error);
       await message.reply('❌ Rol yönetimi sırasında bir hata oluştu.');
@@ -105,4 +114,11 @@ class RoleManager {
   }
 }
 
-module.exports = RoleManager;
\ No newline at end of file
+module.exports = {
+  name: 'RoleManager',
+  description: 'Rol verme ve alma komutlarını işler',
+  version: '1.0',
+  initialize: async (client, eventBus, logger) => {
+    return new RoleManager(client, eventBus, logger);
+  }
+};
\ No newline at end of file
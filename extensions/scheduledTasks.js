@@ -3,8 +3,15 @@
  * @description Manages scheduled tasks and runs them at specified times
  * @version 1.0
  */
+
+// Overdue tasks found at startup still run if they are not older than this
+const MISSED_TASK_GRACE = 60 * 60 * 1000;
+
+// setTimeout cannot wait longer than this, longer delays are re-armed
+const MAX_TIMER_DELAY = 2147483647;
+
 class Extension {
-  constructor(client, eventBus, memory) {
+  constructor(client, eventBus, memory, services = {}) {
     this.name = 'ScheduledTasks';
     this.version = '1.0';
     this.description = 'Manages scheduled tasks and runs them at specified times';
@@ -12,6 +19,7 @@ class Extension {
     this.client = client;
     this.eventBus = eventBus;
     this.memory = memory;
+    this.taskStore = services.storage?.tasks || null;
     this.tasks = new Map();
     this.intervals = [];
     this.timeouts = [];
@@ -49,56 +57,70 @@ class Extension {
       };
     }, { extensionId: 'scheduled-tasks' });
     
-    // Load tasks from memory if available
+    // Load tasks from storage if available
     this.loadTasks();
   }
   
   /**
-   * Load tasks from memory
+   * Load tasks from storage
    */
   async loadTasks() {
     try {
-      if (this.memory) {
-        const savedTasks = await this.memory.get('scheduled-tasks');
-        if (savedTasks && Array.isArray(savedTasks)) {
-          for (const task of savedTasks) {
-            if (task.executeAt && task.executeAt > Date.now()) {
-              this.scheduleTask(task);
-            }
+      if (!this.taskStore) return;
+      
+      const savedTasks = this.taskStore.list();
+      const now = Date.now();
+      
+      for (const task of savedTasks) {
+        if (task.executeAt <= now) {
+          if (task.repeat && task.interval) {
+            // Skip the runs we missed and continue from the next one
+            const missed = Math.ceil((now - task.executeAt) / task.interval);
+            task.executeAt += missed * task.interval;
+          } else if (now - task.executeAt <= MISSED_TASK_GRACE) {
+            // Recently missed, run it right away
+            task.executeAt = now + 1000;
+          } else {
+            console.log(`[ScheduledTasks] Dropping task ${task.id}, missed by ${Math.round((now - task.executeAt) / 1000)} seconds`);
+            this.taskStore.delete(task.id);
+            continue;
           }
-          console.log(`[ScheduledTasks] Loaded ${savedTasks.length} tasks from memory`);
         }
+        
+        await this.scheduleTask(task);
       }
+      
+      console.log(`[ScheduledTasks] Loaded ${savedTasks.length} tasks from storage`);
     } catch (error) {
       console.error('[ScheduledTasks] Error loading tasks:', error);
     }
   }
   
   /**
-   * Save tasks to memory
+   * Save a task to storage
+   * @param {Object} task - Task to save
    */
-  async saveTasks() {
+  saveTask(task) {
     try {
-      if (this.memory) {
-        const tasks = Array.from(this.tasks.values()).map(task => ({
-          id: task.id,
-          name: task.name,
-          channelId: task.channelId,
-          guildId: task.guildId,
-          executeAt: task.executeAt,
-          action: task.action,
-          parameters: task.parameters,
-          repeat: task.repeat,
-          interval: task.interval,
-          createdAt: task.createdAt,
-          createdBy: task.createdBy
-        }));
-        
-        await this.memory.set('scheduled-tasks', tasks);
-        console.log(`[ScheduledTasks] Saved ${tasks.length} tasks to memory`);
+      if (this.taskStore) {
+        this.taskStore.save(task);
       }
     } catch (error) {
-      console.error('[ScheduledTasks] Error saving tasks:', error);
+      console.error(`[ScheduledTasks] Error saving task ${task.id}:`, error);
+    }
+  }
+  
+  /**
+   * Remove a task from storage
+   * @param {string} taskId - Task ID
+   */
+  deleteTask(taskId) {
+    try {
+      if (this.taskStore) {
+        this.taskStore.delete(taskId);
+      }
+    } catch (error) {
+      console.error(`[ScheduledTasks] Error deleting task ${taskId}:`, error);
     }
   }
   
@@ -135,11 +157,10 @@ class Extension {
       
       // Schedule the task execution
       const delay = task.executeAt - Date.now();
-      const timeoutId = setTimeout(() => this.executeTask(task.id), delay);
-      this.timeouts.push(timeoutId);
+      this.armTimer(task.id, task.executeAt);
       
-      // Save tasks to memory
-      await this.saveTasks();
+      // Save task to storage
+      this.saveTask(task);
       
       console.log(`[ScheduledTasks] Scheduled task ${task.id} to execute in ${delay / 1000} seconds`);
       
@@ -155,15 +176,34 @@ class Extension {
     }
   }
   
+  /**
+   * Start the timer for a task, re-arming when the delay is too long for setTimeout
+   * @param {string} taskId - Task ID
+   * @param {number} executeAt - Execution timestamp
+   */
+  armTimer(taskId, executeAt) {
+    const delay = executeAt - Date.now();
+    
+    const timeoutId = delay > MAX_TIMER_DELAY
+      ? setTimeout(() => this.armTimer(taskId, executeAt), MAX_TIMER_DELAY)
+      : setTimeout(() => this.executeTask(taskId, executeAt), Math.max(0, delay));
+    
+    this.timeouts.push(timeoutId);
+  }
+  
   /**
    * Execute a scheduled task
    * @param {string} taskId - Task ID
+   * @param {number} executeAt - Execution time the timer was armed for
    */
-  async executeTask(taskId) {
+  async executeTask(taskId, executeAt) {
     try {
       const task = this.tasks.get(taskId);
       if (!task) return;
       
+      // The task was cancelled and scheduled again with a different time
+      if (executeAt && task.executeAt !== executeAt) return;
+      
       console.log(`[ScheduledTasks] Executing task ${taskId}`);
       
       // Get the target channel
@@ -191,7 +231,9 @@ class Extension {
           this.eventBus.emit('executeWorkflow', {
             workflowId: task.parameters.workflowId,
             channelId: task.channelId,
-            guildId: task.guildId
+            guildId: task.guildId,
+            params: task.parameters.params,
+            requesterId: task.parameters.requesterId
           });
         }
       } else {
@@ -218,7 +260,7 @@ class Extension {
       } else {
         // Remove the task
         this.tasks.delete(taskId);
-        await this.saveTasks();
+        this.deleteTask(taskId);
       }
     } catch (error) {
       console.error(`[ScheduledTasks] Error executing task ${taskId}:`, error);
@@ -238,9 +280,7 @@ class Extension {
       
       // Remove the task
       this.tasks.delete(taskId);
-      
-      // Save tasks to memory
-      await this.saveTasks();
+      this.deleteTask(taskId);
       
       console.log(`[ScheduledTasks] Cancelled task ${taskId}`);
       
@@ -280,13 +320,13 @@ class Extension {
     for (const [id, task] of this.tasks.entries()) {
       if (!task.repeat && task.executeAt < now) {
         this.tasks.delete(id);
+        this.deleteTask(id);
         count++;
       }
     }
     
     if (count > 0) {
       console.log(`[ScheduledTasks] Cleaned up ${count} expired tasks`);
-      this.saveTasks();
     }
   }
   
@@ -2,16 +2,43 @@
  * Watcher Extension - Discord mesajlarını izleyen eklenti
  */
 const { EmbedBuilder } = require('discord.js');
+const { createActionEntry } = require('../core/modLog');
+
+// İzleme süresi (24 saat)
+const WATCHER_DURATION = 24 * 60 * 60 * 1000;
 
 class WatcherExtension {
-  constructor(client, eventBus, logger) {
+  constructor(client, eventBus, logger, services = {}) {
     this.client = client;
     this.eventBus = eventBus;
     this.logger = logger;
+    this.watcherStore = services.storage?.watchers || null;
     this.activeWatchers = new Map();
     this.results = new Map();
   }
 
+  /**
+   * Kayıtlı izleme görevlerini geri yükler
+   */
+  async restoreWatchers() {
+    if (!this.watcherStore) return;
+
+    try {
+      this.watcherStore.deleteExpired();
+      const watchers = this.watcherStore.listActive();
+
+      for (const watcher of watchers) {
+        this._startWatcher(watcher);
+      }
+
+      if (watchers.length > 0) {
+        this.logger.info(`Restored ${watchers.length} watchers from storage`);
+      }
+    } catch (error) {
+      this.logger.error(`Watcher restore error: ${error.message}`);
+    }
+  }
+
   /**
    * İzleme komutlarını işler
    * @param {Message} message - Discord mesajı
@@ -49,34 +76,51 @@ class WatcherExtension {
    * @param {string} command - Komut metni
    */
   async setupWatcher(message, userId, command) {
-    const watcherId = `watch_${userId}_${Date.now()}`;
-    const authorId = message.author.id;
-    const channelId = message.channel.id;
-    
     // Sonuç eşik değerlerini kontrol et
     const dmThreshold = command.match(/result\s*>\s*(\d+),\s*DM/i);
     const timeoutThreshold = command.match(/result\s*>\s*(\d+),\s*timeout/i);
     
-    const dmLimit = dmThreshold ? parseInt(dmThreshold[1]) : 0;
-    const timeoutLimit = timeoutThreshold ? parseInt(timeoutThreshold[1]) : 0;
+    const startTime = Date.now();
     
     // Watcher nesnesi oluştur
     const watcher = {
-      id: watcherId,
+      id: `watch_${userId}_${startTime}`,
       userId: userId,
-      authorId: authorId,
-      channelId: channelId,
+      authorId: message.author.id,
+      channelId: message.channel.id,
       guildId: message.guild.id,
-      dmLimit: dmLimit,
-      timeoutLimit: timeoutLimit,
+      dmLimit: dmThreshold ? parseInt(dmThreshold[1]) : 0,
+      timeoutLimit: timeoutThreshold ? parseInt(timeoutThreshold[1]) : 0,
       results: [],
-      startTime: Date.now(),
+      startTime: startTime,
+      endTime: startTime + WATCHER_DURATION,
       isHourlyEnabled: command.toLowerCase().includes('every hour')
     };
     
+    // Yeniden başlatmalarda kaybolmasın
+    if (this.watcherStore) {
+      this.watcherStore.save(watcher);
+    }
+    
+    this._startWatcher(watcher);
+    
+    await message.reply(`✅ <@${userId}> kullanıcısı için mesaj izleme başlatıldı! 24 saat boyunca aktif olacak.`);
+    return true;
+  }
+  
+  /**
+   * Listener, saatlik rapor ve bitiş zamanlayıcısını kurar
+   * @param {Object} watcher - Watcher nesnesi
+   * @private
+   */
+  _startWatcher(watcher) {
+    const { id: watcherId, userId, authorId } = watcher;
+    
+    const getChannel = () => this.client.channels.fetch(watcher.channelId).catch(() => null);
+    
     // Message event listener oluştur
     const messageListener = async (newMessage) => {
-      if (newMessage.author.id !== userId) return;
+      if (newMessage.author.id !== userId || newMessage.guild?.id !== watcher.guildId) return;
       
       try {
         // Mesaj analizi yap
@@ -96,13 +140,25 @@ class WatcherExtension {
         // Eşik kontrolleri
         if (result > watcher.timeoutLimit && watcher.timeoutLimit > 0) {
           const timeoutDuration = Math.floor(result / 10);
-          const member = await message.guild.members.fetch(userId);
+          const member = await newMessage.guild.members.fetch(userId);
           await member.timeout(timeoutDuration * 1000, `Matematiksel limit aşıldı: ${result}`);
-          await message.channel.send(`⚠️ Matematiksel limit aşıldı: ${result}. <@${userId}> ${timeoutDuration} saniye susturuldu.`);
+          const channel = await getChannel();
+          await channel?.send(`⚠️ Matematiksel limit aşıldı: ${result}. <@${userId}> ${timeoutDuration} saniye susturuldu.`);
+          this.eventBus.emit('actionExecuted', createActionEntry(newMessage, 'member.timeout', {
+            userId,
+            duration: timeoutDuration,
+            reason: `Matematiksel limit aşıldı: ${result}`
+          }, {
+            source: 'WatcherExtension',
+            actorId: authorId,
+            command: null
+          })).catch(error => this.logger.error('actionExecuted event error:', error));
+          this._emitThreshold(watcher, 'timeout', result, watcher.timeoutLimit);
         }
         else if (result > watcher.dmLimit && watcher.dmLimit > 0) {
           const author = await this.client.users.fetch(authorId);
           author.send(`📊 <@${userId}> kullanıcısının mesajı için sonuç: ${result}`).catch(() => {});
+          this._emitThreshold(watcher, 'dm', result, watcher.dmLimit);
         }
         
         this.logger.info(`Watcher ${watcherId} result for message ${newMessage.id}: ${result}`);
@@ -135,14 +191,16 @@ class WatcherExtension {
             .setTimestamp();
           
           // Genel kanala gönder
-          const generalChannel = message.guild.channels.cache.find(
+          const guild = this.client.guilds.cache.get(watcher.guildId);
+          const generalChannel = guild?.channels.cache.find(
             ch => ch.name === 'general' || ch.name === 'genel'
           );
           
           if (generalChannel) {
             await generalChannel.send({ embeds: [embed] });
           } else {
-            await message.channel.send({ embeds: [embed] });
+            const channel = await getChannel();
+            await channel?.send({ embeds: [embed] });
           }
           
           // Sonuçları sıfırla
@@ -153,12 +211,12 @@ class WatcherExtension {
       }, 60 * 60 * 1000); // Her saat (60 * 60 * 1000 ms)
     }
     
-    // 24 saat sonra durdur
-    const duration = 24 * 60 * 60 * 1000; // 24 saat
-    const timeout = setTimeout(() => {
+    // Süre dolunca durdur
+    const timeout = setTimeout(async () => {
       this.stopWatcher(watcherId);
-      message.channel.send(`✅ <@${userId}> için izleme 24 saat sonunda tamamlandı.`).catch(() => {});
-    }, duration);
+      const channel = await getChannel();
+      channel?.send(`✅ <@${userId}> için izleme 24 saat sonunda tamamlandı.`).catch(() => {});
+    }, Math.max(0, watcher.endTime - Date.now()));
     
     // Listener'ı kaydet
     this.client.on('messageCreate', messageListener);
@@ -170,11 +228,30 @@ class WatcherExtension {
       hourlyInterval,
       timeout
     });
-    
-    await message.reply(`✅ <@${userId}> kullanıcısı için mesaj izleme başlatıldı! 24 saat boyunca aktif olacak.`);
-    return true;
   }
   
+  /**
+   * Eşik aşımını event bus'a bildirir (trust score bunu dinler)
+   * @param {Object} watcher - Watcher nesnesi
+   * @param {string} level - 'timeout' veya 'dm'
+   * @param {number} result - Hesaplanan sonuç
+   * @param {number} threshold - Aşılan eşik
+   * @private
+   */
+  _emitThreshold(watcher, level, result, threshold) {
+    if (!this.eventBus || typeof this.eventBus.emit !== 'function') return;
+
+    this.eventBus.emit('watcherThreshold', {
+      watcherId: watcher.id,
+      guildId: watcher.guildId,
+      userId: watcher.userId,
+      authorId: watcher.authorId,
+      level,
+      result,
+      threshold
+    }).catch(error => this.logger.error(`Watcher threshold event error: ${error.message}`));
+  }
+
   /**
    * Bir izleme görevini durdurur
    * @param {string} watcherId - İzleme görevi ID'si
@@ -197,8 +274,20 @@ class WatcherExtension {
     
     // Kaydı sil
     this.activeWatchers.delete(watcherId);
+    if (this.watcherStore) {
+      this.watcherStore.delete(watcherId);
+    }
     this.logger.info(`Watcher ${watcherId} stopped`);
   }
 }
 
-module.exports = WatcherExtension;
\ No newline at end of file
+module.exports = {
+  name: 'WatcherExtension',
+  description: 'Kullanıcı mesajlarını izler ve eşik aşımlarında işlem yapar',
+  version: '1.0',
+  initialize: async (client, eventBus, logger, services) => {
+    const extension = new WatcherExtension(client, eventBus, logger, services);
+    await extension.restoreWatchers();
+    return extension;
+  }
+};
\ No newline at end of file
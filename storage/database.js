@@ -0,0 +1,82 @@
+/**
+ * SQLite database wrapper
+ * Opens the database file and applies schema migrations
+ */
+const SQLite = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+class Database {
+  /**
+   * @param {string} filename - Database file path or ':memory:'
+   * @param {Object} logger - Logger
+   */
+  constructor(filename, logger) {
+    this.filename = filename;
+    this.logger = logger;
+
+    // Make sure the data directory exists
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new SQLite(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.logger.info(`Database opened: ${filename}`);
+  }
+
+  /**
+   * Apply pending migrations in version order
+   * @param {Array<Object>} migrations - [{ version, name, up }]
+   * @returns {number} - Number of migrations applied
+   */
+  migrate(migrations) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+
+    const pending = migrations
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version);
+
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of pending) {
+      // Each migration runs in its own transaction so a failure leaves the schema untouched
+      this.db.transaction(() => {
+        if (typeof migration.up === 'function') {
+          migration.up(this.db);
+        } else {
+          this.db.exec(migration.up);
+        }
+        record.run(migration.version, migration.name, Date.now());
+      })();
+
+      this.logger.info(`Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+      this.logger.info('Database closed');
+    }
+  }
+}
+
+module.exports = { Database };
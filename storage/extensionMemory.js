@@ -0,0 +1,131 @@
+/**
+ * Extension memory
+ * Namespaced key-value store handed to every extension by the loader
+ *
+ * Contract for extension authors:
+ *   await memory.set(key, value, { ttl })  - value is any JSON-serialisable data, ttl in ms (optional)
+ *   await memory.get(key, defaultValue)    - stored value or defaultValue if missing/expired
+ *   await memory.delete(key)               - true if the key existed
+ *   await memory.list(prefix)              - keys in this namespace, optionally filtered by prefix
+ * Each namespace is limited to a byte quota (config.MAX_EXTENSION_MEMORY); set() throws when it is exceeded.
+ */
+
+class ExtensionMemory {
+  /**
+   * @param {Object} db - better-sqlite3 database
+   * @param {string} namespace - Extension namespace
+   * @param {number} quota - Maximum stored bytes for the namespace (0 = unlimited)
+   */
+  constructor(db, namespace, quota = 0) {
+    this.db = db;
+    this.namespace = namespace;
+    this.quota = quota;
+
+    this._get = db.prepare('SELECT value, expires_at FROM extension_memory WHERE namespace = ? AND key = ?');
+    this._upsert = db.prepare(`
+      INSERT OR REPLACE INTO extension_memory (namespace, key, value, size, expires_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    this._delete = db.prepare('DELETE FROM extension_memory WHERE namespace = ? AND key = ?');
+    this._usage = db.prepare(`
+      SELECT COALESCE(SUM(size), 0) AS total FROM extension_memory
+      WHERE namespace = ? AND key != ? AND (expires_at IS NULL OR expires_at > ?)
+    `);
+    this._purge = db.prepare('DELETE FROM extension_memory WHERE namespace = ? AND expires_at IS NOT NULL AND expires_at <= ?');
+
+    this.purgeExpired();
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key
+   * @param {*} defaultValue - Returned when the key is missing or expired
+   * @returns {Promise<*>}
+   */
+  async get(key, defaultValue = null) {
+    const row = this._get.get(this.namespace, key);
+    if (!row) return defaultValue;
+
+    if (row.expires_at !== null && row.expires_at <= Date.now()) {
+      this._delete.run(this.namespace, key);
+      return defaultValue;
+    }
+
+    return JSON.parse(row.value);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Key
+   * @param {*} value - JSON-serialisable value
+   * @param {Object} options - { ttl } in milliseconds
+   * @returns {Promise<boolean>}
+   */
+  async set(key, value, options = {}) {
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new Error('Memory key must be a non-empty string');
+    }
+
+    const serialized = JSON.stringify(value);
+    if (serialized === undefined) {
+      throw new Error(`Memory value for "${key}" is not JSON-serialisable`);
+    }
+
+    const size = Buffer.byteLength(key) + Buffer.byteLength(serialized);
+    const now = Date.now();
+
+    this.db.transaction(() => {
+      if (this.quota > 0) {
+        const used = this._usage.get(this.namespace, key, now).total;
+        if (used + size > this.quota) {
+          throw new Error(`Memory quota exceeded for ${this.namespace}: ${used + size} > ${this.quota} bytes`);
+        }
+      }
+
+      const expiresAt = options.ttl ? now + options.ttl : null;
+      this._upsert.run(this.namespace, key, serialized, size, expiresAt, now);
+    })();
+
+    return true;
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} - Whether the key existed
+   */
+  async delete(key) {
+    return this._delete.run(this.namespace, key).changes > 0;
+  }
+
+  /**
+   * List keys
+   * @param {string} prefix - Only keys starting with this prefix
+   * @returns {Promise<string[]>}
+   */
+  async list(prefix = '') {
+    this.purgeExpired();
+
+    return this.db.prepare(`
+      SELECT key FROM extension_memory WHERE namespace = ? AND substr(key, 1, ?) = ? ORDER BY key
+    `).all(this.namespace, prefix.length, prefix).map(row => row.key);
+  }
+
+  /**
+   * Bytes currently used by the namespace
+   * @returns {number}
+   */
+  usage() {
+    return this._usage.get(this.namespace, '', Date.now()).total;
+  }
+
+  /**
+   * Drop expired keys
+   * @returns {number} - Number of removed keys
+   */
+  purgeExpired() {
+    return this._purge.run(this.namespace, Date.now()).changes;
+  }
+}
+
+module.exports = { ExtensionMemory };
@@ -0,0 +1,68 @@
+/**
+ * Storage module
+ * Single entry point for the SQLite database and its repositories
+ */
+const { Database } = require('./database');
+const { migrations } = require('./migrations');
+const { ExtensionMemory } = require('./extensionMemory');
+const {
+  ModCaseRepository,
+  AppealRepository,
+  GuildSettingsRepository,
+  TaskRepository,
+  WatcherRepository,
+  TrackerRepository,
+  InteractionRepository,
+  PlanRepository,
+  PlanCacheRepository,
+  SavedWorkflowRepository,
+  TrustEventRepository
+} = require('./repositories');
+
+/**
+ * Resolve the database file from config.DATABASE
+ * @param {Object} databaseConfig - { ENABLED, URL }
+ * @returns {string} - File path or ':memory:'
+ */
+function resolveDatabaseFile(databaseConfig = {}) {
+  if (!databaseConfig.ENABLED) {
+    return ':memory:';
+  }
+
+  return (databaseConfig.URL || 'sqlite:./data/becas.db').replace(/^sqlite:(\/\/)?/, '');
+}
+
+/**
+ * Open the database, run migrations and build the repositories
+ * @param {Object} config - Bot config
+ * @param {Object} logger - Logger
+ * @returns {Object} - { database, modCases, appeals, guildSettings, tasks, watchers, trackers, interactions, plans, planCache, workflows, trustEvents, createMemory, close }
+ */
+function initStorage(config, logger) {
+  const filename = resolveDatabaseFile(config.DATABASE);
+  if (filename === ':memory:') {
+    logger.warn('Database disabled, using in-memory storage (data will be lost on restart)');
+  }
+
+  const database = new Database(filename, logger);
+  database.migrate(migrations);
+
+  return {
+    database,
+    modCases: new ModCaseRepository(database.db),
+    appeals: new AppealRepository(database.db),
+    guildSettings: new GuildSettingsRepository(database.db),
+    tasks: new TaskRepository(database.db),
+    watchers: new WatcherRepository(database.db),
+    trackers: new TrackerRepository(database.db),
+    interactions: new InteractionRepository(database.db),
+    plans: new PlanRepository(database.db),
+    planCache: new PlanCacheRepository(database.db),
+    workflows: new SavedWorkflowRepository(database.db),
+    trustEvents: new TrustEventRepository(database.db),
+    createMemory: (namespace, quota) => new ExtensionMemory(database.db, namespace, quota),
+    close: () => database.close()
+  };
+}
+
+module.exports = { initStorage, resolveDatabaseFile };
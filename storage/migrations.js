@@ -0,0 +1,200 @@
+/**
+ * Schema migrations
+ * Append new migrations to the end; never edit one that has shipped
+ */
+const migrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE mod_cases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        case_number INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        moderator_id TEXT NOT NULL,
+        reason TEXT,
+        duration INTEGER,
+        status TEXT NOT NULL DEFAULT 'active',
+        metadata TEXT NOT NULL DEFAULT '{}',
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        UNIQUE (guild_id, case_number)
+      );
+      CREATE INDEX idx_mod_cases_target ON mod_cases (guild_id, target_id);
+
+      CREATE TABLE scheduled_tasks (
+        id TEXT PRIMARY KEY,
+        guild_id TEXT,
+        channel_id TEXT,
+        name TEXT,
+        action TEXT NOT NULL,
+        parameters TEXT NOT NULL DEFAULT '{}',
+        execute_at INTEGER NOT NULL,
+        repeat INTEGER NOT NULL DEFAULT 0,
+        interval_ms INTEGER,
+        created_by TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE watchers (
+        id TEXT PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        author_id TEXT NOT NULL,
+        dm_limit INTEGER NOT NULL DEFAULT 0,
+        timeout_limit INTEGER NOT NULL DEFAULT 0,
+        hourly INTEGER NOT NULL DEFAULT 0,
+        start_time INTEGER NOT NULL,
+        end_time INTEGER NOT NULL
+      );
+
+      CREATE TABLE trackers (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        guild_id TEXT,
+        user_id TEXT NOT NULL,
+        channel_id TEXT,
+        data TEXT NOT NULL DEFAULT '{}',
+        start_time INTEGER NOT NULL,
+        end_time INTEGER NOT NULL
+      );
+      CREATE INDEX idx_trackers_type ON trackers (type);
+
+      CREATE TABLE interaction_handlers (
+        id TEXT PRIMARY KEY,
+        custom_id TEXT NOT NULL,
+        is_pattern INTEGER NOT NULL DEFAULT 0,
+        handler_type TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '{}',
+        expires_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'extension_memory',
+    up: `
+      CREATE TABLE extension_memory (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        expires_at INTEGER,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (namespace, key)
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'case_evidence_appeals_guild_settings',
+    up: `
+      ALTER TABLE mod_cases ADD COLUMN evidence TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE mod_cases ADD COLUMN expires_at INTEGER;
+
+      CREATE TABLE appeals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        case_number INTEGER NOT NULL,
+        user_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reviewer_id TEXT,
+        review_note TEXT,
+        created_at INTEGER NOT NULL,
+        resolved_at INTEGER
+      );
+      CREATE INDEX idx_appeals_case ON appeals (guild_id, case_number);
+
+      CREATE TABLE guild_settings (
+        guild_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, key)
+      );
+    `
+  },
+  {
+    version: 4,
+    name: 'executed_plans',
+    up: `
+      CREATE TABLE executed_plans (
+        id TEXT PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        channel_id TEXT,
+        requester_id TEXT NOT NULL,
+        command TEXT,
+        steps TEXT NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL DEFAULT 'executed',
+        undone_by TEXT,
+        created_at INTEGER NOT NULL,
+        undone_at INTEGER
+      );
+      CREATE INDEX idx_executed_plans_requester ON executed_plans (guild_id, requester_id, created_at);
+    `
+  },
+  {
+    version: 5,
+    name: 'plan_cache',
+    up: `
+      CREATE TABLE plan_cache (
+        key TEXT PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        template TEXT NOT NULL,
+        plan TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_plan_cache_guild ON plan_cache (guild_id);
+    `
+  },
+  {
+    version: 6,
+    name: 'saved_workflows',
+    up: `
+      CREATE TABLE saved_workflows (
+        guild_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        command TEXT,
+        plan TEXT NOT NULL,
+        params TEXT NOT NULL DEFAULT '{}',
+        created_by TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_by TEXT,
+        updated_at INTEGER,
+        runs INTEGER NOT NULL DEFAULT 0,
+        last_run_at INTEGER,
+        PRIMARY KEY (guild_id, name)
+      );
+    `
+  },
+  {
+    version: 7,
+    name: 'trust_events',
+    up: `
+      CREATE TABLE trust_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        delta INTEGER NOT NULL,
+        reason TEXT,
+        actor_id TEXT,
+        case_number INTEGER,
+        details TEXT NOT NULL DEFAULT '{}',
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_trust_events_member ON trust_events (guild_id, user_id, created_at);
+    `
+  }
+];
+
+module.exports = { migrations };
@@ -0,0 +1,744 @@
+/**
+ * Repositories - typed access to each table
+ * Rows go in and come out as camelCase objects; JSON columns are parsed for the caller
+ */
+
+/**
+ * Parse a JSON column, falling back to a default for empty or invalid values
+ * @param {string} value - Column value
+ * @param {*} fallback - Returned for empty or invalid values
+ * @returns {Object}
+ */
+function parseJson(value, fallback = {}) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+class ModCaseRepository {
+  /**
+   * @param {Object} db - better-sqlite3 database
+   */
+  constructor(db) {
+    this.db = db;
+
+    this._nextNumber = db.prepare('SELECT COALESCE(MAX(case_number), 0) + 1 AS next FROM mod_cases WHERE guild_id = ?');
+    this._insert = db.prepare(`
+      INSERT INTO mod_cases (guild_id, case_number, action, target_id, moderator_id, reason, duration, expires_at, evidence, status, metadata, created_at, updated_at)
+      VALUES (@guildId, @caseNumber, @action, @targetId, @moderatorId, @reason, @duration, @expiresAt, @evidence, @status, @metadata, @createdAt, @createdAt)
+    `);
+  }
+
+  /**
+   * Create a case; case numbers are sequential per guild
+   * @param {Object} modCase - { guildId, action, targetId, moderatorId, reason, duration, evidence, metadata }
+   * @returns {Object} - Stored case
+   */
+  create(modCase) {
+    return this.db.transaction(() => {
+      const caseNumber = this._nextNumber.get(modCase.guildId).next;
+      const createdAt = modCase.createdAt || Date.now();
+      const info = this._insert.run({
+        guildId: modCase.guildId,
+        caseNumber,
+        action: modCase.action,
+        targetId: modCase.targetId,
+        moderatorId: modCase.moderatorId,
+        reason: modCase.reason || null,
+        duration: modCase.duration || null,
+        expiresAt: modCase.duration ? createdAt + modCase.duration : null,
+        evidence: JSON.stringify(modCase.evidence || []),
+        status: modCase.status || 'active',
+        metadata: JSON.stringify(modCase.metadata || {}),
+        createdAt
+      });
+      return this.getById(info.lastInsertRowid);
+    })();
+  }
+
+  getById(id) {
+    return this._map(this.db.prepare('SELECT * FROM mod_cases WHERE id = ?').get(id));
+  }
+
+  /**
+   * @param {string} guildId - Guild ID
+   * @param {number} caseNumber - Per-guild case number
+   * @returns {Object|null}
+   */
+  get(guildId, caseNumber) {
+    return this._map(this.db.prepare('SELECT * FROM mod_cases WHERE guild_id = ? AND case_number = ?').get(guildId, caseNumber));
+  }
+
+  /**
+   * List cases of a guild, newest first
+   * @param {string} guildId - Guild ID
+   * @param {Object} filter - { targetId, action, status, limit }
+   * @returns {Array<Object>}
+   */
+  list(guildId, filter = {}) {
+    const clauses = ['guild_id = @guildId'];
+    if (filter.targetId) clauses.push('target_id = @targetId');
+    if (filter.action) clauses.push('action = @action');
+    if (filter.status) clauses.push('status = @status');
+
+    const rows = this.db.prepare(`
+      SELECT * FROM mod_cases WHERE ${clauses.join(' AND ')}
+      ORDER BY case_number DESC LIMIT @limit
+    `).all({ guildId, targetId: filter.targetId, action: filter.action, status: filter.status, limit: filter.limit || 100 });
+
+    return rows.map(row => this._map(row));
+  }
+
+  /**
+   * Update editable fields of a case
+   * @param {string} guildId - Guild ID
+   * @param {number} caseNumber - Per-guild case number
+   * @param {Object} changes - { reason, duration, evidence, status, metadata }
+   * @returns {Object|null} - Updated case
+   */
+  update(guildId, caseNumber, changes) {
+    const existing = this.get(guildId, caseNumber);
+    if (!existing) return null;
+
+    const duration = changes.duration !== undefined ? changes.duration : existing.duration;
+
+    this.db.prepare(`
+      UPDATE mod_cases SET reason = ?, duration = ?, expires_at = ?, evidence = ?, status = ?, metadata = ?, updated_at = ?
+      WHERE guild_id = ? AND case_number = ?
+    `).run(
+      changes.reason !== undefined ? changes.reason : existing.reason,
+      duration,
+      duration ? existing.timestamp + duration : null,
+      JSON.stringify(changes.evidence || existing.evidence),
+      changes.status || existing.status,
+      JSON.stringify(changes.metadata || existing.metadata),
+      Date.now(),
+      guildId,
+      caseNumber
+    );
+
+    return this.get(guildId, caseNumber);
+  }
+
+  _map(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      caseNumber: row.case_number,
+      action: row.action,
+      targetId: row.target_id,
+      moderatorId: row.moderator_id,
+      reason: row.reason,
+      duration: row.duration,
+      expiresAt: row.expires_at,
+      evidence: parseJson(row.evidence, []),
+      status: row.status,
+      metadata: parseJson(row.metadata),
+      timestamp: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+class TaskRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Insert or replace a task
+   * @param {Object} task - ScheduledTasks task object
+   */
+  save(task) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO scheduled_tasks (id, guild_id, channel_id, name, action, parameters, execute_at, repeat, interval_ms, created_by, created_at)
+      VALUES (@id, @guildId, @channelId, @name, @action, @parameters, @executeAt, @repeat, @interval, @createdBy, @createdAt)
+    `).run({
+      id: task.id,
+      guildId: task.guildId || null,
+      channelId: task.channelId || null,
+      name: task.name || null,
+      action: task.action,
+      parameters: JSON.stringify(task.parameters || {}),
+      executeAt: task.executeAt,
+      repeat: task.repeat ? 1 : 0,
+      interval: task.interval || null,
+      createdBy: task.createdBy || null,
+      createdAt: task.createdAt || Date.now()
+    });
+  }
+
+  delete(id) {
+    this.db.prepare('DELETE FROM scheduled_tasks WHERE id = ?').run(id);
+  }
+
+  list() {
+    return this.db.prepare('SELECT * FROM scheduled_tasks ORDER BY execute_at').all().map(row => ({
+      id: row.id,
+      guildId: row.guild_id,
+      channelId: row.channel_id,
+      name: row.name,
+      action: row.action,
+      parameters: parseJson(row.parameters),
+      executeAt: row.execute_at,
+      repeat: row.repeat === 1,
+      interval: row.interval_ms,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+class WatcherRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Insert or replace a watcher
+   * @param {Object} watcher - WatcherExtension watcher object
+   */
+  save(watcher) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO watchers (id, guild_id, channel_id, user_id, author_id, dm_limit, timeout_limit, hourly, start_time, end_time)
+      VALUES (@id, @guildId, @channelId, @userId, @authorId, @dmLimit, @timeoutLimit, @hourly, @startTime, @endTime)
+    `).run({
+      id: watcher.id,
+      guildId: watcher.guildId,
+      channelId: watcher.channelId,
+      userId: watcher.userId,
+      authorId: watcher.authorId,
+      dmLimit: watcher.dmLimit || 0,
+      timeoutLimit: watcher.timeoutLimit || 0,
+      hourly: watcher.isHourlyEnabled ? 1 : 0,
+      startTime: watcher.startTime,
+      endTime: watcher.endTime
+    });
+  }
+
+  delete(id) {
+    this.db.prepare('DELETE FROM watchers WHERE id = ?').run(id);
+  }
+
+  /**
+   * Watchers that have not expired yet
+   * @returns {Array<Object>}
+   */
+  listActive() {
+    return this.db.prepare('SELECT * FROM watchers WHERE end_time > ?').all(Date.now()).map(row => ({
+      id: row.id,
+      guildId: row.guild_id,
+      channelId: row.channel_id,
+      userId: row.user_id,
+      authorId: row.author_id,
+      dmLimit: row.dm_limit,
+      timeoutLimit: row.timeout_limit,
+      isHourlyEnabled: row.hourly === 1,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      results: []
+    }));
+  }
+
+  deleteExpired() {
+    return this.db.prepare('DELETE FROM watchers WHERE end_time <= ?').run(Date.now()).changes;
+  }
+}
+
+class TrackerRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Insert or replace a tracker; extension specific fields go in data
+   * @param {Object} tracker - { id, type, guildId, userId, channelId, data, startTime, endTime }
+   */
+  save(tracker) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO trackers (id, type, guild_id, user_id, channel_id, data, start_time, end_time)
+      VALUES (@id, @type, @guildId, @userId, @channelId, @data, @startTime, @endTime)
+    `).run({
+      id: tracker.id,
+      type: tracker.type,
+      guildId: tracker.guildId || null,
+      userId: tracker.userId,
+      channelId: tracker.channelId || null,
+      data: JSON.stringify(tracker.data || {}),
+      startTime: tracker.startTime,
+      endTime: tracker.endTime
+    });
+  }
+
+  delete(id) {
+    this.db.prepare('DELETE FROM trackers WHERE id = ?').run(id);
+  }
+
+  /**
+   * Trackers of a type that have not expired yet
+   * @param {string} type - Tracker type
+   * @returns {Array<Object>}
+   */
+  listActive(type) {
+    return this.db.prepare('SELECT * FROM trackers WHERE type = ? AND end_time > ?').all(type, Date.now()).map(row => ({
+      id: row.id,
+      type: row.type,
+      guildId: row.guild_id,
+      userId: row.user_id,
+      channelId: row.channel_id,
+      data: parseJson(row.data),
+      startTime: row.start_time,
+      endTime: row.end_time
+    }));
+  }
+
+  deleteExpired() {
+    return this.db.prepare('DELETE FROM trackers WHERE end_time <= ?').run(Date.now()).changes;
+  }
+}
+
+class InteractionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Insert or replace a handler registration; only named handler types can be persisted
+   * @param {Object} registration - { id, customId, isPattern, handlerType, metadata, expiration }
+   */
+  save(registration) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO interaction_handlers (id, custom_id, is_pattern, handler_type, metadata, expires_at, created_at)
+      VALUES (@id, @customId, @isPattern, @handlerType, @metadata, @expiration, @createdAt)
+    `).run({
+      id: registration.id,
+      customId: registration.customId,
+      isPattern: registration.isPattern ? 1 : 0,
+      handlerType: registration.handlerType,
+      metadata: JSON.stringify(registration.metadata || {}),
+      expiration: registration.expiration || null,
+      createdAt: Date.now()
+    });
+  }
+
+  delete(id) {
+    this.db.prepare('DELETE FROM interaction_handlers WHERE id = ?').run(id);
+  }
+
+  listActive() {
+    return this.db.prepare('SELECT * FROM interaction_handlers WHERE expires_at IS NULL OR expires_at > ?').all(Date.now()).map(row => ({
+      id: row.id,
+      customId: row.custom_id,
+      isPattern: row.is_pattern === 1,
+      handlerType: row.handler_type,
+      metadata: parseJson(row.metadata),
+      expiration: row.expires_at
+    }));
+  }
+
+  deleteExpired() {
+    return this.db.prepare('DELETE FROM interaction_handlers WHERE expires_at IS NOT NULL AND expires_at <= ?').run(Date.now()).changes;
+  }
+}
+
+class AppealRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a pending appeal
+   * @param {Object} appeal - { guildId, caseNumber, userId, content }
+   * @returns {Object} - Stored appeal
+   */
+  create(appeal) {
+    const info = this.db.prepare(`
+      INSERT INTO appeals (guild_id, case_number, user_id, content, status, created_at)
+      VALUES (?, ?, ?, ?, 'pending', ?)
+    `).run(appeal.guildId, appeal.caseNumber, appeal.userId, appeal.content, Date.now());
+
+    return this.get(info.lastInsertRowid);
+  }
+
+  get(id) {
+    return this._map(this.db.prepare('SELECT * FROM appeals WHERE id = ?').get(id));
+  }
+
+  /**
+   * Appeals of a case, newest first
+   * @param {string} guildId - Guild ID
+   * @param {number} caseNumber - Case number
+   * @returns {Array<Object>}
+   */
+  listForCase(guildId, caseNumber) {
+    return this.db.prepare('SELECT * FROM appeals WHERE guild_id = ? AND case_number = ? ORDER BY id DESC')
+      .all(guildId, caseNumber)
+      .map(row => this._map(row));
+  }
+
+  /**
+   * Mark an appeal as accepted or denied
+   * @param {number} id - Appeal ID
+   * @param {string} status - 'accepted' or 'denied'
+   * @param {string} reviewerId - Moderator ID
+   * @param {string} note - Optional note
+   * @returns {Object|null} - Updated appeal
+   */
+  resolve(id, status, reviewerId, note = null) {
+    this.db.prepare(`
+      UPDATE appeals SET status = ?, reviewer_id = ?, review_note = ?, resolved_at = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(status, reviewerId, note, Date.now(), id);
+
+    return this.get(id);
+  }
+
+  _map(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      caseNumber: row.case_number,
+      userId: row.user_id,
+      content: row.content,
+      status: row.status,
+      reviewerId: row.reviewer_id,
+      reviewNote: row.review_note,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+}
+
+class GuildSettingsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Read a guild setting
+   * @param {string} guildId - Guild ID
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Returned when unset
+   * @returns {*}
+   */
+  get(guildId, key, defaultValue = null) {
+    const row = this.db.prepare('SELECT value FROM guild_settings WHERE guild_id = ? AND key = ?').get(guildId, key);
+    return row ? parseJson(row.value, defaultValue) : defaultValue;
+  }
+
+  /**
+   * Write a guild setting
+   * @param {string} guildId - Guild ID
+   * @param {string} key - Setting key
+   * @param {*} value - JSON-serialisable value
+   */
+  set(guildId, key, value) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO guild_settings (guild_id, key, value, updated_at) VALUES (?, ?, ?, ?)
+    `).run(guildId, key, JSON.stringify(value), Date.now());
+  }
+
+  delete(guildId, key) {
+    this.db.prepare('DELETE FROM guild_settings WHERE guild_id = ? AND key = ?').run(guildId, key);
+  }
+}
+
+class PlanRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store an executed plan
+   * @param {Object} plan - { id, guildId, channelId, requesterId, command, steps, status }
+   * @returns {Object} - Stored plan
+   */
+  create(plan) {
+    this.db.prepare(`
+      INSERT INTO executed_plans (id, guild_id, channel_id, requester_id, command, steps, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(plan.id, plan.guildId, plan.channelId || null, plan.requesterId, plan.command || null,
+      JSON.stringify(plan.steps || []), plan.status || 'executed', Date.now());
+
+    return this.get(plan.id);
+  }
+
+  get(id) {
+    return this._map(this.db.prepare('SELECT * FROM executed_plans WHERE id = ?').get(id));
+  }
+
+  /**
+   * Most recent plan of a requester with a status
+   * @param {string} guildId - Guild ID
+   * @param {string} requesterId - Member ID
+   * @param {string} status - 'executed' (nothing undone yet), 'partial', 'undone' or 'irreversible'
+   * @returns {Object|null}
+   */
+  latest(guildId, requesterId, status = 'executed') {
+    return this._map(this.db.prepare(`
+      SELECT * FROM executed_plans WHERE guild_id = ? AND requester_id = ? AND status = ?
+      ORDER BY created_at DESC LIMIT 1
+    `).get(guildId, requesterId, status));
+  }
+
+  /**
+   * Save the undo state of a plan
+   * @param {string} id - Plan ID
+   * @param {Array} steps - Steps with their undone flags
+   * @param {string} status - 'undone' or 'partial'
+   * @param {string} userId - Member who ran the undo
+   * @returns {Object|null} - Updated plan
+   */
+  updateUndo(id, steps, status, userId) {
+    this.db.prepare(`
+      UPDATE executed_plans SET steps = ?, status = ?, undone_by = ?, undone_at = ? WHERE id = ?
+    `).run(JSON.stringify(steps), status, userId, Date.now(), id);
+
+    return this.get(id);
+  }
+
+  _map(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      channelId: row.channel_id,
+      requesterId: row.requester_id,
+      command: row.command,
+      steps: parseJson(row.steps, []),
+      status: row.status,
+      undoneBy: row.undone_by,
+      createdAt: row.created_at,
+      undoneAt: row.undone_at
+    };
+  }
+}
+
+class PlanCacheRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Unexpired entry for a key
+   * @param {string} key - Cache key
+   * @returns {Object|null} - { key, guildId, template, plan, hits, createdAt, lastUsedAt, expiresAt }
+   */
+  get(key) {
+    return this._map(this.db.prepare('SELECT * FROM plan_cache WHERE key = ? AND expires_at > ?').get(key, Date.now()));
+  }
+
+  /**
+   * Insert or replace an entry
+   * @param {Object} entry - { key, guildId, template, plan, expiresAt }
+   */
+  save(entry) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO plan_cache (key, guild_id, template, plan, hits, created_at, expires_at)
+      VALUES (?, ?, ?, ?, 0, ?, ?)
+    `).run(entry.key, entry.guildId, entry.template, JSON.stringify(entry.plan), Date.now(), entry.expiresAt);
+  }
+
+  recordHit(key) {
+    this.db.prepare('UPDATE plan_cache SET hits = hits + 1, last_used_at = ? WHERE key = ?').run(Date.now(), key);
+  }
+
+  /**
+   * @returns {number} - Deleted entries
+   */
+  deleteGuild(guildId) {
+    return this.db.prepare('DELETE FROM plan_cache WHERE guild_id = ?').run(guildId).changes;
+  }
+
+  deleteExpired() {
+    return this.db.prepare('DELETE FROM plan_cache WHERE expires_at <= ?').run(Date.now()).changes;
+  }
+
+  /**
+   * Entry count and total hits, for one guild or all of them
+   * @param {string|null} guildId - Guild ID
+   * @returns {Object} - { entries, hits }
+   */
+  stats(guildId = null) {
+    const row = guildId
+      ? this.db.prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits FROM plan_cache WHERE guild_id = ?').get(guildId)
+      : this.db.prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits FROM plan_cache').get();
+    return { entries: row.entries, hits: row.hits };
+  }
+
+  _map(row) {
+    if (!row) return null;
+    return {
+      key: row.key,
+      guildId: row.guild_id,
+      template: row.template,
+      plan: parseJson(row.plan, null),
+      hits: row.hits,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+class SavedWorkflowRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get(guildId, name) {
+    return this._map(this.db.prepare('SELECT * FROM saved_workflows WHERE guild_id = ? AND name = ?').get(guildId, name));
+  }
+
+  list(guildId) {
+    return this.db.prepare('SELECT * FROM saved_workflows WHERE guild_id = ? ORDER BY name')
+      .all(guildId).map(row => this._map(row));
+  }
+
+  /**
+   * Insert a workflow or replace the one with the same name (its run count is kept)
+   * @param {Object} workflow - { guildId, name, description, command, plan, params, createdBy }
+   * @returns {Object} - Stored workflow
+   */
+  save(workflow) {
+    this.db.prepare(`
+      INSERT INTO saved_workflows (guild_id, name, description, command, plan, params, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (guild_id, name) DO UPDATE SET
+        description = excluded.description, command = excluded.command, plan = excluded.plan,
+        params = excluded.params, updated_by = excluded.created_by, updated_at = excluded.created_at
+    `).run(workflow.guildId, workflow.name, workflow.description || null, workflow.command || null,
+      JSON.stringify(workflow.plan), JSON.stringify(workflow.params || {}), workflow.createdBy, Date.now());
+
+    return this.get(workflow.guildId, workflow.name);
+  }
+
+  /**
+   * Change the description, plan or params of a workflow
+   * @param {string} guildId - Guild ID
+   * @param {string} name - Workflow name
+   * @param {Object} changes - { description, plan, params }
+   * @param {string} userId - Member who made the change
+   * @returns {Object|null} - Updated workflow
+   */
+  update(guildId, name, changes, userId) {
+    const columns = { description: 'description', plan: 'plan', params: 'params' };
+    const sets = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (changes[key] === undefined) continue;
+      sets.push(`${column} = ?`);
+      values.push(typeof changes[key] === 'object' && changes[key] !== null ? JSON.stringify(changes[key]) : changes[key]);
+    }
+    if (sets.length === 0) return this.get(guildId, name);
+
+    this.db.prepare(`UPDATE saved_workflows SET ${sets.join(', ')}, updated_by = ?, updated_at = ? WHERE guild_id = ? AND name = ?`)
+      .run(...values, userId, Date.now(), guildId, name);
+
+    return this.get(guildId, name);
+  }
+
+  recordRun(guildId, name) {
+    this.db.prepare('UPDATE saved_workflows SET runs = runs + 1, last_run_at = ? WHERE guild_id = ? AND name = ?')
+      .run(Date.now(), guildId, name);
+  }
+
+  /**
+   * @returns {boolean} - Whether a workflow was deleted
+   */
+  delete(guildId, name) {
+    return this.db.prepare('DELETE FROM saved_workflows WHERE guild_id = ? AND name = ?').run(guildId, name).changes > 0;
+  }
+
+  _map(row) {
+    if (!row) return null;
+    return {
+      guildId: row.guild_id,
+      name: row.name,
+      description: row.description,
+      command: row.command,
+      plan: parseJson(row.plan, null),
+      params: parseJson(row.params, {}),
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at,
+      runs: row.runs,
+      lastRunAt: row.last_run_at
+    };
+  }
+}
+
+class TrustEventRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store a trust event, dropping the member's oldest events beyond keep
+   * @param {Object} event - { guildId, userId, type, delta, reason, actorId, details, timestamp }
+   * @param {number} keep - Events kept per member
+   */
+  add(event, keep) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO trust_events (guild_id, user_id, type, delta, reason, actor_id, case_number, details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(event.guildId, event.userId, event.type, event.delta, event.reason || null, event.actorId || null,
+        event.details?.caseNumber ?? null, JSON.stringify(event.details || {}), event.timestamp);
+
+      this.db.prepare(`
+        DELETE FROM trust_events WHERE guild_id = ? AND user_id = ? AND id NOT IN (
+          SELECT id FROM trust_events WHERE guild_id = ? AND user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+        )
+      `).run(event.guildId, event.userId, event.guildId, event.userId, keep);
+    })();
+  }
+
+  /**
+   * Events of a member, oldest first
+   */
+  list(guildId, userId) {
+    return this.db.prepare('SELECT * FROM trust_events WHERE guild_id = ? AND user_id = ? ORDER BY created_at, id')
+      .all(guildId, userId).map(row => this._map(row));
+  }
+
+  /**
+   * @returns {number} - Deleted events
+   */
+  deleteCase(guildId, userId, caseNumber) {
+    return this.db.prepare('DELETE FROM trust_events WHERE guild_id = ? AND user_id = ? AND case_number = ?')
+      .run(guildId, userId, caseNumber).changes;
+  }
+
+  _map(row) {
+    return {
+      type: row.type,
+      delta: row.delta,
+      reason: row.reason,
+      actorId: row.actor_id,
+      details: parseJson(row.details),
+      timestamp: row.created_at
+    };
+  }
+}
+
+module.exports = {
+  ModCaseRepository,
+  PlanRepository,
+  AppealRepository,
+  GuildSettingsRepository,
+  TaskRepository,
+  WatcherRepository,
+  TrackerRepository,
+  InteractionRepository,
+  PlanCacheRepository,
+  SavedWorkflowRepository,
+  TrustEventRepository
+};
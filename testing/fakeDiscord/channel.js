@@ -0,0 +1,507 @@
+/**
+ * Fake guild and DM channels with their messages and permission overwrites
+ */
+const { ChannelType, Collection, Events, OverwriteType, PermissionsBitField } = require('discord.js');
+const { apiError } = require('./errors');
+const { FakeCollector, normalizeMessageOptions } = require('./message');
+
+const Flags = PermissionsBitField.Flags;
+
+// Bulk deletes only accept messages younger than two weeks
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+const VOICE_TYPES = [ChannelType.GuildVoice, ChannelType.GuildStageVoice];
+const TEXT_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.DM, ...VOICE_TYPES];
+
+/**
+ * channel.messages
+ */
+class FakeMessageManager {
+  constructor(channel) {
+    this.channel = channel;
+    // Oldest first, like messages arrive
+    this.cache = new Collection();
+  }
+
+  /**
+   * One message by ID, or the newest messages
+   * @param {string|Object} options - Message ID, or { limit, before, after }
+   * @returns {Promise<FakeMessage|Collection>}
+   */
+  async fetch(options = {}) {
+    const route = `/channels/${this.channel.id}/messages`;
+    this.channel.assertReadable('GET', route);
+
+    const id = typeof options === 'string' ? options : options.message;
+    if (id) {
+      const message = this.cache.get(id);
+      if (!message) throw apiError('UNKNOWN_MESSAGE', 'GET', `${route}/${id}`);
+      return message;
+    }
+
+    const limit = Math.min(Math.max(options.limit ?? 50, 1), 100);
+    const newestFirst = [...this.cache.values()].reverse()
+      .filter(message => !options.before || BigInt(message.id) < BigInt(options.before))
+      .filter(message => !options.after || BigInt(message.id) > BigInt(options.after));
+    return new Collection(newestFirst.slice(0, limit).map(message => [message.id, message]));
+  }
+
+  async fetchPinned() {
+    this.channel.assertReadable('GET', `/channels/${this.channel.id}/pins`);
+    return this.cache.filter(message => message.pinned);
+  }
+
+  async delete(message) {
+    const resolved = typeof message === 'string' ? this.cache.get(message) : message;
+    if (!resolved) throw apiError('UNKNOWN_MESSAGE', 'DELETE', `/channels/${this.channel.id}/messages/${message}`);
+    return resolved.delete();
+  }
+
+  resolve(message) {
+    return typeof message === 'string' ? this.cache.get(message) ?? null : message;
+  }
+
+  /**
+   * Store a message and feed the message collectors of the channel
+   * @private
+   */
+  _add(message) {
+    this.cache.set(message.id, message);
+    for (const collector of this.channel.client.collectors) {
+      if (collector.source === this.channel && collector.kind === 'message') collector.handle(message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remove(message) {
+    message.deleted = true;
+    this.cache.delete(message.id);
+  }
+}
+
+/**
+ * channel.permissionOverwrites
+ */
+class FakePermissionOverwriteManager {
+  constructor(channel) {
+    this.channel = channel;
+    this.cache = new Collection();
+  }
+
+  /**
+   * Change some permissions of a role or member: true allows, false denies, null inherits
+   * @param {RoleResolvable|UserResolvable} target - Role or member
+   * @param {Object} options - { SendMessages: false, ... }
+   * @param {Object} overwriteOptions - { reason }
+   * @returns {Promise<FakeChannel>}
+   */
+  async edit(target, options, overwriteOptions = {}) {
+    const existing = this.cache.get(this._targetId(target));
+    return this._upsert(target, options, existing, overwriteOptions.reason);
+  }
+
+  /**
+   * Replace the overwrite of a role or member
+   */
+  async create(target, options, overwriteOptions = {}) {
+    return this._upsert(target, options, null, overwriteOptions.reason);
+  }
+
+  async delete(target, reason) {
+    const route = `/channels/${this.channel.id}/permissions`;
+    this._assertCanManage('DELETE', route);
+    const id = this._targetId(target);
+    if (!this.cache.delete(id)) return this.channel;
+
+    this.channel.client.record('channel.permissions', this.channel.guild, {
+      channelId: this.channel.id,
+      targetId: id,
+      allow: [],
+      deny: [],
+      reason: reason || null
+    });
+    return this.channel;
+  }
+
+  /**
+   * Overwrites given as [{ id, type, allow, deny }], e.g. in channels.create
+   * @param {Array<Object>} overwrites - Overwrite data
+   */
+  set(overwrites = []) {
+    this.cache.clear();
+    for (const overwrite of overwrites) {
+      const id = this._targetId(overwrite.id);
+      this.cache.set(id, {
+        id,
+        type: overwrite.type ?? (this.channel.guild.roles.cache.has(id) ? OverwriteType.Role : OverwriteType.Member),
+        allow: new PermissionsBitField(overwrite.allow ?? 0n).freeze(),
+        deny: new PermissionsBitField(overwrite.deny ?? 0n).freeze()
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _upsert(target, options, existing, reason) {
+    const route = `/channels/${this.channel.id}/permissions`;
+    this._assertCanManage('PUT', route);
+
+    const id = this._targetId(target);
+    const guild = this.channel.guild;
+    const isRole = guild.roles.cache.has(id);
+    // discord.js rejects unresolvable targets before calling the API
+    if (!isRole && !guild.members.cache.has(id)) throw new TypeError('Supplied parameter is not a User nor a Role.');
+
+    let allow = existing ? existing.allow.bitfield : 0n;
+    let deny = existing ? existing.deny.bitfield : 0n;
+    for (const [name, value] of Object.entries(options)) {
+      const bit = PermissionsBitField.resolve(name);
+      allow &= ~bit;
+      deny &= ~bit;
+      if (value === true) allow |= bit;
+      else if (value === false) deny |= bit;
+    }
+
+    const overwrite = {
+      id,
+      type: isRole ? OverwriteType.Role : OverwriteType.Member,
+      allow: new PermissionsBitField(allow).freeze(),
+      deny: new PermissionsBitField(deny).freeze()
+    };
+    this.cache.set(id, overwrite);
+
+    this.channel.client.record('channel.permissions', guild, {
+      channelId: this.channel.id,
+      targetId: id,
+      allow: overwrite.allow.toArray(),
+      deny: overwrite.deny.toArray(),
+      reason: reason || null
+    });
+    return this.channel;
+  }
+
+  /**
+   * @private
+   */
+  _assertCanManage(method, route) {
+    const guild = this.channel.guild;
+    guild.assertAlive(method, route);
+    this.channel.assertExists(method, route);
+    guild.assertBotCan(Flags.ManageRoles, method, route, this.channel);
+  }
+
+  /**
+   * @private
+   */
+  _targetId(target) {
+    return typeof target === 'string' ? target : target?.id;
+  }
+}
+
+class FakeChannel {
+  /**
+   * @param {FakeClient} client - Client
+   * @param {FakeGuild|null} guild - Guild, null for DM channels
+   * @param {Object} data - { id, name, type, topic, nsfw, parentId, position, rateLimitPerUser, bitrate, userLimit, recipient }
+   */
+  constructor(client, guild, data) {
+    this.client = client;
+    this.guild = guild;
+    this.guildId = guild?.id ?? null;
+    this.id = data.id;
+    this.type = data.type ?? ChannelType.GuildText;
+    this.name = data.name ?? null;
+    this.position = data.position ?? 0;
+    this.parentId = data.parentId ?? null;
+    this.deleted = false;
+    this.recipient = data.recipient ?? null;
+
+    if (this.type !== ChannelType.GuildCategory && this.type !== ChannelType.DM) {
+      this.topic = data.topic ?? null;
+      this.nsfw = !!data.nsfw;
+      this.rateLimitPerUser = data.rateLimitPerUser ?? 0;
+    }
+    if (VOICE_TYPES.includes(this.type)) {
+      this.bitrate = data.bitrate ?? 64000;
+      this.userLimit = data.userLimit ?? 0;
+    }
+    if (TEXT_TYPES.includes(this.type)) this.messages = new FakeMessageManager(this);
+    if (guild) this.permissionOverwrites = new FakePermissionOverwriteManager(this);
+  }
+
+  get parent() {
+    return this.parentId ? this.guild?.channels.cache.get(this.parentId) ?? null : null;
+  }
+
+  get createdTimestamp() {
+    return this.client.timestampOf(this.id);
+  }
+
+  get lastMessage() {
+    return this.messages?.cache.last() ?? null;
+  }
+
+  get url() {
+    return `https://discord.com/channels/${this.guildId ?? '@me'}/${this.id}`;
+  }
+
+  /**
+   * Voice channels: connected members. Other channels: members that can view the channel
+   */
+  get members() {
+    if (!this.guild) return new Collection();
+    if (this.isVoiceBased()) return this.guild.members.cache.filter(member => member.voice.channelId === this.id);
+    return this.guild.members.cache.filter(member => this.permissionsFor(member).has(Flags.ViewChannel));
+  }
+
+  isTextBased() {
+    return 'messages' in this;
+  }
+
+  isVoiceBased() {
+    return 'bitrate' in this;
+  }
+
+  isThread() {
+    return false;
+  }
+
+  isDMBased() {
+    return this.type === ChannelType.DM;
+  }
+
+  /**
+   * Permissions of a member or role in this channel, with overwrites applied
+   * @param {FakeMember|FakeRole|string} memberOrRole - Member, role or their ID
+   * @returns {PermissionsBitField|null}
+   */
+  permissionsFor(memberOrRole) {
+    const guild = this.guild;
+    if (!guild) return null;
+
+    const role = guild.roles.resolve(memberOrRole);
+    if (role) return this._rolePermissions(role);
+
+    const member = guild.members.resolve(memberOrRole);
+    if (!member) return null;
+    if (member.id === guild.ownerId) return new PermissionsBitField(PermissionsBitField.All).freeze();
+
+    const base = member.permissions;
+    if (base.has(Flags.Administrator)) return new PermissionsBitField(PermissionsBitField.All).freeze();
+
+    let bits = base.bitfield;
+    const everyone = this.permissionOverwrites.cache.get(guild.id);
+    if (everyone) bits = (bits & ~everyone.deny.bitfield) | everyone.allow.bitfield;
+
+    let roleAllow = 0n;
+    let roleDeny = 0n;
+    for (const roleId of member._roleIds) {
+      const overwrite = this.permissionOverwrites.cache.get(roleId);
+      if (!overwrite) continue;
+      roleAllow |= overwrite.allow.bitfield;
+      roleDeny |= overwrite.deny.bitfield;
+    }
+    bits = (bits & ~roleDeny) | roleAllow;
+
+    const own = this.permissionOverwrites.cache.get(member.id);
+    if (own) bits = (bits & ~own.deny.bitfield) | own.allow.bitfield;
+
+    return new PermissionsBitField(bits).freeze();
+  }
+
+  /**
+   * @param {string|Object} options - Content or message options
+   * @returns {Promise<FakeMessage>}
+   */
+  async send(options) {
+    const route = `/channels/${this.id}/messages`;
+    this.assertExists('POST', route);
+    if (!this.isTextBased()) throw apiError('INVALID_FORM_BODY', 'POST', route, 'channel: Cannot send messages in a non-text channel');
+    if (this.guild) {
+      this.guild.assertAlive('POST', route);
+      this.guild.assertBotCan(Flags.ViewChannel, 'POST', route, this, 'MISSING_ACCESS');
+      this.guild.assertBotCan(Flags.SendMessages, 'POST', route, this);
+    }
+
+    const data = normalizeMessageOptions(options);
+    if (!data.content && data.embeds.length === 0 && data.components.length === 0 && data.attachments.length === 0) {
+      throw apiError('EMPTY_MESSAGE', 'POST', route);
+    }
+    if (data.content && data.content.length > 2000) {
+      throw apiError('INVALID_FORM_BODY', 'POST', route, 'content[BASE_TYPE_MAX_LENGTH]: Must be 2000 or fewer in length.');
+    }
+
+    const message = this.client.postMessage(this, this.client.user, {
+      content: data.content,
+      embeds: data.embeds,
+      components: data.components,
+      attachments: data.attachments,
+      reference: data.reply ? { messageId: data.reply.messageReference?.id ?? data.reply.messageReference, channelId: this.id, guildId: this.guildId } : null
+    });
+    this.client.record(this.type === ChannelType.DM ? 'user.dm' : 'message.create', this.guild, {
+      channelId: this.id,
+      ...(this.recipient && { targetId: this.recipient.id }),
+      messageId: message.id,
+      content: message.content,
+      embeds: message.embeds,
+      components: message.components,
+      ...(message.reference && { replyTo: message.reference.messageId })
+    });
+    return message;
+  }
+
+  async sendTyping() {
+    this.assertExists('POST', `/channels/${this.id}/typing`);
+  }
+
+  /**
+   * Delete up to 100 messages younger than two weeks
+   * @param {number|Collection|Array} messages - Count of newest messages, or messages / IDs
+   * @param {boolean} filterOld - Skip old messages instead of failing
+   * @returns {Promise<Collection>} - Deleted messages
+   */
+  async bulkDelete(messages, filterOld = false) {
+    const route = `/channels/${this.id}/messages/bulk-delete`;
+    this.assertExists('POST', route);
+    this.guild.assertAlive('POST', route);
+
+    let targets;
+    if (typeof messages === 'number') {
+      targets = [...(await this.messages.fetch({ limit: messages })).values()];
+    } else {
+      const list = messages instanceof Collection ? [...messages.values()] : [...messages];
+      targets = list.map(message => this.messages.resolve(typeof message === 'string' ? message : message.id)).filter(Boolean);
+    }
+
+    if (filterOld) targets = targets.filter(message => Date.now() - message.createdTimestamp < BULK_DELETE_MAX_AGE);
+    if (targets.length === 0) return new Collection();
+    // discord.js deletes a single message with a normal delete
+    if (targets.length === 1) {
+      await targets[0].delete();
+      return new Collection([[targets[0].id, targets[0]]]);
+    }
+    if (targets.length > 100) {
+      throw apiError('INVALID_FORM_BODY', 'POST', route, 'messages[BASE_TYPE_BAD_LENGTH]: Must be between 2 and 100 in length.');
+    }
+
+    this.guild.assertBotCan(Flags.ManageMessages, 'POST', route, this);
+    if (targets.some(message => Date.now() - message.createdTimestamp >= BULK_DELETE_MAX_AGE)) {
+      throw apiError('BULK_DELETE_TOO_OLD', 'POST', route);
+    }
+
+    const deleted = new Collection(targets.map(message => [message.id, message]));
+    deleted.forEach(message => this.messages._remove(message));
+    this.client.record('message.bulkDelete', this.guild, {
+      channelId: this.id,
+      messageIds: [...deleted.keys()],
+      authorIds: [...new Set(deleted.map(message => message.author.id))],
+      count: deleted.size
+    });
+    this.client.dispatch(Events.MessageBulkDelete, deleted, this);
+    return deleted;
+  }
+
+  /**
+   * @param {Object} data - { name, topic, nsfw, rateLimitPerUser, bitrate, userLimit, parent, position, permissionOverwrites, reason }
+   * @returns {Promise<FakeChannel>}
+   */
+  async edit(data) {
+    return this.guild.channels.edit(this, data);
+  }
+
+  setName(name, reason) {
+    return this.edit({ name, reason });
+  }
+
+  setTopic(topic, reason) {
+    return this.edit({ topic, reason });
+  }
+
+  setParent(parent, options = {}) {
+    return this.edit({ parent, reason: options.reason });
+  }
+
+  setRateLimitPerUser(rateLimitPerUser, reason) {
+    return this.edit({ rateLimitPerUser, reason });
+  }
+
+  async delete(reason) {
+    return this.guild.channels.delete(this, reason);
+  }
+
+  /**
+   * @param {Object} options - { maxAge, maxUses, temporary, unique, reason }
+   * @returns {Promise<Object>} - Invite
+   */
+  async createInvite(options = {}) {
+    return this.guild.invites.create(this, options);
+  }
+
+  /**
+   * @param {Object} options - { filter(message), max, time }
+   * @returns {FakeCollector}
+   */
+  createMessageCollector(options = {}) {
+    const collector = new FakeCollector(this.client, options);
+    collector.source = this;
+    collector.kind = 'message';
+    return collector;
+  }
+
+  /**
+   * @param {Object} options - { filter, max, time, errors }
+   * @returns {Promise<Collection>}
+   */
+  awaitMessages(options = {}) {
+    return this.createMessageCollector(options)._await(options.errors);
+  }
+
+  async fetch() {
+    this.assertExists('GET', `/channels/${this.id}`);
+    return this;
+  }
+
+  toString() {
+    return `<#${this.id}>`;
+  }
+
+  /**
+   * The bot must be able to see the channel and read its history
+   */
+  assertReadable(method, route) {
+    this.assertExists(method, route);
+    if (!this.guild) return;
+    this.guild.assertBotCan(Flags.ViewChannel, method, route, this, 'MISSING_ACCESS');
+    this.guild.assertBotCan(Flags.ReadMessageHistory, method, route, this);
+  }
+
+  assertExists(method, route) {
+    if (this.deleted) throw apiError('UNKNOWN_CHANNEL', method, route);
+  }
+
+  /**
+   * Snapshot for update events
+   * @private
+   */
+  _clone() {
+    return Object.assign(Object.create(FakeChannel.prototype), this);
+  }
+
+  /**
+   * @private
+   */
+  _rolePermissions(role) {
+    if (role.permissions.has(Flags.Administrator)) return new PermissionsBitField(PermissionsBitField.All).freeze();
+    let bits = role.permissions.bitfield | this.guild.roles.everyone.permissions.bitfield;
+    const everyone = this.permissionOverwrites.cache.get(this.guild.id);
+    if (everyone) bits = (bits & ~everyone.deny.bitfield) | everyone.allow.bitfield;
+    const own = role.id !== this.guild.id ? this.permissionOverwrites.cache.get(role.id) : null;
+    if (own) bits = (bits & ~own.deny.bitfield) | own.allow.bitfield;
+    return new PermissionsBitField(bits).freeze();
+  }
+}
+
+module.exports = { FakeChannel, VOICE_TYPES, BULK_DELETE_MAX_AGE };
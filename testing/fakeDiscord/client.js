@@ -0,0 +1,435 @@
+/**
+ * Fake discord.js client
+ * Holds the guilds, users and DM channels, dispatches gateway events to the bot's listeners and
+ * records every change the bot makes through the API
+ */
+const { EventEmitter } = require('events');
+const { ChannelType, Collection, Events, InteractionType, ComponentType, PermissionsBitField, SnowflakeUtil } = require('discord.js');
+const { apiError } = require('./errors');
+const { FakeChannel } = require('./channel');
+const { FakeGuild } = require('./guild');
+const { FakeInteraction, SELECT_TYPES } = require('./interaction');
+const { FakeMessage } = require('./message');
+const { FakeUser } = require('./member');
+
+class FakeClient extends EventEmitter {
+  /**
+   * @param {Object} options - { botId, botName }
+   */
+  constructor(options = {}) {
+    super();
+    this.user = new FakeUser(this, { id: options.botId || this.generateId(), username: options.botName || 'Becas', bot: true });
+    this.readyTimestamp = null;
+    this.ws = { ping: 0 };
+    this.application = { id: this.user.id };
+
+    // Every API change: { seq, type, guildId, at, ...details }
+    this.mutations = [];
+    // Errors thrown by the bot's event listeners: { event, error }
+    this.listenerErrors = [];
+    // Active message, reaction and component collectors
+    this.collectors = new Set();
+    // Listener promises that have not settled yet
+    this.pending = new Set();
+    this.mutationWaiters = [];
+
+    const guilds = new Collection();
+    this.guilds = {
+      cache: guilds,
+      fetch: async id => {
+        if (!id) return guilds.clone();
+        const guild = guilds.get(id);
+        if (!guild) throw apiError('UNKNOWN_GUILD', 'GET', `/guilds/${id}`);
+        return guild;
+      },
+      resolve: guild => guilds.get(typeof guild === 'string' ? guild : guild?.id) ?? null
+    };
+
+    const users = new Collection([[this.user.id, this.user]]);
+    this.users = {
+      cache: users,
+      fetch: async id => {
+        const user = users.get(typeof id === 'string' ? id : id?.id);
+        if (!user) throw apiError('UNKNOWN_USER', 'GET', `/users/${id}`);
+        return user;
+      },
+      resolve: user => users.get(typeof user === 'string' ? user : user?.id) ?? null
+    };
+
+    this.dmChannels = new Collection();
+    const client = this;
+    this.channels = {
+      // Guild and DM channels, like the client-wide cache of discord.js
+      get cache() {
+        return new Collection([...client.guilds.cache.flatMap(guild => guild.channels.cache), ...client.dmChannels]);
+      },
+      fetch: async id => {
+        const channel = this.channels.cache.get(id);
+        if (!channel) throw apiError('UNKNOWN_CHANNEL', 'GET', `/channels/${id}`);
+        if (channel.guild && !channel.permissionsFor(channel.guild.members.me)?.has(PermissionsBitField.Flags.ViewChannel)) {
+          throw apiError('MISSING_ACCESS', 'GET', `/channels/${id}`);
+        }
+        return channel;
+      },
+      resolve: channel => this.channels.cache.get(typeof channel === 'string' ? channel : channel?.id) ?? null
+    };
+  }
+
+  get uptime() {
+    return this.readyTimestamp ? Date.now() - this.readyTimestamp : null;
+  }
+
+  isReady() {
+    return this.readyTimestamp !== null;
+  }
+
+  /**
+   * Emit ClientReady, like a successful login
+   * @returns {Promise<string>}
+   */
+  async login(token = 'fake-token') {
+    this.readyTimestamp = Date.now();
+    this.dispatch(Events.ClientReady, this);
+    return token;
+  }
+
+  /**
+   * Stop collectors and listeners so the process can exit
+   */
+  async destroy() {
+    for (const collector of [...this.collectors]) collector.stop('clientDestroy');
+    for (const waiter of this.mutationWaiters) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Client destroyed'));
+    }
+    this.mutationWaiters = [];
+    this.removeAllListeners();
+    this.readyTimestamp = null;
+  }
+
+  /**
+   * Add a guild the bot is in
+   * @param {Object} fixture - {
+   *   id, name, owner (username), systemChannel (name), everyonePermissions,
+   *   bot: { permissions, position, nickname },
+   *   roles: [{ id, name, permissions, color, hoist, mentionable, position }],
+   *   channels: [{ id, name, type: text|voice|category|announcement|stage|forum, parent, topic, nsfw,
+   *     overwrites: [{ role | member, allow, deny }] }],
+   *   members: [{ id, username, globalName, nickname, roles: [names], bot, voice: channel name or
+   *     { channel, selfMute, selfDeaf, mute, deaf, streaming }, joinedDaysAgo, timeoutMinutes }],
+   *   messages: [{ channel, author, content, minutesAgo, pinned }],
+   *   bans: [username or { id, username, reason }]
+   * }
+   * @returns {FakeGuild}
+   */
+  addGuild(fixture = {}) {
+    const guild = new FakeGuild(this, fixture);
+    this.guilds.cache.set(guild.id, guild);
+    return guild;
+  }
+
+  /**
+   * Remove the bot from a guild; later API calls on it fail with Unknown Guild
+   * @param {FakeGuild} guild - Guild to leave
+   */
+  removeGuild(guild) {
+    this.guilds.cache.delete(guild.id);
+    this.dispatch(Events.GuildDelete, guild);
+  }
+
+  /**
+   * Known user for the fixture data, created when new
+   * @param {Object} data - { id, username, globalName, bot }
+   * @returns {FakeUser}
+   */
+  addUser(data) {
+    const existing = data.id && this.users.cache.get(data.id);
+    if (existing) return existing;
+
+    const user = new FakeUser(this, { ...data, id: data.id || this.generateId() });
+    this.users.cache.set(user.id, user);
+    return user;
+  }
+
+  /**
+   * @private
+   */
+  createDMChannel(user) {
+    const channel = new FakeChannel(this, null, { id: this.generateId(), type: ChannelType.DM, recipient: user });
+    this.dmChannels.set(channel.id, channel);
+    return channel;
+  }
+
+  /**
+   * Store a message in a channel and dispatch MessageCreate. Used for the bot's own messages
+   * (after the API checks) and for simulated members
+   * @param {FakeChannel} channel - Channel
+   * @param {FakeUser} author - Author
+   * @param {Object} data - FakeMessage data without id
+   * @param {Object} options - { silent: store without dispatching, for fixtures }
+   * @returns {FakeMessage}
+   */
+  postMessage(channel, author, data, options = {}) {
+    const createdTimestamp = data.createdTimestamp ?? Date.now();
+    const message = new FakeMessage(channel, {
+      ...data,
+      id: this.generateId(createdTimestamp),
+      author,
+      createdTimestamp
+    });
+    channel.messages._add(message);
+    if (!options.silent) this.dispatch(Events.MessageCreate, message);
+    return message;
+  }
+
+  /**
+   * A member (or user, in DMs) sends a message. Listeners run in the background; await
+   * settle() before checking what the bot did
+   * @param {FakeMember|FakeUser|string} author - Author, or their ID or username
+   * @param {FakeChannel|string} channel - Channel, or its ID or name
+   * @param {string|Object} content - Content, or { content, attachments: [{ url, name }], replyTo }
+   * @returns {FakeMessage}
+   */
+  receiveMessage(author, channel, content) {
+    const resolvedChannel = this._resolveChannel(channel);
+    const { user, member } = this._resolveActor(author, resolvedChannel.guild);
+    const data = typeof content === 'string' ? { content } : content;
+
+    // What the Discord client would not let the member do
+    if (member) {
+      if (member.isCommunicationDisabled()) throw new Error(`${user.username} is timed out and cannot send messages`);
+      const permissions = resolvedChannel.permissionsFor(member);
+      if (!permissions.has(PermissionsBitField.Flags.ViewChannel) || !permissions.has(PermissionsBitField.Flags.SendMessages)) {
+        throw new Error(`${user.username} cannot send messages in #${resolvedChannel.name}`);
+      }
+    }
+
+    return this.postMessage(resolvedChannel, user, {
+      content: data.content,
+      attachments: data.attachments,
+      reference: data.replyTo ? { messageId: data.replyTo.id ?? data.replyTo, channelId: resolvedChannel.id, guildId: resolvedChannel.guildId } : null
+    });
+  }
+
+  /**
+   * A member reacts to a message
+   * @param {FakeMember|FakeUser|string} user - Reacting member
+   * @param {FakeMessage} message - Message
+   * @param {string} emoji - Emoji
+   * @returns {Object} - The reaction
+   */
+  react(user, message, emoji) {
+    return message.addReaction(this._resolveActor(user, message.guild).user, emoji);
+  }
+
+  /**
+   * A member clicks a button
+   * @param {FakeMember|FakeUser|string} user - Clicking member
+   * @param {FakeMessage} message - Message with the button
+   * @param {string} customId - Button custom ID
+   * @returns {FakeInteraction}
+   */
+  clickButton(user, message, customId) {
+    return this._interact(user, message, {
+      type: InteractionType.MessageComponent,
+      componentType: ComponentType.Button,
+      customId
+    });
+  }
+
+  /**
+   * A member picks values in a select menu
+   * @param {FakeMember|FakeUser|string} user - Member
+   * @param {FakeMessage} message - Message with the menu
+   * @param {string} customId - Menu custom ID
+   * @param {Array<string>} values - Selected values (IDs for user, role and channel menus)
+   * @param {string} kind - string, user, role, mentionable or channel
+   * @returns {FakeInteraction}
+   */
+  selectMenu(user, message, customId, values, kind = 'string') {
+    return this._interact(user, message, {
+      type: InteractionType.MessageComponent,
+      componentType: SELECT_TYPES[kind],
+      customId,
+      values
+    });
+  }
+
+  /**
+   * A member submits a modal
+   * @param {FakeMember|FakeUser|string} user - Member
+   * @param {string} customId - Modal custom ID
+   * @param {Object} fields - Text input values by custom ID
+   * @param {Object} options - { message (the modal was opened from), channel }
+   * @returns {FakeInteraction}
+   */
+  submitModal(user, customId, fields, options = {}) {
+    return this._interact(user, options.message ?? null, {
+      type: InteractionType.ModalSubmit,
+      customId,
+      fields,
+      channel: options.channel ? this._resolveChannel(options.channel) : undefined
+    });
+  }
+
+  /**
+   * Call the listeners of an event and track their promises for settle()
+   * @param {string} event - Event name
+   * @param {...any} args - Event arguments
+   */
+  dispatch(event, ...args) {
+    for (const listener of this.listeners(event)) {
+      let result;
+      try {
+        result = listener(...args);
+      } catch (error) {
+        this.listenerErrors.push({ event, error });
+        continue;
+      }
+      if (!result || typeof result.then !== 'function') continue;
+
+      const tracked = Promise.resolve(result)
+        .catch(error => { this.listenerErrors.push({ event, error }); })
+        .finally(() => this.pending.delete(tracked));
+      this.pending.add(tracked);
+    }
+  }
+
+  /**
+   * Wait until the listeners (and everything they dispatched) finished
+   * @param {number} timeout - Milliseconds; listeners waiting for input (approvals) never finish
+   * @returns {Promise<boolean>} - false if listeners were still running at the timeout
+   */
+  async settle(timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (this.pending.size === 0) return true;
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return false;
+      let timer;
+      await Promise.race([
+        Promise.allSettled([...this.pending]),
+        new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+      ]);
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Record a change made through the API
+   * @param {string} type - e.g. member.timeout, message.create, role.add
+   * @param {FakeGuild|null} guild - Guild it happened in
+   * @param {Object} details - What changed
+   * @returns {Object} - The mutation
+   */
+  record(type, guild, details = {}) {
+    const mutation = { seq: this.mutations.length + 1, type, guildId: guild?.id ?? null, at: Date.now(), ...details };
+    this.mutations.push(mutation);
+
+    this.mutationWaiters = this.mutationWaiters.filter(waiter => {
+      if (!waiter.match(mutation)) return true;
+      clearTimeout(waiter.timer);
+      // Let the bot get past the API call (e.g. to its collector) before the test goes on
+      setImmediate(() => waiter.resolve(mutation));
+      return false;
+    });
+    return mutation;
+  }
+
+  /**
+   * @param {string|Function} match - Mutation type, or predicate
+   * @returns {Array<Object>}
+   */
+  mutationsOf(match) {
+    return this.mutations.filter(this._matcher(match));
+  }
+
+  clearMutations() {
+    this.mutations = [];
+  }
+
+  /**
+   * Resolve with the next mutation that matches, e.g. the approval prompt of a plan
+   * @param {string|Function} match - Mutation type, or predicate
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<Object>}
+   */
+  waitForMutation(match, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+      const waiter = { match: this._matcher(match), resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.mutationWaiters = this.mutationWaiters.filter(other => other !== waiter);
+        reject(new Error(`No ${typeof match === 'string' ? match : 'matching'} mutation within ${timeout}ms`));
+      }, timeout);
+      this.mutationWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * New snowflake, optionally for a past time
+   * @param {number} timestamp - Creation time
+   * @returns {string}
+   */
+  generateId(timestamp = Date.now()) {
+    return SnowflakeUtil.generate({ timestamp }).toString();
+  }
+
+  timestampOf(id) {
+    return SnowflakeUtil.timestampFrom(id);
+  }
+
+  /**
+   * @private
+   */
+  _interact(user, message, data) {
+    const channel = data.channel ?? message?.channel ?? null;
+    const actor = this._resolveActor(user, channel?.guild ?? message?.guild);
+    const interaction = new FakeInteraction(this, { ...data, user: actor.user, member: actor.member, message, channel });
+
+    if (message && data.type === InteractionType.MessageComponent) {
+      for (const collector of this.collectors) {
+        if (collector.source === message && collector.kind === 'component') collector.handle(interaction);
+      }
+    }
+    this.dispatch(Events.InteractionCreate, interaction);
+    return interaction;
+  }
+
+  /**
+   * @private
+   */
+  _resolveChannel(channel) {
+    if (channel instanceof FakeChannel) return channel;
+    const resolved = this.channels.cache.get(channel) ??
+      this.guilds.cache.map(guild => guild.findChannel(channel)).find(Boolean);
+    if (!resolved) throw new Error(`Unknown channel ${channel}`);
+    return resolved;
+  }
+
+  /**
+   * Member and user for a member, user, ID or username
+   * @private
+   */
+  _resolveActor(actor, guild) {
+    if (actor?.user) return { user: actor.user, member: actor };
+
+    const user = actor instanceof FakeUser
+      ? actor
+      : this.users.cache.get(actor) ?? this.users.cache.find(other => other.username === actor);
+    const member = guild ? (user ? guild.members.cache.get(user.id) : guild.findMember(actor)) : null;
+    if (!user && !member) throw new Error(`Unknown user ${actor}`);
+    if (guild && !member) throw new Error(`${user.username} is not a member of ${guild.name}`);
+    return { user: member?.user ?? user, member: member ?? null };
+  }
+
+  /**
+   * @private
+   */
+  _matcher(match) {
+    return typeof match === 'function' ? match : mutation => mutation.type === match;
+  }
+}
+
+module.exports = { FakeClient };
@@ -0,0 +1,50 @@
+/**
+ * Discord API errors raised by the fake guild, with the codes and messages Discord uses, so
+ * error handling written against the real API (error.code checks, messages shown to the user)
+ * behaves the same
+ */
+const { DiscordAPIError } = require('discord.js');
+
+// name -> [code, HTTP status, message]
+const API_ERRORS = {
+  UNKNOWN_CHANNEL: [10003, 404, 'Unknown Channel'],
+  UNKNOWN_GUILD: [10004, 404, 'Unknown Guild'],
+  UNKNOWN_INVITE: [10006, 404, 'Unknown Invite'],
+  UNKNOWN_MEMBER: [10007, 404, 'Unknown Member'],
+  UNKNOWN_MESSAGE: [10008, 404, 'Unknown Message'],
+  UNKNOWN_ROLE: [10011, 404, 'Unknown Role'],
+  UNKNOWN_USER: [10013, 404, 'Unknown User'],
+  UNKNOWN_EMOJI: [10014, 400, 'Unknown Emoji'],
+  UNKNOWN_BAN: [10026, 404, 'Unknown Ban'],
+  UNKNOWN_INTERACTION: [10062, 404, 'Unknown interaction'],
+  NOT_CONNECTED_TO_VOICE: [40032, 400, 'Target user is not connected to voice.'],
+  MISSING_ACCESS: [50001, 403, 'Missing Access'],
+  CANNOT_EDIT_OTHERS_MESSAGE: [50005, 403, 'Cannot edit a message authored by another user'],
+  EMPTY_MESSAGE: [50006, 400, 'Cannot send an empty message'],
+  CANNOT_MESSAGE_USER: [50007, 403, 'Cannot send messages to this user'],
+  MISSING_PERMISSIONS: [50013, 403, 'Missing Permissions'],
+  BULK_DELETE_TOO_OLD: [50034, 400, 'You can only bulk delete messages that are under 14 days old.'],
+  INVALID_FORM_BODY: [50035, 400, 'Invalid Form Body']
+};
+
+/**
+ * Build a DiscordAPIError
+ * @param {string} name - Key of API_ERRORS
+ * @param {string} method - HTTP method of the failed request
+ * @param {string} route - API route, e.g. /guilds/1/members/2
+ * @param {string} detail - Extra line, e.g. the invalid field of a form body
+ * @returns {DiscordAPIError}
+ */
+function apiError(name, method = 'GET', route = '/', detail = null) {
+  const [code, status, message] = API_ERRORS[name];
+  return new DiscordAPIError(
+    { code, message: detail ? `${message}\n${detail}` : message },
+    code,
+    status,
+    method,
+    `https://discord.com/api/v10${route}`,
+    {}
+  );
+}
+
+module.exports = { API_ERRORS, apiError };
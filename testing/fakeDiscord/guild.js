@@ -0,0 +1,871 @@
+/**
+ * Fake guild with its member, role, channel, ban and invite managers
+ */
+const crypto = require('crypto');
+const { ChannelType, Collection, Events, GuildVerificationLevel, PermissionsBitField } = require('discord.js');
+const { apiError } = require('./errors');
+const { FakeChannel } = require('./channel');
+const { FakeMember } = require('./member');
+const { FakeRole } = require('./role');
+
+const Flags = PermissionsBitField.Flags;
+
+// Permissions of @everyone in a new Discord server
+const DEFAULT_EVERYONE_PERMISSIONS = [
+  'ViewChannel', 'CreateInstantInvite', 'ChangeNickname', 'SendMessages', 'SendMessagesInThreads',
+  'CreatePublicThreads', 'EmbedLinks', 'AttachFiles', 'AddReactions', 'UseExternalEmojis',
+  'ReadMessageHistory', 'Connect', 'Speak', 'Stream', 'UseVAD', 'UseApplicationCommands'
+];
+
+// Fixture channel types
+const CHANNEL_TYPES = {
+  text: ChannelType.GuildText,
+  voice: ChannelType.GuildVoice,
+  category: ChannelType.GuildCategory,
+  announcement: ChannelType.GuildAnnouncement,
+  stage: ChannelType.GuildStageVoice,
+  forum: ChannelType.GuildForum
+};
+
+// Channel types a bot can create
+const CREATABLE_TYPES = Object.values(CHANNEL_TYPES);
+
+// Text-like channel names are lowercase without spaces on Discord
+const NORMALIZED_NAME_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum];
+
+/**
+ * guild.members
+ */
+class FakeGuildMemberManager {
+  constructor(guild) {
+    this.guild = guild;
+    this.cache = new Collection();
+  }
+
+  get me() {
+    return this.cache.get(this.guild.client.user.id) ?? null;
+  }
+
+  /**
+   * One member by ID, members matching a query, or every member
+   * @param {string|Object} options - User ID, { user }, { query, limit } or nothing
+   * @returns {Promise<FakeMember|Collection>}
+   */
+  async fetch(options) {
+    const route = `/guilds/${this.guild.id}/members`;
+    this.guild.assertAlive('GET', route);
+
+    const id = typeof options === 'string' ? options : options?.user?.id ?? (typeof options?.user === 'string' ? options.user : null);
+    if (id) {
+      const member = this.cache.get(id);
+      if (!member) throw apiError('UNKNOWN_MEMBER', 'GET', `${route}/${id}`);
+      return member;
+    }
+    if (Array.isArray(options?.user)) {
+      return this.cache.filter(member => options.user.map(user => user?.id ?? user).includes(member.id));
+    }
+    if (options?.query !== undefined) return this.search(options);
+    return this.cache.clone();
+  }
+
+  /**
+   * Members whose username or nickname starts with the query
+   * @param {Object} options - { query, limit }
+   * @returns {Promise<Collection>}
+   */
+  async search({ query = '', limit = 1 } = {}) {
+    const prefix = String(query).toLowerCase();
+    const found = this.cache.filter(member =>
+      member.user.username.toLowerCase().startsWith(prefix) ||
+      (member.nickname || '').toLowerCase().startsWith(prefix));
+    return new Collection(found.first(limit).map(member => [member.id, member]));
+  }
+
+  resolve(member) {
+    if (!member) return null;
+    if (typeof member === 'string') return this.cache.get(member) ?? null;
+    return this.cache.get(member.id) ?? null;
+  }
+
+  resolveId(member) {
+    return typeof member === 'string' ? member : member?.id ?? null;
+  }
+
+  /**
+   * @param {UserResolvable} user - Member to kick
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeMember>}
+   */
+  async kick(user, reason) {
+    const id = this.resolveId(user);
+    const route = `/guilds/${this.guild.id}/members/${id}`;
+    this.guild.assertAlive('DELETE', route);
+    this.guild.assertBotCan(Flags.KickMembers, 'DELETE', route);
+
+    const member = this.cache.get(id);
+    if (!member) throw apiError('UNKNOWN_MEMBER', 'DELETE', route);
+    if (!member.manageable) throw apiError('MISSING_PERMISSIONS', 'DELETE', route);
+
+    this._remove(member);
+    this.guild.client.record('member.kick', this.guild, { targetId: id, reason: reason || null });
+    this.guild.client.dispatch(Events.GuildMemberRemove, member);
+    return member;
+  }
+
+  async ban(user, options = {}) {
+    return this.guild.bans.create(user, options);
+  }
+
+  async unban(user, reason) {
+    return this.guild.bans.remove(user, reason);
+  }
+
+  /**
+   * @private
+   */
+  _remove(member) {
+    member.voice.channelId = null;
+    this.cache.delete(member.id);
+  }
+}
+
+/**
+ * guild.roles
+ */
+class FakeRoleManager {
+  constructor(guild) {
+    this.guild = guild;
+    this.cache = new Collection();
+  }
+
+  get everyone() {
+    return this.cache.get(this.guild.id);
+  }
+
+  get highest() {
+    return this.cache.reduce((top, role) => (role.comparePositionTo(top) > 0 ? role : top), this.everyone);
+  }
+
+  /**
+   * @param {string} id - Role ID, or nothing for every role
+   * @returns {Promise<FakeRole|null|Collection>}
+   */
+  async fetch(id) {
+    this.guild.assertAlive('GET', `/guilds/${this.guild.id}/roles`);
+    if (id) return this.cache.get(id) ?? null;
+    return this.cache.clone();
+  }
+
+  resolve(role) {
+    if (!role) return null;
+    if (typeof role === 'string') return this.cache.get(role) ?? null;
+    return role instanceof FakeRole ? this.cache.get(role.id) ?? null : null;
+  }
+
+  resolveId(role) {
+    return typeof role === 'string' ? role : role?.id ?? null;
+  }
+
+  /**
+   * @param {Object} options - { name, color, hoist, mentionable, permissions, position, reason }
+   * @returns {Promise<FakeRole>}
+   */
+  async create(options = {}) {
+    const route = `/guilds/${this.guild.id}/roles`;
+    this.guild.assertAlive('POST', route);
+    this.guild.assertBotCan(Flags.ManageRoles, 'POST', route);
+
+    // Bots cannot hand out permissions they do not have themselves
+    const permissions = new PermissionsBitField(options.permissions ?? 0n);
+    const me = this.guild.members.me;
+    if (!me.permissions.has(Flags.Administrator) && !me.permissions.has(permissions)) {
+      throw apiError('MISSING_PERMISSIONS', 'POST', route);
+    }
+
+    const role = new FakeRole(this.guild, {
+      id: this.guild.client.generateId(),
+      name: options.name ?? 'new role',
+      color: options.color,
+      hoist: options.hoist,
+      mentionable: options.mentionable,
+      permissions: permissions.bitfield,
+      position: 1
+    });
+    this.cache.set(role.id, role);
+    this.guild.moveRole(role, options.position ?? 1);
+
+    this.guild.client.record('role.create', this.guild, { targetId: role.id, name: role.name, reason: options.reason || null });
+    this.guild.client.dispatch(Events.GuildRoleCreate, role);
+    return role;
+  }
+
+  async edit(role, data) {
+    const resolved = this.resolve(role);
+    if (!resolved) throw apiError('UNKNOWN_ROLE', 'PATCH', `/guilds/${this.guild.id}/roles/${this.resolveId(role)}`);
+    return resolved.edit(data);
+  }
+
+  /**
+   * @param {RoleResolvable} role - Role to delete
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeRole>}
+   */
+  async delete(role, reason) {
+    const id = this.resolveId(role);
+    const route = `/guilds/${this.guild.id}/roles/${id}`;
+    this.guild.assertAlive('DELETE', route);
+    this.guild.assertBotCan(Flags.ManageRoles, 'DELETE', route);
+
+    const resolved = this.cache.get(id);
+    if (!resolved) throw apiError('UNKNOWN_ROLE', 'DELETE', route);
+    if (resolved.id === this.guild.id || resolved.managed) {
+      throw apiError('INVALID_FORM_BODY', 'DELETE', route, 'role: This role cannot be deleted');
+    }
+    if (!this.guild.canManageRole(resolved)) throw apiError('MISSING_PERMISSIONS', 'DELETE', route);
+
+    this.cache.delete(id);
+    this.guild.members.cache.forEach(member => member._roleIds.delete(id));
+    this.guild.channels.cache.forEach(channel => channel.permissionOverwrites.cache.delete(id));
+    this.guild.moveRole(null);
+
+    this.guild.client.record('role.delete', this.guild, { targetId: id, name: resolved.name, reason: reason || null });
+    this.guild.client.dispatch(Events.GuildRoleDelete, resolved);
+    return resolved;
+  }
+
+  comparePositions(role1, role2) {
+    return this.resolve(role1).comparePositionTo(this.resolve(role2));
+  }
+}
+
+/**
+ * guild.channels
+ */
+class FakeGuildChannelManager {
+  constructor(guild) {
+    this.guild = guild;
+    this.cache = new Collection();
+  }
+
+  /**
+   * @param {string} id - Channel ID, or nothing for every channel
+   * @returns {Promise<FakeChannel|Collection>}
+   */
+  async fetch(id) {
+    const route = `/guilds/${this.guild.id}/channels`;
+    this.guild.assertAlive('GET', route);
+    if (!id) return this.cache.clone();
+
+    const channel = this.cache.get(id);
+    if (!channel) throw apiError('UNKNOWN_CHANNEL', 'GET', `/channels/${id}`);
+    return channel;
+  }
+
+  resolve(channel) {
+    if (!channel) return null;
+    if (typeof channel === 'string') return this.cache.get(channel) ?? null;
+    return this.cache.get(channel.id) ?? null;
+  }
+
+  resolveId(channel) {
+    return typeof channel === 'string' ? channel : channel?.id ?? null;
+  }
+
+  /**
+   * discord.js v14 signature: a single options object
+   * @param {Object} options - { name, type, topic, nsfw, parent, position, permissionOverwrites, bitrate, userLimit, rateLimitPerUser, reason }
+   * @returns {Promise<FakeChannel>}
+   */
+  async create(options) {
+    const route = `/guilds/${this.guild.id}/channels`;
+    this.guild.assertAlive('POST', route);
+    this.guild.assertBotCan(Flags.ManageChannels, 'POST', route);
+
+    // A v13 style create(name, options) call sends no name
+    const name = typeof options?.name === 'string' ? options.name.trim() : '';
+    if (!name || name.length > 100) {
+      throw apiError('INVALID_FORM_BODY', 'POST', route, 'name[BASE_TYPE_REQUIRED]: This field is required');
+    }
+    const type = options.type ?? ChannelType.GuildText;
+    if (!CREATABLE_TYPES.includes(type)) {
+      throw apiError('INVALID_FORM_BODY', 'POST', route, 'type[BASE_TYPE_CHOICES]: Value must be one of {0, 2, 4, 5, 13, 15}.');
+    }
+
+    const parentId = options.parent ? this.resolveId(options.parent) : null;
+    if (parentId && this.cache.get(parentId)?.type !== ChannelType.GuildCategory) {
+      throw apiError('INVALID_FORM_BODY', 'POST', route, 'parent_id[CHANNEL_PARENT_INVALID]: Not a category');
+    }
+
+    const channel = new FakeChannel(this.guild.client, this.guild, {
+      id: this.guild.client.generateId(),
+      name: this._normalizeName(name, type),
+      type,
+      topic: options.topic,
+      nsfw: options.nsfw,
+      parentId,
+      position: options.position ?? this.cache.size,
+      rateLimitPerUser: options.rateLimitPerUser,
+      bitrate: options.bitrate,
+      userLimit: options.userLimit
+    });
+    channel.permissionOverwrites.set((options.permissionOverwrites || []).map(overwrite => ({
+      ...overwrite,
+      id: this.guild.roles.resolveId(overwrite.id) ?? this.guild.members.resolveId(overwrite.id)
+    })));
+    this.cache.set(channel.id, channel);
+
+    this.guild.client.record('channel.create', this.guild, {
+      targetId: channel.id,
+      name: channel.name,
+      channelType: channel.type,
+      parentId,
+      reason: options.reason || null
+    });
+    this.guild.client.dispatch(Events.ChannelCreate, channel);
+    return channel;
+  }
+
+  /**
+   * @param {ChannelResolvable} channel - Channel to edit
+   * @param {Object} data - Changed fields and reason
+   * @returns {Promise<FakeChannel>}
+   */
+  async edit(channel, data = {}) {
+    const id = this.resolveId(channel);
+    const route = `/channels/${id}`;
+    this.guild.assertAlive('PATCH', route);
+    const resolved = this.cache.get(id);
+    if (!resolved) throw apiError('UNKNOWN_CHANNEL', 'PATCH', route);
+    this.guild.assertBotCan(Flags.ManageChannels, 'PATCH', route, resolved);
+
+    const before = resolved._clone();
+    if (data.name !== undefined) {
+      const name = String(data.name).trim();
+      if (!name || name.length > 100) {
+        throw apiError('INVALID_FORM_BODY', 'PATCH', route, 'name[BASE_TYPE_BAD_LENGTH]: Must be between 1 and 100 in length.');
+      }
+      resolved.name = this._normalizeName(name, resolved.type);
+    }
+    for (const key of ['topic', 'nsfw', 'rateLimitPerUser', 'bitrate', 'userLimit', 'position']) {
+      if (data[key] !== undefined && key in resolved) resolved[key] = data[key];
+    }
+    if (data.parent !== undefined) resolved.parentId = data.parent ? this.resolveId(data.parent) : null;
+    if (data.permissionOverwrites !== undefined) resolved.permissionOverwrites.set(data.permissionOverwrites);
+
+    const changes = {};
+    for (const key of ['name', 'topic', 'nsfw', 'rateLimitPerUser', 'bitrate', 'userLimit', 'position', 'parentId']) {
+      if (before[key] !== resolved[key]) changes[key] = { from: before[key], to: resolved[key] };
+    }
+    this.guild.client.record('channel.edit', this.guild, { targetId: id, changes, reason: data.reason || null });
+    this.guild.client.dispatch(Events.ChannelUpdate, before, resolved);
+    return resolved;
+  }
+
+  /**
+   * @param {ChannelResolvable} channel - Channel to delete
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeChannel>}
+   */
+  async delete(channel, reason) {
+    const id = this.resolveId(channel);
+    const route = `/channels/${id}`;
+    this.guild.assertAlive('DELETE', route);
+    const resolved = this.cache.get(id);
+    if (!resolved) throw apiError('UNKNOWN_CHANNEL', 'DELETE', route);
+    this.guild.assertBotCan(Flags.ManageChannels, 'DELETE', route, resolved);
+
+    resolved.deleted = true;
+    this.cache.delete(id);
+    this.cache.forEach(child => { if (child.parentId === id) child.parentId = null; });
+    this.guild.members.cache.forEach(member => { if (member.voice.channelId === id) member.voice.channelId = null; });
+    this.guild.invites.cache.sweep(invite => invite.channelId === id);
+
+    this.guild.client.record('channel.delete', this.guild, {
+      targetId: id,
+      name: resolved.name,
+      channelType: resolved.type,
+      reason: reason || null
+    });
+    this.guild.client.dispatch(Events.ChannelDelete, resolved);
+    return resolved;
+  }
+
+  /**
+   * @private
+   */
+  _normalizeName(name, type) {
+    return NORMALIZED_NAME_TYPES.includes(type) ? name.toLowerCase().replace(/\s+/g, '-') : name;
+  }
+}
+
+/**
+ * guild.bans
+ */
+class FakeGuildBanManager {
+  constructor(guild) {
+    this.guild = guild;
+    this.cache = new Collection();
+  }
+
+  /**
+   * @param {string} user - Banned user ID, or nothing for every ban
+   * @returns {Promise<Object|Collection>} - { user, reason } or a collection of them
+   */
+  async fetch(user) {
+    const id = typeof user === 'string' ? user : user?.user ?? user?.id;
+    const route = `/guilds/${this.guild.id}/bans${id ? `/${id}` : ''}`;
+    this.guild.assertAlive('GET', route);
+    this.guild.assertBotCan(Flags.BanMembers, 'GET', route);
+    if (!id) return this.cache.clone();
+
+    const ban = this.cache.get(id);
+    if (!ban) throw apiError('UNKNOWN_BAN', 'GET', route);
+    return ban;
+  }
+
+  /**
+   * Ban a member or any user ID; the ban removes the member and their recent messages
+   * @param {UserResolvable} user - User to ban
+   * @param {Object} options - { reason, deleteMessageSeconds, deleteMessageDays (deprecated) }
+   * @returns {Promise<FakeUser|string>}
+   */
+  async create(user, options = {}) {
+    const client = this.guild.client;
+    const id = typeof user === 'string' ? user : user?.id;
+    const route = `/guilds/${this.guild.id}/bans/${id}`;
+    this.guild.assertAlive('PUT', route);
+    this.guild.assertBotCan(Flags.BanMembers, 'PUT', route);
+
+    const target = client.users.cache.get(id);
+    if (!target) throw apiError('UNKNOWN_USER', 'PUT', route);
+    const member = this.guild.members.cache.get(id);
+    if (id === this.guild.ownerId || id === client.user.id || (member && !member.manageable)) {
+      throw apiError('MISSING_PERMISSIONS', 'PUT', route);
+    }
+
+    const deleteMessageSeconds = options.deleteMessageSeconds ??
+      (options.deleteMessageDays ? options.deleteMessageDays * 24 * 60 * 60 : 0);
+    if (!Number.isInteger(deleteMessageSeconds) || deleteMessageSeconds < 0 || deleteMessageSeconds > 604800) {
+      throw apiError('INVALID_FORM_BODY', 'PUT', route, 'delete_message_seconds[NUMBER_TYPE_MAX]: Must be between 0 and 604800.');
+    }
+
+    // Messages of the banned user younger than deleteMessageSeconds
+    let deletedMessages = 0;
+    if (deleteMessageSeconds > 0) {
+      const since = Date.now() - deleteMessageSeconds * 1000;
+      for (const channel of this.guild.channels.cache.values()) {
+        if (!channel.messages) continue;
+        const messages = channel.messages.cache.filter(message => message.author.id === id && message.createdTimestamp >= since);
+        messages.forEach(message => channel.messages._remove(message));
+        deletedMessages += messages.size;
+      }
+    }
+
+    const ban = { guild: this.guild, user: target, reason: options.reason ?? null };
+    this.cache.set(id, ban);
+    if (member) this.guild.members._remove(member);
+
+    client.record('member.ban', this.guild, {
+      targetId: id,
+      reason: options.reason || null,
+      deleteMessageSeconds,
+      deletedMessages
+    });
+    client.dispatch(Events.GuildBanAdd, ban);
+    if (member) client.dispatch(Events.GuildMemberRemove, member);
+    return member ?? target;
+  }
+
+  /**
+   * @param {UserResolvable} user - Banned user
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeUser>}
+   */
+  async remove(user, reason) {
+    const id = typeof user === 'string' ? user : user?.id;
+    const route = `/guilds/${this.guild.id}/bans/${id}`;
+    this.guild.assertAlive('DELETE', route);
+    this.guild.assertBotCan(Flags.BanMembers, 'DELETE', route);
+
+    const ban = this.cache.get(id);
+    if (!ban) throw apiError('UNKNOWN_BAN', 'DELETE', route);
+
+    this.cache.delete(id);
+    this.guild.client.record('member.unban', this.guild, { targetId: id, reason: reason || null });
+    this.guild.client.dispatch(Events.GuildBanRemove, ban);
+    return ban.user;
+  }
+}
+
+/**
+ * guild.invites
+ */
+class FakeGuildInviteManager {
+  constructor(guild) {
+    this.guild = guild;
+    this.cache = new Collection();
+  }
+
+  /**
+   * @param {string} code - Invite code, or nothing for every invite
+   * @returns {Promise<Object|Collection>}
+   */
+  async fetch(code) {
+    const route = `/guilds/${this.guild.id}/invites`;
+    this.guild.assertAlive('GET', route);
+    this.guild.assertBotCan(Flags.ManageGuild, 'GET', route);
+    if (!code) return this.cache.clone();
+
+    const invite = this.cache.get(typeof code === 'string' ? code : code.code);
+    if (!invite) throw apiError('UNKNOWN_INVITE', 'GET', `/invites/${code}`);
+    return invite;
+  }
+
+  /**
+   * @param {ChannelResolvable} channel - Channel the invite points to
+   * @param {Object} options - { maxAge, maxUses, temporary, unique, reason }
+   * @returns {Promise<Object>} - Invite
+   */
+  async create(channel, options = {}) {
+    const resolved = this.guild.channels.resolve(channel);
+    const route = `/channels/${this.guild.channels.resolveId(channel)}/invites`;
+    this.guild.assertAlive('POST', route);
+    if (!resolved) throw apiError('UNKNOWN_CHANNEL', 'POST', route);
+    if (!resolved.isTextBased() && !resolved.isVoiceBased()) {
+      throw apiError('INVALID_FORM_BODY', 'POST', route, 'channel: Cannot create invites for this channel type');
+    }
+    this.guild.assertBotCan(Flags.CreateInstantInvite, 'POST', route, resolved);
+
+    const client = this.guild.client;
+    const code = crypto.randomBytes(6).toString('base64url').slice(0, 8);
+    const createdTimestamp = Date.now();
+    const maxAge = options.maxAge ?? 86400;
+    const invite = {
+      code,
+      url: `https://discord.gg/${code}`,
+      guild: this.guild,
+      channel: resolved,
+      channelId: resolved.id,
+      inviter: client.user,
+      inviterId: client.user.id,
+      uses: 0,
+      maxUses: options.maxUses ?? 0,
+      maxAge,
+      temporary: !!options.temporary,
+      createdTimestamp,
+      createdAt: new Date(createdTimestamp),
+      expiresTimestamp: maxAge > 0 ? createdTimestamp + maxAge * 1000 : null,
+      delete: async reason => {
+        this.cache.delete(code);
+        client.record('invite.delete', this.guild, { code, reason: reason || null });
+        return invite;
+      },
+      toString: () => `https://discord.gg/${code}`
+    };
+    this.cache.set(code, invite);
+
+    client.record('invite.create', this.guild, {
+      channelId: resolved.id,
+      code,
+      maxAge: invite.maxAge,
+      maxUses: invite.maxUses,
+      temporary: invite.temporary,
+      reason: options.reason || null
+    });
+    client.dispatch(Events.InviteCreate, invite);
+    return invite;
+  }
+}
+
+class FakeGuild {
+  /**
+   * @param {FakeClient} client - Client the guild belongs to
+   * @param {Object} fixture - Guild description, see FakeClient#addGuild
+   */
+  constructor(client, fixture = {}) {
+    this.client = client;
+    this.id = fixture.id || client.generateId();
+    this.name = fixture.name || 'Test Server';
+    this.description = fixture.description ?? null;
+    this.icon = null;
+    this.available = true;
+    this.features = [];
+    this.preferredLocale = fixture.locale || 'en-US';
+    this.verificationLevel = GuildVerificationLevel.Low;
+    this.explicitContentFilter = 0;
+    this.defaultMessageNotifications = 1;
+    this.premiumTier = 0;
+    this.premiumSubscriptionCount = 0;
+    this.systemChannelId = null;
+    this.rulesChannelId = null;
+    this.publicUpdatesChannelId = null;
+    this.ownerId = null;
+    this.emojis = { cache: new Collection() };
+    this.stickers = { cache: new Collection() };
+
+    this.members = new FakeGuildMemberManager(this);
+    this.roles = new FakeRoleManager(this);
+    this.channels = new FakeGuildChannelManager(this);
+    this.bans = new FakeGuildBanManager(this);
+    this.invites = new FakeGuildInviteManager(this);
+
+    this._load(fixture);
+  }
+
+  get memberCount() {
+    return this.members.cache.size;
+  }
+
+  get createdTimestamp() {
+    return this.client.timestampOf(this.id);
+  }
+
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  get systemChannel() {
+    return this.channels.cache.get(this.systemChannelId) ?? null;
+  }
+
+  get rulesChannel() {
+    return this.channels.cache.get(this.rulesChannelId) ?? null;
+  }
+
+  iconURL() {
+    return this.icon ? `https://cdn.discordapp.com/icons/${this.id}/${this.icon}.png` : null;
+  }
+
+  async fetch() {
+    this.assertAlive('GET', `/guilds/${this.id}`);
+    return this;
+  }
+
+  async fetchOwner() {
+    return this.members.fetch(this.ownerId);
+  }
+
+  /**
+   * @param {Object} data - { name, description, icon, verificationLevel, explicitContentFilter,
+   *   defaultMessageNotifications, systemChannel, rulesChannel, publicUpdatesChannel, reason }
+   * @returns {Promise<FakeGuild>}
+   */
+  async edit(data = {}) {
+    const route = `/guilds/${this.id}`;
+    this.assertAlive('PATCH', route);
+    this.assertBotCan(Flags.ManageGuild, 'PATCH', route);
+
+    if (data.name !== undefined && (String(data.name).length < 2 || String(data.name).length > 100)) {
+      throw apiError('INVALID_FORM_BODY', 'PATCH', route, 'name[BASE_TYPE_BAD_LENGTH]: Must be between 2 and 100 in length.');
+    }
+    if (data.verificationLevel !== undefined && ![0, 1, 2, 3, 4].includes(data.verificationLevel)) {
+      throw apiError('INVALID_FORM_BODY', 'PATCH', route, 'verification_level[BASE_TYPE_CHOICES]: Value must be one of {0, 1, 2, 3, 4}.');
+    }
+
+    const before = Object.assign(Object.create(FakeGuild.prototype), this);
+    const fields = {
+      name: data.name,
+      description: data.description,
+      icon: data.icon === undefined ? undefined : data.icon && crypto.createHash('md5').update(String(data.icon)).digest('hex'),
+      verificationLevel: data.verificationLevel,
+      explicitContentFilter: data.explicitContentFilter,
+      defaultMessageNotifications: data.defaultMessageNotifications,
+      systemChannelId: data.systemChannel === undefined ? undefined : this.channels.resolveId(data.systemChannel),
+      rulesChannelId: data.rulesChannel === undefined ? undefined : this.channels.resolveId(data.rulesChannel),
+      publicUpdatesChannelId: data.publicUpdatesChannel === undefined ? undefined : this.channels.resolveId(data.publicUpdatesChannel)
+    };
+
+    const changes = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === this[key]) continue;
+      changes[key] = { from: this[key], to: value };
+      this[key] = value;
+    }
+
+    this.client.record('guild.edit', this, { changes, reason: data.reason || null });
+    this.client.dispatch(Events.GuildUpdate, before, this);
+    return this;
+  }
+
+  setName(name, reason) {
+    return this.edit({ name, reason });
+  }
+
+  /**
+   * Member by ID, username or nickname (simulator helper, not part of discord.js)
+   * @param {string} ref - ID or name
+   * @returns {FakeMember|undefined}
+   */
+  findMember(ref) {
+    return this.members.cache.get(ref) ??
+      this.members.cache.find(member => member.user.username === ref || member.nickname === ref);
+  }
+
+  /**
+   * Role by ID or name (simulator helper)
+   */
+  findRole(ref) {
+    return this.roles.cache.get(ref) ?? this.roles.cache.find(role => role.name === ref);
+  }
+
+  /**
+   * Channel by ID or name, with or without # (simulator helper)
+   */
+  findChannel(ref) {
+    const name = String(ref).replace(/^#/, '');
+    return this.channels.cache.get(ref) ?? this.channels.cache.find(channel => channel.name === name);
+  }
+
+  /**
+   * Whether the bot's highest role is above the role
+   */
+  canManageRole(role) {
+    const me = this.members.me;
+    if (!me) return false;
+    if (me.id === this.ownerId) return true;
+    return me.roles.highest.comparePositionTo(role) > 0;
+  }
+
+  /**
+   * Put a role at a position and renumber the others, like Discord does. Without a role only
+   * closes gaps (after a delete)
+   * @param {FakeRole|null} role - Role to move
+   * @param {number} position - New position, 1 is right above @everyone
+   */
+  moveRole(role, position) {
+    const ordered = this.roles.cache
+      .filter(other => other.id !== this.id && other !== role)
+      .sort((a, b) => a.comparePositionTo(b));
+    const list = [...ordered.values()];
+    if (role) list.splice(Math.max(0, Math.min(position - 1, list.length)), 0, role);
+    list.forEach((item, index) => { item.position = index + 1; });
+  }
+
+  /**
+   * The bot must still be in the guild
+   */
+  assertAlive(method, route) {
+    if (this.client.guilds.cache.get(this.id) !== this) throw apiError('UNKNOWN_GUILD', method, route);
+  }
+
+  /**
+   * Throw the API error Discord returns when the bot lacks a permission, in a channel if given
+   * @param {bigint} permission - Required permission
+   * @param {string} method - HTTP method
+   * @param {string} route - API route
+   * @param {FakeChannel} channel - Check channel permissions (overwrites) instead of guild ones
+   * @param {string} error - Error name, MISSING_ACCESS for channels the bot cannot see
+   */
+  assertBotCan(permission, method, route, channel = null, error = 'MISSING_PERMISSIONS') {
+    const me = this.members.me;
+    const permissions = !me ? null : channel ? channel.permissionsFor(me) : me.permissions;
+    if (!permissions || !permissions.has(permission)) throw apiError(error, method, route);
+  }
+
+  /**
+   * Build roles, channels, members and messages from the fixture
+   * @private
+   */
+  _load(fixture) {
+    const client = this.client;
+
+    this.roles.cache.set(this.id, new FakeRole(this, {
+      id: this.id,
+      name: '@everyone',
+      position: 0,
+      permissions: fixture.everyonePermissions ?? DEFAULT_EVERYONE_PERMISSIONS
+    }));
+    const roles = fixture.roles || [];
+    roles.forEach((data, index) => {
+      const role = new FakeRole(this, {
+        ...data,
+        id: data.id || client.generateId(),
+        position: data.position ?? roles.length - index
+      });
+      this.roles.cache.set(role.id, role);
+    });
+
+    // The bot's integration role sits on top
+    const bot = fixture.bot || {};
+    const botRole = new FakeRole(this, {
+      id: bot.roleId || client.generateId(),
+      name: client.user.username,
+      managed: true,
+      permissions: bot.permissions ?? ['Administrator'],
+      position: Math.max(0, ...this.roles.cache.map(role => role.position)) + 1
+    });
+    this.roles.cache.set(botRole.id, botRole);
+    this.moveRole(botRole, bot.position ?? Infinity);
+
+    // Categories first, so other channels can name their parent
+    const channels = [...(fixture.channels || [])]
+      .sort((a, b) => (b.type === 'category') - (a.type === 'category'));
+    channels.forEach((data, index) => {
+      const channel = new FakeChannel(client, this, {
+        ...data,
+        id: data.id || client.generateId(),
+        type: typeof data.type === 'number' ? data.type : CHANNEL_TYPES[data.type || 'text'],
+        parentId: data.parent ? this.findChannel(data.parent)?.id ?? null : null,
+        position: data.position ?? index
+      });
+      this.channels.cache.set(channel.id, channel);
+    });
+
+    const members = [{ id: client.user.id, username: client.user.username, bot: true, nickname: bot.nickname, botMember: true },
+      ...(fixture.members || [])];
+    for (const data of members) {
+      const user = data.botMember ? client.user : client.addUser(data);
+      const roleIds = (data.roles || []).map(name => {
+        const role = this.findRole(name);
+        if (!role) throw new Error(`Fixture member ${data.username} has unknown role ${name}`);
+        return role.id;
+      });
+      if (data.botMember) roleIds.push(botRole.id);
+
+      const voice = typeof data.voice === 'string' ? { channel: data.voice } : data.voice;
+      const member = new FakeMember(this, user, {
+        nickname: data.nickname,
+        roleIds,
+        joinedTimestamp: Date.now() - (data.joinedDaysAgo ?? 30) * 24 * 60 * 60 * 1000,
+        voice: voice ? { ...voice, channelId: this.findChannel(voice.channel)?.id } : undefined
+      });
+      if (data.timeoutMinutes) member.communicationDisabledUntilTimestamp = Date.now() + data.timeoutMinutes * 60000;
+      this.members.cache.set(user.id, member);
+    }
+
+    const owner = fixture.owner ? this.findMember(fixture.owner) : this.members.cache.find(member => !member.user.bot);
+    this.ownerId = owner?.id ?? client.user.id;
+    this.systemChannelId = fixture.systemChannel ? this.findChannel(fixture.systemChannel)?.id ?? null : null;
+
+    for (const data of fixture.messages || []) {
+      const channel = this.findChannel(data.channel);
+      const author = this.findMember(data.author);
+      if (!channel || !author) throw new Error(`Fixture message in ${data.channel} by ${data.author} does not resolve`);
+
+      const message = client.postMessage(channel, author.user, {
+        content: data.content,
+        createdTimestamp: Date.now() - (data.minutesAgo ?? 0) * 60000
+      }, { silent: true });
+      message.pinned = !!data.pinned;
+    }
+    for (const channel of this.channels.cache.values()) {
+      channel.messages?.cache.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    }
+
+    for (const data of fixture.channels || []) {
+      const channel = this.findChannel(data.id || data.name);
+      channel.permissionOverwrites.set((data.overwrites || []).map(overwrite => ({
+        id: overwrite.role ? this.findRole(overwrite.role)?.id : this.findMember(overwrite.member)?.id,
+        allow: overwrite.allow,
+        deny: overwrite.deny
+      })));
+    }
+
+    for (const data of fixture.bans || []) {
+      const user = client.addUser(typeof data === 'string' ? { username: data } : data);
+      this.bans.cache.set(user.id, { guild: this, user, reason: data.reason ?? null });
+    }
+  }
+}
+
+module.exports = { FakeGuild, CHANNEL_TYPES, DEFAULT_EVERYONE_PERMISSIONS };
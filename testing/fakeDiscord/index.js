@@ -0,0 +1,45 @@
+/**
+ * In-memory Discord stand-in for end-to-end tests
+ * @module testing/fakeDiscord
+ * @description Models guilds, members, roles, channels, messages, permissions, voice states, bans,
+ * invites and timeouts behind the subset of discord.js that DynamicHandler, WorkflowEngine, the
+ * api/*Actions classes and the extensions use. API calls check the bot's permissions and role
+ * hierarchy and fail with the DiscordAPIError Discord would return; every change is recorded in
+ * client.mutations.
+ *
+ * @example
+ * const client = new FakeClient({ botName: 'Becas' });
+ * const guild = client.addGuild({
+ *   roles: [{ name: 'Moderator', permissions: ['ModerateMembers'] }],
+ *   channels: [{ name: 'general' }],
+ *   members: [{ username: 'admin', roles: ['Moderator'] }, { username: 'alice' }]
+ * });
+ * client.on(Events.MessageCreate, handler);
+ * client.receiveMessage('admin', 'general', '@Becas timeout @alice 5m');
+ * await client.settle();
+ * client.mutationsOf('member.timeout'); // [{ type: 'member.timeout', targetId, duration, ... }]
+ * await client.destroy();
+ */
+const { FakeClient } = require('./client');
+const { FakeGuild, CHANNEL_TYPES } = require('./guild');
+const { FakeChannel } = require('./channel');
+const { FakeUser, FakeMember } = require('./member');
+const { FakeRole } = require('./role');
+const { FakeMessage, FakeCollector } = require('./message');
+const { FakeInteraction } = require('./interaction');
+const { apiError, API_ERRORS } = require('./errors');
+
+module.exports = {
+  FakeClient,
+  FakeGuild,
+  FakeChannel,
+  FakeUser,
+  FakeMember,
+  FakeRole,
+  FakeMessage,
+  FakeCollector,
+  FakeInteraction,
+  CHANNEL_TYPES,
+  apiError,
+  API_ERRORS
+};
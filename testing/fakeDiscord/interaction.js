@@ -0,0 +1,251 @@
+/**
+ * Fake component and modal interactions (buttons, select menus, modal submits)
+ */
+const { Collection, ComponentType, InteractionType } = require('discord.js');
+const { apiError } = require('./errors');
+const { normalizeMessageOptions } = require('./message');
+
+// Select menu kinds accepted by FakeClient#selectMenu
+const SELECT_TYPES = {
+  string: ComponentType.StringSelect,
+  user: ComponentType.UserSelect,
+  role: ComponentType.RoleSelect,
+  mentionable: ComponentType.MentionableSelect,
+  channel: ComponentType.ChannelSelect
+};
+
+class FakeInteraction {
+  /**
+   * @param {FakeClient} client - Client
+   * @param {Object} data - { type, componentType, customId, user, member, channel, message, values, fields }
+   */
+  constructor(client, data) {
+    this.client = client;
+    this.id = client.generateId();
+    this.applicationId = client.user.id;
+    this.type = data.type;
+    this.componentType = data.componentType ?? null;
+    this.customId = data.customId;
+    this.user = data.user;
+    this.member = data.member ?? null;
+    this.channel = data.channel ?? data.message?.channel ?? null;
+    this.channelId = this.channel?.id ?? null;
+    this.guild = this.channel?.guild ?? null;
+    this.guildId = this.guild?.id ?? null;
+    this.message = data.message ?? null;
+    this.values = data.values ?? [];
+    this.createdTimestamp = Date.now();
+    this.replied = false;
+    this.deferred = false;
+    this.ephemeral = null;
+    this.replyMessage = null;
+    // Every response, in order: { kind, content, embeds, components, ephemeral }
+    this.responses = [];
+
+    const fields = new Collection(Object.entries(data.fields || {}).map(([customId, value]) => [customId, { customId, value }]));
+    this.fields = {
+      fields: fields,
+      getTextInputValue: customId => {
+        const field = fields.get(customId);
+        if (!field) throw new TypeError(`Required field with custom id "${customId}" not found.`);
+        return field.value;
+      },
+      getField: customId => fields.get(customId)
+    };
+  }
+
+  isButton() {
+    return this.componentType === ComponentType.Button;
+  }
+
+  isStringSelectMenu() {
+    return this.componentType === ComponentType.StringSelect;
+  }
+
+  isUserSelectMenu() {
+    return this.componentType === ComponentType.UserSelect;
+  }
+
+  isRoleSelectMenu() {
+    return this.componentType === ComponentType.RoleSelect;
+  }
+
+  isChannelSelectMenu() {
+    return this.componentType === ComponentType.ChannelSelect;
+  }
+
+  isMentionableSelectMenu() {
+    return this.componentType === ComponentType.MentionableSelect;
+  }
+
+  isAnySelectMenu() {
+    return this.type === InteractionType.MessageComponent && !this.isButton();
+  }
+
+  isMessageComponent() {
+    return this.type === InteractionType.MessageComponent;
+  }
+
+  isModalSubmit() {
+    return this.type === InteractionType.ModalSubmit;
+  }
+
+  isFromMessage() {
+    return !!this.message;
+  }
+
+  isChatInputCommand() {
+    return false;
+  }
+
+  isCommand() {
+    return false;
+  }
+
+  isAutocomplete() {
+    return false;
+  }
+
+  isRepliable() {
+    return true;
+  }
+
+  inGuild() {
+    return !!this.guild;
+  }
+
+  /**
+   * Reply with a new message; ephemeral replies are only recorded
+   * @param {string|Object} options - Content or options
+   * @returns {Promise<FakeMessage|Object>}
+   */
+  async reply(options) {
+    this._assertNotAcknowledged('reply');
+    const data = normalizeMessageOptions(options);
+    this.replied = true;
+    this.ephemeral = data.ephemeral;
+    return this._respond('reply', data);
+  }
+
+  async deferReply(options = {}) {
+    this._assertNotAcknowledged('deferReply');
+    this.deferred = true;
+    this.ephemeral = !!options.ephemeral;
+    this._record('deferReply', { ephemeral: this.ephemeral });
+  }
+
+  async deferUpdate() {
+    this._assertNotAcknowledged('deferUpdate');
+    this.deferred = true;
+    this._record('deferUpdate', {});
+  }
+
+  /**
+   * Edit the message the component belongs to
+   * @param {string|Object} options - New content or options
+   * @returns {Promise<FakeMessage>}
+   */
+  async update(options) {
+    this._assertNotAcknowledged('update');
+    if (!this.message) throw new Error('update() needs an interaction on a message');
+    const data = normalizeMessageOptions(options);
+    this.replied = true;
+    this._record('update', data);
+    this.message._applyEdit(data);
+    return this.message;
+  }
+
+  /**
+   * Edit the reply, or the component's message after deferUpdate()
+   * @param {string|Object} options - New content or options
+   * @returns {Promise<FakeMessage|Object>}
+   */
+  async editReply(options) {
+    if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+    const data = normalizeMessageOptions(options);
+    this.replied = true;
+    this._record('editReply', { ...data, ephemeral: !!this.ephemeral });
+
+    const target = this.responses.some(response => response.kind === 'deferUpdate') ? this.message : this.replyMessage;
+    if (target) {
+      target._applyEdit(data);
+      return target;
+    }
+    // A deferred reply becomes a message on its first edit
+    if (this.deferred && !this.ephemeral && this.channel) {
+      this.replyMessage = this._post(data);
+      return this.replyMessage;
+    }
+    return { id: this.id, interaction: this, ephemeral: !!this.ephemeral };
+  }
+
+  async followUp(options) {
+    if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+    return this._respond('followUp', normalizeMessageOptions(options));
+  }
+
+  /**
+   * @param {ModalBuilder|Object} modal - Modal to show
+   */
+  async showModal(modal) {
+    this._assertNotAcknowledged('showModal');
+    if (this.isModalSubmit()) throw new Error('A modal cannot be shown in response to a modal submit');
+    this.replied = true;
+    const data = typeof modal?.toJSON === 'function' ? modal.toJSON() : modal;
+    this._record('showModal', { modal: data });
+  }
+
+  /**
+   * @private
+   */
+  async _respond(kind, data) {
+    this._record(kind, data);
+    if (data.ephemeral || !this.channel) return { id: this.id, interaction: this, ephemeral: data.ephemeral };
+
+    const message = this._post(data);
+    if (kind === 'reply') this.replyMessage = message;
+    return message;
+  }
+
+  /**
+   * Non-ephemeral responses are messages of the bot in the channel
+   * @private
+   */
+  _post(data) {
+    return this.client.postMessage(this.channel, this.client.user, {
+      content: data.content,
+      embeds: data.embeds,
+      components: data.components,
+      interaction: { id: this.id, user: this.user }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _record(kind, data) {
+    const response = { kind, ...data };
+    this.responses.push(response);
+    this.client.record(`interaction.${kind}`, this.guild, {
+      interactionId: this.id,
+      customId: this.customId,
+      userId: this.user.id,
+      ...data
+    });
+  }
+
+  /**
+   * @private
+   */
+  _assertNotAcknowledged(method) {
+    if (this.replied || this.deferred) {
+      throw new Error(`The reply to this interaction has already been sent or deferred (${method}).`);
+    }
+    if (Date.now() - this.createdTimestamp > 3000) {
+      // Discord drops interactions that are not acknowledged within three seconds
+      throw apiError('UNKNOWN_INTERACTION', 'POST', `/interactions/${this.id}/callback`);
+    }
+  }
+}
+
+module.exports = { FakeInteraction, SELECT_TYPES };
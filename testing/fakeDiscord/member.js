@@ -0,0 +1,450 @@
+/**
+ * Fake users, guild members and voice states
+ */
+const { Events, PermissionsBitField } = require('discord.js');
+const { apiError } = require('./errors');
+
+const Flags = PermissionsBitField.Flags;
+
+// Discord rejects timeouts longer than 28 days
+const MAX_TIMEOUT = 28 * 24 * 60 * 60 * 1000;
+
+class FakeUser {
+  /**
+   * @param {FakeClient} client - Client the user belongs to
+   * @param {Object} data - { id, username, globalName, bot }
+   */
+  constructor(client, data) {
+    this.client = client;
+    this.id = data.id;
+    this.username = data.username;
+    this.globalName = data.globalName ?? null;
+    this.discriminator = '0';
+    this.bot = !!data.bot;
+    this.system = false;
+    this.avatar = null;
+    this.dmChannel = null;
+  }
+
+  get tag() {
+    return this.username;
+  }
+
+  get displayName() {
+    return this.globalName ?? this.username;
+  }
+
+  get createdTimestamp() {
+    return this.client.timestampOf(this.id);
+  }
+
+  avatarURL() {
+    return null;
+  }
+
+  displayAvatarURL() {
+    return `https://cdn.discordapp.com/embed/avatars/${Number(BigInt(this.id) >> 22n) % 6}.png`;
+  }
+
+  /**
+   * DM channel with the user, created on first use
+   * @returns {Promise<FakeChannel>}
+   */
+  async createDM() {
+    if (this.id === this.client.user.id) throw apiError('CANNOT_MESSAGE_USER', 'POST', '/users/@me/channels');
+    if (!this.dmChannel) this.dmChannel = this.client.createDMChannel(this);
+    return this.dmChannel;
+  }
+
+  /**
+   * @param {string|Object} options - Message content or options
+   * @returns {Promise<FakeMessage>}
+   */
+  async send(options) {
+    const channel = await this.createDM();
+    return channel.send(options);
+  }
+
+  async fetch() {
+    return this;
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+/**
+ * member.roles - roles are stored as IDs, so deleted roles disappear from every member
+ */
+class FakeMemberRoleManager {
+  constructor(member) {
+    this.member = member;
+    this.guild = member.guild;
+  }
+
+  /**
+   * The member's roles, @everyone included like in discord.js
+   */
+  get cache() {
+    const roles = this.guild.roles.cache;
+    return roles.filter(role => role.id === this.guild.id || this.member._roleIds.has(role.id));
+  }
+
+  get highest() {
+    return this.cache.reduce((top, role) => (role.comparePositionTo(top) > 0 ? role : top), this.guild.roles.everyone);
+  }
+
+  get hoist() {
+    return this.cache.filter(role => role.hoist).sort((a, b) => b.comparePositionTo(a)).first() ?? null;
+  }
+
+  /**
+   * @param {RoleResolvable|Array<RoleResolvable>} roles - Roles or role IDs
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeMember>}
+   */
+  async add(roles, reason) {
+    return this._change(roles, true, reason);
+  }
+
+  async remove(roles, reason) {
+    return this._change(roles, false, reason);
+  }
+
+  /**
+   * Replace all of the member's roles
+   * @param {Array<RoleResolvable>} roles - New roles
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeMember>}
+   */
+  async set(roles, reason) {
+    const wanted = new Set(roles.map(role => this.guild.roles.resolveId(role)));
+    const removed = [...this.member._roleIds].filter(id => !wanted.has(id));
+    if (removed.length > 0) await this._change(removed, false, reason);
+    return this._change([...wanted], true, reason);
+  }
+
+  /**
+   * @private
+   */
+  async _change(roles, add, reason) {
+    const route = `/guilds/${this.guild.id}/members/${this.member.id}/roles`;
+    const method = add ? 'PUT' : 'DELETE';
+    this.guild.assertAlive(method, route);
+    this.member.assertInGuild(method, route);
+    this.guild.assertBotCan(Flags.ManageRoles, method, route);
+
+    const resolved = (Array.isArray(roles) ? roles : [roles]).map(role => {
+      const found = this.guild.roles.resolve(role);
+      if (!found) throw apiError('UNKNOWN_ROLE', method, route);
+      // @everyone and integration roles cannot be assigned, roles above the bot cannot be managed
+      if (found.id === this.guild.id || found.managed || !this.guild.canManageRole(found)) {
+        throw apiError('MISSING_PERMISSIONS', method, route);
+      }
+      return found;
+    });
+
+    const before = this.member._clone();
+    for (const role of resolved) {
+      if (add === this.member._roleIds.has(role.id)) continue;
+      if (add) this.member._roleIds.add(role.id);
+      else this.member._roleIds.delete(role.id);
+
+      this.guild.client.record(add ? 'role.add' : 'role.remove', this.guild, {
+        targetId: this.member.id,
+        roleId: role.id,
+        roleName: role.name,
+        reason: reason || null
+      });
+    }
+    this.guild.client.dispatch(Events.GuildMemberUpdate, before, this.member);
+    return this.member;
+  }
+}
+
+class FakeVoiceState {
+  constructor(member, data = {}) {
+    this.member = member;
+    this.guild = member.guild;
+    this.id = member.id;
+    this.channelId = data.channelId ?? null;
+    this.serverMute = !!data.mute;
+    this.serverDeaf = !!data.deaf;
+    this.selfMute = !!data.selfMute;
+    this.selfDeaf = !!data.selfDeaf;
+    this.streaming = !!data.streaming;
+    this.selfVideo = !!data.selfVideo;
+  }
+
+  get channel() {
+    return this.channelId ? this.guild.channels.cache.get(this.channelId) ?? null : null;
+  }
+
+  get mute() {
+    return this.serverMute || this.selfMute;
+  }
+
+  get deaf() {
+    return this.serverDeaf || this.selfDeaf;
+  }
+
+  async setMute(mute = true, reason) {
+    return this._edit({ serverMute: !!mute }, Flags.MuteMembers, mute ? 'voice.mute' : 'voice.unmute', reason);
+  }
+
+  async setDeaf(deaf = true, reason) {
+    return this._edit({ serverDeaf: !!deaf }, Flags.DeafenMembers, deaf ? 'voice.deafen' : 'voice.undeafen', reason);
+  }
+
+  /**
+   * Move the member to another voice channel, or disconnect them with null
+   * @param {ChannelResolvable|null} channel - Destination
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeMember>}
+   */
+  async setChannel(channel, reason) {
+    if (channel === null) {
+      return this._edit({ channelId: null }, Flags.MoveMembers, 'voice.disconnect', reason);
+    }
+
+    const destination = this.guild.channels.resolve(channel);
+    const route = `/guilds/${this.guild.id}/members/${this.id}`;
+    if (!destination) throw apiError('UNKNOWN_CHANNEL', 'PATCH', route);
+    if (!destination.isVoiceBased()) {
+      throw apiError('INVALID_FORM_BODY', 'PATCH', route, 'channel_id[CHANNEL_TYPE_INVALID]: Channel must be a voice channel');
+    }
+    return this._edit({ channelId: destination.id }, Flags.MoveMembers, 'voice.move', reason, destination);
+  }
+
+  async disconnect(reason) {
+    return this.setChannel(null, reason);
+  }
+
+  /**
+   * Server voice changes need the member to be connected and the bot to hold the permission
+   * @private
+   */
+  async _edit(changes, permission, type, reason, destination = null) {
+    const route = `/guilds/${this.guild.id}/members/${this.id}`;
+    this.guild.assertAlive('PATCH', route);
+    this.member.assertInGuild('PATCH', route);
+    if (!this.channelId) throw apiError('NOT_CONNECTED_TO_VOICE', 'PATCH', route);
+    this.guild.assertBotCan(permission, 'PATCH', route, this.channel);
+    if (destination) this.guild.assertBotCan(Flags.Connect, 'PATCH', route, destination);
+
+    const before = Object.assign(Object.create(FakeVoiceState.prototype), this);
+    Object.assign(this, changes);
+
+    this.guild.client.record(type, this.guild, {
+      targetId: this.id,
+      channelId: before.channelId,
+      ...(destination && { toChannelId: destination.id }),
+      reason: reason || null
+    });
+    this.guild.client.dispatch(Events.VoiceStateUpdate, before, this);
+    return this.member;
+  }
+}
+
+class FakeMember {
+  /**
+   * @param {FakeGuild} guild - Guild of the member
+   * @param {FakeUser} user - User behind the member
+   * @param {Object} data - { nickname, roleIds, joinedTimestamp, voice }
+   */
+  constructor(guild, user, data = {}) {
+    this.guild = guild;
+    this.client = guild.client;
+    this.user = user;
+    this.id = user.id;
+    this.nickname = data.nickname ?? null;
+    this.joinedTimestamp = data.joinedTimestamp ?? Date.now();
+    this.communicationDisabledUntilTimestamp = null;
+    this.pending = false;
+    this._roleIds = new Set(data.roleIds || []);
+    this.roles = new FakeMemberRoleManager(this);
+    this.voice = new FakeVoiceState(this, data.voice);
+  }
+
+  get displayName() {
+    return this.nickname ?? this.user.displayName;
+  }
+
+  get joinedAt() {
+    return new Date(this.joinedTimestamp);
+  }
+
+  get communicationDisabledUntil() {
+    return this.communicationDisabledUntilTimestamp ? new Date(this.communicationDisabledUntilTimestamp) : null;
+  }
+
+  /**
+   * Guild-level permissions: everything for the owner, otherwise the union of the roles
+   */
+  get permissions() {
+    if (this.id === this.guild.ownerId) return new PermissionsBitField(PermissionsBitField.All).freeze();
+    return new PermissionsBitField(this.roles.cache.map(role => role.permissions)).freeze();
+  }
+
+  get manageable() {
+    if (this.id === this.guild.ownerId || this.id === this.client.user.id) return false;
+    const me = this.guild.members.me;
+    if (!me) return false;
+    if (me.id === this.guild.ownerId) return true;
+    return me.roles.highest.comparePositionTo(this.roles.highest) > 0;
+  }
+
+  get kickable() {
+    return this.manageable && !!this.guild.members.me?.permissions.has(Flags.KickMembers);
+  }
+
+  get bannable() {
+    return this.manageable && !!this.guild.members.me?.permissions.has(Flags.BanMembers);
+  }
+
+  get moderatable() {
+    return !this.permissions.has(Flags.Administrator) && this.manageable &&
+      !!this.guild.members.me?.permissions.has(Flags.ModerateMembers);
+  }
+
+  isCommunicationDisabled() {
+    return !!this.communicationDisabledUntilTimestamp && this.communicationDisabledUntilTimestamp > Date.now();
+  }
+
+  permissionsIn(channel) {
+    return this.guild.channels.resolve(channel).permissionsFor(this);
+  }
+
+  /**
+   * Time the member out, or remove the timeout with null
+   * @param {number|null} timeout - Duration in milliseconds
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeMember>}
+   */
+  async timeout(timeout, reason) {
+    return this.disableCommunicationUntil(timeout ? Date.now() + timeout : null, reason);
+  }
+
+  /**
+   * @param {Date|number|null} until - End of the timeout
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeMember>}
+   */
+  async disableCommunicationUntil(until, reason) {
+    const route = `/guilds/${this.guild.id}/members/${this.id}`;
+    this.guild.assertAlive('PATCH', route);
+    this.assertInGuild('PATCH', route);
+    this.guild.assertBotCan(Flags.ModerateMembers, 'PATCH', route);
+    if (this.permissions.has(Flags.Administrator) || !this.manageable) {
+      throw apiError('MISSING_PERMISSIONS', 'PATCH', route);
+    }
+
+    const timestamp = until ? new Date(until).getTime() : null;
+    if (timestamp !== null && (Number.isNaN(timestamp) || timestamp - Date.now() > MAX_TIMEOUT)) {
+      throw apiError('INVALID_FORM_BODY', 'PATCH', route,
+        'communication_disabled_until[BASE_TYPE_BAD_LENGTH]: Timeout can be at most 28 days');
+    }
+
+    const before = this._clone();
+    this.communicationDisabledUntilTimestamp = timestamp;
+    this.client.record(timestamp ? 'member.timeout' : 'member.removeTimeout', this.guild, {
+      targetId: this.id,
+      ...(timestamp && { until: timestamp, duration: timestamp - Date.now() }),
+      reason: reason || null
+    });
+    this.client.dispatch(Events.GuildMemberUpdate, before, this);
+    return this;
+  }
+
+  /**
+   * @param {string|null} nickname - New nickname, null or '' to reset
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeMember>}
+   */
+  async setNickname(nickname, reason) {
+    const route = `/guilds/${this.guild.id}/members/${this.id === this.client.user.id ? '@me' : this.id}`;
+    this.guild.assertAlive('PATCH', route);
+    this.assertInGuild('PATCH', route);
+
+    if (this.id === this.client.user.id) {
+      this.guild.assertBotCan(Flags.ChangeNickname, 'PATCH', route);
+    } else {
+      this.guild.assertBotCan(Flags.ManageNicknames, 'PATCH', route);
+      if (!this.manageable) throw apiError('MISSING_PERMISSIONS', 'PATCH', route);
+    }
+    if (nickname && String(nickname).length > 32) {
+      throw apiError('INVALID_FORM_BODY', 'PATCH', route, 'nick[BASE_TYPE_BAD_LENGTH]: Must be between 1 and 32 in length.');
+    }
+
+    const before = this._clone();
+    this.nickname = nickname ? String(nickname) : null;
+    this.client.record('member.setNickname', this.guild, {
+      targetId: this.id,
+      from: before.nickname,
+      to: this.nickname,
+      reason: reason || null
+    });
+    this.client.dispatch(Events.GuildMemberUpdate, before, this);
+    return this;
+  }
+
+  /**
+   * Subset of GuildMember#edit used by the bot
+   * @param {Object} data - { nick, roles, communicationDisabledUntil, channel, mute, deaf, reason }
+   * @returns {Promise<FakeMember>}
+   */
+  async edit(data) {
+    if (data.nick !== undefined) await this.setNickname(data.nick, data.reason);
+    if (data.roles !== undefined) await this.roles.set(data.roles, data.reason);
+    if (data.communicationDisabledUntil !== undefined) await this.disableCommunicationUntil(data.communicationDisabledUntil, data.reason);
+    if (data.mute !== undefined) await this.voice.setMute(data.mute, data.reason);
+    if (data.deaf !== undefined) await this.voice.setDeaf(data.deaf, data.reason);
+    if (data.channel !== undefined) await this.voice.setChannel(data.channel, data.reason);
+    return this;
+  }
+
+  async kick(reason) {
+    return this.guild.members.kick(this, reason);
+  }
+
+  async ban(options = {}) {
+    return this.guild.members.ban(this, options);
+  }
+
+  async send(options) {
+    return this.user.send(options);
+  }
+
+  async fetch() {
+    return this.guild.members.fetch(this.id);
+  }
+
+  displayAvatarURL(options) {
+    return this.user.displayAvatarURL(options);
+  }
+
+  /**
+   * Members that left (kick, ban) cannot be changed anymore
+   */
+  assertInGuild(method, route) {
+    if (this.guild.members.cache.get(this.id) !== this) throw apiError('UNKNOWN_MEMBER', method, route);
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+
+  /**
+   * Snapshot for update events
+   * @private
+   */
+  _clone() {
+    const clone = Object.assign(Object.create(FakeMember.prototype), this);
+    clone._roleIds = new Set(this._roleIds);
+    clone.roles = new FakeMemberRoleManager(clone);
+    return clone;
+  }
+}
+
+module.exports = { FakeUser, FakeMember, FakeVoiceState, MAX_TIMEOUT };
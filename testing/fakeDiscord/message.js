@@ -0,0 +1,400 @@
+/**
+ * Fake messages, reactions and collectors
+ */
+const { EventEmitter } = require('events');
+const { Collection, Events, PermissionsBitField } = require('discord.js');
+const { apiError } = require('./errors');
+
+const Flags = PermissionsBitField.Flags;
+
+/**
+ * Content, embeds and components of a send/edit/reply call, as plain data
+ * @param {string|Object} options - Content or message options (builders are serialized)
+ * @returns {Object} - { content, embeds, components, attachments, ephemeral, reply }
+ */
+function normalizeMessageOptions(options) {
+  if (typeof options === 'string') return { content: options, embeds: [], components: [] };
+
+  const toJSON = item => (typeof item?.toJSON === 'function' ? item.toJSON() : item);
+  return {
+    content: options?.content ?? null,
+    embeds: (options?.embeds || []).map(toJSON),
+    components: (options?.components || []).map(toJSON),
+    attachments: (options?.files || []).map(file => ({ url: typeof file === 'string' ? file : file?.attachment ?? null, name: file?.name ?? null })),
+    ephemeral: !!options?.ephemeral,
+    reply: options?.reply ?? null
+  };
+}
+
+/**
+ * Mentions parsed from message content, like discord.js builds them from the gateway payload
+ * @private
+ */
+function parseMentions(channel, content, repliedUser = null) {
+  const client = channel.client;
+  const guild = channel.guild;
+  const users = new Collection();
+  const members = new Collection();
+  const roles = new Collection();
+  const channels = new Collection();
+
+  for (const [, id] of String(content).matchAll(/<@!?(\d{15,21})>/g)) {
+    const user = client.users.cache.get(id);
+    if (!user) continue;
+    users.set(id, user);
+    const member = guild?.members.cache.get(id);
+    if (member) members.set(id, member);
+  }
+  for (const [, id] of String(content).matchAll(/<@&(\d{15,21})>/g)) {
+    const role = guild?.roles.cache.get(id);
+    if (role) roles.set(id, role);
+  }
+  for (const [, id] of String(content).matchAll(/<#(\d{15,21})>/g)) {
+    const mentioned = client.channels.cache.get(id);
+    if (mentioned) channels.set(id, mentioned);
+  }
+
+  return {
+    users,
+    members: guild ? members : null,
+    roles,
+    channels,
+    everyone: /@(everyone|here)/.test(String(content)),
+    repliedUser,
+    has: target => users.has(target?.id ?? target) || roles.has(target?.id ?? target)
+  };
+}
+
+/**
+ * Collects messages, reactions or component interactions until max items or the time limit
+ */
+class FakeCollector extends EventEmitter {
+  /**
+   * @param {FakeClient} client - Client that owns the collector
+   * @param {Object} options - { filter, max, time }
+   * @param {Function} keyOf - Collection key of a collected item
+   */
+  constructor(client, options = {}, keyOf = item => item.id) {
+    super();
+    this.client = client;
+    this.filter = options.filter || (() => true);
+    this.max = options.max ?? Infinity;
+    this.keyOf = keyOf;
+    this.collected = new Collection();
+    this.ended = false;
+    this.endReason = null;
+    this.timer = options.time ? setTimeout(() => this.stop('time'), options.time) : null;
+    client.collectors.add(this);
+  }
+
+  /**
+   * Offer an item; collected when the filter accepts it
+   * @param {...any} args - collect event arguments, the first one is stored
+   */
+  async handle(...args) {
+    if (this.ended) return;
+    const accepted = await this.filter(...args, this.collected);
+    if (!accepted || this.ended) return;
+
+    this.collected.set(this.keyOf(...args), args[0]);
+    this.emit('collect', ...args);
+    if (this.collected.size >= this.max) this.stop('limit');
+  }
+
+  stop(reason = 'user') {
+    if (this.ended) return;
+    this.ended = true;
+    this.endReason = reason;
+    if (this.timer) clearTimeout(this.timer);
+    this.client.collectors.delete(this);
+    this.emit('end', this.collected, reason);
+  }
+
+  /**
+   * Promise of the collected items, rejected when the end reason is one of errors
+   * @private
+   */
+  _await(errors = []) {
+    return new Promise((resolve, reject) => {
+      this.once('end', (collected, reason) => {
+        if (errors.includes(reason)) reject(collected);
+        else resolve(collected);
+      });
+    });
+  }
+}
+
+class FakeMessage {
+  /**
+   * @param {FakeChannel} channel - Channel of the message
+   * @param {Object} data - { id, author, content, embeds, components, attachments, createdTimestamp, reference, interaction }
+   */
+  constructor(channel, data) {
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.client = channel.client;
+    this.guild = channel.guild;
+    this.guildId = channel.guild?.id ?? null;
+    this.id = data.id;
+    this.author = data.author;
+    this.content = data.content ?? '';
+    this.embeds = data.embeds || [];
+    this.components = data.components || [];
+    this.attachments = new Collection((data.attachments || []).map((attachment, index) => {
+      const id = `${data.id}${index}`;
+      return [id, { id, name: attachment.name ?? null, url: attachment.url, contentType: attachment.contentType ?? null }];
+    }));
+    this.createdTimestamp = data.createdTimestamp ?? Date.now();
+    this.editedTimestamp = null;
+    this.pinned = false;
+    this.deleted = false;
+    this.system = false;
+    this.webhookId = null;
+    this.type = data.reference ? 19 : 0;
+    this.reference = data.reference ?? null;
+    this.interaction = data.interaction ?? null;
+    this.reactions = { cache: new Collection(), message: this };
+
+    const repliedUser = this.reference ? channel.messages.cache.get(this.reference.messageId)?.author ?? null : null;
+    this.mentions = parseMentions(channel, this.content, repliedUser);
+  }
+
+  get member() {
+    return this.guild?.members.cache.get(this.author.id) ?? null;
+  }
+
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  get editedAt() {
+    return this.editedTimestamp ? new Date(this.editedTimestamp) : null;
+  }
+
+  get url() {
+    return `https://discord.com/channels/${this.guildId ?? '@me'}/${this.channelId}/${this.id}`;
+  }
+
+  get editable() {
+    return !this.deleted && this.author.id === this.client.user.id;
+  }
+
+  get deletable() {
+    if (this.deleted) return false;
+    if (this.author.id === this.client.user.id || !this.guild) return true;
+    return !!this.guild.members.me && this.channel.permissionsFor(this.guild.members.me).has(Flags.ManageMessages);
+  }
+
+  inGuild() {
+    return !!this.guild;
+  }
+
+  /**
+   * @param {string|Object} options - Reply content or options
+   * @returns {Promise<FakeMessage>}
+   */
+  async reply(options) {
+    const data = typeof options === 'string' ? { content: options } : options;
+    return this.channel.send({ ...data, reply: { messageReference: this.id } });
+  }
+
+  /**
+   * Only the bot's own messages can be edited
+   * @param {string|Object} options - New content or options
+   * @returns {Promise<FakeMessage>}
+   */
+  async edit(options) {
+    const route = `/channels/${this.channelId}/messages/${this.id}`;
+    this._assertExists('PATCH', route);
+    if (this.author.id !== this.client.user.id) throw apiError('CANNOT_EDIT_OTHERS_MESSAGE', 'PATCH', route);
+
+    this._applyEdit(normalizeMessageOptions(options));
+    return this;
+  }
+
+  /**
+   * @param {string} reason - Audit log reason (ignored by Discord for single deletes)
+   * @returns {Promise<FakeMessage>}
+   */
+  async delete() {
+    const route = `/channels/${this.channelId}/messages/${this.id}`;
+    this._assertExists('DELETE', route);
+    if (this.author.id !== this.client.user.id && this.guild) {
+      this.guild.assertBotCan(Flags.ManageMessages, 'DELETE', route, this.channel);
+    }
+
+    this.channel.messages._remove(this);
+    this.client.record('message.delete', this.guild, {
+      channelId: this.channelId,
+      messageId: this.id,
+      authorId: this.author.id,
+      content: this.content
+    });
+    this.client.dispatch(Events.MessageDelete, this);
+    return this;
+  }
+
+  /**
+   * React as the bot
+   * @param {string} emoji - Unicode emoji or <:name:id>
+   * @returns {Promise<Object>} - The reaction
+   */
+  async react(emoji) {
+    const route = `/channels/${this.channelId}/messages/${this.id}/reactions`;
+    this._assertExists('PUT', route);
+    if (!emoji || typeof emoji !== 'string') throw apiError('UNKNOWN_EMOJI', 'PUT', route);
+    if (this.guild) {
+      this.guild.assertBotCan(Flags.ReadMessageHistory, 'PUT', route, this.channel);
+      if (!this.reactions.cache.has(emojiKey(emoji))) this.guild.assertBotCan(Flags.AddReactions, 'PUT', route, this.channel);
+    }
+
+    const reaction = this.addReaction(this.client.user, emoji);
+    this.client.record('message.react', this.guild, { channelId: this.channelId, messageId: this.id, emoji });
+    return reaction;
+  }
+
+  async pin(reason) {
+    return this._setPinned(true, reason);
+  }
+
+  async unpin(reason) {
+    return this._setPinned(false, reason);
+  }
+
+  async fetch() {
+    this._assertExists('GET', `/channels/${this.channelId}/messages/${this.id}`);
+    return this;
+  }
+
+  async fetchReference() {
+    if (!this.reference) throw new Error('MessageReferenceMissing');
+    return this.channel.messages.fetch(this.reference.messageId);
+  }
+
+  /**
+   * Add a reaction of any user, without permission checks. Used by react() and by simulated
+   * members reacting; feeds reaction collectors
+   * @param {FakeUser} user - Reacting user
+   * @param {string} emoji - Emoji
+   * @returns {Object} - The reaction
+   */
+  addReaction(user, emoji) {
+    const key = emojiKey(emoji);
+    let reaction = this.reactions.cache.get(key);
+    if (!reaction) {
+      const custom = String(emoji).match(/^<a?:(\w+):(\d+)>$/);
+      reaction = {
+        message: this,
+        emoji: custom ? { name: custom[1], id: custom[2], toString: () => emoji } : { name: emoji, id: null, toString: () => emoji },
+        users: { cache: new Collection() },
+        get count() { return this.users.cache.size; },
+        get me() { return this.users.cache.has(this.message.client.user.id); }
+      };
+      this.reactions.cache.set(key, reaction);
+    }
+    if (reaction.users.cache.has(user.id)) return reaction;
+
+    reaction.users.cache.set(user.id, user);
+    for (const collector of this.client.collectors) {
+      if (collector.source === this && collector.kind === 'reaction') collector.handle(reaction, user);
+    }
+    this.client.dispatch(Events.MessageReactionAdd, reaction, user);
+    return reaction;
+  }
+
+  /**
+   * @param {Object} options - { filter(reaction, user), max, time }
+   * @returns {FakeCollector}
+   */
+  createReactionCollector(options = {}) {
+    const collector = new FakeCollector(this.client, options, reaction => reaction.emoji.id ?? reaction.emoji.name);
+    collector.source = this;
+    collector.kind = 'reaction';
+    return collector;
+  }
+
+  /**
+   * @param {Object} options - { filter, max, time, errors }
+   * @returns {Promise<Collection>}
+   */
+  awaitReactions(options = {}) {
+    return this.createReactionCollector(options)._await(options.errors);
+  }
+
+  /**
+   * Button and select menu interactions on this message
+   * @param {Object} options - { filter(interaction), max, time }
+   * @returns {FakeCollector}
+   */
+  createMessageComponentCollector(options = {}) {
+    const collector = new FakeCollector(this.client, options);
+    collector.source = this;
+    collector.kind = 'component';
+    return collector;
+  }
+
+  awaitMessageComponent(options = {}) {
+    return this.createMessageComponentCollector({ ...options, max: 1 })._await(['time'])
+      .then(collected => collected.first(), () => { throw new Error('InteractionCollectorError: Collector received no interactions before ending with reason: time'); });
+  }
+
+  toString() {
+    return this.content;
+  }
+
+  /**
+   * Edit without author or permission checks, e.g. for interaction.update()
+   * @param {Object} data - normalizeMessageOptions result
+   */
+  _applyEdit(data) {
+    const before = Object.assign(Object.create(FakeMessage.prototype), this);
+    if (data.content !== null) this.content = data.content;
+    if (data.embeds.length > 0 || data.content !== null) this.embeds = data.embeds;
+    this.components = data.components;
+    this.editedTimestamp = Date.now();
+    this.mentions = parseMentions(this.channel, this.content, this.mentions.repliedUser);
+
+    this.client.record('message.edit', this.guild, {
+      channelId: this.channelId,
+      messageId: this.id,
+      content: this.content,
+      embeds: this.embeds,
+      components: this.components
+    });
+    this.client.dispatch(Events.MessageUpdate, before, this);
+  }
+
+  /**
+   * @private
+   */
+  async _setPinned(pinned, reason) {
+    const route = `/channels/${this.channelId}/pins/${this.id}`;
+    this._assertExists(pinned ? 'PUT' : 'DELETE', route);
+    if (this.guild) this.guild.assertBotCan(Flags.ManageMessages, pinned ? 'PUT' : 'DELETE', route, this.channel);
+
+    this.pinned = pinned;
+    this.client.record(pinned ? 'message.pin' : 'message.unpin', this.guild, {
+      channelId: this.channelId,
+      messageId: this.id,
+      reason: reason || null
+    });
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _assertExists(method, route) {
+    if (this.deleted || this.channel.deleted) throw apiError('UNKNOWN_MESSAGE', method, route);
+  }
+}
+
+/**
+ * Reactions are keyed by emoji ID for custom emojis and by the emoji itself otherwise
+ * @private
+ */
+function emojiKey(emoji) {
+  return String(emoji).match(/^<a?:\w+:(\d+)>$/)?.[1] ?? String(emoji);
+}
+
+module.exports = { FakeMessage, FakeCollector, normalizeMessageOptions };
@@ -0,0 +1,130 @@
+/**
+ * Fake guild role
+ */
+const { Events, PermissionsBitField, resolveColor } = require('discord.js');
+const { apiError } = require('./errors');
+
+class FakeRole {
+  /**
+   * @param {FakeGuild} guild - Guild of the role
+   * @param {Object} data - { id, name, color, hoist, mentionable, permissions, position, managed }
+   */
+  constructor(guild, data) {
+    this.guild = guild;
+    this.client = guild.client;
+    this.id = data.id;
+    this.name = data.name;
+    this.color = data.color ? resolveColor(data.color) : 0;
+    this.hoist = !!data.hoist;
+    this.mentionable = !!data.mentionable;
+    this.managed = !!data.managed;
+    this.position = data.position ?? 1;
+    this.permissions = new PermissionsBitField(data.permissions ?? 0n).freeze();
+  }
+
+  get hexColor() {
+    return `#${this.color.toString(16).padStart(6, '0')}`;
+  }
+
+  get members() {
+    return this.guild.members.cache.filter(member => member.roles.cache.has(this.id));
+  }
+
+  get editable() {
+    return this.guild.canManageRole(this);
+  }
+
+  get createdTimestamp() {
+    return this.guild.client.timestampOf(this.id);
+  }
+
+  /**
+   * Positive when this role is above the other one
+   * @param {FakeRole} role - Other role
+   * @returns {number}
+   */
+  comparePositionTo(role) {
+    if (this.position !== role.position) return this.position - role.position;
+    // Discord puts the older role (lower ID) above on a tie
+    return Number(BigInt(role.id) - BigInt(this.id));
+  }
+
+  /**
+   * @param {Object} data - { name, color, hoist, mentionable, permissions, position, reason }
+   * @returns {Promise<FakeRole>}
+   */
+  async edit(data) {
+    const route = `/guilds/${this.guild.id}/roles/${this.id}`;
+    this.guild.assertAlive('PATCH', route);
+    this.guild.assertBotCan(PermissionsBitField.Flags.ManageRoles, 'PATCH', route);
+    if (!this.guild.canManageRole(this)) throw apiError('MISSING_PERMISSIONS', 'PATCH', route);
+
+    const before = this._clone();
+    if (data.name !== undefined) this.name = String(data.name);
+    if (data.color !== undefined) this.color = data.color ? resolveColor(data.color) : 0;
+    if (data.hoist !== undefined) this.hoist = !!data.hoist;
+    if (data.mentionable !== undefined) this.mentionable = !!data.mentionable;
+    if (data.permissions !== undefined) this.permissions = new PermissionsBitField(data.permissions).freeze();
+    if (data.position !== undefined) this.guild.moveRole(this, data.position);
+
+    this.client.record('role.edit', this.guild, {
+      targetId: this.id,
+      changes: this._diff(before),
+      reason: data.reason || null
+    });
+    this.client.dispatch(Events.GuildRoleUpdate, before, this);
+    return this;
+  }
+
+  setName(name, reason) {
+    return this.edit({ name, reason });
+  }
+
+  setColor(color, reason) {
+    return this.edit({ color, reason });
+  }
+
+  setPermissions(permissions, reason) {
+    return this.edit({ permissions, reason });
+  }
+
+  setPosition(position, options = {}) {
+    return this.edit({ position, reason: options.reason });
+  }
+
+  /**
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<FakeRole>}
+   */
+  async delete(reason) {
+    return this.guild.roles.delete(this, reason);
+  }
+
+  toString() {
+    return this.id === this.guild.id ? '@everyone' : `<@&${this.id}>`;
+  }
+
+  /**
+   * Snapshot for update events
+   * @private
+   */
+  _clone() {
+    return Object.assign(Object.create(FakeRole.prototype), this);
+  }
+
+  /**
+   * @private
+   */
+  _diff(before) {
+    const changes = {};
+    for (const key of ['name', 'color', 'hoist', 'mentionable', 'position']) {
+      if (before[key] !== this[key]) changes[key] = { from: before[key], to: this[key] };
+    }
+    if (before.permissions.bitfield !== this.permissions.bitfield) {
+      changes.permissions = { from: before.permissions.toArray(), to: this.permissions.toArray() };
+    }
+    return changes;
+  }
+}
+
+module.exports = { FakeRole };
@@ -70,7 +70,57 @@ function truncate(str, maxLength, suffix = '...') {
   return str.substring(0, maxLength - suffix.length) + suffix;
 }
 
+/**
+ * Lowercase and fold Turkish letters and accents, for comparing names
+ * @param {string} str - String to normalize
+ * @returns {string} - Normalized string
+ */
+function normalizeForMatch(str) {
+  return String(str || '')
+    .toLocaleLowerCase('tr')
+    .replace(/ı/g, 'i')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single character edits
+ */
+function levenshteinDistance(a, b) {
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+  
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1]
+        : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two strings, 1 for identical and 0 for nothing in common
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  return maxLength === 0 ? 1 : (maxLength - levenshteinDistance(a, b)) / maxLength;
+}
+
 module.exports = {
   splitMessage,
-  truncate
+  truncate,
+  normalizeForMatch,
+  levenshteinDistance,
+  similarity
 };
\ No newline at end of file
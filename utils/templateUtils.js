@@ -0,0 +1,108 @@
+/**
+ * Template utility functions
+ * References to the output of earlier plan steps, e.g. {{s1.result.id}}. Only names of steps, loop
+ * variables and params are references; any other {{word}} is text, and \{{...}} is always text
+ */
+
+// {{stepId.path.to.value}} with optional [index] segments, unless escaped as \{{
+const TEMPLATE_PATTERN = /(?<!\\)\{\{\s*([\w-]+)((?:\.[\w-]+|\[\d+\])*)\s*\}\}/g;
+
+// \{{ in text that is resolved
+const ESCAPED_BRACES = /\\\{\{/g;
+
+/**
+ * Build a reference to a value produced by a step
+ * @param {string} stepId - Step ID
+ * @param {string} path - Path inside the step output, e.g. "result.id"
+ * @returns {string}
+ */
+function createReference(stepId, path) {
+  return `{{${stepId}.${path}}}`;
+}
+
+/**
+ * Whether a string is exactly one reference
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isReference(value) {
+  return typeof value === 'string' && new RegExp(`^${TEMPLATE_PATTERN.source}$`).test(value.trim());
+}
+
+/**
+ * Step IDs referenced anywhere in a value
+ * @param {*} value - String, array or object
+ * @returns {Set<string>}
+ */
+function findReferences(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) found.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => findReferences(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findReferences(item, found));
+  }
+  return found;
+}
+
+/**
+ * Read a dotted path ("result.messages.length", "items[0].id")
+ * @param {Object} source - Object to read from
+ * @param {string} path - Path
+ * @returns {*} - Value, or undefined if any segment is missing
+ */
+function getPath(source, path) {
+  const segments = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  let current = source;
+  for (const segment of segments) {
+    // Own properties only, so {{s1.constructor.name}} does not reach the prototype
+    if (current === null || current === undefined || !Object.prototype.hasOwnProperty.call(current, segment)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Replace references with step outputs. A string that is only a reference keeps the
+ * type of the value (numbers stay numbers); references inside text are stringified.
+ * Names without an output stay as they are, and \{{ becomes {{
+ * @param {*} value - String, array or object to resolve
+ * @param {Object} outputs - stepId -> step output ({ result, ... })
+ * @returns {*} - Resolved copy
+ * @throws {Error} - If a reference points to a missing value of a step
+ */
+function resolveTemplates(value, outputs) {
+  const known = stepId => Object.prototype.hasOwnProperty.call(outputs, stepId);
+  const lookup = (stepId, path, reference) => {
+    const resolved = path ? getPath(outputs[stepId], path) : outputs[stepId];
+    if (resolved === undefined) {
+      throw new Error(`Unresolved reference ${reference}`);
+    }
+    return resolved;
+  };
+
+  if (typeof value === 'string') {
+    const single = value.trim().match(new RegExp(`^${TEMPLATE_PATTERN.source}$`));
+    if (single && known(single[1])) return lookup(single[1], single[2], value.trim());
+
+    return value
+      .replace(TEMPLATE_PATTERN, (reference, stepId, path) => (known(stepId) ? String(lookup(stepId, path, reference)) : reference))
+      .replace(ESCAPED_BRACES, '{{');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplates(item, outputs));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, outputs)]));
+  }
+  return value;
+}
+
+module.exports = {
+  TEMPLATE_PATTERN,
+  createReference,
+  isReference,
+  findReferences,
+  getPath,
+  resolveTemplates
+};
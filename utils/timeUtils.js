@@ -2,6 +2,15 @@
  * Time utility functions
  */
 
+// Duration units written in commands (English and Turkish), in seconds
+const DURATION_UNITS = {
+  s: 1, sn: 1, sec: 1, secs: 1, second: 1, seconds: 1, saniye: 1,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60, dk: 60, dakika: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600, saat: 3600,
+  d: 86400, day: 86400, days: 86400, gün: 86400, gun: 86400,
+  w: 604800, week: 604800, weeks: 604800, hafta: 604800
+};
+
 /**
  * Format a duration in seconds to a human-readable string
  * @param {number} seconds - Duration in seconds
@@ -55,6 +64,7 @@ function getTimestampFromNow(seconds) {
 }
 
 module.exports = {
+  DURATION_UNITS,
   formatDuration,
   parseTimeString,
   getTimestampFromNow
@@ -0,0 +1,204 @@
+/**
+ * Control Flow - if, forEach, repeat and run steps of workflow plans
+ * Conditions are data, not code: { left, operator, right } compared with a fixed set of
+ * operators. Loops only run over lists earlier steps returned and every loop is bounded.
+ * A run step holds a saved workflow (WorkflowLibrary fills in its steps before the plan is checked).
+ */
+const { findReferences } = require('../utils/templateUtils');
+
+const CONTROL_TOOLS = ['workflow.if', 'workflow.forEach', 'workflow.repeat', 'workflow.run'];
+
+// Params of each control step that hold nested steps
+const BLOCK_KEYS = {
+  'workflow.if': ['then', 'else'],
+  'workflow.forEach': ['steps'],
+  'workflow.repeat': ['steps'],
+  'workflow.run': ['steps']
+};
+
+// Defaults; WorkflowEngine.limits can be overridden from config.WORKFLOW
+const LIMITS = {
+  // Items of a forEach, or times of a repeat
+  MAX_ITERATIONS: 25,
+  // Actions one workflow may run, loops included
+  MAX_ACTIONS: 50,
+  // Control steps inside control steps
+  MAX_DEPTH: 3
+};
+
+// Steps in one then/else/steps block
+const MAX_BLOCK_STEPS = 10;
+
+// Loop variable names: {{member.id}}
+const VARIABLE_NAME = /^[a-zA-Z][a-zA-Z0-9]*$/;
+
+/**
+ * Number for a numeric value or numeric string, otherwise null
+ * @private
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+/**
+ * Numbers compare as numbers, everything else as case-insensitive text
+ * @private
+ */
+function equals(left, right) {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a !== null && b !== null) return a === b;
+  return String(left).toLowerCase() === String(right).toLowerCase();
+}
+
+/**
+ * @private
+ */
+function compare(test) {
+  return (left, right, operator) => {
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (a === null || b === null) {
+      throw new Error(`Cannot compare ${JSON.stringify(left)} ${operator} ${JSON.stringify(right)}: both sides must be numbers`);
+    }
+    return test(a, b);
+  };
+}
+
+const OPERATORS = {
+  '==': (left, right) => equals(left, right),
+  '!=': (left, right) => !equals(left, right),
+  '>': compare((a, b) => a > b),
+  '>=': compare((a, b) => a >= b),
+  '<': compare((a, b) => a < b),
+  '<=': compare((a, b) => a <= b),
+  // A list holding the value, or text holding it (case-insensitive)
+  contains: (left, right) => Array.isArray(left)
+    ? left.some(item => equals(item, right))
+    : String(left ?? '').toLowerCase().includes(String(right ?? '').toLowerCase())
+};
+
+/**
+ * Evaluate a resolved condition
+ * @param {Object} condition - { left, operator, right } with references already replaced
+ * @returns {boolean}
+ * @throws {Error} - For an unknown operator or a non-numeric comparison
+ */
+function evaluateCondition(condition) {
+  const test = OPERATORS[condition?.operator];
+  if (!test) {
+    throw new Error(`Unknown condition operator '${condition?.operator}'`);
+  }
+  return test(condition.left, condition.right, condition.operator);
+}
+
+/**
+ * Whether a step is an if/forEach/repeat/run step
+ * @param {Object} step - Plan step
+ * @returns {boolean}
+ */
+function isControlStep(step) {
+  return CONTROL_TOOLS.includes(step?.tool);
+}
+
+/**
+ * Nested step lists of a control step: then and else, or the loop body
+ * @param {Object} step - Plan step
+ * @returns {Array<Array<Object>>}
+ */
+function blocksOf(step) {
+  if (!isControlStep(step)) return [];
+
+  return BLOCK_KEYS[step.tool].map(key => step.params?.[key]).filter(Array.isArray);
+}
+
+/**
+ * Names a control step binds for the steps inside it: the forEach item and the 1-based index,
+ * or the params of a saved workflow ({{params.user}})
+ * @param {Object} step - Plan step
+ * @returns {Array<string>}
+ */
+function loopVariables(step) {
+  switch (step?.tool) {
+    case 'workflow.forEach':
+      return [step.params?.as || 'item', 'index'];
+    case 'workflow.repeat':
+      return ['index'];
+    case 'workflow.run':
+      return ['params'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Params a control step evaluates itself, as opposed to the steps inside it
+ * @param {Object} step - Control step
+ * @returns {Object} - { condition } for if, { items } for forEach, { times } for repeat, { params } for run
+ */
+function controlInputs(step) {
+  const params = step.params || {};
+  switch (step.tool) {
+    case 'workflow.if':
+      return { condition: params.condition };
+    case 'workflow.forEach':
+      return { items: params.items };
+    case 'workflow.repeat':
+      return { times: params.times };
+    case 'workflow.run':
+      return { params: params.params };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Names a step references that are not defined inside it. For a control step these are the
+ * references of its inputs and of the nested steps, minus the nested step IDs and loop variables
+ * @param {Object} step - Plan step
+ * @returns {Set<string>}
+ */
+function externalReferences(step) {
+  if (!isControlStep(step)) return findReferences(step?.params);
+
+  const found = findReferences(controlInputs(step));
+  const bound = new Set(loopVariables(step));
+  for (const block of blocksOf(step)) {
+    const ids = new Set(block.map(nested => nested?.id));
+    for (const nested of block) {
+      for (const reference of externalReferences(nested)) {
+        if (!ids.has(reference) && !bound.has(reference)) found.add(reference);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Every action step of a plan, including the ones inside if/forEach/repeat/run steps
+ * @param {Array<Object>} steps - Plan steps
+ * @returns {Array<Object>}
+ */
+function actionSteps(steps = []) {
+  return steps.flatMap(step => isControlStep(step)
+    ? blocksOf(step).flatMap(actionSteps)
+    : [step]);
+}
+
+module.exports = {
+  CONTROL_TOOLS,
+  BLOCK_KEYS,
+  LIMITS,
+  MAX_BLOCK_STEPS,
+  VARIABLE_NAME,
+  OPERATORS,
+  evaluateCondition,
+  isControlStep,
+  blocksOf,
+  loopVariables,
+  controlInputs,
+  externalReferences,
+  actionSteps
+};
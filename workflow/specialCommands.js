@@ -1,6 +1,31 @@
 /**
  * Special command handler for built-in commands
  */
+const { PermissionsBitField } = require('discord.js');
+const { parseTimeString, formatDuration } = require('../utils/timeUtils');
+const { createActionEntry } = require('../core/modLog');
+
+/**
+ * Parse "user=@ali reason=\"too loud\"" into { user: '123...', reason: 'too loud' }; mentions become IDs
+ * @private
+ */
+function parseParams(text) {
+  const params = {};
+  for (const [, name, quoted, single, plain] of text.matchAll(/([a-zA-Z]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+))/g)) {
+    const value = quoted ?? single ?? plain.replace(/^<(?:@[!&]?|#)(\d+)>$/, '$1');
+    params[name] = /^-?\d{1,15}(\.\d+)?$/.test(value) ? Number(value) : value;
+  }
+  return params;
+}
+
+/**
+ * user=123, reason=spam
+ * @private
+ */
+function formatParams(params) {
+  return Object.entries(params).map(([name, value]) => `${name}=${value}`).join(', ');
+}
+
 class SpecialCommandHandler {
   constructor(client, logger) {
     this.client = client;
@@ -34,6 +59,72 @@ class SpecialCommandHandler {
       return true;
     }
     
+    // Handle trust command
+    if (/^(trust|güven)\b/.test(lowerCmd)) {
+      await this.handleTrust(message, command.trim());
+      return true;
+    }
+    
+    // Handle case commands
+    if (/^case\b/.test(lowerCmd)) {
+      await this.handleCase(message, command.trim());
+      return true;
+    }
+    
+    // Handle simulate command
+    if (/^(simulate|simüle)\b/.test(lowerCmd)) {
+      await this.handleSimulate(message, command.trim());
+      return true;
+    }
+    
+    // Handle plan cache commands
+    if (/^(cache|önbellek)\b/.test(lowerCmd)) {
+      await this.handleCache(message, command.trim());
+      return true;
+    }
+    
+    // Handle forget command (clears the conversation memory)
+    if (/^(forget|unut)\b/.test(lowerCmd)) {
+      await this.handleForget(message);
+      return true;
+    }
+    
+    // Handle undo command
+    if (/^(undo|geri\s+al)\b/.test(lowerCmd)) {
+      await this.handleUndo(message, command.trim());
+      return true;
+    }
+    
+    // Handle mod-log channel setting
+    if (/^(modlog|mod-log)\b/.test(lowerCmd)) {
+      await this.handleModLog(message, command.trim());
+      return true;
+    }
+    
+    // Handle escalation ladder commands
+    if (/^(ladder|merdiven)\b/.test(lowerCmd)) {
+      await this.handleLadder(message, command.trim());
+      return true;
+    }
+    
+    // Handle saved workflow commands
+    if (/^workflows?\b/.test(lowerCmd) || /^(save|kaydet)\s+(last|son)\b/.test(lowerCmd)) {
+      await this.handleWorkflow(message, command.trim());
+      return true;
+    }
+    
+    // "run <name>" is a saved workflow only if one has that name
+    const run = lowerCmd.match(/^(?:run|çalıştır)\s+(\S+)/);
+    if (run && message.guild && this.workflowLibrary?.get(message.guild.id, run[1])) {
+      await this.handleWorkflow(message, `workflow ${command.trim()}`);
+      return true;
+    }
+    
+    // Harunbaba timeout example
+    if (await this.handleMathTimeout(message, command)) {
+      return true;
+    }
+    
     // No special command matched
     return false;
   }
@@ -53,7 +144,659 @@ class SpecialCommandHandler {
       await message.reply('Ping ölçülürken bir hata oluştu.').catch(() => {});
     }
   }
-  async handleCommand(message, input) {
+  
+  /**
+   * Handle trust command - shows a member's trust score and what moved it
+   *   trust [@user] | trust delegation [on|off]
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleTrust(message, command = '') {
+    try {
+      if (!this.trustScore) {
+        await message.reply('Güven skoru servisi aktif değil.');
+        return;
+      }
+      
+      const delegation = command.match(/^(?:trust|güven)\s+(?:delegation|devir)\b\s*(\S*)/i);
+      if (delegation && message.guild) {
+        await this.handleTrustDelegation(message, delegation[1].toLowerCase());
+        return;
+      }
+      
+      const target = message.mentions.users.filter(u => u.id !== this.client.user.id).first() || message.author;
+      const breakdown = await this.trustScore.getBreakdown(message.guild.id, target.id);
+      
+      const factorLines = breakdown.factors.map(f =>
+        `${f.source}: ${f.delta >= 0 ? '+' : ''}${f.delta}${f.detail ? ` (${f.detail})` : ''}`
+      );
+      
+      const eventLines = breakdown.events.slice(-10).reverse().map(e =>
+        `${e.type}: ${e.effective} (${e.delta}) • <t:${Math.floor(e.timestamp / 1000)}:R>${e.reason ? ` • ${e.reason}` : ''}`
+      );
+      
+      const trustEmbed = {
+        title: `🛡️ ${target.username} güven skoru: ${breakdown.score}/100`,
+        color: breakdown.score >= 70 ? 0x2ecc71 : breakdown.score >= 40 ? 0xf1c40f : 0xe74c3c,
+        fields: [
+          { name: 'Temel Faktörler', value: factorLines.join('\n') },
+          { name: 'Son Olaylar', value: eventLines.length > 0 ? eventLines.join('\n').slice(0, 1024) : 'Kayıtlı olay yok' }
+        ],
+        timestamp: new Date()
+      };
+      
+      await message.reply({ embeds: [trustEmbed] });
+    } catch (error) {
+      this.logger.error('Error in trust command:', error);
+      await message.reply('Güven skoru gösterilirken bir hata oluştu.').catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle trust delegation - whether members with a high enough trust score may run actions
+   * whose permission they do not have without a moderator's approval
+   * @param {Message} message - Discord message
+   * @param {string} value - on, off, or empty to show the setting
+   */
+  async handleTrustDelegation(message, value) {
+    const guildId = message.guild.id;
+    
+    if (!value) {
+      await message.reply(this.trustScore.isDelegationEnabled(guildId)
+        ? '🛡️ Güven devri açık: güven skoru yeterli üyeler yetkileri olmayan işlemleri onaysız çalıştırabilir (kapatmak için `trust delegation off`).'
+        : '🛡️ Güven devri kapalı: yetkisi olmayan üyelerin işlemlerini o yetkiye sahip bir moderatör onaylar.');
+      return;
+    }
+    
+    if (!message.member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
+      await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
+      return;
+    }
+    
+    if (/^(on|aç)$/.test(value)) {
+      this.trustScore.setDelegation(guildId, true);
+      await message.reply('✅ Güven devri açıldı.');
+    } else if (/^(off|kapat)$/.test(value)) {
+      this.trustScore.setDelegation(guildId, false);
+      await message.reply('✅ Güven devri kapatıldı.');
+    } else {
+      await message.reply('❌ Kullanım: `trust delegation on|off`');
+    }
+  }
+  
+  /**
+   * Handle case commands
+   *   case <n> | case history @user | case edit <n> reason|duration|evidence <value>
+   *   case void <n> [reason] | case appeals #channel
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleCase(message, command) {
+    try {
+      if (!this.caseManager || !message.guild) {
+        await message.reply('Case sistemi bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      if (!message.member.permissions.has(PermissionsBitField.Flags.ModerateMembers)) {
+        await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
+        return;
+      }
+      
+      const guildId = message.guild.id;
+      const [, subcommand = '', rest = ''] = command.match(/^case\s*(\S*)\s*([\s\S]*)$/i) || [];
+      
+      // case history @user
+      if (/^(history|geçmiş)$/i.test(subcommand)) {
+        const target = message.mentions.users.filter(u => u.id !== this.client.user.id).first();
+        if (!target) {
+          await message.reply('❌ Geçmişini görmek istediğiniz kullanıcıyı etiketleyin.');
+          return;
+        }
+        
+        const cases = this.caseManager.getHistory(guildId, target.id);
+        if (cases.length === 0) {
+          await message.reply(`📋 ${target.username} için kayıtlı case yok.`);
+          return;
+        }
+        
+        const lines = cases.map(c =>
+          `${c.status === 'void' ? '~~' : ''}**#${c.caseNumber}** ${c.action} • <t:${Math.floor(c.timestamp / 1000)}:d> • ${c.reason || 'Sebep belirtilmedi'}${c.status === 'void' ? '~~' : ''}`
+        );
+        
+        await message.reply({ embeds: [{
+          title: `📋 ${target.username} case geçmişi`,
+          description: lines.join('\n').slice(0, 4000),
+          color: 0x3498db
+        }] });
+        return;
+      }
+      
+      // case edit <n> reason|duration|evidence <value>
+      if (/^(edit|düzenle)$/i.test(subcommand)) {
+        const match = rest.match(/^#?(\d+)\s+(reason|sebep|duration|süre|evidence|kanıt)\s*:?\s*([\s\S]*)$/i);
+        if (!match) {
+          await message.reply('❌ Kullanım: `case edit <numara> reason|duration|evidence <değer>`');
+          return;
+        }
+        
+        const [, caseNumber, field, value] = match;
+        const changes = {};
+        
+        if (/reason|sebep/i.test(field)) {
+          changes.reason = value.trim();
+        } else if (/duration|süre/i.test(field)) {
+          const seconds = parseTimeString(value.trim());
+          if (!seconds) {
+            await message.reply('❌ Süre formatı geçersiz (örnek: 30m, 2h, 1d).');
+            return;
+          }
+          changes.duration = seconds * 1000;
+        } else {
+          changes.evidence = [
+            ...value.split(/\s+/).filter(v => /^https?:\/\//.test(v)),
+            ...message.attachments.map(a => a.url)
+          ];
+        }
+        
+        const updated = this.caseManager.editCase(guildId, parseInt(caseNumber), changes, message.author.id);
+        await message.reply({ content: `✅ Case #${updated.caseNumber} güncellendi.`, embeds: [this.caseManager.buildCaseEmbed(updated)] });
+        return;
+      }
+      
+      // case void <n> [reason]
+      if (/^(void|iptal)$/i.test(subcommand)) {
+        const match = rest.match(/^#?(\d+)\s*([\s\S]*)$/);
+        if (!match) {
+          await message.reply('❌ Kullanım: `case void <numara> [sebep]`');
+          return;
+        }
+        
+        const updated = this.caseManager.voidCase(guildId, parseInt(match[1]), message.author.id, match[2].trim() || null);
+        await message.reply(`✅ Case #${updated.caseNumber} iptal edildi.`);
+        return;
+      }
+      
+      // case appeals #channel
+      if (/^(appeals|itiraz)$/i.test(subcommand)) {
+        const channel = message.mentions.channels.first();
+        if (!channel) {
+          await message.reply('❌ İtirazların gönderileceği kanalı etiketleyin.');
+          return;
+        }
+        
+        this.caseManager.setAppealChannel(guildId, channel.id);
+        await message.reply(`✅ İtirazlar artık ${channel} kanalına gönderilecek.`);
+        return;
+      }
+      
+      // case <n>
+      const caseNumber = parseInt(subcommand.replace('#', ''));
+      const modCase = !isNaN(caseNumber) ? this.caseManager.getCase(guildId, caseNumber) : null;
+      if (!modCase) {
+        await message.reply('❌ Case bulunamadı. Kullanım: `case <numara>`, `case history @kullanıcı`, `case edit`, `case void`, `case appeals #kanal`');
+        return;
+      }
+      
+      await message.reply({ embeds: [this.caseManager.buildCaseEmbed(modCase)] });
+    } catch (error) {
+      this.logger.error('Error in case command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle simulate command - builds the plan for a command and reports what it would do
+   * without executing anything
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleSimulate(message, command) {
+    try {
+      if (!this.planGenerator || !this.planSimulator || !message.guild) {
+        await message.reply('Simülasyon bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      const input = command.replace(/^(simulate|simüle)\s*/i, '').trim();
+      if (!input) {
+        await message.reply('❌ Kullanım: `simulate <komut>` (örnek: `simulate @kullanıcı 5 dakika sustur`)');
+        return;
+      }
+      
+      const plan = await this.planGenerator.generatePlan(message, input, {
+        history: this.conversationMemory?.getHistory(message)
+      });
+      if (!plan || !Array.isArray(plan.steps)) {
+        await message.reply('❌ Bu komut için plan oluşturulamadı.');
+        return;
+      }
+      
+      // Kayıtlı iş akışları adımlarıyla gösterilir
+      const expanded = this.workflowLibrary ? this.workflowLibrary.expand(plan, message.guild.id) : plan;
+      const { summary } = await this.planSimulator.simulate(message, expanded);
+      
+      await message.reply({ embeds: [{
+        title: '🧪 Simülasyon',
+        description: summary.slice(0, 4000),
+        color: 0x95a5a6,
+        footer: { text: `Komut: ${input}`.slice(0, 2048) + ' • Hiçbir işlem yapılmadı' }
+      }] });
+    } catch (error) {
+      this.logger.error('Error in simulate command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle undo command - undo | undo <planId>
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleUndo(message, command) {
+    try {
+      if (!this.planHistory || !message.guild) {
+        await message.reply('Geri alma bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      const planId = command.replace(/^(undo|geri\s+al)\s*/i, '').trim() || null;
+      const { plan, reverted, failed, irreversible } = await this.planHistory.undo(message, planId);
+      
+      const lines = [];
+      if (reverted.length > 0) {
+        lines.push(`✅ Geri alındı: ${reverted.join(', ')}`);
+      }
+      if (failed.length > 0) {
+        lines.push(`❌ Geri alınamadı: ${failed.map(f => `${f.action} (${f.error})`).join(', ')}`);
+      }
+      if (irreversible.length > 0) {
+        lines.push(`ℹ️ Geri alınamayan işlemler: ${irreversible.join(', ')}`);
+      }
+      
+      const undoEmbed = {
+        title: `↩️ Plan ${plan.id}`,
+        description: lines.join('\n') || 'Geri alınacak işlem yok.',
+        color: plan.status === 'undone' ? 0x2ecc71 : 0xe67e22
+      };
+      if (plan.command) {
+        undoEmbed.footer = { text: `Komut: ${plan.command}`.slice(0, 2048) };
+      }
+      
+      await message.reply({ embeds: [undoEmbed] });
+    } catch (error) {
+      this.logger.error('Error in undo command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle plan cache command - cache | cache clear
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleCache(message, command) {
+    try {
+      if (!this.planCache || !message.guild) {
+        await message.reply('Plan önbelleği bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      if (/\b(clear|temizle)\b/i.test(command)) {
+        if (!message.member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
+          await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
+          return;
+        }
+        const removed = this.planCache.invalidateGuild(message.guild.id, `cleared by ${message.author.tag}`);
+        await message.reply(`🧹 Plan önbelleği temizlendi (${removed} kayıt).`);
+        return;
+      }
+      
+      const stats = this.planCache.stats(message.guild.id);
+      await message.reply({ embeds: [{
+        title: '🗃️ Plan Önbelleği',
+        color: 0x3498db,
+        fields: [
+          { name: 'İsabet / Iska', value: `${stats.hits} / ${stats.misses} (%${Math.round(stats.hitRate * 100)})`, inline: true },
+          { name: 'Kayıtlı planlar', value: `${stats.entries} (toplam ${stats.totalHits} isabet)`, inline: true },
+          { name: 'Kaydedilmeyen', value: String(stats.skipped), inline: true }
+        ],
+        footer: { text: 'İsabet/ıska sayıları bot başladığından beri • Temizlemek için: cache clear' }
+      }] });
+    } catch (error) {
+      this.logger.error('Error in cache command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle forget command - clears the requester's conversation memory in this channel
+   * @param {Message} message - Discord message
+   */
+  async handleForget(message) {
+    try {
+      if (!this.conversationMemory) {
+        await message.reply('Konuşma hafızası bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      const cleared = this.conversationMemory.clear(message);
+      await message.reply(cleared
+        ? '🧹 Bu kanaldaki önceki komutların unutuldu.'
+        : 'ℹ️ Bu kanalda hatırlanan bir komutun yok.');
+    } catch (error) {
+      this.logger.error('Error in forget command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle mod-log command - modlog | modlog #channel | modlog off
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleModLog(message, command) {
+    try {
+      if (!this.modLog || !message.guild) {
+        await message.reply('Mod-log bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      if (!message.member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
+        await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
+        return;
+      }
+      
+      const guildId = message.guild.id;
+      const channel = message.mentions.channels.first();
+      
+      if (channel) {
+        this.modLog.setChannel(guildId, channel.id);
+        await message.reply(`✅ Bot işlemleri artık ${channel} kanalına kaydedilecek.`);
+      } else if (/\b(off|kapat)\b/i.test(command)) {
+        this.modLog.setChannel(guildId, null);
+        await message.reply('✅ Mod-log kapatıldı.');
+      } else {
+        const channelId = this.modLog.getChannelId(guildId);
+        await message.reply(channelId
+          ? `📝 Mod-log kanalı: <#${channelId}> (kapatmak için \`modlog off\`)`
+          : '📝 Mod-log kanalı ayarlanmamış. Kullanım: `modlog #kanal`');
+      }
+    } catch (error) {
+      this.logger.error('Error in modlog command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle escalation ladder commands
+   *   ladder | ladder set <n> [in <window>] timeout <duration>|kick|ban | ladder remove <n>
+   *   ladder decay <duration> | ladder clear | ladder reset
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleLadder(message, command) {
+    try {
+      if (!this.escalationPolicy || !message.guild) {
+        await message.reply('Uyarı merdiveni bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      if (!message.member.permissions.has(PermissionsBitField.Flags.ModerateMembers)) {
+        await message.reply('❌ Bu komutu kullanma yetkiniz yok.');
+        return;
+      }
+      
+      const guildId = message.guild.id;
+      const [, subcommand = '', rest = ''] = command.match(/^(?:ladder|merdiven)\s*(\S*)\s*([\s\S]*)$/i) || [];
+      let ladder;
+      
+      if (subcommand && !message.member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
+        await message.reply('❌ Merdiveni değiştirmek için Sunucuyu Yönet yetkisi gerekiyor.');
+        return;
+      }
+      
+      if (/^(set|ekle)$/i.test(subcommand)) {
+        // ladder set 3 in 7d timeout 1h
+        const match = rest.match(/^(\d+)\s+(?:(?:in|içinde)\s+(\S+)\s+)?(timeout|kick|ban)(?:\s+(\S+))?$/i);
+        if (!match) {
+          await message.reply('❌ Kullanım: `ladder set <uyarı sayısı> [in <süre>] timeout <süre>|kick|ban` (örnek: `ladder set 3 in 7d timeout 1h`)');
+          return;
+        }
+        
+        const [, warnings, window, action, duration] = match;
+        const rule = { warnings: parseInt(warnings), action: action.toLowerCase() };
+        
+        if (window) {
+          rule.window = parseTimeString(window);
+          if (!rule.window) {
+            await message.reply('❌ Süre formatı geçersiz (örnek: 30m, 2h, 7d).');
+            return;
+          }
+        }
+        if (rule.action === 'timeout') {
+          rule.duration = parseTimeString(duration || '');
+          if (!rule.duration) {
+            await message.reply('❌ Timeout için süre belirtin (örnek: `timeout 1h`).');
+            return;
+          }
+        }
+        
+        ladder = this.escalationPolicy.setRule(guildId, rule);
+      } else if (/^(remove|sil)$/i.test(subcommand)) {
+        const warnings = parseInt(rest);
+        if (!warnings) {
+          await message.reply('❌ Kullanım: `ladder remove <uyarı sayısı>`');
+          return;
+        }
+        ladder = this.escalationPolicy.removeRule(guildId, warnings);
+      } else if (/^(decay|sönüm)$/i.test(subcommand)) {
+        const seconds = parseTimeString(rest.trim());
+        if (!seconds) {
+          await message.reply('❌ Kullanım: `ladder decay <süre>` (örnek: `ladder decay 30d`)');
+          return;
+        }
+        ladder = this.escalationPolicy.setDecay(guildId, seconds);
+      } else if (/^(clear|temizle)$/i.test(subcommand)) {
+        ladder = this.escalationPolicy.clearLadder(guildId);
+      } else if (/^(reset|sıfırla)$/i.test(subcommand)) {
+        ladder = this.escalationPolicy.resetLadder(guildId);
+      } else if (!subcommand) {
+        ladder = this.escalationPolicy.getLadder(guildId);
+      } else {
+        await message.reply('❌ Kullanım: `ladder`, `ladder set`, `ladder remove`, `ladder decay`, `ladder clear`, `ladder reset`');
+        return;
+      }
+      
+      await message.reply({ embeds: [{
+        title: '📈 Uyarı Merdiveni',
+        description: this.escalationPolicy.describeLadder(ladder),
+        color: 0xe67e22,
+        footer: { text: `Uyarılar ${formatDuration(ladder.decay)} sonra sayılmaz` }
+      }] });
+    } catch (error) {
+      this.logger.error('Error in ladder command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle saved workflow commands
+   *   save last as <name> [with <param>=<value> ...] | workflows | workflow show <name>
+   *   workflow run <name> [<param>=<value> ...] | run <name> [...]
+   *   workflow edit <name> default <param> <value> | description <text> | steps <json>
+   *   workflow delete <name> | workflow schedule <name> in|every <duration> [<param>=<value> ...]
+   * @param {Message} message - Discord message
+   * @param {string} command - Command text
+   */
+  async handleWorkflow(message, command) {
+    try {
+      if (!this.workflowLibrary || !message.guild) {
+        await message.reply('Kayıtlı iş akışları bu ortamda kullanılamıyor.');
+        return;
+      }
+      
+      const library = this.workflowLibrary;
+      const guildId = message.guild.id;
+      const canManage = message.member.permissions.has(PermissionsBitField.Flags.ManageGuild);
+      
+      // save last as nightly-cleanup with user=@ali
+      if (/^(save|kaydet)\b/i.test(command)) {
+        const save = command.match(/^(?:save|kaydet)\s+(?:last|son)\s+(?:as\s+|olarak\s+)?(\S+)(?:\s+(?:with|ile)\s+([\s\S]+))?$/i);
+        if (!canManage) {
+          await message.reply('❌ İş akışı kaydetmek için Sunucuyu Yönet yetkisi gerekiyor.');
+          return;
+        }
+        if (!save) {
+          await message.reply('❌ Kullanım: `save last as <isim> [with kullanıcı=@ali ...]` (örnek: `save last as nightly-cleanup`)');
+          return;
+        }
+        
+        const workflow = library.saveLast(message, save[1], parseParams(save[2] || ''));
+        const params = Object.keys(workflow.params);
+        await message.reply(`💾 Son plan **${workflow.name}** olarak kaydedildi` +
+          (params.length > 0 ? ` (parametreler: ${params.join(', ')})` : '') +
+          `. Çalıştırmak için: \`run ${workflow.name}\``);
+        return;
+      }
+      
+      const [, subcommand = '', name = '', rest = ''] = command.match(/^\S+(?:\s+(\S+))?(?:\s+(\S+))?\s*([\s\S]*)$/i) || [];
+      
+      if (!subcommand || /^(list|liste)$/i.test(subcommand)) {
+        const workflows = library.list(guildId);
+        await message.reply({ embeds: [{
+          title: '🗂️ Kayıtlı İş Akışları',
+          description: workflows.length === 0
+            ? 'Henüz kayıtlı iş akışı yok. Bir komuttan sonra `save last as <isim>` ile kaydedebilirsiniz.'
+            : workflows.map(workflow => `**${workflow.name}**` +
+                (workflow.description ? ` - ${workflow.description}` : '') +
+                (Object.keys(workflow.params).length > 0 ? `\n   parametreler: ${formatParams(workflow.params)}` : '') +
+                `\n   ${workflow.runs} kez çalıştı` +
+                (workflow.lastRunAt ? `, en son <t:${Math.floor(workflow.lastRunAt / 1000)}:R>` : '')
+              ).join('\n').slice(0, 4000),
+          color: 0x1abc9c
+        }] });
+        return;
+      }
+      
+      if (!name) {
+        await message.reply('❌ Kullanım: `workflow show|run|edit|delete|schedule <isim> ...`');
+        return;
+      }
+      
+      const workflow = library.get(guildId, name);
+      if (!workflow) {
+        await message.reply(`❌ **${name}** adında kayıtlı iş akışı yok. Liste için: \`workflows\``);
+        return;
+      }
+      
+      if (/^(run|çalıştır)$/i.test(subcommand)) {
+        await library.run(message, workflow.name, parseParams(rest));
+        return;
+      }
+      
+      if (/^(show|göster)$/i.test(subcommand)) {
+        const plan = library.expand(library.buildRunPlan(workflow), guildId);
+        const { summary } = this.planSimulator
+          ? await this.planSimulator.simulate(message, plan)
+          : { summary: '```json\n' + JSON.stringify(workflow.plan.steps, null, 2) + '\n```' };
+        
+        await message.reply({ embeds: [{
+          title: `🗂️ ${workflow.name}`,
+          description: ((workflow.description ? `${workflow.description}\n\n` : '') + summary).slice(0, 4000),
+          color: 0x1abc9c,
+          fields: [
+            ...(Object.keys(workflow.params).length > 0 ? [{ name: 'Parametreler', value: formatParams(workflow.params).slice(0, 1024) }] : []),
+            ...(workflow.command ? [{ name: 'Komut', value: workflow.command.slice(0, 1024) }] : [])
+          ],
+          footer: { text: `${workflow.runs} kez çalıştı` }
+        }] });
+        return;
+      }
+      
+      if (!canManage) {
+        await message.reply('❌ İş akışlarını değiştirmek için Sunucuyu Yönet yetkisi gerekiyor.');
+        return;
+      }
+      
+      if (/^(delete|sil)$/i.test(subcommand)) {
+        library.delete(guildId, workflow.name);
+        await message.reply(`🗑️ **${workflow.name}** silindi.`);
+        return;
+      }
+      
+      if (/^(edit|düzenle)$/i.test(subcommand)) {
+        const [, field = '', value = ''] = rest.match(/^(\S*)\s*([\s\S]*)$/) || [];
+        let changes;
+        
+        if (/^(default|varsayılan)$/i.test(field)) {
+          // edit nightly-cleanup default user @ali
+          const [, param, paramValue] = value.match(/^(\S+)\s+([\s\S]+)$/) || [];
+          if (!param) {
+            await message.reply('❌ Kullanım: `workflow edit <isim> default <parametre> <değer>`');
+            return;
+          }
+          changes = { defaults: parseParams(`${param}=${paramValue.trim()}`) };
+        } else if (/^(description|açıklama)$/i.test(field)) {
+          changes = { description: value.trim().slice(0, 200) };
+        } else if (/^(steps|adımlar)$/i.test(field)) {
+          let steps;
+          try {
+            steps = JSON.parse(value.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+          } catch {
+            await message.reply('❌ Adımlar geçerli bir JSON olmalı (plan adımları dizisi ya da `{"steps": [...]}`).');
+            return;
+          }
+          steps = Array.isArray(steps) ? steps : steps?.steps;
+          if (!Array.isArray(steps)) {
+            await message.reply('❌ Adımlar bir dizi olmalı.');
+            return;
+          }
+          changes = { steps };
+        } else {
+          await message.reply('❌ Kullanım: `workflow edit <isim> default <parametre> <değer>`, `description <metin>` veya `steps <json>`');
+          return;
+        }
+        
+        library.update(guildId, workflow.name, changes, message.author.id);
+        await message.reply(`✏️ **${workflow.name}** güncellendi.`);
+        return;
+      }
+      
+      if (/^(schedule|zamanla)$/i.test(subcommand)) {
+        // schedule nightly-cleanup every 1d
+        const [, when, time, params = ''] = rest.match(/^(in|every|sonra|her)\s+(\S+)\s*([\s\S]*)$/i) || [];
+        const seconds = parseTimeString(time || '');
+        if (!seconds) {
+          await message.reply('❌ Kullanım: `workflow schedule <isim> in|every <süre> [parametre=değer ...]` (örnek: `workflow schedule nightly-cleanup every 1d`)');
+          return;
+        }
+        
+        const repeat = /^(every|her)$/i.test(when);
+        const { executeAt } = await library.schedule(message, workflow.name, {
+          delay: seconds * 1000,
+          repeat,
+          params: parseParams(params)
+        });
+        await message.reply(`⏰ **${workflow.name}** <t:${Math.floor(executeAt / 1000)}:R> bu kanalda çalışacak` +
+          (repeat ? ` ve her ${formatDuration(seconds)} tekrarlanacak.` : '.'));
+        return;
+      }
+      
+      await message.reply('❌ Kullanım: `workflows`, `workflow show|run|edit|delete|schedule <isim>`, `save last as <isim>`');
+    } catch (error) {
+      this.logger.error('Error in workflow command:', error);
+      await message.reply(`❌ ${error.message}`).catch(() => {});
+    }
+  }
+  
+  /**
+   * Handle the harunbaba math timeout example
+   * @param {Message} message - Discord message
+   * @param {string} input - Command text
+   * @returns {Promise<boolean>} - Whether command was handled
+   */
+  async handleMathTimeout(message, input) {
     // Harunbaba timeout örneği için
     if (input.toLowerCase().includes('harunbaba') && 
         input.toLowerCase().includes('timeout') && 
@@ -85,6 +828,11 @@ class SpecialCommandHandler {
         const member = await message.guild.members.fetch(userId);
         await member.timeout(total * 60 * 1000, "Komutla verilen timeout");
         await message.reply(`✅ <@${userId}> kullanıcısı toplam ${total} dakika susturuldu.`);
+        this.modLog?.record(createActionEntry(message, 'member.timeout', {
+          userId,
+          duration: total * 60,
+          reason: 'Komutla verilen timeout'
+        }, { source: 'SpecialCommands' }));
       } catch (error) {
         await message.reply(`❌ Timeout uygulanırken hata: ${error.message}`);
       }
@@ -112,7 +860,17 @@ class SpecialCommandHandler {
             value: [
               `\`${prefix} ping\` - Bot ve API gecikmesini gösterir`,
               `\`${prefix} help\` - Bu yardım mesajını gösterir`,
-              `\`${prefix} info\` - Bot hakkında bilgi verir`
+              `\`${prefix} info\` - Bot hakkında bilgi verir`,
+              `\`${prefix} trust @kullanıcı\` - Kullanıcının güven skorunu gösterir (\`trust delegation on|off\`)`,
+              `\`${prefix} case history @kullanıcı\` - Kullanıcının moderasyon case'lerini gösterir`,
+              `\`${prefix} ladder\` - Uyarı merdivenini gösterir (\`ladder set 3 in 7d timeout 1h\`)`,
+              `\`${prefix} modlog #kanal\` - Bot işlemlerinin kaydedileceği kanalı ayarlar`,
+              `\`${prefix} undo [planId]\` - Son planı (veya verilen planı) geri alır`,
+              `\`${prefix} simulate <komut>\` - Komutu çalıştırmadan ne yapacağını gösterir`,
+              `\`${prefix} forget\` - Önceki komutlarını unutur ("aynısını yap" gibi devam komutları için)`,
+              `\`${prefix} cache [clear]\` - Plan önbelleği istatistiklerini gösterir veya temizler`,
+              `\`${prefix} save last as <isim>\` - Son planı isimle kaydeder (\`with kullanıcı=@ali\` ile parametreli)`,
+              `\`${prefix} workflows\` - Kayıtlı iş akışlarını listeler (\`run\`, \`workflow show|edit|delete|schedule <isim>\`)`
             ].join('\n')
           },
           {
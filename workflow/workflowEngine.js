@@ -1,70 +1,83 @@
 /**
  * Workflow Engine - Executes workflows and action sequences
  */
-const { Collection } = require('discord.js');
+const { Collection, PermissionsBitField } = require('discord.js');
+const { createActionEntry } = require('../core/modLog');
+const { actionRegistry } = require('../core/actions');
+const { resolveTemplates } = require('../utils/templateUtils');
+const {
+  LIMITS,
+  VARIABLE_NAME,
+  evaluateCondition,
+  isControlStep,
+  externalReferences
+} = require('./controlFlow');
+
+// Steps a strategy runs at the same time; parallel is capped to stay clear of Discord's rate limits
+const STRATEGY_CONCURRENCY = { sequential: 1, parallel: 5 };
 
 class WorkflowEngine {
-  constructor(client, logger, actionHandler) {
+  constructor(client, logger) {
     this.client = client;
     this.logger = logger;
-    this.actionHandler = actionHandler;
+    // Actions the steps can run
+    this.registry = actionRegistry;
     this.activeWorkflows = new Map();
+    // Iteration, action and nesting limits of control steps (setupBot applies config.WORKFLOW)
+    this.limits = { ...LIMITS };
+    // Mod log (set by setupBot); successful actions are posted to the guild's mod-log channel
+    this.modLog = null;
   }
   
   /**
-   * Execute a workflow plan
-   * @param {Object} plan - Workflow plan
-   * @param {Message} message - Original message that triggered the workflow
-   * @returns {Promise<Object>} - Result of execution
+   * Write an executed action to the mod log
+   * @param {Message} message - Original message
+   * @param {string} action - Executed action
+   * @param {Object} params - Action parameters
+   * @param {Object} context - { planId, command }
+   * @private
    */
-  // executeAction fonksiyonunda bu değişiklikleri yapın
-async executeAction(step, message) {
-    if (step.params && step.params.action) {
-    // Format düzeltmeleri
-    const actionMappings = {
-      'member.roles.remove': 'role.remove',
-      'member.roles.add': 'role.add',
-      'member.role.remove': 'role.remove',
-      'member.role.add': 'role.add',
-      'roles.remove': 'role.remove',
-      'roles.add': 'role.add',
-      'message.send': 'message.create',
-      'channel.messages.purge': 'channel.purge',
-      'messages.delete': 'channel.purge'
-    };
-    
-    // Bilinen yanlış formatları düzelt
-    if (actionMappings[step.params.action]) {
-      console.log(`⚠️ Action format düzeltiliyor: ${step.params.action} → ${actionMappings[step.params.action]}`);
-      step.params.action = actionMappings[step.params.action];
-    }
+  _recordAction(message, action, params, context = {}) {
+    if (!this.modLog) return;
+    this.modLog.record(createActionEntry(message, action, params, { source: 'WorkflowEngine', ...context }));
+  }
+  
+  /**
+   * Execute a single action step
+   * @param {Object} step - Step with params.action
+   * @param {Message} message - Original message
+   * @param {Object} context - Mod-log context { planId, command }
+   * @returns {Promise<Object>} - { success, result } or { success: false, error }
+   */
+async executeAction(step, message, context = {}) {
+  // Alias'ları (member.roles.add, message.send...) asıl action adına çevir
+  const resolved = this.registry.resolve(step.params?.action);
+  if (resolved && resolved !== step.params.action) {
+    this.logger.info(`Action format düzeltiliyor: ${step.params.action} → ${resolved}`);
+    step.params.action = resolved;
   }
   const { action } = step.params;
   
   // Admin kullanıcı kontrolü
-  const isAdminUser = message.member?.permissions.has('ADMINISTRATOR');
+  const isAdminUser = message.member?.permissions.has(PermissionsBitField.Flags.Administrator);
   
-  // Action formatını kontrol et
-  const isValidActionFormat = /^[a-z]+\.[a-z]+$/.test(action);
-  
-  // Güvenlik kontrolü
-  if (!isValidActionFormat) {
+  // Bilinmeyen action'lar çalıştırılmaz
+  const definition = this.registry.get(action);
+  if (!definition) {
     return {
       success: false,
-      error: `Invalid action format: '${action}'`
+      error: `Unknown action: '${action}'`
     };
   }
   
-  // Admin kullanıcılar için daha esnek izinler
+  // Admin olmayan kullanıcılar action'ın gerektirdiği Discord iznine sahip olmalı
   if (isAdminUser) {
-    // Sadece temel format kontrolü yap, actionlar için liste kontrolü yapma
     this.logger.info(`Admin user executing action: ${action}`);
   }
-  else if (!this.allowedActions?.includes(action)) {
-    // Admin olmayan kullanıcılar için izin kontrolü
+  else if (definition.permission && !message.member?.permissions.has(definition.permission)) {
     return {
       success: false,
-      error: `Action '${action}' is not allowed for non-admin users`
+      error: `Action '${action}' needs a permission you do not have`
     };
   }
   
@@ -113,46 +126,37 @@ async executeAction(step, message) {
     }
   }
 
-  // Diğer mevcut switch case yapınız devam eder...
-  switch (action) {
-    // Message actions
-    case 'message.create':
-      return await this.sendMessage(message, step.params);
-    // Diğer case'ler...
-    
-    // Bilinmeyen action için fallback
-    default:
-      // Admin kullanıcılar için dinamik method çağırma girişimi
-      if (isAdminUser) {
-        try {
-          const [category, method] = action.split('.');
-          const handlerName = `${method}${category.charAt(0).toUpperCase() + category.slice(1)}`;
-          
-          if (typeof this[handlerName] === 'function') {
-            return await this[handlerName](message, step.params);
-          }
-          
-          throw new Error(`Unsupported action: ${action}`);
-        } catch (error) {
-          return {
-            success: false,
-            error: `Failed to execute '${action}': ${error.message}`
-          };
-        }
-      }
-      
-      return {
-        success: false,
-        error: `Unknown action: ${action}`
-      };
+  let result;
+  try {
+    result = { success: true, result: await definition.execute(message, step.params, { client: this.client, logger: this.logger }) };
+  } catch (error) {
+    this.logger.error(`Action execution error (${action}):`, error);
+    return { success: false, error: `Failed to execute '${action}': ${error.message}` };
   }
+  
+  this._recordAction(message, action, step.params, context);
+  return result;
 }
-  async executeWorkflow(plan, message) {
+
+  /**
+   * Execute a plan. Steps wait for the steps in their dependsOn (and the steps their
+   * {{s1.result.id}} references point to) and get those outputs in their params; a step whose
+   * dependency failed or was skipped is skipped. With the "parallel" strategy independent
+   * branches run side by side, "sequential" runs one step at a time. workflow.if, workflow.forEach
+   * and workflow.repeat steps run their nested steps within this.limits.
+   * @param {Object} plan - { steps, meta: { strategy } }
+   * @param {Message} message - Original message
+   * @param {Object} options - { runStep(step, params) }, runs a step instead of executeAction
+   * @returns {Promise<Object>} - { success, workflowId, results, outputs }
+   */
+  async executeWorkflow(plan, message, options = {}) {
     if (!plan || !plan.steps || !Array.isArray(plan.steps)) {
       return { success: false, error: 'Invalid workflow plan' };
     }
     
     const workflowId = `wf_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    const context = { planId: plan.id || workflowId, command: plan.command };
+    const runStep = options.runStep || ((step, params) => this._executeStep({ ...step, params }, message, context));
     
     // Store workflow info
     this.activeWorkflows.set(workflowId, {
@@ -167,26 +171,29 @@ async executeAction(step, message) {
     try {
       // Execute steps based on strategy
       const strategy = plan.meta?.strategy || 'sequential';
-      
-      let results;
-      if (strategy === 'sequential') {
-        results = await this._executeSequential(plan.steps, message, workflowId);
-      } else if (strategy === 'parallel') {
-        results = await this._executeParallel(plan.steps, message, workflowId);
-      } else {
+      if (!(strategy in STRATEGY_CONCURRENCY)) {
         throw new Error(`Unknown execution strategy: ${strategy}`);
       }
       
+      const run = { workflowId, runStep, concurrency: STRATEGY_CONCURRENCY[strategy], actions: 0, error: null };
+      const { results, outputs } = await this._executeGraph(plan.steps, run);
+      const { error } = run;
+      
       // Update workflow status
       const workflow = this.activeWorkflows.get(workflowId);
-      workflow.status = 'completed';
+      workflow.status = error ? 'failed' : 'completed';
       workflow.endTime = Date.now();
       workflow.results = results;
+      if (error) {
+        workflow.error = error;
+      }
       
       return {
-        success: true,
+        success: !error,
         workflowId,
-        results
+        results,
+        outputs,
+        ...(error && { error })
       };
     } catch (error) {
       // Update workflow status on failure
@@ -208,91 +215,233 @@ async executeAction(step, message) {
   }
   
   /**
-   * Execute steps sequentially
+   * Steps of the same graph a step waits for: its dependsOn and the steps it references
+   * (references to outer steps and loop variables are already resolved when the graph runs)
+   * @param {Object} step - Workflow step
+   * @param {Set<string>} ids - Step IDs of the graph
+   * @returns {Array<string>} - Step IDs
+   * @private
+   */
+  _dependencies(step, ids) {
+    const referenced = [...externalReferences(step)].filter(id => ids.has(id));
+    return [...new Set([...(step.dependsOn || []), ...referenced])];
+  }
+  
+  /**
+   * Execute the steps as a dependency graph. A step starts once all its dependencies
+   * succeeded, at most run.concurrency at a time, in plan order among the ready ones.
+   * A failed critical step stops the workflow; the steps not started yet are skipped.
    * @param {Array} steps - Workflow steps
-   * @param {Message} message - Original message
-   * @param {string} workflowId - ID of the workflow
-   * @returns {Promise<Array>} - Results of each step
+   * @param {Object} run - Shared state of the workflow: { workflowId, runStep, concurrency, actions, error }
+   * @param {Object} scope - Outputs visible to the steps: outer steps and loop variables
+   * @param {number} depth - Control steps around these steps
+   * @returns {Promise<Object>} - { results (plan order), outputs (stepId -> { result }) }
    * @private
    */
-  async _executeSequential(steps, message, workflowId) {
-    const results = [];
+  async _executeGraph(steps, run, scope = {}, depth = 0) {
+    const nodes = steps.map((step, index) => ({ step, id: step.id || `s${index + 1}` }));
+    const ids = new Set(nodes.map(node => node.id));
+    const finished = new Map();
+    const running = new Map();
+    const outputs = { ...scope };
+    let pending = nodes;
     
-    for (let i = 0; i < steps.length; i++) {
-      const step = steps[i];
+    const finish = (node, entry) => {
+      finished.set(node.id, entry);
       
-      try {
-        // Execute step
-        const result = await this._executeStep(step, message);
-        results.push({
-          stepId: step.id,
-          success: result.success,
-          result
-        });
-        
-        // Update workflow
-        const workflow = this.activeWorkflows.get(workflowId);
-        if (workflow) {
-          workflow.currentStep = i + 1;
-          workflow.results = results;
-        }
+      // Status of the top-level steps; nested steps are reported by their control step
+      const workflow = depth === 0 && this.activeWorkflows.get(run.workflowId);
+      if (workflow) {
+        workflow.currentStep = finished.size;
+        workflow.results = nodes.map(({ id }) => finished.get(id)).filter(Boolean);
+      }
+    };
+    const skip = (node, reason) => {
+      this.logger.info(`Skipping step ${node.id}: ${reason}`);
+      finish(node, { stepId: node.id, success: false, skipped: true, error: reason });
+    };
+    
+    while (pending.length > 0 || running.size > 0) {
+      const waiting = [];
+      const done = finished.size;
+      
+      for (const node of pending) {
+        const dependencies = this._dependencies(node.step, ids);
+        const unknown = dependencies.find(id => !ids.has(id) && !(id in scope));
+        const failed = dependencies.find(id => finished.has(id) && !finished.get(id).success);
         
-        // Stop execution if step failed and it's critical
-        if (!result.success && step.critical) {
-          throw new Error(`Critical step ${step.id} failed: ${result.error}`);
+        if (run.error) {
+          skip(node, `Skipped: ${run.error}`);
+        } else if (unknown) {
+          skip(node, `Skipped: depends on unknown step ${unknown}`);
+        } else if (failed) {
+          skip(node, `Skipped: step ${failed} did not succeed`);
+        } else if (running.size < run.concurrency && dependencies.every(id => finished.has(id) || !ids.has(id))) {
+          running.set(node.id, this._runGraphStep(node, run, outputs, depth).then(entry => {
+            running.delete(node.id);
+            finish(node, entry);
+            
+            // Stop execution if step failed and it's critical
+            if (!entry.success && node.step.critical && !run.error) {
+              run.error = `Critical step ${node.id} failed: ${entry.error}`;
+            }
+          }));
+        } else {
+          waiting.push(node);
         }
-      } catch (error) {
-        this.logger.error(`Step execution failed (${step.id}):`, error);
-        results.push({
-          stepId: step.id,
-          success: false,
-          error: error.message
-        });
+      }
+      
+      pending = waiting;
+      if (running.size > 0) {
+        await Promise.race(running.values());
+      } else if (finished.size === done) {
+        // Nothing left that could finish the dependencies of the waiting steps (a cycle)
+        pending.forEach(node => skip(node, 'Skipped: circular dependency'));
+        pending = [];
+      }
+    }
+    
+    // Only the graph's own outputs; the scope belongs to the caller
+    const own = Object.fromEntries(Object.entries(outputs).filter(([id]) => ids.has(id)));
+    return { results: nodes.map(({ id }) => finished.get(id)), outputs: own };
+  }
+  
+  /**
+   * Resolve a step's references against the earlier outputs and run it
+   * @param {Object} node - { step, id }
+   * @param {Object} run - Shared state of the workflow
+   * @param {Object} outputs - stepId -> { result }; the step's output is added on success
+   * @param {number} depth - Control steps around the step
+   * @returns {Promise<Object>} - { stepId, success, result, error }
+   * @private
+   */
+  async _runGraphStep({ step, id }, run, outputs, depth) {
+    try {
+      let result;
+      if (isControlStep(step)) {
+        result = await this._executeControlStep(step, run, outputs, depth);
+      } else {
+        const params = resolveTemplates(step.params || {}, outputs);
         
-        // Stop if this is a critical step
-        if (step.critical) {
-          throw error;
+        // Loops can multiply a plan; every action counts against the workflow's budget
+        if (++run.actions > this.limits.MAX_ACTIONS) {
+          run.error = run.error || `Workflow stopped after ${this.limits.MAX_ACTIONS} actions`;
+          throw new Error(run.error);
         }
+        result = await run.runStep(step, params);
       }
+      
+      if (!result?.success) {
+        return { stepId: id, success: false, result, error: result?.error || 'Step failed' };
+      }
+      
+      outputs[id] = { result: result.result };
+      return { stepId: id, success: true, result };
+    } catch (error) {
+      this.logger.error(`Step execution failed (${id}):`, error);
+      return { stepId: id, success: false, error: error.message };
     }
-    
-    return results;
   }
   
   /**
-   * Execute steps in parallel
-   * @param {Array} steps - Workflow steps
-   * @param {Message} message - Original message
-   * @param {string} workflowId - ID of the workflow
-   * @returns {Promise<Array>} - Results of each step
+   * Run an if, forEach, repeat or run step. The nested steps see the outer outputs and the loop
+   * variables ({{member.id}}, {{index}}, {{params.user}}; inner steps shadow outer ones); their
+   * own outputs stay inside the iteration.
+   * Iterations run one after another and a failed iteration does not stop the next one.
+   * @param {Object} step - Control step
+   * @param {Object} run - Shared state of the workflow
+   * @param {Object} scope - Outputs visible to the step
+   * @param {number} depth - Control steps around the step
+   * @returns {Promise<Object>} - { success, result, error }
    * @private
    */
-  async _executeParallel(steps, message, workflowId) {
-    const stepPromises = steps.map(step => {
-      return this._executeStep(step, message)
-        .then(result => ({
-          stepId: step.id,
-          success: result.success,
-          result
-        }))
-        .catch(error => ({
-          stepId: step.id,
-          success: false,
-          error: error.message
-        }));
-    });
+  async _executeControlStep(step, run, scope, depth) {
+    const { MAX_DEPTH, MAX_ITERATIONS } = this.limits;
+    if (depth >= MAX_DEPTH) {
+      throw new Error(`Control steps can be nested at most ${MAX_DEPTH} deep`);
+    }
+    
+    const params = step.params || {};
+    const iterations = [];
+    let result;
+    
+    switch (step.tool) {
+      case 'workflow.if': {
+        const matched = evaluateCondition(resolveTemplates(params.condition, scope));
+        iterations.push({ variables: {}, steps: (matched ? params.then : params.else) || [] });
+        result = { matched, branch: matched ? 'then' : 'else' };
+        break;
+      }
+      
+      case 'workflow.forEach': {
+        const items = resolveTemplates(params.items, scope);
+        const name = params.as || 'item';
+        if (!Array.isArray(items)) {
+          throw new Error('forEach items must be a list');
+        }
+        if (items.length > MAX_ITERATIONS) {
+          throw new Error(`forEach over ${items.length} items is over the limit of ${MAX_ITERATIONS}`);
+        }
+        if (!VARIABLE_NAME.test(name) || name === 'index') {
+          throw new Error(`'${name}' cannot be used as a loop variable`);
+        }
+        items.forEach((item, index) => iterations.push({ variables: { [name]: item, index: index + 1 }, steps: params.steps }));
+        result = { count: items.length };
+        break;
+      }
+      
+      case 'workflow.repeat': {
+        const times = Number(resolveTemplates(params.times, scope));
+        if (!Number.isInteger(times) || times < 0 || times > MAX_ITERATIONS) {
+          throw new Error(`repeat needs a whole number of times between 0 and ${MAX_ITERATIONS}`);
+        }
+        for (let index = 1; index <= times; index++) {
+          iterations.push({ variables: { index }, steps: params.steps });
+        }
+        result = { count: times };
+        break;
+      }
+      
+      case 'workflow.run': {
+        // WorkflowLibrary#expand puts the saved steps in before the plan is validated
+        if (!Array.isArray(params.steps)) {
+          throw new Error(`Saved workflow ${params.name} was not loaded`);
+        }
+        iterations.push({ variables: { params: resolveTemplates(params.params || {}, scope) }, steps: params.steps });
+        result = { workflow: params.name };
+        break;
+      }
+      
+      default:
+        throw new Error(`Unknown tool: ${step.tool}`);
+    }
     
-    return Promise.all(stepPromises);
+    const failures = [];
+    for (const iteration of iterations) {
+      if (run.error) break;
+      
+      const { results } = await this._executeGraph(iteration.steps || [], run, { ...scope, ...iteration.variables }, depth + 1);
+      failures.push(...results.filter(entry => !entry.success));
+    }
+    
+    if (run.error) {
+      return { success: false, result, error: run.error };
+    }
+    if (failures.length > 0) {
+      return { success: false, result, error: `${failures.length} nested step(s) failed: ${failures[0].error}` };
+    }
+    return { success: true, result };
   }
   
   /**
    * Execute a single workflow step
    * @param {Object} step - Step to execute
    * @param {Message} message - Original message
+   * @param {Object} context - Mod-log context { planId, command }
    * @returns {Promise<Object>} - Result of the step
    * @private
    */
-  async _executeStep(step, message) {
+  async _executeStep(step, message, context = {}) {
     if (!step || !step.params || !step.params.action) {
       throw new Error('Invalid step configuration');
     }
@@ -300,7 +449,7 @@ async executeAction(step, message) {
     // Execute based on tool type
     switch (step.tool) {
       case 'discord.request':
-        return await this._executeDiscordRequest(step.params, message);
+        return await this._executeDiscordRequest(step.params, message, context);
       default:
         throw new Error(`Unknown tool: ${step.tool}`);
     }
@@ -310,178 +459,12 @@ async executeAction(step, message) {
    * Execute a Discord request
    * @param {Object} params - Request parameters
    * @param {Message} message - Original message
+   * @param {Object} context - Mod-log context { planId, command }
    * @returns {Promise<Object>} - Result of the request
    * @private
    */
-  async _executeDiscordRequest(params, message) {
-  const { action } = params;
-  
-  // Action handler kontrolü
-  if (this.actionHandler && typeof this.actionHandler.callAction === 'function') {
-    return await this.actionHandler.callAction(action, message, params);
-  }
-  
-  // Geriye dönük uyumluluk için
-  if (!this.actionHandler || !this.actionHandler[action]) {
-    throw new Error(`Unsupported action: ${action}`);
-  }
-  
-  // Eski yöntemle eylemi çalıştır
-  return await this.actionHandler[action](message, params);
-}
-  /**
- * Purge messages from a channel
- * @param {Message} message - Original message
- * @param {Object} params - Action parameters
- * @returns {Promise<Object>} - Action result
- */
-async purgeChannel(message, params) {
-  const { limit, channelId, userId } = params;
-  
-  if (!limit || limit <= 0 || limit > 100) {
-    return { success: false, error: "Invalid limit (must be 1-100)" };
-  }
-  
-  try {
-    const channel = channelId
-      ? await message.guild.channels.fetch(channelId).catch(() => null)
-      : message.channel;
-      
-    if (!channel || !channel.isTextBased()) {
-      return { success: false, error: "Channel not found or not text-based" };
-    }
-    
-    // ÖNEMLİ DEĞİŞİKLİK: Daha fazla mesaj çekelim (100)
-    await message.channel.send(`🔍 Son 100 mesaj içinden <@${userId}> kişisine ait mesajlar aranıyor...`);
-    
-    // Daha fazla mesaj çek
-    const fetchedMessages = await channel.messages.fetch({ limit: 100 });
-    
-    // Debug amaçlı konsola yazdır
-    console.log(`Toplam ${fetchedMessages.size} mesaj bulundu.`);
-    
-    // Kullanıcı filtresi uygula
-    let messagesToDelete;
-    if (userId) {
-      // Kullanıcı mesajlarını filtrele
-      messagesToDelete = fetchedMessages.filter(m => m.author.id === userId);
-      console.log(`${userId} ID'li kullanıcıya ait ${messagesToDelete.size} mesaj bulundu.`);
-      
-      // Hiç mesaj bulunamadıysa, bildir
-      if (messagesToDelete.size === 0) {
-        await message.channel.send(`❌ <@${userId}> kullanıcısına ait son 100 mesaj içinde silinecek mesaj bulunamadı.`);
-        return { 
-          success: false, 
-          error: "No messages found from that user in the recent history."
-        };
-      }
-      
-      // Kullanıcının son X mesajını al (limit kadar)
-      messagesToDelete = messagesToDelete.first(limit);
-    } else {
-      // Sadece limit kadar mesaj al
-      messagesToDelete = fetchedMessages.first(limit);
-    }
-    
-    // Silinen mesaj sayısını kontrol et
-    if (!messagesToDelete || messagesToDelete.length === 0) {
-      await message.channel.send(`❌ Silinecek mesaj bulunamadı.`);
-      return { success: false, error: "No messages to delete" };
-    }
-    
-    // Bu mesajları sil
-    await message.channel.send(`🗑️ ${messagesToDelete.length} mesaj siliniyor...`);
-    
-    try {
-      // Mesajları sil
-      const deleted = await channel.bulkDelete(messagesToDelete, true);
-      
-      // Başarı mesajı
-      await message.channel.send(`✅ ${deleted.size} mesaj başarıyla silindi.`);
-      
-      return { 
-        success: true, 
-        count: deleted.size,
-        userId: userId || null,
-        message: `Deleted ${deleted.size} messages`
-      };
-    } catch (deleteError) {
-      // Silme hatası (örn. 14 günden eski mesajlar)
-      if (deleteError.message.includes('14 days')) {
-        await message.channel.send(`❌ 14 günden eski mesajlar toplu olarak silinemez.`);
-        return { success: false, error: 'Cannot delete messages older than 14 days.' };
-      }
-      
-      await message.channel.send(`❌ Mesaj silme sırasında hata: ${deleteError.message}`);
-      throw deleteError;
-    }
-  } catch (error) {
-    console.error("Purge error:", error);
-    await message.channel.send(`❌ Hata: ${error.message}`);
-    return { success: false, error: error.message };
-  }
-}
-  /**
-   * Purge messages with user filtering
-   * @param {Message} message - Original message
-   * @param {Object} params - Parameters for purging
-   * @returns {Promise<Object>} Operation result
-   */
-  async purgeMessages(message, params) {
-    try {
-      const { limit = 10, userId } = params;
-      const numericLimit = parseInt(limit, 10);
-      
-      if (isNaN(numericLimit) || numericLimit < 1 || numericLimit > 100) {
-        return {
-          success: false,
-          error: `Invalid limit (must be 1-100)`
-        };
-      }
-      
-      // Fetch messages to filter
-      const messages = await message.channel.messages.fetch({ limit: 100 });
-      
-      // Apply user filter if userId specified
-      let messagesToDelete;
-      if (userId) {
-        // Only get messages from the specified user
-        messagesToDelete = messages.filter(msg => msg.author.id === userId).first(numericLimit);
-        
-        if (messagesToDelete.length === 0) {
-          return {
-            success: false,
-            error: `No messages found from that user.`
-          };
-        }
-      } else {
-        // Get messages without user filtering
-        messagesToDelete = messages.first(numericLimit);
-      }
-      
-      // Convert to array for bulkDelete
-      const messageArray = Array.from(messagesToDelete);
-      
-      // Delete messages
-      const result = await message.channel.bulkDelete(messageArray, true)
-        .catch(error => {
-          if (error.message.includes('14 days')) {
-            throw new Error('Cannot delete messages older than 14 days.');
-          }
-          throw error;
-        });
-      
-      return {
-        success: true,
-        deletedCount: result.size,
-        userFiltered: userId ? true : false
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  async _executeDiscordRequest(params, message, context = {}) {
+    return await this.executeAction({ params }, message, context);
   }
   
   /**